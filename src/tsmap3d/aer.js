@@ -1,11 +1,12 @@
 /*  transforms involving AER: azimuth, elevation, slant range */
 
-import {ecef2enu, ecef2geodetic, enu2uvw, geodetic2ecef} from './ecef';
+import {ecef2enu, ecef2enuv, ecef2geodetic, enu2uvw, geodetic2ecef} from './ecef';
 
-import {aer2enu, enu2aer, geodetic2enu} from './enu';
+import {aer2enu, enu2aer, enu2aerv, geodetic2enu} from './enu';
 import {ecef2eci, eci2ecef} from './eci';
+import {teme2ecef} from './teme';
 
-export {aer2ecef, ecef2aer, geodetic2aer, aer2geodetic, eci2aer, aer2eci};
+export {aer2ecef, ecef2aer, ecef2aerv, geodetic2aer, aer2geodetic, eci2aer, aer2eci, teme2aer};
 
 function ecef2aer(x, y, z, lat0, lon0, h0, ell = null, deg = true) {
     /*
@@ -47,6 +48,69 @@ function ecef2aer(x, y, z, lat0, lon0, h0, ell = null, deg = true) {
     return enu2aer(xEast, yNorth, zUp, deg);
 }
 
+function ecef2aerv(x, y, z, vx, vy, vz, lat0, lon0, h0, ell = null, deg = true, v0 = null) {
+    /*
+    azimuth, elevation, slant range and their rates from an Observer to a Point with ECEF position and velocity
+
+    for antenna tracking and Doppler prediction. ECI or TEME states go through
+    eci2ecef or teme2ecef with their velocity first, which adds the Earth rotation.
+
+    Parameters
+    ----------
+
+    x : float
+    ECEF x coordinate (meters)
+    y : float
+    ECEF y coordinate (meters)
+    z : float
+    ECEF z coordinate (meters)
+    vx : float
+    ECEF x velocity (meters/second)
+    vy : float
+    ECEF y velocity (meters/second)
+    vz : float
+    ECEF z velocity (meters/second)
+    lat0 : float
+    Observer geodetic latitude
+    lon0 : float
+    Observer geodetic longitude
+    h0 : float
+    observer altitude above geodetic ellipsoid (meters)
+    ell : Ellipsoid, optional
+    reference ellipsoid
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+    v0 : Array, optional
+    observer ECEF velocity [vx0, vy0, vz0] (meters/second), default at rest on the Earth
+
+    Returns
+    -------
+    az : float
+    azimuth to target
+    el : float
+    elevation to target
+    srange : float
+    slant range [meters]
+    azrate : float
+    azimuth rate [per second], NaN at the zenith
+    elrate : float
+    elevation rate [per second]
+    rangerate : float
+    slant range rate [meters/second], positive receding.
+    The Doppler shift is -rangerate / c times the carrier frequency.
+
+    The rates are those of the observer's own local frame, its turning with a
+    moving observer is neglected.
+    */
+    let e, n, u, ve, vn, vu;
+    if ((v0 !== null)) {
+        [vx, vy, vz] = [(vx - v0[0]), (vy - v0[1]), (vz - v0[2])];
+    }
+    [e, n, u] = ecef2enu(x, y, z, lat0, lon0, h0, ell, deg);
+    [ve, vn, vu] = ecef2enuv(vx, vy, vz, lat0, lon0, deg);
+    return enu2aerv(e, n, u, ve, vn, vu, deg);
+}
+
 function geodetic2aer(lat, lon, h, lat0, lon0, h0, ell = null, deg = true) {
     /*
     gives azimuth, elevation and slant range from an Observer to a Point with geodetic coordinates.
@@ -127,10 +191,12 @@ function aer2geodetic(az, el, srange, lat0, lon0, h0, ell = null, deg = true) {
     return ecef2geodetic(x, y, z, ell, deg);
 }
 
-function eci2aer(x, y, z, lat0, lon0, h0, t, ell = null, deg = true) {
+function eci2aer(x, y, z, lat0, lon0, h0, t, ell = null, deg = true, eop = null) {
     /*
     takes Earth Centered Inertial x,y,z ECI coordinates of point and gives az, el, slant range from Observer
 
+    ECI is as for eci2ecef: TEME of date without eop, GCRS with eop
+
     Parameters
     ----------
 
@@ -150,6 +216,50 @@ function eci2aer(x, y, z, lat0, lon0, h0, t, ell = null, deg = true) {
     Observation time
     deg : bool, optional
     true: degrees, false: radians
+    eop : Object, optional
+    Earth orientation parameters, see eci2ecef
+
+    Returns
+    -------
+    az : float
+    azimuth to target
+    el : float
+    elevation to target
+    srange : float
+    slant range [meters]
+    */
+    let xecef, yecef, zecef;
+    [xecef, yecef, zecef] = eci2ecef(x, y, z, t, eop);
+    return ecef2aer(xecef, yecef, zecef, lat0, lon0, h0, ell, deg);
+}
+
+function teme2aer(x, y, z, lat0, lon0, h0, t, ell = null, deg = true, eop = null) {
+    /*
+    look angles from an Observer to a point in TEME, e.g. SGP4 output from Satrec.propagate
+
+    Parameters
+    ----------
+
+    x : float
+    TEME x-location [meters]
+    y : float
+    TEME y-location [meters]
+    z : float
+    TEME z-location [meters]
+    lat0 : float
+    Observer geodetic latitude
+    lon0 : float
+    Observer geodetic longitude
+    h0 : float
+    observer altitude above geodetic ellipsoid (meters)
+    t : datetime.datetime
+    Observation time
+    ell : Ellipsoid, optional
+    reference ellipsoid
+    deg : bool, optional
+    true: degrees, false: radians
+    eop : Object, optional
+    Earth orientation parameters, see teme2ecef
 
     Returns
     -------
@@ -161,11 +271,11 @@ function eci2aer(x, y, z, lat0, lon0, h0, t, ell = null, deg = true) {
     slant range [meters]
     */
     let xecef, yecef, zecef;
-    [xecef, yecef, zecef] = eci2ecef(x, y, z, t);
+    [xecef, yecef, zecef] = teme2ecef(x, y, z, t, eop);
     return ecef2aer(xecef, yecef, zecef, lat0, lon0, h0, ell, deg);
 }
 
-function aer2eci(az, el, srange, lat0, lon0, h0, t, ell = null, deg = true) {
+function aer2eci(az, el, srange, lat0, lon0, h0, t, ell = null, deg = true, eop = null) {
     /*
     gives ECI of a point from an observer at az, el, slant range
 
@@ -189,6 +299,8 @@ function aer2eci(az, el, srange, lat0, lon0, h0, t, ell = null, deg = true) {
     reference ellipsoid
     deg : bool, optional
     degrees input/output  (False: radians in/out)
+    eop : Object, optional
+    Earth orientation parameters, see eci2ecef
 
     Returns
     -------
@@ -204,7 +316,7 @@ function aer2eci(az, el, srange, lat0, lon0, h0, t, ell = null, deg = true) {
     */
     let x, y, z;
     [x, y, z] = aer2ecef(az, el, srange, lat0, lon0, h0, ell, deg);
-    return ecef2eci(x, y, z, t);
+    return ecef2eci(x, y, z, t, eop);
 }
 
 function aer2ecef(az, el, srange, lat0, lon0, alt0, ell = null, deg = true) {
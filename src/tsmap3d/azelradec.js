@@ -5,7 +5,7 @@ import {radec2azel as vradec2azel} from './vallado';
 
 export {radec2azel, azel2radec};
 
-function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
+function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time, sidereal = "mean", refraction = null, dist = null, alt = 0.0) {
     /*
     viewing angle (az, el) to sky coordinates (ra, dec)
 
@@ -21,6 +21,15 @@ function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
     observer longitude [-180, 180] (degrees)
     time : datetime.datetime or str
     time of observation
+    sidereal : str, optional
+    "mean", "apparent" or "era" sidereal time, see datetime2sidereal
+    refraction : str or Object, optional
+    el_deg is observed through the atmosphere, see unrefract. Default null
+    dist : float, optional
+    geocentric target distance (meters) for a nearby target, the result is then geocentric,
+    beyond the observer's own distance from the Earth's center
+    alt : float, optional
+    observer altitude above the ellipsoid (meters), used with dist
 
     Returns
     -------
@@ -29,10 +38,10 @@ function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
     dec_deg : float
     ecliptic declination (degrees)
     */
-    return vazel2radec(az_deg, el_deg, lat_deg, lon_deg, time);
+    return vazel2radec(az_deg, el_deg, lat_deg, lon_deg, time, sidereal, refraction, dist, alt);
 }
 
-function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
+function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time, sidereal = "mean", refraction = null, dist = null, alt = 0.0) {
     /*
     sky coordinates (ra, dec) to viewing angle (az, el)
 
@@ -48,6 +57,15 @@ function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
     observer longitude [-180, 180] (degrees)
     time : datetime.datetime or str
     time of observation
+    sidereal : str, optional
+    "mean", "apparent" or "era" sidereal time, see datetime2sidereal
+    refraction : str or Object, optional
+    refracted elevation out, see refract. Default null, geometric
+    dist : float, optional
+    geocentric target distance (meters) to apply the parallax of a nearby target,
+    beyond the observer's own distance from the Earth's center
+    alt : float, optional
+    observer altitude above the ellipsoid (meters), used with dist
 
     Returns
     -------
@@ -56,5 +74,5 @@ function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
     el_deg : float
     elevation [degrees above horizon (neglecting aberration)]
     */
-    return vradec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time);
+    return vradec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time, sidereal, refraction, dist, alt);
 }
@@ -0,0 +1,154 @@
+/*
+equatorial, ecliptic and galactic celestial coordinates
+
+Ecliptic: IAU 2006 obliquity and precession with IAU 2000A nutation, as SOFA eceq06 and ecm06.
+Galactic: IAU 1958 system referred to ICRS, "The Hipparcos and Tycho Catalogues", ESA SP-1200,
+1997, volume 1, section 1.5.3. FK5 J2000 differs from ICRS by about 0.02 arcseconds.
+*/
+
+import {degrees, radians} from './mathfun';
+import {fw2m, nut06a, obl06, pfw06} from './iau2006';
+import {str2dt} from './timeconv';
+import {Epoch} from './timescale';
+import {cart2sph, matvec, rot1, sph2cart, transpose, wrap} from './utils';
+
+export {radec2ecliptic, ecliptic2radec, radec2galactic, galactic2radec};
+
+/*  ICRS => galactic, rows are the galactic x (center), y (l = 90) and z (north pole) axes  */
+const GALACTIC = [
+    [-0.0548755604162154, -0.8734370902348850, -0.4838350155487132],
+    [0.4941094278755837, -0.4448296299600112, 0.7469822444972189],
+    [-0.8676661490190047, -0.1980763734312015, 0.4559837761750669]
+];
+
+function radec2ecliptic(ra, dec, time = null, kind = "mean", deg = true) {
+    /*
+    equatorial right ascension, declination to ecliptic longitude, latitude
+
+    Parameters
+    ----------
+    ra : float
+    right ascension: ICRS without time, else of the equator and equinox of time
+    dec : float
+    declination, as ra
+    time : datetime.datetime or str, optional
+    date of the equator, equinox and ecliptic (UTC).
+    Default null: ICRS in, mean ecliptic and equinox of J2000.0 out.
+    kind : str, optional
+    with time, "mean" (default): mean equator and equinox in, mean ecliptic out;
+    "true": true equator and equinox in, e.g. from apparent, true ecliptic out
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    lon : float
+    ecliptic longitude, [0, 360)
+    lat : float
+    ecliptic latitude
+
+    for ICRS to the ecliptic of date, precess to the date first
+    */
+    return rotate(ecliptic(time, kind), ra, dec, deg);
+}
+
+function ecliptic2radec(lon, lat, time = null, kind = "mean", deg = true) {
+    /*
+    ecliptic longitude, latitude to equatorial right ascension, declination
+
+    Parameters
+    ----------
+    lon : float
+    ecliptic longitude: of J2000.0 without time, else the ecliptic of time
+    lat : float
+    ecliptic latitude, as lon
+    time : datetime.datetime or str, optional
+    date of the ecliptic, equator and equinox (UTC).
+    Default null: mean ecliptic and equinox of J2000.0 in, ICRS out.
+    kind : str, optional
+    with time, "mean" (default) or "true" ecliptic and equator, see radec2ecliptic
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    ra : float
+    right ascension, [0, 360)
+    dec : float
+    declination
+    */
+    return rotate(transpose(ecliptic(time, kind)), lon, lat, deg);
+}
+
+function radec2galactic(ra, dec, deg = true) {
+    /*
+    ICRS right ascension, declination to galactic longitude, latitude
+
+    Parameters
+    ----------
+    ra : float
+    ICRS (J2000) right ascension
+    dec : float
+    ICRS (J2000) declination
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    l : float
+    galactic longitude, [0, 360)
+    b : float
+    galactic latitude
+
+    the north galactic pole is at ICRS 192.85948, 27.12825 degrees
+    */
+    return rotate(GALACTIC, ra, dec, deg);
+}
+
+function galactic2radec(l, b, deg = true) {
+    /*
+    galactic longitude, latitude to ICRS right ascension, declination
+
+    Parameters
+    ----------
+    l : float
+    galactic longitude
+    b : float
+    galactic latitude
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    ra : float
+    ICRS (J2000) right ascension, [0, 360)
+    dec : float
+    ICRS (J2000) declination
+    */
+    return rotate(transpose(GALACTIC), l, b, deg);
+}
+
+function ecliptic(time, kind) {
+    /*  equatorial => ecliptic rotation matrix  */
+    let deps, gamb, phib, psib, tt;
+    if (!["mean", "true"].includes(kind)) {
+        throw new Error("kind must be mean or true");
+    }
+    if ((time === null)) {
+        /*  bias-precession at J2000.0, with zero obliquity it ends on the ecliptic  */
+        [gamb, phib, psib] = pfw06(2451545.0, 0.0);
+        return fw2m(gamb, phib, psib, 0.0);
+    }
+    tt = Epoch.fromDate(str2dt(time)).to("tt");
+    deps = ((kind === "true") ? nut06a(tt.jd1, tt.jd2)[1] : 0.0);
+    return rot1((obl06(tt.jd1, tt.jd2) + deps));
+}
+
+function rotate(R, lon, lat, deg) {
+    /*  longitude in [0, 360), latitude through rotation matrix R  */
+    if (deg) {
+        [lon, lat] = [radians(lon), radians(lat)];
+    }
+    [lon, lat] = cart2sph(...matvec(R, sph2cart(lon, lat, 1.0)));
+    return (deg ? [wrap(degrees(lon), deg), degrees(lat)] : [wrap(lon, deg), lat]);
+}
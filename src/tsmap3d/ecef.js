@@ -3,10 +3,11 @@
 import {atan, atan2, cos, degrees, hypot, pi, power, radians, sin, sqrt, tan} from './mathfun';
 import {sanitize} from './utils';
 import {ecef2eci, eci2ecef} from './eci';
+import {teme2ecef} from './teme';
 import {wgs84} from "./ellipsoid";
 import {notZero, ZeroDivisionError} from "./funcutils";
 
-export {geodetic2ecef, ecef2geodetic, ecef2enuv, ecef2enu, enu2uvw, uvw2enu, eci2geodetic, geodetic2eci, enu2ecef};
+export {geodetic2ecef, ecef2geodetic, ecef2enuv, ecef2enu, enu2uvw, uvw2enu, eci2geodetic, geodetic2eci, enu2ecef, teme2geodetic};
 
 function geodetic2ecef(lat, lon, alt, ell = null, deg = true) {
     /*
@@ -264,11 +265,11 @@ function uvw2enu(u, v, w, lat0, lon0, deg = true) {
     return [East, North, Up];
 }
 
-function eci2geodetic(x, y, z, t, ell = null, deg = true) {
+function eci2geodetic(x, y, z, t, ell = null, deg = true, eop = null) {
     /*
     convert Earth Centered Internal ECI to geodetic coordinates
 
-    J2000 time
+    ECI is as for eci2ecef: TEME of date without eop, GCRS with eop
 
     Parameters
     ----------
@@ -284,6 +285,8 @@ function eci2geodetic(x, y, z, t, ell = null, deg = true) {
     planet ellipsoid model
     deg : bool, optional
     if True, degrees. if False, radians
+    eop : Object, optional
+    Earth orientation parameters, see eci2ecef
 
     Results
     -------
@@ -297,15 +300,50 @@ function eci2geodetic(x, y, z, t, ell = null, deg = true) {
     eci2geodetic() a.k.a. eci2lla()
     */
     let xecef, yecef, zecef;
-    [xecef, yecef, zecef] = eci2ecef(x, y, z, t);
+    [xecef, yecef, zecef] = eci2ecef(x, y, z, t, eop);
     return ecef2geodetic(xecef, yecef, zecef, ell, deg);
 }
 
-function geodetic2eci(lat, lon, alt, t, ell = null, deg = true) {
+function teme2geodetic(x, y, z, t, ell = null, deg = true, eop = null) {
+    /*
+    convert TEME, e.g. SGP4 output from Satrec.propagate, to geodetic coordinates
+
+    Parameters
+    ----------
+    x
+    TEME x-location [meters]
+    y
+    TEME y-location [meters]
+    z
+    TEME z-location [meters]
+    t : datetime.datetime, float
+    UTC time
+    ell : Ellipsoid, optional
+    planet ellipsoid model
+    deg : bool, optional
+    if True, degrees. if False, radians
+    eop : Object, optional
+    Earth orientation parameters, see teme2ecef
+
+    Results
+    -------
+    lat
+    geodetic latitude
+    lon
+    geodetic longitude
+    alt
+    altitude above ellipsoid  (meters)
+    */
+    let xecef, yecef, zecef;
+    [xecef, yecef, zecef] = teme2ecef(x, y, z, t, eop);
+    return ecef2geodetic(xecef, yecef, zecef, ell, deg);
+}
+
+function geodetic2eci(lat, lon, alt, t, ell = null, deg = true, eop = null) {
     /*
     convert geodetic coordinates to Earth Centered Internal ECI
 
-    J2000 frame
+    ECI is as for ecef2eci: TEME of date without eop, GCRS with eop
 
     Parameters
     ----------
@@ -321,6 +359,8 @@ function geodetic2eci(lat, lon, alt, t, ell = null, deg = true) {
     planet ellipsoid model
     deg : bool, optional
     if True, degrees. if False, radians
+    eop : Object, optional
+    Earth orientation parameters, see eci2ecef
 
     Results
     -------
@@ -335,7 +375,7 @@ function geodetic2eci(lat, lon, alt, t, ell = null, deg = true) {
     */
     let x, y, z;
     [x, y, z] = geodetic2ecef(lat, lon, alt, ell, deg);
-    return ecef2eci(x, y, z, t);
+    return ecef2eci(x, y, z, t, eop);
 }
 
 function enu2ecef(e1, n1, u1, lat0, lon0, h0, ell = null, deg = true) {
@@ -1,14 +1,35 @@
-/*  transforms involving ECI earth-centered inertial  */
+/*
+transforms involving ECI earth-centered inertial
 
-import {assert} from "./funcutils";
+Which inertial frame ECI is depends on the Earth orientation parameters eop:
 
-export {eci2ecef, ecef2eci};
+- without eop (default) ECI => ECEF is a rotation by Greenwich mean sidereal time (IAU 1982)
+  alone, so ECI is the true equator, mean equinox frame of date: TEME, as SGP4 outputs.
+  GCRS / J2000 vectors differ from it by precession and nutation, tens of km at LEO
+  two decades from J2000.
+- with eop, even {} for all zero, ECI => ECEF is the IAU 2006/2000A reduction and ECI is
+  GCRS, which is J2000 to within 23 mas. SGP4 output then goes through teme2gcrs first.
+*/
 
-function eci2ecef(x, y, z, time) {
+import {cos, pi, sin, tau} from './mathfun';
+import {greenwichsrt, juliandate} from './sidereal';
+import {c2t06a, pom00} from './iau2006';
+import {eopAt} from './eop';
+import {str2dt} from './timeconv';
+import {Epoch} from './timescale';
+import {cross, matvec, rot3, transpose} from './utils';
+
+export {eci2ecef, ecef2eci, gcrs2itrs, rotatestate, OMEGA_ERA, OMEGA_GMST};
+
+/*  Earth rotation rate [radians/second] of the Earth rotation angle, and of GMST which adds precession in right ascension  */
+const OMEGA_ERA = ((tau * 1.00273781191135448) / 86400.0);
+const OMEGA_GMST = ((tau * 1.002737909350795) / 86400.0);
+
+function eci2ecef(x, y, z, time, eop = null, v = null) {
     /*
     Observer => Point  ECI  =>  ECEF
 
-    J2000 frame
+    ECI is TEME of date without eop, GCRS with eop, see the module notes
 
     Parameters
     ----------
@@ -20,6 +41,13 @@ function eci2ecef(x, y, z, time) {
     ECI z-location [meters]
     time : datetime.datetime
     time of obsevation (UTC)
+    eop : EarthOrientation or Object, optional
+    Earth orientation parameters {dut1, xp, yp, dx, dy} or an
+    EarthOrientation provider, see gcrs2itrs.
+    When given, the full IAU 2006/2000A GCRS => ITRS reduction is used
+    instead of a rotation by Greenwich mean sidereal time.
+    v : Array, optional
+    ECI velocity [vx, vy, vz] [meters/second]
 
     Results
     -------
@@ -29,22 +57,31 @@ function eci2ecef(x, y, z, time) {
     y ECEF coordinate
     z_ecef : float
     z ECEF coordinate
+
+    with v, also vx_ecef, vy_ecef, vz_ecef : float, the velocity relative to
+    the rotating Earth, see rotatestate
     */
-    assert(false, "TBD: eci2ecef not implemented yet")
-    let gcrs, itrs, x_ecef, y_ecef, z_ecef;
-    gcrs = new GCRS(new CartesianRepresentation((x * u.m), (y * u.m), (z * u.m)), {"obstime": time});
-    itrs = gcrs.transform_to(new ITRS({"obstime": time}));
-    x_ecef = itrs.x.value;
-    y_ecef = itrs.y.value;
-    z_ecef = itrs.z.value;
-    return [x_ecef, y_ecef, z_ecef];
+    let gst;
+    time = str2dt(time);
+    if (eop !== null) {
+        eop = eopAt(eop, time);
+        if (v !== null) {
+            return rotatestate(gcrs2itrs(time, eop), OMEGA_ERA, eop, [x, y, z], v);
+        }
+        return matvec(gcrs2itrs(time, eop), [x, y, z]);
+    }
+    gst = greenwichsrt(juliandate(time));
+    if (v !== null) {
+        return rotatestate(rot3(gst), OMEGA_GMST, null, [x, y, z], v);
+    }
+    return R3(gst, x, y, z);
 }
 
-function ecef2eci(x, y, z, time) {
+function ecef2eci(x, y, z, time, eop = null, v = null) {
     /*
     Point => Point   ECEF => ECI
 
-    J2000 frame
+    ECI is TEME of date without eop, GCRS with eop, see eci2ecef
 
     Parameters
     ----------
@@ -57,6 +94,13 @@ function ecef2eci(x, y, z, time) {
     target z ECEF coordinate
     time : datetime.datetime
     time of observation
+    eop : EarthOrientation or Object, optional
+    Earth orientation parameters {dut1, xp, yp, dx, dy} or an
+    EarthOrientation provider, see gcrs2itrs.
+    When given, the full IAU 2006/2000A ITRS => GCRS reduction is used
+    instead of a rotation by Greenwich mean sidereal time.
+    v : Array, optional
+    ECEF velocity [vx, vy, vz] [meters/second], relative to the rotating Earth
 
     Results
     -------
@@ -66,14 +110,119 @@ function ecef2eci(x, y, z, time) {
     y ECI coordinate
     z_eci : float
     z ECI coordinate
+
+    with v, also vx_eci, vy_eci, vz_eci : float, the inertial velocity,
+    see rotatestate
+    */
+    let gst;
+    time = str2dt(time);
+    if (eop !== null) {
+        eop = eopAt(eop, time);
+        if (v !== null) {
+            return rotatestate(gcrs2itrs(time, eop), OMEGA_ERA, eop, [x, y, z], v, true);
+        }
+        return matvec(transpose(gcrs2itrs(time, eop)), [x, y, z]);
+    }
+    gst = greenwichsrt(juliandate(time));
+    if (v !== null) {
+        return rotatestate(rot3(gst), OMEGA_GMST, null, [x, y, z], v, true);
+    }
+    return R3(-gst, x, y, z);
+}
+
+function gcrs2itrs(time, eop = {}) {
+    /*
+    rotation matrix GCRS => ITRS, IAU 2006/2000 CIO based
+
+    GCRS -> CIRS (precession-nutation, CIO locator s)
+    CIRS -> TIRS (Earth rotation angle)
+    TIRS -> ITRS (polar motion, TIO locator s')
+
+    Parameters
+    ----------
+    time : datetime.datetime
+    time of observation (UTC)
+    eop : EarthOrientation or Object, optional
+    Earth orientation provider (see parseFinals2000A) or fixed values, each defaults to 0:
+
+    dut1 : float
+    UT1 - UTC [seconds]
+    xp, yp : float
+    polar motion [arcseconds]
+    dx, dy : float
+    celestial pole offsets dX, dY w.r.t. IAU 2006/2000A [arcseconds]
+
+    Results
+    -------
+    rc2t : Array
+    3x3 rotation matrix, ITRS = rc2t * GCRS
+
+    as SOFA c2t06a, with the IERS celestial pole offsets dX, dY added to the CIP
+    */
+    let das2r, dx, dy, tt, ut1, utc, xp, yp;
+    eop = eopAt(eop, time);
+    ({xp, yp, dx, dy} = eop);
+    das2r = (pi / 648000);
+    utc = Epoch.fromDate(time);
+    tt = utc.to("tt");
+    ut1 = utc.to("ut1", eop);
+    return c2t06a(tt.jd1, tt.jd2, ut1.jd1, ut1.jd2, (xp * das2r), (yp * das2r), (dx * das2r), (dy * das2r));
+}
+
+function rotatestate(R, rate, eop, r, v, inverse = false) {
+    /*
+    position and velocity from an inertial to an Earth fixed frame, or back with inverse
+
+    Parameters
+    ----------
+    R : Array
+    3x3 rotation matrix inertial => Earth fixed at the time of the state
+    rate : float
+    rate of the Earth rotation angle R is built on, OMEGA_ERA or OMEGA_GMST [radians/second]
+    eop : Object or null
+    resolved Earth orientation parameters: lod scales the rate,
+    xp, yp tilt the rotation axis from the Earth fixed z axis
+    r : Array
+    position [x, y, z] in the source frame [meters]
+    v : Array
+    velocity [vx, vy, vz] in the source frame [meters/second]
+    inverse : bool, optional
+    false: inertial => Earth fixed, true: Earth fixed => inertial
+
+    Results
+    -------
+    state : Array
+    [x, y, z, vx, vy, vz] in the target frame
+
+    v_fixed = R v_inertial - w x r_fixed, with w the Earth angular velocity in
+    the Earth fixed frame. The slower motion of the pole by precession, nutation
+    and polar motion is neglected, a few 0.1 mm/s at geostationary distance.
+    */
+    let das2r, rr, vv, w, wr;
+    w = [0.0, 0.0, rate];
+    if (eop !== null) {
+        das2r = (pi / 648000);
+        w = matvec(pom00((eop.xp * das2r), (eop.yp * das2r), 0.0), [0.0, 0.0, (rate * (1.0 - (eop.lod / 86400.0)))]);
+    }
+    if (inverse) {
+        wr = cross(w, r);
+        rr = matvec(transpose(R), r);
+        vv = matvec(transpose(R), v.map((vi, i) => (vi + wr[i])));
+    } else {
+        rr = matvec(R, r);
+        wr = cross(w, rr);
+        vv = matvec(R, v).map((vi, i) => (vi - wr[i]));
+    }
+    return [...rr, ...vv];
+}
+
+function R3(theta, x, y, z) {
+    /*
+    rotate vector x, y, z about the Z axis by angle theta (radians)
+
+    R3(gst) takes ECI to ECEF, R3(-gst) takes ECEF back to ECI.
+    Earth rotation by Greenwich mean sidereal time only: precession, nutation
+    and polar motion are neglected, as in the PyMap3D fallback without AstroPy.
     */
-    assert(false, "TBD: ecef2eci not implemented yet")
-    let eci, gcrs, itrs, x_eci, y_eci, z_eci;
-    itrs = new ITRS(new CartesianRepresentation((x * u.m), (y * u.m), (z * u.m)), {"obstime": time});
-    gcrs = itrs.transform_to(new GCRS({"obstime": time}));
-    eci = new EarthLocation(...gcrs.cartesian.xyz);
-    x_eci = eci.x.value;
-    y_eci = eci.y.value;
-    z_eci = eci.z.value;
-    return [x_eci, y_eci, z_eci];
+    return [((cos(theta) * x) + (sin(theta) * y)), (((-sin(theta)) * x) + (cos(theta) * y)), z];
 }
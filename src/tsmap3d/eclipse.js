@@ -0,0 +1,223 @@
+/*  satellite eclipses: conical shadow of the ellipsoid in sunlight  */
+
+import {ecef2eci} from './eci';
+import {wgs84} from './ellipsoid';
+import {acos, asin, atan2, pi, sqrt} from './mathfun';
+import {crossings} from './optimize';
+import {SUN_RADIUS, sunpos} from './sun';
+import {teme2gcrs} from './teme';
+import {str2dt} from './timeconv';
+import {cross, dot, norm} from './utils';
+
+export {eclipse, eclipses};
+
+function eclipse(x, y, z, time, frame = "eci", ell = null, eop = null) {
+    /*
+    shadow state of a satellite
+
+    Parameters
+    ----------
+    x : float
+    x-location [meters]
+    y : float
+    y-location [meters]
+    z : float
+    z-location [meters]
+    time : datetime.datetime or str
+    time of observation (UTC)
+    frame : str, optional
+    frame of x, y, z: "eci" (GCRS, default), "teme" or "ecef", as eclipses
+    ell : Ellipsoid, optional
+    reference ellipsoid, default WGS-84. The Sun is placed by the geocentric sunpos,
+    so the shadowing body is the Earth.
+    eop : Object, optional
+    Earth orientation parameters for frame "ecef", see eclipses
+
+    Results
+    -------
+    shadow : str
+    "sunlit", "penumbra" or "umbra"
+    fraction : float
+    fraction of the solar disk visible, 1 sunlit, 0 in umbra
+
+    The shadow is worked out in GCRS, as sunpos. SGP4 output and ecef2eci output
+    without eop are TEME of date, frame "teme".
+    The solar disk is taken as uniformly bright, limb darkening is neglected.
+    */
+    let a, b, c, fraction, h, p;
+    checkframe(frame);
+    time = str2dt(time);
+    [a, b, c] = geometry(gcrs([x, y, z], time, frame, eop), sunpos(time), ell);
+    if ((c >= (a + b))) {
+        return ["sunlit", 1.0];
+    }
+    if ((c <= (b - a))) {
+        return ["umbra", 0.0];
+    }
+    if ((c <= (a - b))) {
+        /*  the body lies inside the solar disk, an annular eclipse  */
+        return ["penumbra", (1.0 - ((b * b) / (a * a)))];
+    }
+    /*  overlap of two disks of radii a, b at distance c; p is the foot of their common chord  */
+    p = ((((c * c) + (a * a)) - (b * b)) / (2.0 * c));
+    h = sqrt(((a * a) - (p * p)));
+    fraction = (1.0 - (((((a * a) * acos((p / a))) + ((b * b) * acos(((c - p) / b)))) - (c * h)) / (pi * (a * a))));
+    /*  rounding at first and last contact  */
+    return ["penumbra", Math.min(1.0, Math.max(0.0, fraction))];
+}
+
+function eclipses(position, start, stop, frame = "eci", step = 60.0, ell = null, eop = null) {
+    /*
+    find the eclipses of a satellite over a time window
+
+    Parameters
+    ----------
+    position : function
+    position(time) gives the satellite [x, y, z] (meters) at a datetime.datetime,
+    e.g. t => Satrec.propagate(t).slice(0, 3) with frame "teme"
+    start : datetime.datetime or str
+    start of the search window (UTC)
+    stop : datetime.datetime or str
+    end of the search window (UTC)
+    frame : str, optional
+    frame of position: "eci" (GCRS, default), "teme" or "ecef"; each is taken to GCRS
+    step : float, optional
+    search step [seconds], well below the shortest eclipse or penumbra phase, see crossings
+    ell : Ellipsoid, optional
+    reference ellipsoid, default WGS-84
+    eop : Object, optional
+    Earth orientation parameters for frame "ecef", see ecef2eci. The IAU 2006/2000A
+    reduction is used either way, null means all zero.
+
+    Results
+    -------
+    eclipses : Array
+    one Object per eclipse, in time order:
+
+    entry, exit : datetime.datetime
+    penumbra entry and exit
+    umbra_entry, umbra_exit : datetime.datetime or null
+    umbra entry and exit, null for a penumbral eclipse only
+
+    An eclipse under way at start or stop is cut at start or stop.
+    */
+    let entry, events, geom, i, inside, list, pen, t0, times, tstop, umb;
+    start = str2dt(start);
+    t0 = start.getTime();
+    tstop = ((str2dt(stop).getTime() - t0) / 1000.0);
+    if ((tstop <= 0)) {
+        throw new Error("stop must be after start");
+    }
+    if ((step <= 0)) {
+        throw new Error("step must be positive");
+    }
+    checkframe(frame);
+
+    geom = function (t) {
+        /*  shadow geometry at t seconds from start  */
+        let time;
+        time = new Date((t0 + (t * 1000.0)));
+        return geometry(gcrs(position(time), time, frame, eop), sunpos(time), ell);
+    };
+    pen = function (t) {
+        /*  >= 0 in penumbra or umbra  */
+        let a, b, c;
+        [a, b, c] = geom(t);
+        return ((a + b) - c);
+    };
+    umb = function (t) {
+        /*  >= 0 in umbra  */
+        let a, b, c;
+        [a, b, c] = geom(t);
+        return ((b - a) - c);
+    };
+
+    times = [];
+    for (i = 0; ((i * step) < tstop); i++) {
+        times.push((i * step));
+    }
+    times.push(tstop);
+
+    /*  penumbra crossings bound each eclipse, umbra crossings fall inside them  */
+    list = [];
+    entry = ((pen(0.0) >= 0) ? 0.0 : null);
+    for (const [t, rising] of crossings(pen, times)) {
+        if (rising) {
+            entry = t;
+        } else if ((entry !== null)) {
+            list.push([entry, t]);
+            entry = null;
+        }
+    }
+    if ((entry !== null)) {
+        list.push([entry, tstop]);
+    }
+    events = crossings(umb, times);
+    inside = (umb(0.0) >= 0);
+    return list.map(([a, b]) => {
+        let uentry, uexit;
+        [uentry, uexit] = [((inside && (a === 0.0)) ? a : null), null];
+        for (const [t, rising] of events) {
+            if (((t >= a) && (t <= b))) {
+                if (rising) {
+                    uentry = t;
+                } else {
+                    uexit = t;
+                }
+            }
+        }
+        if (((uentry !== null) && (uexit === null))) {
+            uexit = b;
+        }
+        return {
+            entry: date(t0, a),
+            umbra_entry: ((uentry === null) ? null : date(t0, uentry)),
+            umbra_exit: ((uexit === null) ? null : date(t0, uexit)),
+            exit: date(t0, b)
+        };
+    });
+}
+
+function checkframe(frame) {
+    /*  frames accepted by eclipse and eclipses  */
+    if (!["eci", "teme", "ecef"].includes(frame)) {
+        throw new Error("frame must be eci, teme or ecef");
+    }
+}
+
+function gcrs(r, time, frame, eop) {
+    /*  position [x, y, z] in frame "eci", "teme" or "ecef" to GCRS  */
+    if ((frame === "teme")) {
+        return teme2gcrs(r[0], r[1], r[2], time);
+    }
+    if ((frame === "ecef")) {
+        return ecef2eci(r[0], r[1], r[2], time, ((eop === null) ? {} : eop));
+    }
+    return r.slice(0, 3);
+}
+
+function geometry(r, s, ell) {
+    /*
+    apparent radii of the Sun a and the body b, and their separation c [radians], seen from r
+
+    O. Montenbruck, E. Gill "Satellite Orbits", 2000, section 3.4.2. Stretching along
+    the polar axis maps the ellipsoid to a sphere, tangent lines stay tangent.
+    */
+    let d, k, re;
+    if (ell === null) {
+        ell = wgs84;
+    }
+    k = (ell.semimajor_axis / ell.semiminor_axis);
+    re = [r[0], r[1], (r[2] * k)];
+    s = [s[0], s[1], (s[2] * k)];
+    if ((norm(re) <= ell.semimajor_axis)) {
+        throw new Error(`position is inside ${ell.name}`);
+    }
+    d = s.map((si, i) => (si - re[i]));
+    return [asin((SUN_RADIUS / norm(d))), asin((ell.semimajor_axis / norm(re))), atan2(norm(cross(re, d)), (-dot(re, d)))];
+}
+
+function date(t0, t) {
+    /*  seconds from start to datetime, to the millisecond  */
+    return new Date(Math.round((t0 + (t * 1000.0))));
+}
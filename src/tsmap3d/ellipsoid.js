@@ -1,6 +1,6 @@
 /* Minimal class for planetary ellipsoids */
 
-import {power, sqrt} from "./mathfun";
+import {power, sqrt, tau} from "./mathfun";
 import {assert} from "./funcutils";
 
 class Ellipsoid {
@@ -38,9 +38,28 @@ class Ellipsoid {
 
     - https://nssdc.gsfc.nasa.gov/planetary/factsheet/index.html
 
+    Gravity and rotation
+    --------------------
+
+    wgs84, wgs84_mean: GM and rotation rate of WGS-84 (NIMA TR8350.2), zonal harmonics
+    of EGM96 (Lemoine et al. 1998, NASA/TP-1998-206861)
+
+    wgs72: as the SGP4 "wgs72" gravity model, see sgp4.GRAVITY
+
+    grs80: https://en.wikipedia.org/wiki/GRS_80
+
+    iers2003: IERS Conventions (2003), Technical Note 32, table 1.1
+
+    pz90.11: same source as the ellipsoid
+
+    other worlds: GM, J2 and sidereal rotation period of the NSSDC factsheets above,
+    a negative rotation rate is retrograde
+
+    ellipsoids without them have gm = null, numerical propagation needs gm
+
     feel free to suggest additional ellipsoids
     */
-    constructor(semimajor_axis, semiminor_axis, name = "") {
+    constructor(semimajor_axis, semiminor_axis, name = "", gm = null, rotation_rate = null, j2 = 0.0, j3 = 0.0, j4 = 0.0) {
         /*
         Ellipsoidal model of world
 
@@ -52,6 +71,12 @@ class Ellipsoid {
         semiminor axis in meters
         name: str, optional
         Human-friendly name for the ellipsoid
+        gm : float, optional
+        gravitational parameter [meters^3/second^2]
+        rotation_rate : float, optional
+        rotation rate about the polar axis [radians/second]
+        j2, j3, j4 : float, optional
+        unnormalized zonal harmonics of the gravity field, reference radius semimajor_axis
         */
         this.flattening = ((semimajor_axis - semiminor_axis) / semimajor_axis);
         assert((this.flattening >= 0), "flattening must be >= 0");
@@ -60,6 +85,11 @@ class Ellipsoid {
         this.name = name;
         this.semimajor_axis = semimajor_axis;
         this.semiminor_axis = semiminor_axis;
+        this.gm = gm;
+        this.rotation_rate = rotation_rate;
+        this.j2 = j2;
+        this.j3 = j3;
+        this.j4 = j4;
     }
 }
 
@@ -83,23 +113,23 @@ export const australian = new Ellipsoid(6378160.0, 6356774.719, "Australian Nati
 export const international1967 = new Ellipsoid(6378157.5, 6356772.2, "New International (1967)");
 export const grs67 = new Ellipsoid(6378160.0, 6356774.516, "GRS-67 (1967)");
 export const sa1969 = new Ellipsoid(6378160.0, 6356774.719, "South American (1969)");
-export const wgs72 = new Ellipsoid(6378135.0, 6356750.52001609, "WGS-72 (1972)");
-export const grs80 = new Ellipsoid(6378137.0, 6356752.31414036, "GRS-80 (1979)");
-export const wgs84 = new Ellipsoid(6378137.0, 6356752.31424518, "WGS-84 (1984)");
-export const wgs84_mean = new Ellipsoid(6371008.7714, 6371008.7714, "WGS-84 (1984) Mean");
+export const wgs72 = new Ellipsoid(6378135.0, 6356750.52001609, "WGS-72 (1972)", 3.986008e14, 7.2921151467e-5, 1.082616e-3, -2.53881e-6, -1.65597e-6);
+export const grs80 = new Ellipsoid(6378137.0, 6356752.31414036, "GRS-80 (1979)", 3.986005e14, 7.292115e-5, 1.08263e-3);
+export const wgs84 = new Ellipsoid(6378137.0, 6356752.31424518, "WGS-84 (1984)", 3.986004418e14, 7.292115e-5, 1.08262668355e-3, -2.53265648533e-6, -1.61962159137e-6);
+export const wgs84_mean = new Ellipsoid(6371008.7714, 6371008.7714, "WGS-84 (1984) Mean", 3.986004418e14, 7.292115e-5);
 export const iers1989 = new Ellipsoid(6378136.0, 6356751.302, "IERS (1989)");
-export const pz90_11 = new Ellipsoid(6378136.0, 6356751.3618, "ПЗ-90 (2011)");
-export const iers2003 = new Ellipsoid(6378136.6, 6356751.9, "IERS (2003)");
+export const pz90_11 = new Ellipsoid(6378136.0, 6356751.3618, "ПЗ-90 (2011)", 3.986004418e14, 7.292115e-5, 1.0826257e-3);
+export const iers2003 = new Ellipsoid(6378136.6, 6356751.9, "IERS (2003)", 3.986004418e14, 7.292115e-5, 1.0826359e-3);
 export const gsk2011 = new Ellipsoid(6378136.5, 6356751.758, "ГСК (2011)");
 
 // Other worlds
-export const mercury = new Ellipsoid(2440500.0, 2438300.0, "Mercury");
-export const venus = new Ellipsoid(6051800.0, 6051800.0, "Venus");
-export const moon = new Ellipsoid(1738100.0, 1736000.0, "Moon");
-export const mars = new Ellipsoid(3396900.0, 3376097.80585952, "Mars");
-export const jupyter = new Ellipsoid(71492000.0, 66770054.3475922, "Jupiter");
+export const mercury = new Ellipsoid(2440500.0, 2438300.0, "Mercury", 2.2032e13, (tau / (1407.6 * 3600.0)), 50.3e-6);
+export const venus = new Ellipsoid(6051800.0, 6051800.0, "Venus", 3.24859e14, (-tau / (5832.6 * 3600.0)), 4.458e-6);
+export const moon = new Ellipsoid(1738100.0, 1736000.0, "Moon", 4.9028e12, (tau / (655.72 * 3600.0)), 202.7e-6);
+export const mars = new Ellipsoid(3396900.0, 3376097.80585952, "Mars", 4.282837e13, (tau / (24.6229 * 3600.0)), 1960.45e-6);
+export const jupyter = new Ellipsoid(71492000.0, 66770054.3475922, "Jupiter", 1.26686534e17, (tau / (9.925 * 3600.0)), 14736e-6);
 export const io = new Ellipsoid(1829.7, 1815.8, "Io");
-export const saturn = new Ellipsoid(60268000.0, 54364301.5271271, "Saturn");
-export const uranus = new Ellipsoid(25559000.0, 24973000.0, "Uranus");
-export const neptune = new Ellipsoid(24764000.0, 24341000.0, "Neptune");
-export const pluto = new Ellipsoid(1188000.0, 1188000.0, "Pluto");
+export const saturn = new Ellipsoid(60268000.0, 54364301.5271271, "Saturn", 3.7931187e16, (tau / (10.656 * 3600.0)), 16298e-6);
+export const uranus = new Ellipsoid(25559000.0, 24973000.0, "Uranus", 5.793939e15, (-tau / (17.24 * 3600.0)), 3343.43e-6);
+export const neptune = new Ellipsoid(24764000.0, 24341000.0, "Neptune", 6.836529e15, (tau / (16.11 * 3600.0)), 3411e-6);
+export const pluto = new Ellipsoid(1188000.0, 1188000.0, "Pluto", 8.70e11, (-tau / (153.2928 * 3600.0)));
@@ -1,10 +1,10 @@
 /*  transforms involving ENU East North Up  */
 
 import {ecef2geodetic, enu2ecef, geodetic2ecef, uvw2enu} from './ecef';
-import {abs, atan2, cos, degrees, hypot, radians, sin, tau} from './mathfun';
+import {abs, atan2, cos, degrees, hypot, nan, radians, sin, tau} from './mathfun';
 import {assert} from "./funcutils";
 
-export {enu2aer, aer2enu, enu2geodetic, geodetic2enu};
+export {enu2aer, enu2aerv, aer2enu, enu2geodetic, geodetic2enu};
 
 function enu2aer(e, n, u, deg = true) {
     /*
@@ -46,6 +46,10 @@ function enu2aer(e, n, u, deg = true) {
     slantRange = hypot(r, u);
     elev = atan2(u, r);
     az = (atan2(e, n) % tau);
+    /*  JavaScript % keeps the sign of the dividend: wrap azimuth to [0, 2pi)  */
+    if ((az < 0)) {
+        az += tau;
+    }
     if (deg) {
         az = degrees(az);
         elev = degrees(elev);
@@ -53,6 +57,65 @@ function enu2aer(e, n, u, deg = true) {
     return [az, elev, slantRange];
 }
 
+function enu2aerv(e, n, u, ve, vn, vu, deg = true) {
+    /*
+    ENU position and velocity to Azimuth, Elevation, Range and their rates
+
+    Parameters
+    ----------
+
+    e : float
+    ENU East coordinate (meters)
+    n : float
+    ENU North coordinate (meters)
+    u : float
+    ENU Up coordinate (meters)
+    ve : float
+    ENU East velocity (meters/second)
+    vn : float
+    ENU North velocity (meters/second)
+    vu : float
+    ENU Up velocity (meters/second)
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+
+    azimuth : float
+    azimuth to target
+    elevation : float
+    elevation to target
+    srange : float
+    slant range [meters]
+    azrate : float
+    azimuth rate [per second], NaN at the zenith
+    elrate : float
+    elevation rate [per second]
+    rangerate : float
+    slant range rate [meters/second], positive receding
+
+    D. Vallado "Fundamentals of Astrodynamics and Applications", rv2razel
+    */
+    let az, azrate, el, elrate, h, hdot, rangerate, srange;
+    [az, el, srange] = enu2aer(e, n, u, false);
+    h = hypot(e, n);
+    rangerate = ((((e * ve) + (n * vn)) + (u * vu)) / srange);
+    if ((h > 0)) {
+        azrate = (((n * ve) - (e * vn)) / (h * h));
+        hdot = (((e * ve) + (n * vn)) / h);
+    } else {
+        /*  straight overhead the azimuth is undefined, the horizontal distance grows at the horizontal speed  */
+        azrate = nan;
+        hdot = hypot(ve, vn);
+    }
+    elrate = (((h * vu) - (u * hdot)) / (srange * srange));
+    if (deg) {
+        [az, el, azrate, elrate] = [az, el, azrate, elrate].map(degrees);
+    }
+    return [az, el, srange, azrate, elrate, rangerate];
+}
+
 function aer2enu(az, el, srange, deg = true) {
     /*
     Azimuth, Elevation, Slant range to target to East, North, Up
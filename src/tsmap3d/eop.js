@@ -0,0 +1,186 @@
+/*
+IERS Earth Orientation Parameters
+
+Parses the IERS Rapid Service "finals2000A.all" / "finals2000A.data" files
+and the "EOP 14 C04" series from their text, and interpolates them to any time.
+In Node.js, readEOP from node.js reads a local file.
+
+https://www.iers.org/IERS/EN/DataProducts/EarthOrientationData/eop.html
+
+Units follow the IERS files, except that everything angular is arcseconds:
+
+dut1 : UT1 - UTC [seconds]
+lod : excess length of day [seconds]
+xp, yp : polar motion [arcseconds]
+dx, dy : celestial pole offsets dX, dY w.r.t. IAU 2006/2000A [arcseconds]
+*/
+import {abs, round} from './mathfun';
+
+export {EarthOrientation, parseFinals2000A, parseC04, eopAt};
+
+class EarthOrientation {
+    /*
+    tabulated Earth orientation parameters, linearly interpolated in time
+
+    Leap second jumps in UT1 - UTC are removed before interpolating, so
+    that dut1 stays continuous across the day preceding a leap second.
+    */
+    constructor(records, name = "") {
+        /*
+        Parameters
+        ----------
+        records : Array
+        objects {mjd, dut1, lod, xp, yp, dx, dy}, one per epoch, mjd in UTC
+        name: str, optional
+        Human-friendly name of the data source
+        */
+        if (records.length < 2) {
+            throw new Error("at least two EOP records are needed to interpolate");
+        }
+        this.records = records.slice().sort((a, b) => (a.mjd - b.mjd));
+        this.name = name;
+    }
+
+    get(time) {
+        /*
+        Earth orientation parameters at a time
+
+        Parameters
+        ----------
+        time : datetime.datetime
+        time of observation (UTC)
+
+        Results
+        -------
+        eop : Object
+        {dut1, lod, xp, yp, dx, dy}
+        */
+        let a, b, f, i, jump, lo, hi, mjd;
+        mjd = ((time.getTime() / 86400000) + 40587);
+        lo = 0;
+        hi = (this.records.length - 1);
+        if (((mjd < this.records[lo].mjd) || (mjd > this.records[hi].mjd))) {
+            throw new Error(`${time.toISOString()} is outside the EOP table ${this.records[lo].mjd} .. ${this.records[hi].mjd} MJD`);
+        }
+        /*  bisect for records[i].mjd <= mjd < records[i + 1].mjd  */
+        while ((hi - lo) > 1) {
+            i = ((lo + hi) >> 1);
+            if ((this.records[i].mjd <= mjd)) {
+                lo = i;
+            } else {
+                hi = i;
+            }
+        }
+        a = this.records[lo];
+        b = this.records[hi];
+        f = ((mjd - a.mjd) / (b.mjd - a.mjd));
+        /*  the jump falls at b itself, the day before it is continuous with a  */
+        jump = (b.dut1 - a.dut1);
+        jump = (((f < 1) && (abs(jump) > 0.5)) ? round(jump) : 0);
+        return {
+            dut1: (a.dut1 + (f * ((b.dut1 - jump) - a.dut1))),
+            lod: (a.lod + (f * (b.lod - a.lod))),
+            xp: (a.xp + (f * (b.xp - a.xp))),
+            yp: (a.yp + (f * (b.yp - a.yp))),
+            dx: (a.dx + (f * (b.dx - a.dx))),
+            dy: (a.dy + (f * (b.dy - a.dy)))
+        };
+    }
+}
+
+function eopAt(eop, time) {
+    /*
+    resolve Earth orientation parameters at a time
+
+    Parameters
+    ----------
+    eop : EarthOrientation or Object
+    a provider with a get(time) method, or fixed values {dut1, lod, xp, yp, dx, dy}
+    time : datetime.datetime
+    time of observation (UTC)
+
+    Results
+    -------
+    eop : Object
+    {dut1, lod, xp, yp, dx, dy}, missing values are 0
+    */
+    let values;
+    values = ((typeof eop.get === "function") ? eop.get(time) : eop);
+    return Object.assign({dut1: 0.0, lod: 0.0, xp: 0.0, yp: 0.0, dx: 0.0, dy: 0.0}, values);
+}
+
+function field(line, start, end) {
+    /*  fixed-width numeric column, null if blank  */
+    let text;
+    text = line.slice(start, end).trim();
+    return ((text === "") ? null : Number.parseFloat(text));
+}
+
+function parseFinals2000A(text) {
+    /*
+    parse IERS finals2000A.all / finals2000A.data (IAU 2000 series)
+
+    Parameters
+    ----------
+    text : str
+    file contents
+
+    Results
+    -------
+    eop : EarthOrientation
+
+    Rapid service / prediction values are used (columns 8-134), rows
+    without UT1 - UTC are past the end of the predictions and are skipped.
+    Missing LOD and celestial pole offsets are taken as 0.
+    */
+    let dut1, line, lod, mjd, records;
+    records = [];
+    for (line of text.split(/\r?\n/)) {
+        mjd = field(line, 7, 15);
+        dut1 = field(line, 58, 68);
+        if (((mjd === null) || (dut1 === null) || Number.isNaN(mjd))) {
+            continue;
+        }
+        lod = field(line, 79, 86);
+        records.push({
+            mjd: mjd,
+            xp: field(line, 18, 27),
+            yp: field(line, 37, 46),
+            dut1: dut1,
+            lod: ((lod === null) ? 0.0 : (lod / 1000)),
+            dx: ((field(line, 97, 106) || 0.0) / 1000),
+            dy: ((field(line, 116, 125) || 0.0) / 1000)
+        });
+    }
+    return new EarthOrientation(records, "IERS finals2000A");
+}
+
+function parseC04(text) {
+    /*
+    parse the IERS EOP 14 C04 series (IAU 2000A), e.g. eopc04_IAU2000.62-now
+
+    Parameters
+    ----------
+    text : str
+    file contents
+
+    Results
+    -------
+    eop : EarthOrientation
+
+    data rows are: year month day MJD x y UT1-UTC LOD dX dY, then formal errors
+    */
+    let line, records, v;
+    records = [];
+    for (line of text.split(/\r?\n/)) {
+        if (!/^\s*\d{4}\s/.test(line)) {
+            continue;
+        }
+        v = line.trim().split(/\s+/).map(Number);
+        if (((v.length < 10) || v.slice(3, 10).some(Number.isNaN))) {
+            continue;
+        }
+        records.push({mjd: v[3], xp: v[4], yp: v[5], dut1: v[6], lod: v[7], dx: v[8], dy: v[9]});
+    }
+    return new EarthOrientation(records, "IERS EOP 14 C04");
+}
@@ -0,0 +1,199 @@
+/*  satellite ground tracks and coverage footprints  */
+
+import {ecef2aer} from './aer';
+import {ecef2geodetic, eci2geodetic, geodetic2ecef, teme2geodetic} from './ecef';
+import {wgs84} from './ellipsoid';
+import {asin, cos, degrees, pi, radians, sin, sqrt} from './mathfun';
+import {brentq} from './optimize';
+import {eqavol} from './rsphere';
+import {vreckon} from './vincenty';
+
+export {groundtrack, coverage, footprint};
+
+function groundtrack(positions, times = null, frame = "ecef", ell = null, deg = true, eop = null) {
+    /*
+    sub-satellite points of a time series of satellite positions
+
+    Parameters
+    ----------
+    positions : Array
+    [x, y, z] or [x, y, z, vx, vy, vz] per time [meters],
+    e.g. the output of propagate or Satrec.propagate
+    times : Array, optional
+    UTC time of each position, needed for frame "eci" and "teme"
+    frame : str, optional
+    frame of positions: "ecef" (default), "eci" (as eci2geodetic: TEME of date without eop,
+    GCRS with eop) or "teme"
+    ell : Ellipsoid, optional
+    reference ellipsoid
+    deg : bool, optional
+    degrees output (False: radians out)
+    eop : Object, optional
+    Earth orientation parameters for frame "eci" or "teme", see eci2ecef
+
+    Results
+    -------
+    lats : list of float
+    geodetic latitudes of the sub-satellite points
+    lons : list of float
+    longitudes of the sub-satellite points
+    alts : list of float
+    satellite altitudes above the ellipsoid (meters)
+
+    The sub-satellite point is the foot of the ellipsoid normal through the satellite.
+    */
+    let alts, lats, lons;
+    if (!["ecef", "eci", "teme"].includes(frame)) {
+        throw new Error("frame must be ecef, eci or teme");
+    }
+    if ((frame !== "ecef") && ((times === null) || (times.length !== positions.length))) {
+        throw new Error(`frame ${frame} needs one time per position`);
+    }
+    [lats, lons, alts] = [[], [], []];
+    positions.forEach((p, i) => {
+        let alt, lat, lon;
+        if ((frame === "ecef")) {
+            [lat, lon, alt] = ecef2geodetic(p[0], p[1], p[2], ell, deg);
+        } else if ((frame === "eci")) {
+            [lat, lon, alt] = eci2geodetic(p[0], p[1], p[2], times[i], ell, deg, eop);
+        } else {
+            [lat, lon, alt] = teme2geodetic(p[0], p[1], p[2], times[i], ell, deg, eop);
+        }
+        lats.push(lat);
+        lons.push(lon);
+        alts.push(alt);
+    });
+    return [lats, lons, alts];
+}
+
+function coverage(alt, elmask = 0.0, ell = null, deg = true) {
+    /*
+    radius of the coverage circle of a satellite, on a spherical Earth
+
+    Parameters
+    ----------
+    alt : float
+    satellite altitude (meters)
+    elmask : float, optional
+    minimum elevation of the satellite seen from the ground
+    ell : Ellipsoid, optional
+    reference ellipsoid, the sphere of equal volume (rsphere.eqavol) is used
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    lamb : float
+    Earth central angle from the sub-satellite point to the edge of coverage
+    dist : float
+    ground distance from the sub-satellite point to the edge of coverage (meters)
+    eta : float
+    nadir angle at the satellite to the edge of coverage
+    srange : float
+    slant range from the satellite to the edge of coverage (meters)
+
+    J. R. Wertz, "Space Mission Analysis and Design", 3rd ed., 1999, section 5.2
+    the ellipsoidal footprint differs by the flattening, up to about 0.3 percent
+    */
+    let dist, eta, lamb, r, srange;
+    if (ell === null) {
+        ell = wgs84;
+    }
+    if ((alt <= 0)) {
+        throw new Error("satellite altitude must be positive");
+    }
+    if (deg) {
+        elmask = radians(elmask);
+    }
+    if ((elmask < 0) || (elmask >= (pi / 2))) {
+        throw new Error("elevation mask must be in [0, 90) degrees");
+    }
+    r = eqavol(ell);
+    /*  sin(eta) = cos(el) sin(rho), rho the angular radius of the Earth  */
+    eta = asin((cos(elmask) * (r / (r + alt))));
+    lamb = (((pi / 2) - elmask) - eta);
+    dist = (r * lamb);
+    srange = (sqrt((((r + alt) ** 2) - ((r * cos(elmask)) ** 2))) - (r * sin(elmask)));
+    if (deg) {
+        [lamb, eta] = [degrees(lamb), degrees(eta)];
+    }
+    return [lamb, dist, eta, srange];
+}
+
+function footprint(lat, lon, alt, elmask = 0.0, npts = 72, ell = null, deg = true) {
+    /*
+    coverage footprint of a satellite on the ellipsoid
+
+    Parameters
+    ----------
+    lat : float or Array
+    geodetic latitude of the sub-satellite point, e.g. from groundtrack
+    lon : float or Array
+    longitude of the sub-satellite point
+    alt : float or Array
+    satellite altitude (meters)
+    elmask : float, optional
+    minimum elevation of the satellite seen from the ground
+    npts : int, optional
+    number of polygon vertices, evenly spaced in azimuth from the sub-satellite point
+    ell : Ellipsoid, optional
+    reference ellipsoid
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    lats : list of float
+    geodetic latitudes of the polygon vertices
+    lons : list of float
+    longitudes of the polygon vertices, in [-180, 180)
+
+    Array input gives an Array of [lats, lons], one polygon per sub-satellite point.
+    The polygon is closed, its last vertex repeats the first.
+
+    Each vertex is where the satellite appears at elmask above the horizon, found
+    along the geodesic from the sub-satellite point at that azimuth.
+    */
+    let _, dist, lats, lons, x, y, z;
+    if (Array.isArray(lat)) {
+        return lat.map((_, i) => footprint(lat[i], lon[i], alt[i], elmask, npts, ell, deg));
+    }
+    if (ell === null) {
+        ell = wgs84;
+    }
+    if ((npts < 3)) {
+        throw new Error("npts must be at least 3");
+    }
+    if (!deg) {
+        [lat, lon, elmask] = [degrees(lat), degrees(lon), degrees(elmask)];
+    }
+    /*  spherical estimate, also validates alt and elmask  */
+    [_, dist] = coverage(alt, elmask, ell);
+    [x, y, z] = geodetic2ecef(lat, lon, alt, ell);
+    [lats, lons] = [[], []];
+    for (let i = 0; (i < npts); i++) {
+        let az, b, el, lat2, lon2, s;
+        az = ((360.0 * i) / npts);
+        el = function (s) {
+            /*  elevation of the satellite above elmask at s meters along the geodesic  */
+            let la, lo;
+            [la, lo] = vreckon(lat, lon, s, az, ell);
+            return (ecef2aer(x, y, z, la, lo, 0.0, ell)[1] - elmask);
+        };
+        b = (1.1 * dist);
+        while ((el(b) >= 0)) {
+            b *= 1.1;
+            if ((b > (pi * ell.semiminor_axis))) {
+                throw new Error("coverage edge not found within half a meridian");
+            }
+        }
+        s = brentq(el, 0.0, b, 1e-3);
+        [lat2, lon2] = vreckon(lat, lon, s, az, ell);
+        lon2 = ((((((lon2 + 180.0) % 360.0) + 360.0) % 360.0)) - 180.0);
+        lats.push((deg ? lat2 : radians(lat2)));
+        lons.push((deg ? lon2 : radians(lon2)));
+    }
+    lats.push(lats[0]);
+    lons.push(lons[0]);
+    return [lats, lons];
+}
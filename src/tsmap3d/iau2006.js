@@ -0,0 +1,1937 @@
+/*
+IAU 2006/2000 precession-nutation, Earth rotation angle and polar motion
+
+CIO based reduction GCRS => CIRS => TIRS => ITRS following the IERS Conventions (2010)
+chapter 5 and the SOFA routines of the same names.
+
+Nutation is the full IAU 2000A series, 678 luni-solar and 687 planetary terms, to
+which dX, dY from IERS are referred. The 77 term IAU 2000B series is kept as nut00b.
+
+Dates are two-part Julian dates (jd1 + jd2) in the time scale named by the argument,
+angles are radians.
+*/
+import {atan, atan2, cos, pi, sin, sqrt, tau} from './mathfun';
+import {matmul, rot1, rot2, rot3} from './utils';
+
+export {
+    c2t06a,
+    ee06a,
+    era00,
+    fw2m,
+    nut00a,
+    nut00b,
+    nut06a,
+    obl06,
+    pfw06,
+    pnm06a,
+    pom00,
+    s06,
+    sp00,
+    xys06a
+};
+
+/*  arcseconds to radians  */
+const DAS2R = (pi / 648000);
+/*  arcseconds in a full circle  */
+const TURNAS = 1296000.0;
+/*  reference epoch J2000.0 and days per Julian century  */
+const DJ00 = 2451545.0;
+const DJC = 36525.0;
+
+/*
+IAU 2000A luni-solar nutation series, units of 0.1 microarcsecond
+
+multipliers of l, l', F, D, Om then
+longitude: sin, t*sin, cos; obliquity: cos, t*cos, sin
+
+IAU 2000B is the first 77 terms.
+*/
+const NUT00A_LS = [
+    [0, 0, 0, 0, 1, -172064161.0, -174666.0, 33386.0, 92052331.0, 9086.0, 15377.0],
+    [0, 0, 2, -2, 2, -13170906.0, -1675.0, -13696.0, 5730336.0, -3015.0, -4587.0],
+    [0, 0, 2, 0, 2, -2276413.0, -234.0, 2796.0, 978459.0, -485.0, 1374.0],
+    [0, 0, 0, 0, 2, 2074554.0, 207.0, -698.0, -897492.0, 470.0, -291.0],
+    [0, 1, 0, 0, 0, 1475877.0, -3633.0, 11817.0, 73871.0, -184.0, -1924.0],
+    [0, 1, 2, -2, 2, -516821.0, 1226.0, -524.0, 224386.0, -677.0, -174.0],
+    [1, 0, 0, 0, 0, 711159.0, 73.0, -872.0, -6750.0, 0.0, 358.0],
+    [0, 0, 2, 0, 1, -387298.0, -367.0, 380.0, 200728.0, 18.0, 318.0],
+    [1, 0, 2, 0, 2, -301461.0, -36.0, 816.0, 129025.0, -63.0, 367.0],
+    [0, -1, 2, -2, 2, 215829.0, -494.0, 111.0, -95929.0, 299.0, 132.0],
+    [0, 0, 2, -2, 1, 128227.0, 137.0, 181.0, -68982.0, -9.0, 39.0],
+    [-1, 0, 2, 0, 2, 123457.0, 11.0, 19.0, -53311.0, 32.0, -4.0],
+    [-1, 0, 0, 2, 0, 156994.0, 10.0, -168.0, -1235.0, 0.0, 82.0],
+    [1, 0, 0, 0, 1, 63110.0, 63.0, 27.0, -33228.0, 0.0, -9.0],
+    [-1, 0, 0, 0, 1, -57976.0, -63.0, -189.0, 31429.0, 0.0, -75.0],
+    [-1, 0, 2, 2, 2, -59641.0, -11.0, 149.0, 25543.0, -11.0, 66.0],
+    [1, 0, 2, 0, 1, -51613.0, -42.0, 129.0, 26366.0, 0.0, 78.0],
+    [-2, 0, 2, 0, 1, 45893.0, 50.0, 31.0, -24236.0, -10.0, 20.0],
+    [0, 0, 0, 2, 0, 63384.0, 11.0, -150.0, -1220.0, 0.0, 29.0],
+    [0, 0, 2, 2, 2, -38571.0, -1.0, 158.0, 16452.0, -11.0, 68.0],
+    [0, -2, 2, -2, 2, 32481.0, 0.0, 0.0, -13870.0, 0.0, 0.0],
+    [-2, 0, 0, 2, 0, -47722.0, 0.0, -18.0, 477.0, 0.0, -25.0],
+    [2, 0, 2, 0, 2, -31046.0, -1.0, 131.0, 13238.0, -11.0, 59.0],
+    [1, 0, 2, -2, 2, 28593.0, 0.0, -1.0, -12338.0, 10.0, -3.0],
+    [-1, 0, 2, 0, 1, 20441.0, 21.0, 10.0, -10758.0, 0.0, -3.0],
+    [2, 0, 0, 0, 0, 29243.0, 0.0, -74.0, -609.0, 0.0, 13.0],
+    [0, 0, 2, 0, 0, 25887.0, 0.0, -66.0, -550.0, 0.0, 11.0],
+    [0, 1, 0, 0, 1, -14053.0, -25.0, 79.0, 8551.0, -2.0, -45.0],
+    [-1, 0, 0, 2, 1, 15164.0, 10.0, 11.0, -8001.0, 0.0, -1.0],
+    [0, 2, 2, -2, 2, -15794.0, 72.0, -16.0, 6850.0, -42.0, -5.0],
+    [0, 0, -2, 2, 0, 21783.0, 0.0, 13.0, -167.0, 0.0, 13.0],
+    [1, 0, 0, -2, 1, -12873.0, -10.0, -37.0, 6953.0, 0.0, -14.0],
+    [0, -1, 0, 0, 1, -12654.0, 11.0, 63.0, 6415.0, 0.0, 26.0],
+    [-1, 0, 2, 2, 1, -10204.0, 0.0, 25.0, 5222.0, 0.0, 15.0],
+    [0, 2, 0, 0, 0, 16707.0, -85.0, -10.0, 168.0, -1.0, 10.0],
+    [1, 0, 2, 2, 2, -7691.0, 0.0, 44.0, 3268.0, 0.0, 19.0],
+    [-2, 0, 2, 0, 0, -11024.0, 0.0, -14.0, 104.0, 0.0, 2.0],
+    [0, 1, 2, 0, 2, 7566.0, -21.0, -11.0, -3250.0, 0.0, -5.0],
+    [0, 0, 2, 2, 1, -6637.0, -11.0, 25.0, 3353.0, 0.0, 14.0],
+    [0, -1, 2, 0, 2, -7141.0, 21.0, 8.0, 3070.0, 0.0, 4.0],
+    [0, 0, 0, 2, 1, -6302.0, -11.0, 2.0, 3272.0, 0.0, 4.0],
+    [1, 0, 2, -2, 1, 5800.0, 10.0, 2.0, -3045.0, 0.0, -1.0],
+    [2, 0, 2, -2, 2, 6443.0, 0.0, -7.0, -2768.0, 0.0, -4.0],
+    [-2, 0, 0, 2, 1, -5774.0, -11.0, -15.0, 3041.0, 0.0, -5.0],
+    [2, 0, 2, 0, 1, -5350.0, 0.0, 21.0, 2695.0, 0.0, 12.0],
+    [0, -1, 2, -2, 1, -4752.0, -11.0, -3.0, 2719.0, 0.0, -3.0],
+    [0, 0, 0, -2, 1, -4940.0, -11.0, -21.0, 2720.0, 0.0, -9.0],
+    [-1, -1, 0, 2, 0, 7350.0, 0.0, -8.0, -51.0, 0.0, 4.0],
+    [2, 0, 0, -2, 1, 4065.0, 0.0, 6.0, -2206.0, 0.0, 1.0],
+    [1, 0, 0, 2, 0, 6579.0, 0.0, -24.0, -199.0, 0.0, 2.0],
+    [0, 1, 2, -2, 1, 3579.0, 0.0, 5.0, -1900.0, 0.0, 1.0],
+    [1, -1, 0, 0, 0, 4725.0, 0.0, -6.0, -41.0, 0.0, 3.0],
+    [-2, 0, 2, 0, 2, -3075.0, 0.0, -2.0, 1313.0, 0.0, -1.0],
+    [3, 0, 2, 0, 2, -2904.0, 0.0, 15.0, 1233.0, 0.0, 7.0],
+    [0, -1, 0, 2, 0, 4348.0, 0.0, -10.0, -81.0, 0.0, 2.0],
+    [1, -1, 2, 0, 2, -2878.0, 0.0, 8.0, 1232.0, 0.0, 4.0],
+    [0, 0, 0, 1, 0, -4230.0, 0.0, 5.0, -20.0, 0.0, -2.0],
+    [-1, -1, 2, 2, 2, -2819.0, 0.0, 7.0, 1207.0, 0.0, 3.0],
+    [-1, 0, 2, 0, 0, -4056.0, 0.0, 5.0, 40.0, 0.0, -2.0],
+    [0, -1, 2, 2, 2, -2647.0, 0.0, 11.0, 1129.0, 0.0, 5.0],
+    [-2, 0, 0, 0, 1, -2294.0, 0.0, -10.0, 1266.0, 0.0, -4.0],
+    [1, 1, 2, 0, 2, 2481.0, 0.0, -7.0, -1062.0, 0.0, -3.0],
+    [2, 0, 0, 0, 1, 2179.0, 0.0, -2.0, -1129.0, 0.0, -2.0],
+    [-1, 1, 0, 1, 0, 3276.0, 0.0, 1.0, -9.0, 0.0, 0.0],
+    [1, 1, 0, 0, 0, -3389.0, 0.0, 5.0, 35.0, 0.0, -2.0],
+    [1, 0, 2, 0, 0, 3339.0, 0.0, -13.0, -107.0, 0.0, 1.0],
+    [-1, 0, 2, -2, 1, -1987.0, 0.0, -6.0, 1073.0, 0.0, -2.0],
+    [1, 0, 0, 0, 2, -1981.0, 0.0, 0.0, 854.0, 0.0, 0.0],
+    [-1, 0, 0, 1, 0, 4026.0, 0.0, -353.0, -553.0, 0.0, -139.0],
+    [0, 0, 2, 1, 2, 1660.0, 0.0, -5.0, -710.0, 0.0, -2.0],
+    [-1, 0, 2, 4, 2, -1521.0, 0.0, 9.0, 647.0, 0.0, 4.0],
+    [-1, 1, 0, 1, 1, 1314.0, 0.0, 0.0, -700.0, 0.0, 0.0],
+    [0, -2, 2, -2, 1, -1283.0, 0.0, 0.0, 672.0, 0.0, 0.0],
+    [1, 0, 2, 2, 1, -1331.0, 0.0, 8.0, 663.0, 0.0, 4.0],
+    [-2, 0, 2, 2, 2, 1383.0, 0.0, -2.0, -594.0, 0.0, -2.0],
+    [-1, 0, 0, 0, 2, 1405.0, 0.0, 4.0, -610.0, 0.0, 2.0],
+    [1, 1, 2, -2, 2, 1290.0, 0.0, 0.0, -556.0, 0.0, 0.0],
+    [-2, 0, 2, 4, 2, -1214.0, 0.0, 5.0, 518.0, 0.0, 2.0],
+    [-1, 0, 4, 0, 2, 1146.0, 0.0, -3.0, -490.0, 0.0, -1.0],
+    [2, 0, 2, -2, 1, 1019.0, 0.0, -1.0, -527.0, 0.0, -1.0],
+    [2, 0, 2, 2, 2, -1100.0, 0.0, 9.0, 465.0, 0.0, 4.0],
+    [1, 0, 0, 2, 1, -970.0, 0.0, 2.0, 496.0, 0.0, 1.0],
+    [3, 0, 0, 0, 0, 1575.0, 0.0, -6.0, -50.0, 0.0, 0.0],
+    [3, 0, 2, -2, 2, 934.0, 0.0, -3.0, -399.0, 0.0, -1.0],
+    [0, 0, 4, -2, 2, 922.0, 0.0, -1.0, -395.0, 0.0, -1.0],
+    [0, 1, 2, 0, 1, 815.0, 0.0, -1.0, -422.0, 0.0, -1.0],
+    [0, 0, -2, 2, 1, 834.0, 0.0, 2.0, -440.0, 0.0, 1.0],
+    [0, 0, 2, -2, 3, 1248.0, 0.0, 0.0, -170.0, 0.0, 1.0],
+    [-1, 0, 0, 4, 0, 1338.0, 0.0, -5.0, -39.0, 0.0, 0.0],
+    [2, 0, -2, 0, 1, 716.0, 0.0, -2.0, -389.0, 0.0, -1.0],
+    [-2, 0, 0, 4, 0, 1282.0, 0.0, -3.0, -23.0, 0.0, 1.0],
+    [-1, -1, 0, 2, 1, 742.0, 0.0, 1.0, -391.0, 0.0, 0.0],
+    [-1, 0, 0, 1, 1, 1020.0, 0.0, -25.0, -495.0, 0.0, -10.0],
+    [0, 1, 0, 0, 2, 715.0, 0.0, -4.0, -326.0, 0.0, 2.0],
+    [0, 0, -2, 0, 1, -666.0, 0.0, -3.0, 369.0, 0.0, -1.0],
+    [0, -1, 2, 0, 1, -667.0, 0.0, 1.0, 346.0, 0.0, 1.0],
+    [0, 0, 2, -1, 2, -704.0, 0.0, 0.0, 304.0, 0.0, 0.0],
+    [0, 0, 2, 4, 2, -694.0, 0.0, 5.0, 294.0, 0.0, 2.0],
+    [-2, -1, 0, 2, 0, -1014.0, 0.0, -1.0, 4.0, 0.0, -1.0],
+    [1, 1, 0, -2, 1, -585.0, 0.0, -2.0, 316.0, 0.0, -1.0],
+    [-1, 1, 0, 2, 0, -949.0, 0.0, 1.0, 8.0, 0.0, -1.0],
+    [-1, 1, 0, 1, 2, -595.0, 0.0, 0.0, 258.0, 0.0, 0.0],
+    [1, -1, 0, 0, 1, 528.0, 0.0, 0.0, -279.0, 0.0, 0.0],
+    [1, -1, 2, 2, 2, -590.0, 0.0, 4.0, 252.0, 0.0, 2.0],
+    [-1, 1, 2, 2, 2, 570.0, 0.0, -2.0, -244.0, 0.0, -1.0],
+    [3, 0, 2, 0, 1, -502.0, 0.0, 3.0, 250.0, 0.0, 2.0],
+    [0, 1, -2, 2, 0, -875.0, 0.0, 1.0, 29.0, 0.0, 0.0],
+    [-1, 0, 0, -2, 1, -492.0, 0.0, -3.0, 275.0, 0.0, -1.0],
+    [0, 1, 2, 2, 2, 535.0, 0.0, -2.0, -228.0, 0.0, -1.0],
+    [-1, -1, 2, 2, 1, -467.0, 0.0, 1.0, 240.0, 0.0, 1.0],
+    [0, -1, 0, 0, 2, 591.0, 0.0, 0.0, -253.0, 0.0, 0.0],
+    [1, 0, 2, -4, 1, -453.0, 0.0, -1.0, 244.0, 0.0, -1.0],
+    [-1, 0, -2, 2, 0, 766.0, 0.0, 1.0, 9.0, 0.0, 0.0],
+    [0, -1, 2, 2, 1, -446.0, 0.0, 2.0, 225.0, 0.0, 1.0],
+    [2, -1, 2, 0, 2, -488.0, 0.0, 2.0, 207.0, 0.0, 1.0],
+    [0, 0, 0, 2, 2, -468.0, 0.0, 0.0, 201.0, 0.0, 0.0],
+    [1, -1, 2, 0, 1, -421.0, 0.0, 1.0, 216.0, 0.0, 1.0],
+    [-1, 1, 2, 0, 2, 463.0, 0.0, 0.0, -200.0, 0.0, 0.0],
+    [0, 1, 0, 2, 0, -673.0, 0.0, 2.0, 14.0, 0.0, 0.0],
+    [0, -1, -2, 2, 0, 658.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 3, 2, -2, 2, -438.0, 0.0, 0.0, 188.0, 0.0, 0.0],
+    [0, 0, 0, 1, 1, -390.0, 0.0, 0.0, 205.0, 0.0, 0.0],
+    [-1, 0, 2, 2, 0, 639.0, -11.0, -2.0, -19.0, 0.0, 0.0],
+    [2, 1, 2, 0, 2, 412.0, 0.0, -2.0, -176.0, 0.0, -1.0],
+    [1, 1, 0, 0, 1, -361.0, 0.0, 0.0, 189.0, 0.0, 0.0],
+    [1, 1, 2, 0, 1, 360.0, 0.0, -1.0, -185.0, 0.0, -1.0],
+    [2, 0, 0, 2, 0, 588.0, 0.0, -3.0, -24.0, 0.0, 0.0],
+    [1, 0, -2, 2, 0, -578.0, 0.0, 1.0, 5.0, 0.0, 0.0],
+    [-1, 0, 0, 2, 2, -396.0, 0.0, 0.0, 171.0, 0.0, 0.0],
+    [0, 1, 0, 1, 0, 565.0, 0.0, -1.0, -6.0, 0.0, 0.0],
+    [0, 1, 0, -2, 1, -335.0, 0.0, -1.0, 184.0, 0.0, -1.0],
+    [-1, 0, 2, -2, 2, 357.0, 0.0, 1.0, -154.0, 0.0, 0.0],
+    [0, 0, 0, -1, 1, 321.0, 0.0, 1.0, -174.0, 0.0, 0.0],
+    [-1, 1, 0, 0, 1, -301.0, 0.0, -1.0, 162.0, 0.0, 0.0],
+    [1, 0, 2, -1, 2, -334.0, 0.0, 0.0, 144.0, 0.0, 0.0],
+    [1, -1, 0, 2, 0, 493.0, 0.0, -2.0, -15.0, 0.0, 0.0],
+    [0, 0, 0, 4, 0, 494.0, 0.0, -2.0, -19.0, 0.0, 0.0],
+    [1, 0, 2, 1, 2, 337.0, 0.0, -1.0, -143.0, 0.0, -1.0],
+    [0, 0, 2, 1, 1, 280.0, 0.0, -1.0, -144.0, 0.0, 0.0],
+    [1, 0, 0, -2, 2, 309.0, 0.0, 1.0, -134.0, 0.0, 0.0],
+    [-1, 0, 2, 4, 1, -263.0, 0.0, 2.0, 131.0, 0.0, 1.0],
+    [1, 0, -2, 0, 1, 253.0, 0.0, 1.0, -138.0, 0.0, 0.0],
+    [1, 1, 2, -2, 1, 245.0, 0.0, 0.0, -128.0, 0.0, 0.0],
+    [0, 0, 2, 2, 0, 416.0, 0.0, -2.0, -17.0, 0.0, 0.0],
+    [-1, 0, 2, -1, 1, -229.0, 0.0, 0.0, 128.0, 0.0, 0.0],
+    [-2, 0, 2, 2, 1, 231.0, 0.0, 0.0, -120.0, 0.0, 0.0],
+    [4, 0, 2, 0, 2, -259.0, 0.0, 2.0, 109.0, 0.0, 1.0],
+    [2, -1, 0, 0, 0, 375.0, 0.0, -1.0, -8.0, 0.0, 0.0],
+    [2, 1, 2, -2, 2, 252.0, 0.0, 0.0, -108.0, 0.0, 0.0],
+    [0, 1, 2, 1, 2, -245.0, 0.0, 1.0, 104.0, 0.0, 0.0],
+    [1, 0, 4, -2, 2, 243.0, 0.0, -1.0, -104.0, 0.0, 0.0],
+    [-1, -1, 0, 0, 1, 208.0, 0.0, 1.0, -112.0, 0.0, 0.0],
+    [0, 1, 0, 2, 1, 199.0, 0.0, 0.0, -102.0, 0.0, 0.0],
+    [-2, 0, 2, 4, 1, -208.0, 0.0, 1.0, 105.0, 0.0, 0.0],
+    [2, 0, 2, 0, 0, 335.0, 0.0, -2.0, -14.0, 0.0, 0.0],
+    [1, 0, 0, 1, 0, -325.0, 0.0, 1.0, 7.0, 0.0, 0.0],
+    [-1, 0, 0, 4, 1, -187.0, 0.0, 0.0, 96.0, 0.0, 0.0],
+    [-1, 0, 4, 0, 1, 197.0, 0.0, -1.0, -100.0, 0.0, 0.0],
+    [2, 0, 2, 2, 1, -192.0, 0.0, 2.0, 94.0, 0.0, 1.0],
+    [0, 0, 2, -3, 2, -188.0, 0.0, 0.0, 83.0, 0.0, 0.0],
+    [-1, -2, 0, 2, 0, 276.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 1, 0, 0, 0, -286.0, 0.0, 1.0, 6.0, 0.0, 0.0],
+    [0, 0, 4, 0, 2, 186.0, 0.0, -1.0, -79.0, 0.0, 0.0],
+    [0, 0, 0, 0, 3, -219.0, 0.0, 0.0, 43.0, 0.0, 0.0],
+    [0, 3, 0, 0, 0, 276.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 2, -4, 1, -153.0, 0.0, -1.0, 84.0, 0.0, 0.0],
+    [0, -1, 0, 2, 1, -156.0, 0.0, 0.0, 81.0, 0.0, 0.0],
+    [0, 0, 0, 4, 1, -154.0, 0.0, 1.0, 78.0, 0.0, 0.0],
+    [-1, -1, 2, 4, 2, -174.0, 0.0, 1.0, 75.0, 0.0, 0.0],
+    [1, 0, 2, 4, 2, -163.0, 0.0, 2.0, 69.0, 0.0, 1.0],
+    [-2, 2, 0, 2, 0, -228.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-2, -1, 2, 0, 1, 91.0, 0.0, -4.0, -54.0, 0.0, -2.0],
+    [-2, 0, 0, 2, 2, 175.0, 0.0, 0.0, -75.0, 0.0, 0.0],
+    [-1, -1, 2, 0, 2, -159.0, 0.0, 0.0, 69.0, 0.0, 0.0],
+    [0, 0, 4, -2, 1, 141.0, 0.0, 0.0, -72.0, 0.0, 0.0],
+    [3, 0, 2, -2, 1, 147.0, 0.0, 0.0, -75.0, 0.0, 0.0],
+    [-2, -1, 0, 2, 1, -132.0, 0.0, 0.0, 69.0, 0.0, 0.0],
+    [1, 0, 0, -1, 1, 159.0, 0.0, -28.0, -54.0, 0.0, 11.0],
+    [0, -2, 0, 2, 0, 213.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [-2, 0, 0, 4, 1, 123.0, 0.0, 0.0, -64.0, 0.0, 0.0],
+    [-3, 0, 0, 0, 1, -118.0, 0.0, -1.0, 66.0, 0.0, 0.0],
+    [1, 1, 2, 2, 2, 144.0, 0.0, -1.0, -61.0, 0.0, 0.0],
+    [0, 0, 2, 4, 1, -121.0, 0.0, 1.0, 60.0, 0.0, 0.0],
+    [3, 0, 2, 2, 2, -134.0, 0.0, 1.0, 56.0, 0.0, 1.0],
+    [-1, 1, 2, -2, 1, -105.0, 0.0, 0.0, 57.0, 0.0, 0.0],
+    [2, 0, 0, -4, 1, -102.0, 0.0, 0.0, 56.0, 0.0, 0.0],
+    [0, 0, 0, -2, 2, 120.0, 0.0, 0.0, -52.0, 0.0, 0.0],
+    [2, 0, 2, -4, 1, 101.0, 0.0, 0.0, -54.0, 0.0, 0.0],
+    [-1, 1, 0, 2, 1, -113.0, 0.0, 0.0, 59.0, 0.0, 0.0],
+    [0, 0, 2, -1, 1, -106.0, 0.0, 0.0, 61.0, 0.0, 0.0],
+    [0, -2, 2, 2, 2, -129.0, 0.0, 1.0, 55.0, 0.0, 0.0],
+    [2, 0, 0, 2, 1, -114.0, 0.0, 0.0, 57.0, 0.0, 0.0],
+    [4, 0, 2, -2, 2, 113.0, 0.0, -1.0, -49.0, 0.0, 0.0],
+    [2, 0, 0, -2, 2, -102.0, 0.0, 0.0, 44.0, 0.0, 0.0],
+    [0, 2, 0, 0, 1, -94.0, 0.0, 0.0, 51.0, 0.0, 0.0],
+    [1, 0, 0, -4, 1, -100.0, 0.0, -1.0, 56.0, 0.0, 0.0],
+    [0, 2, 2, -2, 1, 87.0, 0.0, 0.0, -47.0, 0.0, 0.0],
+    [-3, 0, 0, 4, 0, 161.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-1, 1, 2, 0, 1, 96.0, 0.0, 0.0, -50.0, 0.0, 0.0],
+    [-1, -1, 0, 4, 0, 151.0, 0.0, -1.0, -5.0, 0.0, 0.0],
+    [-1, -2, 2, 2, 2, -104.0, 0.0, 0.0, 44.0, 0.0, 0.0],
+    [-2, -1, 2, 4, 2, -110.0, 0.0, 0.0, 48.0, 0.0, 0.0],
+    [1, -1, 2, 2, 1, -100.0, 0.0, 1.0, 50.0, 0.0, 0.0],
+    [-2, 1, 0, 2, 0, 92.0, 0.0, -5.0, 12.0, 0.0, -2.0],
+    [-2, 1, 2, 0, 1, 82.0, 0.0, 0.0, -45.0, 0.0, 0.0],
+    [2, 1, 0, -2, 1, 82.0, 0.0, 0.0, -45.0, 0.0, 0.0],
+    [-3, 0, 2, 0, 1, -78.0, 0.0, 0.0, 41.0, 0.0, 0.0],
+    [-2, 0, 2, -2, 1, -77.0, 0.0, 0.0, 43.0, 0.0, 0.0],
+    [-1, 1, 0, 2, 2, 2.0, 0.0, 0.0, 54.0, 0.0, 0.0],
+    [0, -1, 2, -1, 2, 94.0, 0.0, 0.0, -40.0, 0.0, 0.0],
+    [-1, 0, 4, -2, 2, -93.0, 0.0, 0.0, 40.0, 0.0, 0.0],
+    [0, -2, 2, 0, 2, -83.0, 0.0, 10.0, 40.0, 0.0, -2.0],
+    [-1, 0, 2, 1, 2, 83.0, 0.0, 0.0, -36.0, 0.0, 0.0],
+    [2, 0, 0, 0, 2, -91.0, 0.0, 0.0, 39.0, 0.0, 0.0],
+    [0, 0, 2, 0, 3, 128.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-2, 0, 4, 0, 2, -79.0, 0.0, 0.0, 34.0, 0.0, 0.0],
+    [-1, 0, -2, 0, 1, -83.0, 0.0, 0.0, 47.0, 0.0, 0.0],
+    [-1, 1, 2, 2, 1, 84.0, 0.0, 0.0, -44.0, 0.0, 0.0],
+    [3, 0, 0, 0, 1, 83.0, 0.0, 0.0, -43.0, 0.0, 0.0],
+    [-1, 0, 2, 3, 2, 91.0, 0.0, 0.0, -39.0, 0.0, 0.0],
+    [2, -1, 2, 0, 1, -77.0, 0.0, 0.0, 39.0, 0.0, 0.0],
+    [0, 1, 2, 2, 1, 84.0, 0.0, 0.0, -43.0, 0.0, 0.0],
+    [0, -1, 2, 4, 2, -92.0, 0.0, 1.0, 39.0, 0.0, 0.0],
+    [2, -1, 2, 2, 2, -92.0, 0.0, 1.0, 39.0, 0.0, 0.0],
+    [0, 2, -2, 2, 0, -94.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 2, -1, 1, 68.0, 0.0, 0.0, -36.0, 0.0, 0.0],
+    [0, -2, 0, 0, 1, -61.0, 0.0, 0.0, 32.0, 0.0, 0.0],
+    [1, 0, 2, -4, 2, 71.0, 0.0, 0.0, -31.0, 0.0, 0.0],
+    [1, -1, 0, -2, 1, 62.0, 0.0, 0.0, -34.0, 0.0, 0.0],
+    [-1, -1, 2, 0, 1, -63.0, 0.0, 0.0, 33.0, 0.0, 0.0],
+    [1, -1, 2, -2, 2, -73.0, 0.0, 0.0, 32.0, 0.0, 0.0],
+    [-2, -1, 0, 4, 0, 115.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 0, 0, 3, 0, -103.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, -1, 2, 2, 2, 63.0, 0.0, 0.0, -28.0, 0.0, 0.0],
+    [0, 2, 2, 0, 2, 74.0, 0.0, 0.0, -32.0, 0.0, 0.0],
+    [1, 1, 0, 2, 0, -103.0, 0.0, -3.0, 3.0, 0.0, -1.0],
+    [2, 0, 2, -1, 2, -69.0, 0.0, 0.0, 30.0, 0.0, 0.0],
+    [1, 0, 2, 1, 1, 57.0, 0.0, 0.0, -29.0, 0.0, 0.0],
+    [4, 0, 0, 0, 0, 94.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [2, 1, 2, 0, 1, 64.0, 0.0, 0.0, -33.0, 0.0, 0.0],
+    [3, -1, 2, 0, 2, -63.0, 0.0, 0.0, 26.0, 0.0, 0.0],
+    [-2, 2, 0, 2, 1, -38.0, 0.0, 0.0, 20.0, 0.0, 0.0],
+    [1, 0, 2, -3, 1, -43.0, 0.0, 0.0, 24.0, 0.0, 0.0],
+    [1, 1, 2, -4, 1, -45.0, 0.0, 0.0, 23.0, 0.0, 0.0],
+    [-1, -1, 2, -2, 1, 47.0, 0.0, 0.0, -24.0, 0.0, 0.0],
+    [0, -1, 0, -1, 1, -48.0, 0.0, 0.0, 25.0, 0.0, 0.0],
+    [0, -1, 0, -2, 1, 45.0, 0.0, 0.0, -26.0, 0.0, 0.0],
+    [-2, 0, 0, 0, 2, 56.0, 0.0, 0.0, -25.0, 0.0, 0.0],
+    [-2, 0, -2, 2, 0, 88.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 0, -2, 4, 0, -75.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -2, 0, 0, 0, 85.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 0, 1, 1, 49.0, 0.0, 0.0, -26.0, 0.0, 0.0],
+    [-1, 2, 0, 2, 0, -74.0, 0.0, -3.0, -1.0, 0.0, -1.0],
+    [1, -1, 2, -2, 1, -39.0, 0.0, 0.0, 21.0, 0.0, 0.0],
+    [1, 2, 2, -2, 2, 45.0, 0.0, 0.0, -20.0, 0.0, 0.0],
+    [2, -1, 2, -2, 2, 51.0, 0.0, 0.0, -22.0, 0.0, 0.0],
+    [1, 0, 2, -1, 1, -40.0, 0.0, 0.0, 21.0, 0.0, 0.0],
+    [2, 1, 2, -2, 1, 41.0, 0.0, 0.0, -21.0, 0.0, 0.0],
+    [-2, 0, 0, -2, 1, -42.0, 0.0, 0.0, 24.0, 0.0, 0.0],
+    [1, -2, 2, 0, 2, -51.0, 0.0, 0.0, 22.0, 0.0, 0.0],
+    [0, 1, 2, 1, 1, -42.0, 0.0, 0.0, 22.0, 0.0, 0.0],
+    [1, 0, 4, -2, 1, 39.0, 0.0, 0.0, -21.0, 0.0, 0.0],
+    [-2, 0, 4, 2, 2, 46.0, 0.0, 0.0, -18.0, 0.0, 0.0],
+    [1, 1, 2, 1, 2, -53.0, 0.0, 0.0, 22.0, 0.0, 0.0],
+    [1, 0, 0, 4, 0, 82.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [1, 0, 2, 2, 0, 81.0, 0.0, -1.0, -4.0, 0.0, 0.0],
+    [2, 0, 2, 1, 2, 47.0, 0.0, 0.0, -19.0, 0.0, 0.0],
+    [3, 1, 2, 0, 2, 53.0, 0.0, 0.0, -23.0, 0.0, 0.0],
+    [4, 0, 2, 0, 1, -45.0, 0.0, 0.0, 22.0, 0.0, 0.0],
+    [-2, -1, 2, 0, 0, -44.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 1, -2, 2, 1, -33.0, 0.0, 0.0, 16.0, 0.0, 0.0],
+    [1, 0, -2, 1, 0, -61.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [0, -1, -2, 2, 1, 28.0, 0.0, 0.0, -15.0, 0.0, 0.0],
+    [2, -1, 0, -2, 1, -38.0, 0.0, 0.0, 19.0, 0.0, 0.0],
+    [-1, 0, 2, -1, 2, -33.0, 0.0, 0.0, 21.0, 0.0, 0.0],
+    [1, 0, 2, -3, 2, -60.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 2, -2, 3, 48.0, 0.0, 0.0, -10.0, 0.0, 0.0],
+    [0, 0, 2, -3, 1, 27.0, 0.0, 0.0, -14.0, 0.0, 0.0],
+    [-1, 0, -2, 2, 1, 38.0, 0.0, 0.0, -20.0, 0.0, 0.0],
+    [0, 0, 2, -4, 2, 31.0, 0.0, 0.0, -13.0, 0.0, 0.0],
+    [-2, 1, 0, 0, 1, -29.0, 0.0, 0.0, 15.0, 0.0, 0.0],
+    [-1, 0, 0, -1, 1, 28.0, 0.0, 0.0, -15.0, 0.0, 0.0],
+    [2, 0, 2, -4, 2, -32.0, 0.0, 0.0, 15.0, 0.0, 0.0],
+    [0, 0, 4, -4, 4, 45.0, 0.0, 0.0, -8.0, 0.0, 0.0],
+    [0, 0, 4, -4, 2, -44.0, 0.0, 0.0, 19.0, 0.0, 0.0],
+    [-1, -2, 0, 2, 1, 28.0, 0.0, 0.0, -15.0, 0.0, 0.0],
+    [-2, 0, 0, 3, 0, -51.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, -2, 2, 1, -36.0, 0.0, 0.0, 20.0, 0.0, 0.0],
+    [-3, 0, 2, 2, 2, 44.0, 0.0, 0.0, -19.0, 0.0, 0.0],
+    [-3, 0, 2, 2, 1, 26.0, 0.0, 0.0, -14.0, 0.0, 0.0],
+    [-2, 0, 2, 2, 0, -60.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, -1, 0, 0, 1, 35.0, 0.0, 0.0, -18.0, 0.0, 0.0],
+    [-2, 1, 2, 2, 2, -27.0, 0.0, 0.0, 11.0, 0.0, 0.0],
+    [1, 1, 0, 1, 0, 47.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, 1, 4, -2, 2, 36.0, 0.0, 0.0, -15.0, 0.0, 0.0],
+    [-1, 1, 0, -2, 1, -36.0, 0.0, 0.0, 20.0, 0.0, 0.0],
+    [0, 0, 0, -4, 1, -35.0, 0.0, 0.0, 19.0, 0.0, 0.0],
+    [1, -1, 0, 2, 1, -37.0, 0.0, 0.0, 19.0, 0.0, 0.0],
+    [1, 1, 0, 2, 1, 32.0, 0.0, 0.0, -16.0, 0.0, 0.0],
+    [-1, 2, 2, 2, 2, 35.0, 0.0, 0.0, -14.0, 0.0, 0.0],
+    [3, 1, 2, -2, 2, 32.0, 0.0, 0.0, -13.0, 0.0, 0.0],
+    [0, -1, 0, 4, 0, 65.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, -1, 0, 2, 0, 47.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, 0, 4, 0, 1, 32.0, 0.0, 0.0, -16.0, 0.0, 0.0],
+    [2, 0, 4, -2, 2, 37.0, 0.0, 0.0, -16.0, 0.0, 0.0],
+    [-1, -1, 2, 4, 1, -30.0, 0.0, 0.0, 15.0, 0.0, 0.0],
+    [1, 0, 0, 4, 1, -32.0, 0.0, 0.0, 16.0, 0.0, 0.0],
+    [1, -2, 2, 2, 2, -31.0, 0.0, 0.0, 13.0, 0.0, 0.0],
+    [0, 0, 2, 3, 2, 37.0, 0.0, 0.0, -16.0, 0.0, 0.0],
+    [-1, 1, 2, 4, 2, 31.0, 0.0, 0.0, -13.0, 0.0, 0.0],
+    [3, 0, 0, 2, 0, 49.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 0, 4, 2, 2, 32.0, 0.0, 0.0, -13.0, 0.0, 0.0],
+    [1, 1, 2, 2, 1, 23.0, 0.0, 0.0, -12.0, 0.0, 0.0],
+    [-2, 0, 2, 6, 2, -43.0, 0.0, 0.0, 18.0, 0.0, 0.0],
+    [2, 1, 2, 2, 2, 26.0, 0.0, 0.0, -11.0, 0.0, 0.0],
+    [-1, 0, 2, 6, 2, -32.0, 0.0, 0.0, 14.0, 0.0, 0.0],
+    [1, 0, 2, 4, 1, -29.0, 0.0, 0.0, 14.0, 0.0, 0.0],
+    [2, 0, 2, 4, 2, -27.0, 0.0, 0.0, 12.0, 0.0, 0.0],
+    [1, 1, -2, 1, 0, 30.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 1, 2, 1, 2, -11.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [2, 0, -2, 0, 2, -21.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [-1, 0, 0, 1, 2, -34.0, 0.0, 0.0, 15.0, 0.0, 0.0],
+    [-4, 0, 2, 2, 1, -10.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [-1, -1, 0, 1, 0, -36.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, -2, 2, 2, -9.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [1, 0, 0, -1, 2, -12.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [0, -1, 2, -2, 3, -21.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [-2, 1, 2, 0, 0, -29.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, 0, 2, -2, 4, -15.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-2, -2, 0, 2, 0, -20.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, -2, 4, 0, 28.0, 0.0, 0.0, 0.0, 0.0, -2.0],
+    [0, -2, -2, 2, 0, 17.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 2, 0, -2, 1, -22.0, 0.0, 0.0, 12.0, 0.0, 0.0],
+    [3, 0, 0, -4, 1, -14.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [-1, 1, 2, -2, 2, 24.0, 0.0, 0.0, -11.0, 0.0, 0.0],
+    [1, -1, 2, -4, 1, 11.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [1, 1, 0, -2, 2, 14.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [-3, 0, 2, 0, 0, 24.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 0, 2, 0, 2, 18.0, 0.0, 0.0, -8.0, 0.0, 0.0],
+    [-2, 0, 0, 1, 0, -38.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, -2, 1, 0, -31.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 0, 0, 2, 1, -16.0, 0.0, 0.0, 8.0, 0.0, 0.0],
+    [-1, -1, -2, 2, 0, 29.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 2, -4, 1, -18.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [2, 1, 0, -4, 1, -10.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [0, 2, 0, -2, 1, -17.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [1, 0, 0, -3, 1, 9.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [-2, 0, 2, -2, 2, 16.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [-2, -1, 0, 0, 1, 22.0, 0.0, 0.0, -12.0, 0.0, 0.0],
+    [-4, 0, 0, 2, 0, 20.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 1, 0, -4, 1, -13.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [-1, 0, 2, -4, 1, -17.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [0, 0, 4, -4, 1, -14.0, 0.0, 0.0, 8.0, 0.0, 0.0],
+    [0, 3, 2, -2, 2, 0.0, 0.0, 0.0, -7.0, 0.0, 0.0],
+    [-3, -1, 0, 4, 0, 14.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 0, 0, 4, 1, 19.0, 0.0, 0.0, -10.0, 0.0, 0.0],
+    [1, -1, -2, 2, 0, -34.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 0, 2, 2, -20.0, 0.0, 0.0, 8.0, 0.0, 0.0],
+    [1, -2, 0, 0, 1, 9.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [1, -1, 0, 0, 2, -18.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [0, 0, 0, 1, 2, 13.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [-1, -1, 2, 0, 0, 17.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -2, 2, -2, 2, -12.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [0, -1, 2, -1, 1, 15.0, 0.0, 0.0, -8.0, 0.0, 0.0],
+    [-1, 0, 2, 0, 3, -11.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [1, 1, 0, 0, 2, 13.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [-1, 1, 2, 0, 0, -18.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 2, 0, 0, 0, -35.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 2, 2, 0, 2, 9.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [-1, 0, 4, -2, 1, -19.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [3, 0, 2, -4, 2, -26.0, 0.0, 0.0, 11.0, 0.0, 0.0],
+    [1, 2, 2, -2, 1, 8.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [1, 0, 4, -4, 2, -10.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [-2, -1, 0, 4, 1, 10.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [0, -1, 0, 2, 2, -21.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [-2, 1, 0, 4, 0, -15.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, -1, 2, 2, 1, 9.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [2, 0, -2, 2, 0, -29.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 0, 1, 1, -19.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [0, 1, 0, 2, 2, 12.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [1, -1, 2, -1, 2, 22.0, 0.0, 0.0, -9.0, 0.0, 0.0],
+    [-2, 0, 4, 0, 1, -10.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [2, 1, 0, 0, 1, -20.0, 0.0, 0.0, 11.0, 0.0, 0.0],
+    [0, 1, 2, 0, 0, -20.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, -1, 4, -2, 2, -17.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [0, 0, 4, -2, 4, 15.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [0, 2, 2, 0, 1, 8.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [-3, 0, 0, 6, 0, 14.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 0, 4, 1, -12.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [1, -2, 0, 2, 0, 25.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, 0, 4, 2, -13.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [-1, -2, 2, 2, 1, -14.0, 0.0, 0.0, 8.0, 0.0, 0.0],
+    [-1, 0, 0, -2, 2, 13.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [1, 0, -2, -2, 1, -17.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [0, 0, -2, -2, 1, -12.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [-2, 0, -2, 0, 1, -10.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [0, 0, 0, 3, 1, 10.0, 0.0, 0.0, -6.0, 0.0, 0.0],
+    [0, 0, 0, 3, 0, -15.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 1, 0, 4, 0, -22.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 2, 2, 0, 28.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-2, 0, 2, 3, 2, 15.0, 0.0, 0.0, -7.0, 0.0, 0.0],
+    [1, 0, 0, 2, 2, 23.0, 0.0, 0.0, -10.0, 0.0, 0.0],
+    [0, -1, 2, 1, 2, 12.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [3, -1, 0, 0, 0, 29.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [2, 0, 0, 1, 0, -25.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [1, -1, 2, 0, 0, 22.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, 2, 1, 0, -18.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 2, 0, 3, 15.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [3, 1, 0, 0, 0, -23.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [3, -1, 2, -2, 2, 12.0, 0.0, 0.0, -5.0, 0.0, 0.0],
+    [2, 0, 2, -1, 1, -8.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [1, 1, 2, 0, 0, -19.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, 4, -1, 2, -10.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [1, 2, 2, 0, 2, 21.0, 0.0, 0.0, -9.0, 0.0, 0.0],
+    [-2, 0, 0, 6, 0, 23.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, -1, 0, 4, 1, -16.0, 0.0, 0.0, 8.0, 0.0, 0.0],
+    [-2, -1, 2, 4, 1, -19.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [0, -2, 2, 2, 1, -22.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [0, -1, 2, 2, 0, 27.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-1, 0, 2, 3, 1, 16.0, 0.0, 0.0, -8.0, 0.0, 0.0],
+    [-2, 1, 2, 4, 2, 19.0, 0.0, 0.0, -8.0, 0.0, 0.0],
+    [2, 0, 0, 2, 2, 9.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [2, -2, 2, 0, 2, -9.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [-1, 1, 2, 3, 2, -9.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [3, 0, 2, -1, 2, -8.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [4, 0, 2, -2, 1, 18.0, 0.0, 0.0, -9.0, 0.0, 0.0],
+    [-1, 0, 0, 6, 0, 16.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-1, -2, 2, 4, 2, -10.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [-3, 0, 2, 6, 2, -23.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [-1, 0, 2, 4, 0, 16.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [3, 0, 0, 2, 1, -12.0, 0.0, 0.0, 6.0, 0.0, 0.0],
+    [3, -1, 2, 0, 1, -8.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [3, 0, 2, 0, 0, 30.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [1, 0, 4, 0, 2, 24.0, 0.0, 0.0, -10.0, 0.0, 0.0],
+    [5, 0, 2, -2, 2, 10.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [0, -1, 2, 4, 1, -16.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [2, -1, 2, 2, 1, -16.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [0, 1, 2, 4, 2, 17.0, 0.0, 0.0, -7.0, 0.0, 0.0],
+    [1, -1, 2, 4, 2, -24.0, 0.0, 0.0, 10.0, 0.0, 0.0],
+    [3, -1, 2, 2, 2, -12.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [3, 0, 2, 2, 1, -24.0, 0.0, 0.0, 11.0, 0.0, 0.0],
+    [5, 0, 2, 0, 2, -23.0, 0.0, 0.0, 9.0, 0.0, 0.0],
+    [0, 0, 2, 6, 2, -13.0, 0.0, 0.0, 5.0, 0.0, 0.0],
+    [4, 0, 2, 2, 2, -15.0, 0.0, 0.0, 7.0, 0.0, 0.0],
+    [0, -1, 1, -1, 1, 0.0, 0.0, -1988.0, 0.0, 0.0, -1679.0],
+    [-1, 0, 1, 0, 3, 0.0, 0.0, -63.0, 0.0, 0.0, -27.0],
+    [0, -2, 2, -2, 3, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, -1, 0, 1, 0.0, 0.0, 5.0, 0.0, 0.0, 4.0],
+    [2, -2, 0, -2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-1, 0, 1, 0, 2, 0.0, 0.0, 364.0, 0.0, 0.0, 176.0],
+    [-1, 0, 1, 0, 1, 0.0, 0.0, -1044.0, 0.0, 0.0, -891.0],
+    [-1, -1, 2, -1, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-2, 2, 0, 2, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 0, 1, 0, 0, 0.0, 0.0, 330.0, 0.0, 0.0, 0.0],
+    [-4, 1, 2, 2, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-3, 0, 2, 1, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-2, -1, 2, 0, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [1, 0, -2, 1, 1, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, -1, -2, 0, 1, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-4, 0, 2, 2, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 1, 0, 3, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, -1, 2, 0, 0.0, 0.0, 5.0, 0.0, 0.0, 0.0],
+    [0, -2, 0, 0, 2, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [0, -2, 0, 0, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-3, 0, 0, 3, 0, 6.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, -1, 0, 2, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 0, -2, 3, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-4, 0, 0, 4, 0, -12.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 1, -2, 0, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [2, -1, 0, -2, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, 0, 1, -1, 0, -5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 2, 0, 1, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 1, 2, 0, 2, -7.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [1, 1, 0, -1, 1, 7.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [1, 0, 1, -2, 1, 0.0, 0.0, -12.0, 0.0, 0.0, -10.0],
+    [0, 2, 0, 0, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [1, -1, 2, -3, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 1, 2, -1, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, 0, 4, -2, 2, -7.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-2, 0, 4, -2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, -2, 0, 2, 1, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-2, 0, -2, 4, 0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 2, 2, -4, 1, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [1, 1, 2, -4, 2, 7.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-1, 2, 2, -2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, 0, 0, -3, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 2, 0, 0, 1, -5.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [0, 0, 0, -2, 0, 5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 2, -2, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 1, 0, 0, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 0, 0, -1, 2, -8.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-2, 1, 0, 1, 0, 9.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -2, 0, -2, 1, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [1, 0, -2, 0, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-3, 1, 0, 2, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 1, -2, 2, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 0, 0, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-3, 0, 0, 2, 0, 5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, -1, 0, 2, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 0, 2, -6, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 1, 2, -4, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 0, 0, -4, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-2, 1, 2, -2, 1, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, -1, 2, -4, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 1, 0, -2, 2, 9.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-1, 0, 0, -2, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 0, -2, -2, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-4, 0, 2, 0, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, -1, 0, -1, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, -2, 0, 2, 9.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-3, 0, 0, 1, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, -2, 1, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, -2, 2, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 0, -4, 2, 0, 8.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, -1, -2, 2, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 2, -6, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 0, 2, -4, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [1, 0, 0, -4, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [2, 1, 2, -4, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [2, 1, 2, -4, 1, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [0, 1, 4, -4, 4, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 4, -4, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-1, -1, -2, 4, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -3, 0, 2, 0, 9.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, -2, 4, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, -1, 0, 3, 0, -3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, -2, 3, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, 0, 3, 1, -5.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [0, -1, 0, 1, 0, -13.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, 0, 2, 2, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 1, -2, 2, 0, 10.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 1, 0, 2, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [1, -2, 2, -2, 1, 10.0, 0.0, 13.0, 6.0, 0.0, -5.0],
+    [0, 0, 1, 0, 2, 0.0, 0.0, 30.0, 0.0, 0.0, 14.0],
+    [0, 0, 1, 0, 1, 0.0, 0.0, -162.0, 0.0, 0.0, -138.0],
+    [0, 0, 1, 0, 0, 0.0, 0.0, 75.0, 0.0, 0.0, 0.0],
+    [-1, 2, 0, 2, 1, -7.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [0, 0, 2, 0, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, 0, 2, 0, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 0, 0, -1, 1, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [3, 0, 0, -2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [1, 0, 2, -2, 3, -3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 2, 0, 0, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, 0, 2, -3, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 1, 4, -2, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, -2, 0, 4, 0, 6.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, -3, 0, 2, 0, 9.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, -2, 4, 0, 5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 0, 3, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, 0, 4, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-1, 0, 0, 3, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, -2, 0, 0, 0, 7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -1, 0, 1, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, 0, 2, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, -2, 2, 0, 1, -6.0, 0.0, -3.0, 3.0, 0.0, 1.0],
+    [-1, 0, 1, 2, 1, 0.0, 0.0, -3.0, 0.0, 0.0, -2.0],
+    [-1, 1, 0, 3, 0, 11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -1, 2, 1, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, -1, 2, 0, 0, 11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 1, 2, 2, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, -2, 2, -2, 2, -1.0, 0.0, 3.0, 3.0, 0.0, -1.0],
+    [1, 1, 0, 1, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [1, 0, 1, 0, 1, 0.0, 0.0, -13.0, 0.0, 0.0, -11.0],
+    [1, 0, 1, 0, 0, 3.0, 0.0, 6.0, 0.0, 0.0, 0.0],
+    [0, 2, 0, 2, 0, -7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, -1, 2, -2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [0, -1, 4, -2, 1, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [0, 0, 4, -2, 3, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 4, -2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [4, 0, 2, -4, 2, -7.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [2, 2, 2, -2, 2, 8.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [2, 0, 4, -4, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, -2, 0, 4, 0, 11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, -3, 2, 2, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-3, 0, 2, 4, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-3, 0, 2, -2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, -1, 0, -2, 1, 8.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [-3, 0, 0, 0, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-3, 0, -2, 2, 0, 11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 0, -4, 1, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-2, 1, 0, -2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-4, 0, 0, 0, 1, -8.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [-1, 0, 0, -4, 1, -7.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-3, 0, 0, -2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 0, 3, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-1, 1, 0, 4, 1, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [1, -2, 2, 0, 1, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [0, 1, 0, 3, 0, 6.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-1, 0, 2, 2, 3, 6.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [0, 0, 2, 2, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-2, 0, 2, 2, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 1, 2, 2, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [3, 0, 0, 0, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, 1, 0, 1, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, -1, 2, -1, 2, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [0, 0, 2, 0, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 3, 0, 3, 0.0, 0.0, -26.0, 0.0, 0.0, -11.0],
+    [0, 0, 3, 0, 2, 0.0, 0.0, -10.0, 0.0, 0.0, -5.0],
+    [-1, 2, 2, 2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-1, 0, 4, 0, 0, -13.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 2, 2, 0, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [3, 1, 2, -2, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [1, 1, 4, -2, 2, 7.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-2, -1, 0, 6, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, -2, 0, 4, 0, 5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, 0, 6, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, -2, 2, 4, 2, -6.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, -3, 2, 2, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 0, 4, 2, -7.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-1, -1, 2, 3, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-2, 0, 2, 4, 0, 13.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, -1, 0, 2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [1, 0, 0, 3, 0, -3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 0, 4, 1, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 1, 0, 4, 0, -11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -1, 2, 1, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 0, 2, 2, 3, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 2, 2, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, 0, 2, 2, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-2, 0, 4, 2, 1, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [2, 1, 0, 2, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 1, 0, 2, 0, -12.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, -1, 2, 0, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 2, 1, 0, -3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 1, 2, 2, 0, -4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 0, 2, 0, 3, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [3, 0, 2, 0, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [1, 0, 2, 0, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [1, 0, 3, 0, 3, 0.0, 0.0, -5.0, 0.0, 0.0, -2.0],
+    [1, 1, 2, 1, 1, -7.0, 0.0, 0.0, 4.0, 0.0, 0.0],
+    [0, 2, 2, 2, 2, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [2, 1, 2, 0, 0, -3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 0, 4, -2, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [4, 1, 2, -2, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [-1, -1, 0, 6, 0, 3.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-3, -1, 2, 6, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [-1, 0, 0, 6, 1, -5.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-3, 0, 2, 6, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [1, -1, 0, 4, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [1, -1, 0, 4, 0, 12.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [-2, 0, 2, 5, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [1, -2, 2, 2, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [3, -1, 0, 2, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, -1, 2, 2, 0, 6.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, 2, 3, 1, 5.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [-1, 1, 2, 4, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [0, 1, 2, 3, 2, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-1, 0, 4, 2, 1, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 0, 2, 1, 1, 6.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [5, 0, 0, 0, 0, 6.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 1, 2, 1, 2, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [1, 0, 4, 0, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [3, 1, 2, 0, 1, 7.0, 0.0, 0.0, -4.0, 0.0, 0.0],
+    [3, 0, 4, -2, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-2, -1, 2, 6, 2, -5.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 0, 6, 0, 5.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, -2, 2, 4, 2, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [-2, 0, 2, 6, 1, -6.0, 0.0, 0.0, 3.0, 0.0, 0.0],
+    [2, 0, 0, 4, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [2, 0, 0, 4, 0, 10.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, -2, 2, 2, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [0, 0, 2, 4, 0, 7.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [1, 0, 2, 3, 2, 7.0, 0.0, 0.0, -3.0, 0.0, 0.0],
+    [4, 0, 0, 2, 0, 4.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [2, 0, 2, 2, 0, 11.0, 0.0, 0.0, 0.0, 0.0, 0.0],
+    [0, 0, 4, 2, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [4, -1, 2, 0, 2, -6.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [3, 0, 2, 1, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [2, 1, 2, 2, 1, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [4, 1, 2, 0, 2, 5.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [-1, -1, 2, 6, 2, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [-1, 0, 2, 6, 1, -4.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [1, -1, 2, 4, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0],
+    [1, 1, 2, 4, 2, 4.0, 0.0, 0.0, -2.0, 0.0, 0.0],
+    [3, 1, 2, 2, 2, 3.0, 0.0, 0.0, -1.0, 0.0, 0.0],
+    [5, 0, 2, 0, 1, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [2, -1, 2, 4, 2, -3.0, 0.0, 0.0, 1.0, 0.0, 0.0],
+    [2, 0, 2, 4, 1, -3.0, 0.0, 0.0, 2.0, 0.0, 0.0]
+];
+const NUT00B_TERMS = 77;
+
+/*
+IAU 2000A planetary nutation series, units of 0.1 microarcsecond
+
+multipliers of l, F, D, Om, L_Me, L_Ve, L_E, L_Ma, L_J, L_Sa, L_U, L_Ne, p_A then
+longitude: sin, cos; obliquity: sin, cos
+*/
+const NUT00A_PL = [
+    [0, 0, 0, 0, 0, 0, 8, -16, 4, 5, 0, 0, 0, 1440, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, -8, 16, -4, -5, 0, 0, 2, 56, -117, -42, -40],
+    [0, 0, 0, 0, 0, 0, 8, -16, 4, 5, 0, 0, 2, 125, -43, 0, -54],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, -1, 2, 2, 0, 5, 0, 0],
+    [0, 0, 0, 0, 0, 0, -4, 8, -1, -5, 0, 0, 2, 3, -7, -3, 0],
+    [0, 0, 0, 0, 0, 0, 4, -8, 3, 0, 0, 0, 1, 3, 0, 0, -2],
+    [0, 1, -1, 1, 0, 0, 3, -8, 3, 0, 0, 0, 0, -114, 0, 0, 61],
+    [-1, 0, 0, 0, 0, 10, -3, 0, 0, 0, 0, 0, 0, -219, 89, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, -2, 6, -3, 0, 2, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, -462, 1604, 0, 0],
+    [0, 1, -1, 1, 0, 0, -5, 8, -3, 0, 0, 0, 0, 99, 0, 0, -53],
+    [0, 0, 0, 0, 0, 0, -4, 8, -3, 0, 0, 0, 1, -3, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 4, -8, 1, 5, 0, 0, 2, 0, 6, 2, 0],
+    [0, 0, 0, 0, 0, -5, 6, 4, 0, 0, 0, 0, 2, 3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, -5, 0, 0, 2, -12, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, -5, 0, 0, 1, 14, -218, 117, 8],
+    [0, 1, -1, 1, 0, 0, -1, 0, 2, -5, 0, 0, 0, 31, -481, -257, -17],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, -5, 0, 0, 0, -491, 128, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, -2, 5, 0, 0, 0, -3084, 5123, 2735, 1647],
+    [0, 0, 0, 0, 0, 0, 0, 0, -2, 5, 0, 0, 1, -1444, 2409, -1286, -771],
+    [0, 0, 0, 0, 0, 0, 0, 0, -2, 5, 0, 0, 2, 11, -24, -11, -9],
+    [2, -1, -1, 0, 0, 0, 3, -7, 0, 0, 0, 0, 0, 26, -9, 0, 0],
+    [1, 0, -2, 0, 0, 19, -21, 3, 0, 0, 0, 0, 0, 103, -60, 0, 0],
+    [0, 1, -1, 1, 0, 2, -4, 0, -3, 0, 0, 0, 0, 0, -13, -7, 0],
+    [1, 0, -1, 1, 0, 0, -1, 0, 2, 0, 0, 0, 0, -26, -29, -16, 14],
+    [0, 1, -1, 1, 0, 0, -1, 0, -4, 10, 0, 0, 0, 9, -27, -14, -5],
+    [-2, 0, 2, 1, 0, 0, 2, 0, 0, -5, 0, 0, 0, 12, 0, 0, -6],
+    [0, 0, 0, 0, 0, 3, -7, 4, 0, 0, 0, 0, 0, -7, 0, 0, 0],
+    [0, -1, 1, 0, 0, 0, 1, 0, 1, -1, 0, 0, 0, 0, 24, 0, 0],
+    [-2, 0, 2, 1, 0, 0, 2, 0, -2, 0, 0, 0, 0, 284, 0, 0, -151],
+    [-1, 0, 0, 0, 0, 18, -16, 0, 0, 0, 0, 0, 0, 226, 101, 0, 0],
+    [-2, 1, 1, 2, 0, 0, 1, 0, -2, 0, 0, 0, 0, 0, -8, -2, 0],
+    [-1, 1, -1, 1, 0, 18, -17, 0, 0, 0, 0, 0, 0, 0, -6, -3, 0],
+    [-1, 0, 1, 1, 0, 0, 2, -2, 0, 0, 0, 0, 0, 5, 0, 0, -3],
+    [0, 0, 0, 0, 0, -8, 13, 0, 0, 0, 0, 0, 2, -41, 175, 76, 17],
+    [0, 2, -2, 2, 0, -8, 11, 0, 0, 0, 0, 0, 0, 0, 15, 6, 0],
+    [0, 0, 0, 0, 0, -8, 13, 0, 0, 0, 0, 0, 1, 425, 212, -133, 269],
+    [0, 1, -1, 1, 0, -8, 12, 0, 0, 0, 0, 0, 0, 1200, 598, 319, -641],
+    [0, 0, 0, 0, 0, 8, -13, 0, 0, 0, 0, 0, 0, 235, 334, 0, 0],
+    [0, 1, -1, 1, 0, 8, -14, 0, 0, 0, 0, 0, 0, 11, -12, -7, -6],
+    [0, 0, 0, 0, 0, 8, -13, 0, 0, 0, 0, 0, 1, 5, -6, 3, 3],
+    [-2, 0, 2, 1, 0, 0, 2, 0, -4, 5, 0, 0, 0, -5, 0, 0, 3],
+    [-2, 0, 2, 2, 0, 3, -3, 0, 0, 0, 0, 0, 0, 6, 0, 0, -3],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -3, 1, 0, 0, 0, 15, 0, 0, 0],
+    [0, 0, 0, 1, 0, 3, -5, 0, 2, 0, 0, 0, 0, 13, 0, 0, -7],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -4, 3, 0, 0, 0, -6, -9, 0, 0],
+    [0, -1, 1, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 266, -78, 0, 0],
+    [0, 0, 0, 1, 0, 0, -1, 2, 0, 0, 0, 0, 0, -460, -435, -232, 246],
+    [0, 1, -1, 2, 0, 0, -2, 2, 0, 0, 0, 0, 0, 0, 15, 7, 0],
+    [-1, 1, 0, 1, 0, 3, -5, 0, 0, 0, 0, 0, 0, -3, 0, 0, 2],
+    [-1, 0, 1, 0, 0, 3, -4, 0, 0, 0, 0, 0, 0, 0, 131, 0, 0],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -2, -2, 0, 0, 0, 4, 0, 0, 0],
+    [-2, 2, 0, 2, 0, 0, -5, 9, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 0, -1, 0, 0, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 3, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 0, 0, 2, 0, -17, -19, -10, 9],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 1, -9, -11, 6, -5],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 2, -6, 0, 0, 3],
+    [-1, 0, 1, 0, 0, 0, 3, -4, 0, 0, 0, 0, 0, -16, 8, 0, 0],
+    [0, -1, 1, 0, 0, 0, 1, 0, 0, 2, 0, 0, 0, 0, 3, 0, 0],
+    [0, 1, -1, 2, 0, 0, -1, 0, 0, 2, 0, 0, 0, 11, 24, 11, -5],
+    [0, 0, 0, 1, 0, 0, -9, 17, 0, 0, 0, 0, 0, -3, -4, -2, 1],
+    [0, 0, 0, 2, 0, -3, 5, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 1, -1, 1, 0, 0, -1, 0, -1, 2, 0, 0, 0, 0, -8, -4, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1, -2, 0, 0, 0, 0, 3, 0, 0],
+    [1, 0, -2, 0, 0, 17, -16, 0, -2, 0, 0, 0, 0, 0, 5, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, 1, -3, 0, 0, 0, 0, 3, 2, 0],
+    [-2, 0, 2, 1, 0, 0, 5, -6, 0, 0, 0, 0, 0, -6, 4, 2, 3],
+    [0, -2, 2, 0, 0, 0, 9, -13, 0, 0, 0, 0, 0, -3, -5, 0, 0],
+    [0, 1, -1, 2, 0, 0, -1, 0, 0, 1, 0, 0, 0, -5, 0, 0, 2],
+    [0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 4, 24, 13, -2],
+    [0, -1, 1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, -42, 20, 0, 0],
+    [0, -2, 2, 0, 0, 5, -6, 0, 0, 0, 0, 0, 0, -10, 233, 0, 0],
+    [0, -1, 1, 1, 0, 5, -7, 0, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [-2, 0, 2, 0, 0, 6, -8, 0, 0, 0, 0, 0, 0, 78, -18, 0, 0],
+    [2, 1, -3, 1, 0, -6, 7, 0, 0, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 0, 0, 2, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, -3, -1, 0],
+    [0, -1, 1, 1, 0, 0, 1, 0, 1, 0, 0, 0, 0, 0, -4, -2, 1],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 0, 2, 0, 0, 0, -8, -4, -1],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 1, 0, -5, 3, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 2, -7, 0, 0, 3],
+    [0, 0, 0, 0, 0, 0, -8, 15, 0, 0, 0, 0, 2, -14, 8, 3, 6],
+    [0, 0, 0, 0, 0, 0, -8, 15, 0, 0, 0, 0, 1, 0, 8, -4, 0],
+    [0, 1, -1, 1, 0, 0, -9, 15, 0, 0, 0, 0, 0, 0, 19, 10, 0],
+    [0, 0, 0, 0, 0, 0, 8, -15, 0, 0, 0, 0, 0, 45, -22, 0, 0],
+    [1, -1, -1, 0, 0, 0, 8, -15, 0, 0, 0, 0, 0, -3, 0, 0, 0],
+    [2, 0, -2, 0, 0, 2, -5, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -5, 5, 0, 0, 0, 0, 3, 0, 0],
+    [2, 0, -2, 1, 0, 0, -6, 8, 0, 0, 0, 0, 0, 3, 5, 3, -2],
+    [2, 0, -2, 1, 0, 0, -2, 0, 3, 0, 0, 0, 0, 89, -16, -9, -48],
+    [-2, 1, 1, 0, 0, 0, 1, 0, -3, 0, 0, 0, 0, 0, 3, 0, 0],
+    [-2, 1, 1, 1, 0, 0, 1, 0, -3, 0, 0, 0, 0, -3, 7, 4, 2],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -3, 0, 0, 0, 0, -349, -62, 0, 0],
+    [-2, 0, 2, 0, 0, 0, 6, -8, 0, 0, 0, 0, 0, -15, 22, 0, 0],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -1, -5, 0, 0, 0, -3, 0, 0, 0],
+    [-1, 0, 1, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, -53, 0, 0, 0],
+    [-1, 1, 1, 1, 0, -20, 20, 0, 0, 0, 0, 0, 0, 5, 0, 0, -3],
+    [1, 0, -2, 0, 0, 20, -21, 0, 0, 0, 0, 0, 0, 0, -8, 0, 0],
+    [0, 0, 0, 1, 0, 0, 8, -15, 0, 0, 0, 0, 0, 15, -7, -4, -8],
+    [0, 2, -2, 1, 0, 0, -10, 15, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [0, -1, 1, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, -21, -78, 0, 0],
+    [0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 20, -70, -37, -11],
+    [0, 1, -1, 2, 0, 0, -1, 0, 1, 0, 0, 0, 0, 0, 6, 3, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, -2, 4, 0, 0, 0, 5, 3, 2, -2],
+    [2, 0, -2, 1, 0, -6, 8, 0, 0, 0, 0, 0, 0, -17, -4, -2, 9],
+    [0, -2, 2, 1, 0, 5, -6, 0, 0, 0, 0, 0, 0, 0, 6, 3, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, -1, 0, 0, 1, 32, 15, -8, 17],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, -1, 0, 0, 0, 174, 84, 45, -93],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 11, 56, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 1, 0, 0, 0, -66, -12, -6, 35],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 1, 47, 8, 4, -25],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 2, 0, 8, 4, 0],
+    [0, 2, -2, 1, 0, 0, -9, 13, 0, 0, 0, 0, 0, 10, -22, -12, -5],
+    [0, 0, 0, 1, 0, 0, 7, -13, 0, 0, 0, 0, 0, -3, 0, 0, 2],
+    [-2, 0, 2, 0, 0, 0, 5, -6, 0, 0, 0, 0, 0, -24, 12, 0, 0],
+    [0, 0, 0, 0, 0, 0, 9, -17, 0, 0, 0, 0, 0, 5, -6, 0, 0],
+    [0, 0, 0, 0, 0, 0, -9, 17, 0, 0, 0, 0, 2, 3, 0, 0, -2],
+    [1, 0, -1, 1, 0, 0, -3, 4, 0, 0, 0, 0, 0, 4, 3, 1, -2],
+    [1, 0, -1, 1, 0, -3, 4, 0, 0, 0, 0, 0, 0, 0, 29, 15, 0],
+    [0, 0, 0, 2, 0, 0, -1, 2, 0, 0, 0, 0, 0, -5, -4, -2, 2],
+    [0, -1, 1, 1, 0, 0, 0, 2, 0, 0, 0, 0, 0, 8, -3, -1, -5],
+    [0, -2, 2, 0, 1, 0, -2, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0],
+    [0, 0, 0, 0, 0, 3, -5, 0, 2, 0, 0, 0, 0, 10, 0, 0, 0],
+    [-2, 0, 2, 1, 0, 0, 2, 0, -3, 1, 0, 0, 0, 3, 0, 0, -2],
+    [-2, 0, 2, 1, 0, 3, -3, 0, 0, 0, 0, 0, 0, -5, 0, 0, 3],
+    [0, 0, 0, 1, 0, 8, -13, 0, 0, 0, 0, 0, 0, 46, 66, 35, -25],
+    [0, -1, 1, 0, 0, 8, -12, 0, 0, 0, 0, 0, 0, -14, 7, 0, 0],
+    [0, 2, -2, 1, 0, -8, 11, 0, 0, 0, 0, 0, 0, 0, 3, 2, 0],
+    [-1, 0, 1, 0, 0, 0, 2, -2, 0, 0, 0, 0, 0, -5, 0, 0, 0],
+    [-1, 0, 0, 1, 0, 18, -16, 0, 0, 0, 0, 0, 0, -68, -34, -18, 36],
+    [0, 1, -1, 1, 0, 0, -1, 0, -1, 1, 0, 0, 0, 0, 14, 7, 0],
+    [0, 0, 0, 1, 0, 3, -7, 4, 0, 0, 0, 0, 0, 10, -6, -3, -5],
+    [-2, 1, 1, 1, 0, 0, -3, 7, 0, 0, 0, 0, 0, -5, -4, -2, 3],
+    [0, 1, -1, 2, 0, 0, -1, 0, -2, 5, 0, 0, 0, -3, 5, 2, 1],
+    [0, 0, 0, 1, 0, 0, 0, 0, -2, 5, 0, 0, 0, 76, 17, 9, -41],
+    [0, 0, 0, 1, 0, 0, -4, 8, -3, 0, 0, 0, 0, 84, 298, 159, -45],
+    [1, 0, 0, 1, 0, -10, 3, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 2, -2, 1, 0, 0, -2, 0, 0, 0, 0, 0, 0, -3, 0, 0, 2],
+    [-1, 0, 0, 1, 0, 10, -3, 0, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [0, 0, 0, 1, 0, 0, 4, -8, 3, 0, 0, 0, 0, -82, 292, 156, 44],
+    [0, 0, 0, 1, 0, 0, 0, 0, 2, -5, 0, 0, 0, -73, 17, 9, 39],
+    [0, -1, 1, 0, 0, 0, 1, 0, 2, -5, 0, 0, 0, -9, -16, 0, 0],
+    [2, -1, -1, 1, 0, 0, 3, -7, 0, 0, 0, 0, 0, 3, 0, -1, -2],
+    [-2, 0, 2, 0, 0, 0, 2, 0, 0, -5, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 1, 0, -3, 7, -4, 0, 0, 0, 0, 0, -9, -5, -3, 5],
+    [-2, 0, 2, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, -439, 0, 0, 0],
+    [1, 0, 0, 1, 0, -18, 16, 0, 0, 0, 0, 0, 0, 57, -28, -15, -30],
+    [-2, 1, 1, 1, 0, 0, 1, 0, -2, 0, 0, 0, 0, 0, -6, -3, 0],
+    [0, 1, -1, 2, 0, -8, 12, 0, 0, 0, 0, 0, 0, -4, 0, 0, 2],
+    [0, 0, 0, 1, 0, -8, 13, 0, 0, 0, 0, 0, 0, -40, 57, 30, 21],
+    [0, 0, 0, 0, 0, 0, 1, -2, 0, 0, 0, 0, 1, 23, 7, 3, -13],
+    [0, 1, -1, 1, 0, 0, 0, -2, 0, 0, 0, 0, 0, 273, 80, 43, -146],
+    [0, 0, 0, 0, 0, 0, 1, -2, 0, 0, 0, 0, 0, -449, 430, 0, 0],
+    [0, 1, -1, 1, 0, 0, -2, 2, 0, 0, 0, 0, 0, -8, -47, -25, 4],
+    [0, 0, 0, 0, 0, 0, -1, 2, 0, 0, 0, 0, 1, 6, 47, 25, -3],
+    [-1, 0, 1, 1, 0, 3, -4, 0, 0, 0, 0, 0, 0, 0, 23, 13, 0],
+    [-1, 0, 1, 1, 0, 0, 3, -4, 0, 0, 0, 0, 0, -3, 0, 0, 2],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, -2, 0, 0, 0, 3, -4, -2, -2],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 2, 0, 0, 0, -48, -110, -59, 26],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 1, 51, 114, 61, -27],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 2, -133, 0, 0, 57],
+    [0, 1, -1, 0, 0, 3, -6, 0, 0, 0, 0, 0, 0, 0, 4, 0, 0],
+    [0, 0, 0, 1, 0, -3, 5, 0, 0, 0, 0, 0, 0, -21, -6, -3, 11],
+    [0, 1, -1, 2, 0, -3, 4, 0, 0, 0, 0, 0, 0, 0, -3, -1, 0],
+    [0, 0, 0, 1, 0, 0, -2, 4, 0, 0, 0, 0, 0, -11, -21, -11, 6],
+    [0, 2, -2, 1, 0, -5, 6, 0, 0, 0, 0, 0, 0, -18, -436, -233, 9],
+    [0, -1, 1, 0, 0, 5, -7, 0, 0, 0, 0, 0, 0, 35, -7, 0, 0],
+    [0, 0, 0, 1, 0, 5, -8, 0, 0, 0, 0, 0, 0, 0, 5, 3, 0],
+    [-2, 0, 2, 1, 0, 6, -8, 0, 0, 0, 0, 0, 0, 11, -3, -1, -6],
+    [0, 0, 0, 1, 0, 0, -8, 15, 0, 0, 0, 0, 0, -5, -3, -1, 3],
+    [-2, 0, 2, 1, 0, 0, 2, 0, -3, 0, 0, 0, 0, -53, -9, -5, 28],
+    [-2, 0, 2, 1, 0, 0, 6, -8, 0, 0, 0, 0, 0, 0, 3, 2, 1],
+    [1, 0, -1, 1, 0, 0, -1, 0, 1, 0, 0, 0, 0, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 0, 0, 3, -5, 0, 0, 0, 0, -4, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, -1, 0, 0, 0, 0, -50, 194, 103, 27],
+    [0, 0, 0, 0, 0, 0, 0, 0, -1, 0, 0, 0, 1, -13, 52, 28, 7],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, -91, 248, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 6, 49, 26, -3],
+    [0, 1, -1, 1, 0, 0, -1, 0, 1, 0, 0, 0, 0, -6, -47, -25, 3],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 5, 3, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 2, 52, 23, 10, -23],
+    [0, 1, -1, 2, 0, 0, -1, 0, 0, -1, 0, 0, 0, -3, 0, 0, 1],
+    [0, 0, 0, 1, 0, 0, 0, 0, 0, -1, 0, 0, 0, 0, 5, 3, 0],
+    [0, -1, 1, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, -4, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, -7, 13, 0, 0, 0, 0, 2, -4, 8, 3, 2],
+    [0, 0, 0, 0, 0, 0, 7, -13, 0, 0, 0, 0, 0, 10, 0, 0, 0],
+    [2, 0, -2, 1, 0, 0, -5, 6, 0, 0, 0, 0, 0, 3, 0, 0, -2],
+    [0, 2, -2, 1, 0, 0, -8, 11, 0, 0, 0, 0, 0, 0, 8, 4, 0],
+    [0, 2, -2, 1, -1, 0, 2, 0, 0, 0, 0, 0, 0, 0, 8, 4, 1],
+    [-2, 0, 2, 0, 0, 0, 4, -4, 0, 0, 0, 0, 0, -4, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, -2, 0, 0, 0, -4, 0, 0, 0],
+    [0, 1, -1, 1, 0, 0, -1, 0, 0, 3, 0, 0, 0, -8, 4, 2, 4],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 1, 8, -4, -2, -4],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 2, 0, 15, 7, 0],
+    [-2, 0, 2, 0, 0, 3, -3, 0, 0, 0, 0, 0, 0, -138, 0, 0, 0],
+    [0, 0, 0, 2, 0, 0, -4, 8, -3, 0, 0, 0, 0, 0, -7, -3, 0],
+    [0, 0, 0, 2, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, -7, -3, 0],
+    [2, 0, -2, 1, 0, 0, -2, 0, 2, 0, 0, 0, 0, 54, 0, 0, -29],
+    [0, 1, -1, 2, 0, 0, -1, 0, 2, 0, 0, 0, 0, 0, 10, 4, 0],
+    [0, 1, -1, 2, 0, 0, 0, -2, 0, 0, 0, 0, 0, -7, 0, 0, 3],
+    [0, 0, 0, 1, 0, 0, 1, -2, 0, 0, 0, 0, 0, -37, 35, 19, 20],
+    [0, -1, 1, 0, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, 4, 0, 0],
+    [0, -1, 1, 0, 0, 0, 1, 0, 0, -2, 0, 0, 0, -4, 9, 0, 0],
+    [0, 2, -2, 1, 0, 0, -2, 0, 0, 2, 0, 0, 0, 8, 0, 0, -4],
+    [0, 1, -1, 1, 0, 3, -6, 0, 0, 0, 0, 0, 0, -9, -14, -8, 5],
+    [0, 0, 0, 0, 0, 3, -5, 0, 0, 0, 0, 0, 1, -3, -9, -5, 3],
+    [0, 0, 0, 0, 0, 3, -5, 0, 0, 0, 0, 0, 0, -145, 47, 0, 0],
+    [0, 1, -1, 1, 0, -3, 4, 0, 0, 0, 0, 0, 0, -10, 40, 21, 5],
+    [0, 0, 0, 0, 0, -3, 5, 0, 0, 0, 0, 0, 1, 11, -49, -26, -7],
+    [0, 0, 0, 0, 0, -3, 5, 0, 0, 0, 0, 0, 2, -2150, 0, 0, 932],
+    [0, 2, -2, 2, 0, -3, 3, 0, 0, 0, 0, 0, 0, -12, 0, 0, 5],
+    [0, 0, 0, 0, 0, -3, 5, 0, 0, 0, 0, 0, 2, 85, 0, 0, -37],
+    [0, 0, 0, 0, 0, 0, 2, -4, 0, 0, 0, 0, 1, 4, 0, 0, -2],
+    [0, 1, -1, 1, 0, 0, 1, -4, 0, 0, 0, 0, 0, 3, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 2, -4, 0, 0, 0, 0, 0, -86, 153, 0, 0],
+    [0, 0, 0, 0, 0, 0, -2, 4, 0, 0, 0, 0, 1, -6, 9, 5, 3],
+    [0, 1, -1, 1, 0, 0, -3, 4, 0, 0, 0, 0, 0, 9, -13, -7, -5],
+    [0, 0, 0, 0, 0, 0, -2, 4, 0, 0, 0, 0, 1, -8, 12, 6, 4],
+    [0, 0, 0, 0, 0, 0, -2, 4, 0, 0, 0, 0, 2, -51, 0, 0, 22],
+    [0, 0, 0, 0, 0, -5, 8, 0, 0, 0, 0, 0, 2, -11, -268, -116, 5],
+    [0, 2, -2, 2, 0, -5, 6, 0, 0, 0, 0, 0, 0, 0, 12, 5, 0],
+    [0, 0, 0, 0, 0, -5, 8, 0, 0, 0, 0, 0, 2, 0, 7, 3, 0],
+    [0, 0, 0, 0, 0, -5, 8, 0, 0, 0, 0, 0, 1, 31, 6, 3, -17],
+    [0, 1, -1, 1, 0, -5, 7, 0, 0, 0, 0, 0, 0, 140, 27, 14, -75],
+    [0, 0, 0, 0, 0, -5, 8, 0, 0, 0, 0, 0, 1, 57, 11, 6, -30],
+    [0, 0, 0, 0, 0, 5, -8, 0, 0, 0, 0, 0, 0, -14, -39, 0, 0],
+    [0, 1, -1, 2, 0, 0, -1, 0, -1, 0, 0, 0, 0, 0, -6, -2, 0],
+    [0, 0, 0, 1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 4, 15, 8, -2],
+    [0, -1, 1, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, 0, 4, 0, 0],
+    [0, 2, -2, 1, 0, 0, -2, 0, 1, 0, 0, 0, 0, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, -6, 11, 0, 0, 0, 0, 2, 0, 11, 5, 0],
+    [0, 0, 0, 0, 0, 0, 6, -11, 0, 0, 0, 0, 0, 9, 6, 0, 0],
+    [0, 0, 0, 0, -1, 0, 4, 0, 0, 0, 0, 0, 2, -4, 10, 4, 2],
+    [0, 0, 0, 0, 1, 0, -4, 0, 0, 0, 0, 0, 0, 5, 3, 0, 0],
+    [2, 0, -2, 1, 0, -3, 3, 0, 0, 0, 0, 0, 0, 16, 0, 0, -9],
+    [-2, 0, 2, 0, 0, 0, 2, 0, 0, -2, 0, 0, 0, -3, 0, 0, 0],
+    [0, 2, -2, 1, 0, 0, -7, 9, 0, 0, 0, 0, 0, 0, 3, 2, -1],
+    [0, 0, 0, 0, 0, 0, 0, 0, 4, -5, 0, 0, 2, 7, 0, 0, -3],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, -25, 22, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 42, 223, 119, -22],
+    [0, 1, -1, 1, 0, 0, -1, 0, 2, 0, 0, 0, 0, -27, -143, -77, 14],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 1, 9, 49, 26, -5],
+    [0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 2, -1166, 0, 0, 505],
+    [0, 2, -2, 2, 0, 0, -2, 0, 2, 0, 0, 0, 0, -5, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 5, 0, 0, 2, -6, 0, 0, 3],
+    [0, 0, 0, 1, 0, 3, -5, 0, 0, 0, 0, 0, 0, -8, 0, 1, 4],
+    [0, -1, 1, 0, 0, 3, -4, 0, 0, 0, 0, 0, 0, 0, -4, 0, 0],
+    [0, 2, -2, 1, 0, -3, 3, 0, 0, 0, 0, 0, 0, 117, 0, 0, -63],
+    [0, 0, 0, 1, 0, 0, 2, -4, 0, 0, 0, 0, 0, -4, 8, 4, 2],
+    [0, 2, -2, 1, 0, 0, -4, 4, 0, 0, 0, 0, 0, 3, 0, 0, -2],
+    [0, 1, -1, 2, 0, -5, 7, 0, 0, 0, 0, 0, 0, -5, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 3, -6, 0, 0, 0, 0, 0, 0, 31, 0, 0],
+    [0, 0, 0, 0, 0, 0, -3, 6, 0, 0, 0, 0, 1, -5, 0, 1, 3],
+    [0, 1, -1, 1, 0, 0, -4, 6, 0, 0, 0, 0, 0, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, -3, 6, 0, 0, 0, 0, 1, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, -3, 6, 0, 0, 0, 0, 2, -24, -13, -6, 10],
+    [0, -1, 1, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0],
+    [0, 0, 0, 1, 0, 2, -3, 0, 0, 0, 0, 0, 0, 0, -32, -17, 0],
+    [0, 0, 0, 0, 0, 0, -5, 9, 0, 0, 0, 0, 2, 8, 12, 5, -3],
+    [0, 0, 0, 0, 0, 0, -5, 9, 0, 0, 0, 0, 1, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, 5, -9, 0, 0, 0, 0, 0, 7, 13, 0, 0],
+    [0, -1, 1, 0, 0, 0, 1, 0, -2, 0, 0, 0, 0, -3, 16, 0, 0],
+    [0, 2, -2, 1, 0, 0, -2, 0, 2, 0, 0, 0, 0, 50, 0, 0, -27],
+    [-2, 1, 1, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, -5, -3, 0],
+    [0, -2, 2, 0, 0, 3, -3, 0, 0, 0, 0, 0, 0, 13, 0, 0, 0],
+    [0, 0, 0, 0, 0, -6, 10, 0, 0, 0, 0, 0, 1, 0, 5, 3, 1],
+    [0, 0, 0, 0, 0, -6, 10, 0, 0, 0, 0, 0, 2, 24, 5, 2, -11],
+    [0, 0, 0, 0, 0, -2, 3, 0, 0, 0, 0, 0, 2, 5, -11, -5, -2],
+    [0, 0, 0, 0, 0, -2, 3, 0, 0, 0, 0, 0, 1, 30, -3, -2, -16],
+    [0, 1, -1, 1, 0, -2, 2, 0, 0, 0, 0, 0, 0, 18, 0, 0, -9],
+    [0, 0, 0, 0, 0, 2, -3, 0, 0, 0, 0, 0, 0, 8, 614, 0, 0],
+    [0, 0, 0, 0, 0, 2, -3, 0, 0, 0, 0, 0, 1, 3, -3, -1, -2],
+    [0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 1, 6, 17, 9, -3],
+    [0, 1, -1, 1, 0, 0, -1, 0, 3, 0, 0, 0, 0, -3, -9, -5, 2],
+    [0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 1, 0, 6, 3, -1],
+    [0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 2, -127, 21, 9, 55],
+    [0, 0, 0, 0, 0, 0, 4, -8, 0, 0, 0, 0, 0, 3, 5, 0, 0],
+    [0, 0, 0, 0, 0, 0, -4, 8, 0, 0, 0, 0, 2, -6, -10, -4, 3],
+    [0, -2, 2, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, 5, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, -4, 7, 0, 0, 0, 0, 2, 16, 9, 4, -7],
+    [0, 0, 0, 0, 0, 0, -4, 7, 0, 0, 0, 0, 1, 3, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 4, -7, 0, 0, 0, 0, 0, 0, 22, 0, 0],
+    [0, 0, 0, 1, 0, -2, 3, 0, 0, 0, 0, 0, 0, 0, 19, 10, 0],
+    [0, 2, -2, 1, 0, 0, -2, 0, 3, 0, 0, 0, 0, 7, 0, 0, -4],
+    [0, 0, 0, 0, 0, 0, -5, 10, 0, 0, 0, 0, 2, 0, -5, -2, 0],
+    [0, 0, 0, 1, 0, -1, 2, 0, 0, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0, 2, -9, 3, 1, 4],
+    [0, 0, 0, 0, 0, 0, -3, 5, 0, 0, 0, 0, 2, 17, 0, 0, -7],
+    [0, 0, 0, 0, 0, 0, -3, 5, 0, 0, 0, 0, 1, 0, -3, -2, -1],
+    [0, 0, 0, 0, 0, 0, 3, -5, 0, 0, 0, 0, 0, -20, 34, 0, 0],
+    [0, 0, 0, 0, 0, 1, -2, 0, 0, 0, 0, 0, 1, -10, 0, 1, 5],
+    [0, 1, -1, 1, 0, 1, -3, 0, 0, 0, 0, 0, 0, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, 1, -2, 0, 0, 0, 0, 0, 0, 22, -87, 0, 0],
+    [0, 0, 0, 0, 0, -1, 2, 0, 0, 0, 0, 0, 1, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, -1, 2, 0, 0, 0, 0, 0, 2, -3, -6, -2, 1],
+    [0, 0, 0, 0, 0, -7, 11, 0, 0, 0, 0, 0, 2, -16, -3, -1, 7],
+    [0, 0, 0, 0, 0, -7, 11, 0, 0, 0, 0, 0, 1, 0, -3, -2, 0],
+    [0, -2, 2, 0, 0, 4, -4, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, -3, 0, 0, 0, 0, 0, -68, 39, 0, 0],
+    [0, 2, -2, 1, 0, -4, 4, 0, 0, 0, 0, 0, 0, 27, 0, 0, -14],
+    [0, -1, 1, 0, 0, 4, -5, 0, 0, 0, 0, 0, 0, 0, -4, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 0, -25, 0, 0, 0],
+    [0, 0, 0, 0, 0, -4, 7, 0, 0, 0, 0, 0, 1, -12, -3, -2, 6],
+    [0, 1, -1, 1, 0, -4, 6, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, -4, 7, 0, 0, 0, 0, 0, 2, 3, 66, 29, -1],
+    [0, 0, 0, 0, 0, -4, 6, 0, 0, 0, 0, 0, 2, 490, 0, 0, -213],
+    [0, 0, 0, 0, 0, -4, 6, 0, 0, 0, 0, 0, 1, -22, 93, 49, 12],
+    [0, 1, -1, 1, 0, -4, 5, 0, 0, 0, 0, 0, 0, -7, 28, 15, 4],
+    [0, 0, 0, 0, 0, -4, 6, 0, 0, 0, 0, 0, 1, -3, 13, 7, 2],
+    [0, 0, 0, 0, 0, 4, -6, 0, 0, 0, 0, 0, 0, -46, 14, 0, 0],
+    [-2, 0, 2, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, -5, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 2, 1, 0, 0],
+    [0, -1, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0],
+    [0, 0, 0, 1, 0, 1, -1, 0, 0, 0, 0, 0, 0, -28, 0, 0, 15],
+    [0, 0, 0, 0, 0, 0, -1, 0, 5, 0, 0, 0, 2, 5, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 1, -3, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [0, 0, 0, 0, 0, 0, -1, 3, 0, 0, 0, 0, 2, -11, 0, 0, 5],
+    [0, 0, 0, 0, 0, 0, -7, 12, 0, 0, 0, 0, 2, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, -1, 1, 0, 0, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, -1, 1, 0, 0, 0, 0, 0, 1, 25, 106, 57, -13],
+    [0, 1, -1, 1, 0, -1, 0, 0, 0, 0, 0, 0, 0, 5, 21, 11, -3],
+    [0, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 0, 0, 1485, 0, 0, 0],
+    [0, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 0, 1, -7, -32, -17, 4],
+    [0, 1, -1, 1, 0, 1, -2, 0, 0, 0, 0, 0, 0, 0, 5, 3, 0],
+    [0, 0, 0, 0, 0, 0, -2, 5, 0, 0, 0, 0, 2, -6, -3, -2, 3],
+    [0, 0, 0, 0, 0, 0, -1, 0, 4, 0, 0, 0, 2, 30, -6, -2, -13],
+    [0, 0, 0, 0, 0, 0, 1, 0, -4, 0, 0, 0, 0, -4, 4, 0, 0],
+    [0, 0, 0, 1, 0, -1, 1, 0, 0, 0, 0, 0, 0, -19, 0, 0, 10],
+    [0, 0, 0, 0, 0, 0, -6, 10, 0, 0, 0, 0, 2, 0, 4, 2, -1],
+    [0, 0, 0, 0, 0, 0, -6, 10, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [0, 2, -2, 1, 0, 0, -3, 0, 3, 0, 0, 0, 0, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, -3, 7, 0, 0, 0, 0, 2, 0, -3, -1, 0],
+    [-2, 0, 2, 0, 0, 4, -4, 0, 0, 0, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, -5, 8, 0, 0, 0, 0, 2, 5, 3, 1, -2],
+    [0, 0, 0, 0, 0, 0, 5, -8, 0, 0, 0, 0, 0, 0, 11, 0, 0],
+    [0, 0, 0, 0, 0, 0, -1, 0, 3, 0, 0, 0, 2, 118, 0, 0, -52],
+    [0, 0, 0, 0, 0, 0, -1, 0, 3, 0, 0, 0, 1, 0, -5, -3, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, -3, 0, 0, 0, 0, -28, 36, 0, 0],
+    [0, 0, 0, 0, 0, 2, -4, 0, 0, 0, 0, 0, 0, 5, -5, 0, 0],
+    [0, 0, 0, 0, 0, -2, 4, 0, 0, 0, 0, 0, 1, 14, -59, -31, -8],
+    [0, 1, -1, 1, 0, -2, 3, 0, 0, 0, 0, 0, 0, 0, 9, 5, 1],
+    [0, 0, 0, 0, 0, -2, 4, 0, 0, 0, 0, 0, 2, -458, 0, 0, 198],
+    [0, 0, 0, 0, 0, -6, 9, 0, 0, 0, 0, 0, 2, 0, -45, -20, 0],
+    [0, 0, 0, 0, 0, -6, 9, 0, 0, 0, 0, 0, 1, 9, 0, 0, -5],
+    [0, 0, 0, 0, 0, 6, -9, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0],
+    [0, 0, 0, 1, 0, 0, 1, 0, -2, 0, 0, 0, 0, 0, -4, -2, -1],
+    [0, 2, -2, 1, 0, -2, 2, 0, 0, 0, 0, 0, 0, 11, 0, 0, -6],
+    [0, 0, 0, 0, 0, 0, -4, 6, 0, 0, 0, 0, 2, 6, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 4, -6, 0, 0, 0, 0, 0, -16, 23, 0, 0],
+    [0, 0, 0, 1, 0, 3, -4, 0, 0, 0, 0, 0, 0, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, 0, -1, 0, 2, 0, 0, 0, 2, -5, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 1, 0, -2, 0, 0, 0, 0, -166, 269, 0, 0],
+    [0, 0, 0, 1, 0, 0, 1, 0, -1, 0, 0, 0, 0, 15, 0, 0, -8],
+    [0, 0, 0, 0, 0, -5, 9, 0, 0, 0, 0, 0, 2, 10, 0, 0, -4],
+    [0, 0, 0, 0, 0, 0, 3, -4, 0, 0, 0, 0, 0, -78, 45, 0, 0],
+    [0, 0, 0, 0, 0, -3, 4, 0, 0, 0, 0, 0, 2, 0, -5, -2, 0],
+    [0, 0, 0, 0, 0, -3, 4, 0, 0, 0, 0, 0, 1, 7, 0, 0, -4],
+    [0, 0, 0, 0, 0, 3, -4, 0, 0, 0, 0, 0, 0, -5, 328, 0, 0],
+    [0, 0, 0, 0, 0, 3, -4, 0, 0, 0, 0, 0, 1, 3, 0, 0, -2],
+    [0, 0, 0, 1, 0, 0, 2, -2, 0, 0, 0, 0, 0, 5, 0, 0, -2],
+    [0, 0, 0, 1, 0, 0, -1, 0, 2, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, -3, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, -5, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, -1, 0, 1, 0, 0, 0, 1, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, -1223, -26, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, -1, 0, 0, 0, 1, 0, 7, 3, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, -3, 5, 0, 0, 0, 3, 0, 0, 0],
+    [0, 0, 0, 1, 0, -3, 4, 0, 0, 0, 0, 0, 0, 0, 3, 2, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, -2, 0, 0, 0, -6, 20, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, -2, 0, 0, 0, 0, 0, -368, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, -75, 0, 0, 0],
+    [0, 0, 0, 1, 0, 0, -1, 0, 1, 0, 0, 0, 0, 11, 0, 0, -6],
+    [0, 0, 0, 1, 0, 0, -2, 2, 0, 0, 0, 0, 0, 3, 0, 0, -2],
+    [0, 0, 0, 0, 0, -8, 14, 0, 0, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, 1, 0, 2, -5, 0, 0, 0, -13, -30, 0, 0],
+    [0, 0, 0, 0, 0, 0, 5, -8, 3, 0, 0, 0, 0, 21, 3, 0, 0],
+    [0, 0, 0, 0, 0, 0, 5, -8, 3, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, -1, 0, 0, 0, 0, 0, 1, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 8, -27, 0, 0],
+    [0, 0, 0, 0, 0, 0, 3, -8, 3, 0, 0, 0, 0, -19, -11, 0, 0],
+    [0, 0, 0, 0, 0, 0, -3, 8, -3, 0, 0, 0, 2, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 1, 0, -2, 5, 0, 0, 2, 0, 5, 2, 0],
+    [0, 0, 0, 0, 0, -8, 12, 0, 0, 0, 0, 0, 2, -6, 0, 0, 2],
+    [0, 0, 0, 0, 0, -8, 12, 0, 0, 0, 0, 0, 0, -8, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, -2, 0, 0, 0, -1, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 2, -14, 0, 0, 6],
+    [0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 6, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, -74, 0, 0, 32],
+    [0, 0, 0, 0, 0, 0, 1, 0, 0, 2, 0, 0, 2, 0, -3, -1, 0],
+    [0, 2, -2, 1, 0, -5, 5, 0, 0, 0, 0, 0, 0, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 0, 8, 11, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 3, 2, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 2, -262, 0, 0, 114],
+    [0, 0, 0, 0, 0, 3, -6, 0, 0, 0, 0, 0, 0, 0, -4, 0, 0],
+    [0, 0, 0, 0, 0, -3, 6, 0, 0, 0, 0, 0, 1, -7, 0, 0, 4],
+    [0, 0, 0, 0, 0, -3, 6, 0, 0, 0, 0, 0, 2, 0, -27, -12, 0],
+    [0, 0, 0, 0, 0, 0, -1, 4, 0, 0, 0, 0, 2, -19, -8, -4, 8],
+    [0, 0, 0, 0, 0, -5, 7, 0, 0, 0, 0, 0, 2, 202, 0, 0, -87],
+    [0, 0, 0, 0, 0, -5, 7, 0, 0, 0, 0, 0, 1, -8, 35, 19, 5],
+    [0, 1, -1, 1, 0, -5, 6, 0, 0, 0, 0, 0, 0, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 5, -7, 0, 0, 0, 0, 0, 0, 16, -5, 0, 0],
+    [0, 2, -2, 1, 0, 0, -1, 0, 1, 0, 0, 0, 0, 5, 0, 0, -3],
+    [0, 0, 0, 0, 0, 0, -1, 0, 1, 0, 0, 0, 0, 0, -3, 0, 0],
+    [0, 0, 0, 0, -1, 0, 3, 0, 0, 0, 0, 0, 2, 1, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 0, 2, 0, 0, 0, 2, -35, -48, -21, 15],
+    [0, 0, 0, 0, 0, 0, -2, 6, 0, 0, 0, 0, 2, -3, -5, -2, 1],
+    [0, 0, 0, 1, 0, 2, -2, 0, 0, 0, 0, 0, 0, 6, 0, 0, -3],
+    [0, 0, 0, 0, 0, 0, -6, 9, 0, 0, 0, 0, 2, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, 6, -9, 0, 0, 0, 0, 0, 0, -5, 0, 0],
+    [0, 0, 0, 0, 0, -2, 2, 0, 0, 0, 0, 0, 1, 12, 55, 29, -6],
+    [0, 1, -1, 1, 0, -2, 1, 0, 0, 0, 0, 0, 0, 0, 5, 3, 0],
+    [0, 0, 0, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, -598, 0, 0, 0],
+    [0, 0, 0, 0, 0, 2, -2, 0, 0, 0, 0, 0, 1, -3, -13, -7, 1],
+    [0, 0, 0, 0, 0, 0, 1, 0, 3, 0, 0, 0, 2, -5, -7, -3, 2],
+    [0, 0, 0, 0, 0, 0, -5, 7, 0, 0, 0, 0, 2, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, 5, -7, 0, 0, 0, 0, 0, 5, -7, 0, 0],
+    [0, 0, 0, 1, 0, -2, 2, 0, 0, 0, 0, 0, 0, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 4, -5, 0, 0, 0, 0, 0, 16, -6, 0, 0],
+    [0, 0, 0, 0, 0, 1, -3, 0, 0, 0, 0, 0, 0, 8, -3, 0, 0],
+    [0, 0, 0, 0, 0, -1, 3, 0, 0, 0, 0, 0, 1, 8, -31, -16, -4],
+    [0, 1, -1, 1, 0, -1, 2, 0, 0, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, -1, 3, 0, 0, 0, 0, 0, 2, 113, 0, 0, -49],
+    [0, 0, 0, 0, 0, -7, 10, 0, 0, 0, 0, 0, 2, 0, -24, -10, 0],
+    [0, 0, 0, 0, 0, -7, 10, 0, 0, 0, 0, 0, 1, 4, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 3, -3, 0, 0, 0, 0, 0, 27, 0, 0, 0],
+    [0, 0, 0, 0, 0, -4, 8, 0, 0, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, -4, 5, 0, 0, 0, 0, 0, 2, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, -4, 5, 0, 0, 0, 0, 0, 1, 5, 0, 0, -2],
+    [0, 0, 0, 0, 0, 4, -5, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0],
+    [0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 2, -13, 0, 0, 6],
+    [0, 0, 0, 0, 0, 0, -2, 0, 5, 0, 0, 0, 2, 5, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 2, -18, -10, -4, 8],
+    [0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, -4, -28, 0, 0],
+    [0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 2, -5, 6, 3, 2],
+    [0, 0, 0, 0, 0, -9, 13, 0, 0, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, -1, 5, 0, 0, 0, 0, 2, -5, -9, -4, 2],
+    [0, 0, 0, 0, 0, 0, -2, 0, 4, 0, 0, 0, 2, 17, 0, 0, -7],
+    [0, 0, 0, 0, 0, 0, 2, 0, -4, 0, 0, 0, 0, 11, 4, 0, 0],
+    [0, 0, 0, 0, 0, 0, -2, 7, 0, 0, 0, 0, 2, 0, -6, -2, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, -3, 0, 0, 0, 0, 83, 15, 0, 0],
+    [0, 0, 0, 0, 0, -2, 5, 0, 0, 0, 0, 0, 1, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, -2, 5, 0, 0, 0, 0, 0, 2, 0, -114, -49, 0],
+    [0, 0, 0, 0, 0, -6, 8, 0, 0, 0, 0, 0, 2, 117, 0, 0, -51],
+    [0, 0, 0, 0, 0, -6, 8, 0, 0, 0, 0, 0, 1, -5, 19, 10, 2],
+    [0, 0, 0, 0, 0, 6, -8, 0, 0, 0, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 1, 0, 0, 2, 0, -2, 0, 0, 0, 0, -3, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, -3, 9, 0, 0, 0, 0, 2, 0, -3, -1, 0],
+    [0, 0, 0, 0, 0, 0, 5, -6, 0, 0, 0, 0, 0, 3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 5, -6, 0, 0, 0, 0, 2, 0, -6, -2, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, 393, 3, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, -2, 0, 0, 0, 1, -4, 21, 11, 2],
+    [0, 0, 0, 0, 0, 0, 2, 0, -2, 0, 0, 0, 2, -6, 0, -1, 3],
+    [0, 0, 0, 0, 0, -5, 10, 0, 0, 0, 0, 0, 2, -3, 8, 4, 1],
+    [0, 0, 0, 0, 0, 0, 4, -4, 0, 0, 0, 0, 0, 8, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 4, -4, 0, 0, 0, 0, 2, 18, -29, -13, -8],
+    [0, 0, 0, 0, 0, -3, 3, 0, 0, 0, 0, 0, 1, 8, 34, 18, -4],
+    [0, 0, 0, 0, 0, 3, -3, 0, 0, 0, 0, 0, 0, 89, 0, 0, 0],
+    [0, 0, 0, 0, 0, 3, -3, 0, 0, 0, 0, 0, 1, 3, 12, 6, -1],
+    [0, 0, 0, 0, 0, 3, -3, 0, 0, 0, 0, 0, 2, 54, -15, -7, -24],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, -3, 0, 0, 0, 0, 3, 0, 0],
+    [0, 0, 0, 0, 0, 0, -5, 13, 0, 0, 0, 0, 2, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, 2, 0, -1, 0, 0, 0, 0, 0, 35, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, -1, 0, 0, 0, 2, -154, -30, -13, 67],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, -2, 0, 0, 0, 15, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, -2, 0, 0, 1, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 0, 3, -2, 0, 0, 0, 0, 0, 0, 9, 0, 0],
+    [0, 0, 0, 0, 0, 0, 3, -2, 0, 0, 0, 0, 2, 80, -71, -31, -35],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, -1, 0, 0, 2, 0, -20, -9, 0],
+    [0, 0, 0, 0, 0, 0, -6, 15, 0, 0, 0, 0, 2, 11, 5, 2, -5],
+    [0, 0, 0, 0, 0, -8, 15, 0, 0, 0, 0, 0, 2, 61, -96, -42, -27],
+    [0, 0, 0, 0, 0, -3, 9, -4, 0, 0, 0, 0, 2, 14, 9, 4, -6],
+    [0, 0, 0, 0, 0, 0, 2, 0, 2, -5, 0, 0, 2, -11, -6, -3, 5],
+    [0, 0, 0, 0, 0, 0, -2, 8, -1, -5, 0, 0, 2, 0, -3, -1, 0],
+    [0, 0, 0, 0, 0, 0, 6, -8, 3, 0, 0, 0, 2, 123, -415, -180, -53],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, -35],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, -5, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 1, 7, -32, -17, -4],
+    [0, 1, -1, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, -9, -5, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 1, 0, -4, 2, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 2, -89, 0, 0, 38],
+    [0, 0, 0, 0, 0, 0, -6, 16, -4, -5, 0, 0, 2, 0, -86, -19, -6],
+    [0, 0, 0, 0, 0, 0, -2, 8, -3, 0, 0, 0, 2, 0, 0, -19, 6],
+    [0, 0, 0, 0, 0, 0, -2, 8, -3, 0, 0, 0, 2, -123, -416, -180, 53],
+    [0, 0, 0, 0, 0, 0, 6, -8, 1, 5, 0, 0, 2, 0, -3, -1, 0],
+    [0, 0, 0, 0, 0, 0, 2, 0, -2, 5, 0, 0, 2, 12, -6, -3, -5],
+    [0, 0, 0, 0, 0, 3, -5, 4, 0, 0, 0, 0, 2, -13, 9, 4, 6],
+    [0, 0, 0, 0, 0, -8, 11, 0, 0, 0, 0, 0, 2, 0, -15, -7, 0],
+    [0, 0, 0, 0, 0, -8, 11, 0, 0, 0, 0, 0, 1, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, -8, 11, 0, 0, 0, 0, 0, 2, -62, -97, -42, 27],
+    [0, 0, 0, 0, 0, 0, 11, 0, 0, 0, 0, 0, 2, -11, 5, 2, 5],
+    [0, 0, 0, 0, 0, 0, 2, 0, 0, 1, 0, 0, 2, 0, -19, -8, 0],
+    [0, 0, 0, 0, 0, 3, -3, 0, 2, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 2, -2, 1, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, 4, 2, 0],
+    [0, 1, -1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [0, 2, -2, 1, 0, 0, -4, 8, -3, 0, 0, 0, 0, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 0, 1, 2, 0, 0, 0, 0, 2, -85, -70, -31, 37],
+    [0, 0, 0, 0, 0, 0, 2, 0, 1, 0, 0, 0, 2, 163, -12, -5, -72],
+    [0, 0, 0, 0, 0, -3, 7, 0, 0, 0, 0, 0, 2, -63, -16, -7, 28],
+    [0, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0, 0, 2, -21, -32, -14, 9],
+    [0, 0, 0, 0, 0, -5, 6, 0, 0, 0, 0, 0, 2, 0, -3, -1, 0],
+    [0, 0, 0, 0, 0, -5, 6, 0, 0, 0, 0, 0, 1, 3, 0, 0, -2],
+    [0, 0, 0, 0, 0, 5, -6, 0, 0, 0, 0, 0, 0, 0, 8, 0, 0],
+    [0, 0, 0, 0, 0, 5, -6, 0, 0, 0, 0, 0, 2, 3, 10, 4, -1],
+    [0, 0, 0, 0, 0, 0, 2, 0, 2, 0, 0, 0, 2, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, -1, 6, 0, 0, 0, 0, 2, 0, -7, -3, 0],
+    [0, 0, 0, 0, 0, 0, 7, -9, 0, 0, 0, 0, 2, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, 2, -1, 0, 0, 0, 0, 0, 0, 6, 19, 0, 0],
+    [0, 0, 0, 0, 0, 2, -1, 0, 0, 0, 0, 0, 2, 5, -173, -75, -2],
+    [0, 0, 0, 0, 0, 0, 6, -7, 0, 0, 0, 0, 2, 0, -7, -3, 0],
+    [0, 0, 0, 0, 0, 0, 5, -5, 0, 0, 0, 0, 2, 7, -12, -5, -3],
+    [0, 0, 0, 0, 0, -1, 4, 0, 0, 0, 0, 0, 1, -3, 0, 0, 2],
+    [0, 0, 0, 0, 0, -1, 4, 0, 0, 0, 0, 0, 2, 3, -4, -2, -1],
+    [0, 0, 0, 0, 0, -7, 9, 0, 0, 0, 0, 0, 2, 74, 0, 0, -32],
+    [0, 0, 0, 0, 0, -7, 9, 0, 0, 0, 0, 0, 1, -3, 12, 6, 2],
+    [0, 0, 0, 0, 0, 0, 4, -3, 0, 0, 0, 0, 2, 26, -14, -6, -11],
+    [0, 0, 0, 0, 0, 0, 3, -1, 0, 0, 0, 0, 2, 19, 0, 0, -8],
+    [0, 0, 0, 0, 0, -4, 4, 0, 0, 0, 0, 0, 1, 6, 24, 13, -3],
+    [0, 0, 0, 0, 0, 4, -4, 0, 0, 0, 0, 0, 0, 83, 0, 0, 0],
+    [0, 0, 0, 0, 0, 4, -4, 0, 0, 0, 0, 0, 1, 0, -10, -5, 0],
+    [0, 0, 0, 0, 0, 4, -4, 0, 0, 0, 0, 0, 2, 11, -3, -1, -5],
+    [0, 0, 0, 0, 0, 0, 2, 1, 0, 0, 0, 0, 2, 3, 0, 1, -1],
+    [0, 0, 0, 0, 0, 0, -3, 0, 5, 0, 0, 0, 2, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, -4, 0, 0, 0],
+    [0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 1, 5, -23, -12, -3],
+    [0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 2, -339, 0, 0, 147],
+    [0, 0, 0, 0, 0, -9, 12, 0, 0, 0, 0, 0, 2, 0, -10, -5, 0],
+    [0, 0, 0, 0, 0, 0, 3, 0, -4, 0, 0, 0, 0, 5, 0, 0, 0],
+    [0, 2, -2, 1, 0, 1, -1, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 0, 7, -8, 0, 0, 0, 0, 2, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, 0, 3, 0, -3, 0, 0, 0, 0, 18, -3, 0, 0],
+    [0, 0, 0, 0, 0, 0, 3, 0, -3, 0, 0, 0, 2, 9, -11, -5, -4],
+    [0, 0, 0, 0, 0, -2, 6, 0, 0, 0, 0, 0, 2, -8, 0, 0, 4],
+    [0, 0, 0, 0, 0, -6, 7, 0, 0, 0, 0, 0, 1, 3, 0, 0, -1],
+    [0, 0, 0, 0, 0, 6, -7, 0, 0, 0, 0, 0, 0, 0, 9, 0, 0],
+    [0, 0, 0, 0, 0, 0, 6, -6, 0, 0, 0, 0, 2, 6, -9, -4, -2],
+    [0, 0, 0, 0, 0, 0, 3, 0, -2, 0, 0, 0, 0, -4, -12, 0, 0],
+    [0, 0, 0, 0, 0, 0, 3, 0, -2, 0, 0, 0, 2, 67, -91, -39, -29],
+    [0, 0, 0, 0, 0, 0, 5, -4, 0, 0, 0, 0, 2, 30, -18, -8, -13],
+    [0, 0, 0, 0, 0, 3, -2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 3, -2, 0, 0, 0, 0, 0, 2, 0, -114, -50, 0],
+    [0, 0, 0, 0, 0, 0, 3, 0, -1, 0, 0, 0, 2, 0, 0, 0, 23],
+    [0, 0, 0, 0, 0, 0, 3, 0, -1, 0, 0, 0, 2, 517, 16, 7, -224],
+    [0, 0, 0, 0, 0, 0, 3, 0, 0, -2, 0, 0, 2, 0, -7, -3, 0],
+    [0, 0, 0, 0, 0, 0, 4, -2, 0, 0, 0, 0, 2, 143, -3, -1, -62],
+    [0, 0, 0, 0, 0, 0, 3, 0, 0, -1, 0, 0, 2, 29, 0, 0, -13],
+    [0, 2, -2, 1, 0, 0, 1, 0, -1, 0, 0, 0, 0, -4, 0, 0, 2],
+    [0, 0, 0, 0, 0, -8, 16, 0, 0, 0, 0, 0, 2, -6, 0, 0, 3],
+    [0, 0, 0, 0, 0, 0, 3, 0, 2, -5, 0, 0, 2, 5, 12, 5, -2],
+    [0, 0, 0, 0, 0, 0, 7, -8, 3, 0, 0, 0, 2, -25, 0, 0, 11],
+    [0, 0, 0, 0, 0, 0, -5, 16, -4, -5, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 2, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 0, -1, 8, -3, 0, 0, 0, 2, -22, 12, 5, 10],
+    [0, 0, 0, 0, 0, -8, 10, 0, 0, 0, 0, 0, 2, 50, 0, 0, -22],
+    [0, 0, 0, 0, 0, -8, 10, 0, 0, 0, 0, 0, 1, 0, 7, 4, 0],
+    [0, 0, 0, 0, 0, -8, 10, 0, 0, 0, 0, 0, 2, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 0, 2, 2, 0, 0, 0, 0, 2, -4, 4, 2, 2],
+    [0, 0, 0, 0, 0, 0, 3, 0, 1, 0, 0, 0, 2, -5, -11, -5, 2],
+    [0, 0, 0, 0, 0, -3, 8, 0, 0, 0, 0, 0, 2, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, -5, 5, 0, 0, 0, 0, 0, 1, 4, 17, 9, -2],
+    [0, 0, 0, 0, 0, 5, -5, 0, 0, 0, 0, 0, 0, 59, 0, 0, 0],
+    [0, 0, 0, 0, 0, 5, -5, 0, 0, 0, 0, 0, 1, 0, -4, -2, 0],
+    [0, 0, 0, 0, 0, 5, -5, 0, 0, 0, 0, 0, 2, -8, 0, 0, 4],
+    [0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 1, 4, -15, -8, -2],
+    [0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 2, 370, -8, 0, -160],
+    [0, 0, 0, 0, 0, 0, 7, -7, 0, 0, 0, 0, 2, 0, 0, -3, 0],
+    [0, 0, 0, 0, 0, 0, 7, -7, 0, 0, 0, 0, 2, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 0, 6, -5, 0, 0, 0, 0, 2, -6, 3, 1, 3],
+    [0, 0, 0, 0, 0, 7, -8, 0, 0, 0, 0, 0, 0, 0, 6, 0, 0],
+    [0, 0, 0, 0, 0, 0, 5, -3, 0, 0, 0, 0, 2, -10, 0, 0, 4],
+    [0, 0, 0, 0, 0, 4, -3, 0, 0, 0, 0, 0, 2, 0, 9, 4, 0],
+    [0, 0, 0, 0, 0, 1, 2, 0, 0, 0, 0, 0, 2, 4, 17, 7, -2],
+    [0, 0, 0, 0, 0, -9, 11, 0, 0, 0, 0, 0, 2, 34, 0, 0, -15],
+    [0, 0, 0, 0, 0, -9, 11, 0, 0, 0, 0, 0, 1, 0, 5, 3, 0],
+    [0, 0, 0, 0, 0, 0, 4, 0, -4, 0, 0, 0, 2, -5, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 4, 0, -3, 0, 0, 0, 2, -37, -7, -3, 16],
+    [0, 0, 0, 0, 0, -6, 6, 0, 0, 0, 0, 0, 1, 3, 13, 7, -2],
+    [0, 0, 0, 0, 0, 6, -6, 0, 0, 0, 0, 0, 0, 40, 0, 0, 0],
+    [0, 0, 0, 0, 0, 6, -6, 0, 0, 0, 0, 0, 1, 0, -3, -2, 0],
+    [0, 0, 0, 0, 0, 0, 4, 0, -2, 0, 0, 0, 2, -184, -3, -1, 80],
+    [0, 0, 0, 0, 0, 0, 6, -4, 0, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 3, -1, 0, 0, 0, 0, 0, 0, -3, 0, 0, 0],
+    [0, 0, 0, 0, 0, 3, -1, 0, 0, 0, 0, 0, 1, 0, -10, -6, -1],
+    [0, 0, 0, 0, 0, 3, -1, 0, 0, 0, 0, 0, 2, 31, -6, 0, -13],
+    [0, 0, 0, 0, 0, 0, 4, 0, -1, 0, 0, 0, 2, -3, -32, -14, 1],
+    [0, 0, 0, 0, 0, 0, 4, 0, 0, -2, 0, 0, 2, -7, 0, 0, 3],
+    [0, 0, 0, 0, 0, 0, 5, -2, 0, 0, 0, 0, 2, 0, -8, -4, 0],
+    [0, 0, 0, 0, 0, 0, 4, 0, 0, 0, 0, 0, 0, 3, -4, 0, 0],
+    [0, 0, 0, 0, 0, 8, -9, 0, 0, 0, 0, 0, 0, 0, 4, 0, 0],
+    [0, 0, 0, 0, 0, 5, -4, 0, 0, 0, 0, 0, 2, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 2, 1, 0, 0, 0, 0, 0, 2, 19, -23, -10, 2],
+    [0, 0, 0, 0, 0, 2, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, -10],
+    [0, 0, 0, 0, 0, 2, 1, 0, 0, 0, 0, 0, 1, 0, 3, 2, 0],
+    [0, 0, 0, 0, 0, -7, 7, 0, 0, 0, 0, 0, 1, 0, 9, 5, -1],
+    [0, 0, 0, 0, 0, 7, -7, 0, 0, 0, 0, 0, 0, 28, 0, 0, 0],
+    [0, 0, 0, 0, 0, 4, -2, 0, 0, 0, 0, 0, 1, 0, -7, -4, 0],
+    [0, 0, 0, 0, 0, 4, -2, 0, 0, 0, 0, 0, 2, 8, -4, 0, -4],
+    [0, 0, 0, 0, 0, 4, -2, 0, 0, 0, 0, 0, 0, 0, 0, -2, 0],
+    [0, 0, 0, 0, 0, 4, -2, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [0, 0, 0, 0, 0, 0, 5, 0, -4, 0, 0, 0, 2, -3, 0, 0, 1],
+    [0, 0, 0, 0, 0, 0, 5, 0, -3, 0, 0, 0, 2, -9, 0, 1, 4],
+    [0, 0, 0, 0, 0, 0, 5, 0, -2, 0, 0, 0, 2, 3, 12, 5, -1],
+    [0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 2, 17, -3, -1, 0],
+    [0, 0, 0, 0, 0, -8, 8, 0, 0, 0, 0, 0, 1, 0, 7, 4, 0],
+    [0, 0, 0, 0, 0, 8, -8, 0, 0, 0, 0, 0, 0, 19, 0, 0, 0],
+    [0, 0, 0, 0, 0, 5, -3, 0, 0, 0, 0, 0, 1, 0, -5, -3, 0],
+    [0, 0, 0, 0, 0, 5, -3, 0, 0, 0, 0, 0, 2, 14, -3, 0, -1],
+    [0, 0, 0, 0, 0, -9, 9, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0],
+    [0, 0, 0, 0, 0, -9, 9, 0, 0, 0, 0, 0, 1, 0, 0, 0, -5],
+    [0, 0, 0, 0, 0, -9, 9, 0, 0, 0, 0, 0, 1, 0, 5, 3, 0],
+    [0, 0, 0, 0, 0, 9, -9, 0, 0, 0, 0, 0, 0, 13, 0, 0, 0],
+    [0, 0, 0, 0, 0, 6, -4, 0, 0, 0, 0, 0, 1, 0, -3, -2, 0],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 2, 2, 9, 4, 3],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0, 0, 0, 0, -4],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0, 8, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 1, 0, 4, 2, 0],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 2, 6, 0, 0, -3],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0, 6, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 1, 0, 3, 1, 0],
+    [0, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 2, 5, 0, 0, -2],
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 3, 0, 0, -1],
+    [1, 0, -2, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, -3, 0, 0, 0],
+    [1, 0, -2, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, 6, 0, 0, 0],
+    [1, 0, -2, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, 7, 0, 0, 0],
+    [1, 0, -2, 0, 0, 1, -1, 0, 0, 0, 0, 0, 0, -4, 0, 0, 0],
+    [-1, 0, 0, 0, 0, 3, -3, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0],
+    [-1, 0, 0, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, 6, 0, 0, 0],
+    [-1, 0, 2, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, -4, 0, 0],
+    [1, 0, -2, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, -4, 0, 0],
+    [-2, 0, 2, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, 5, 0, 0, 0],
+    [-1, 0, 0, 0, 0, 0, 2, 0, -3, 0, 0, 0, 0, -3, 0, 0, 0],
+    [-1, 0, 0, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, 4, 0, 0, 0],
+    [-1, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 0, 0, -5, 0, 0, 0],
+    [-1, 0, 2, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, 4, 0, 0, 0],
+    [1, -1, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0],
+    [-1, 0, 2, 0, 0, 0, 2, 0, -3, 0, 0, 0, 0, 13, 0, 0, 0],
+    [-2, 0, 0, 0, 0, 0, 2, 0, -3, 0, 0, 0, 0, 21, 11, 0, 0],
+    [1, 0, 0, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, -5, 0, 0],
+    [-1, 1, -1, 1, 0, 0, -1, 0, 0, 0, 0, 0, 0, 0, -5, -2, 0],
+    [1, 1, -1, 1, 0, 0, -1, 0, 0, 0, 0, 0, 0, 0, 5, 3, 0],
+    [-1, 0, 0, 0, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, -5, 0, 0],
+    [-1, 0, 2, 1, 0, 0, 2, 0, -2, 0, 0, 0, 0, -3, 0, 0, 2],
+    [0, 0, 0, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, 20, 10, 0, 0],
+    [-1, 0, 2, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, -34, 0, 0, 0],
+    [-1, 0, 2, 0, 0, 3, -3, 0, 0, 0, 0, 0, 0, -19, 0, 0, 0],
+    [1, 0, -2, 1, 0, 0, -2, 0, 2, 0, 0, 0, 0, 3, 0, 0, -2],
+    [1, 2, -2, 2, 0, -3, 3, 0, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [1, 2, -2, 2, 0, 0, -2, 0, 2, 0, 0, 0, 0, -6, 0, 0, 3],
+    [1, 0, 0, 0, 0, 1, -1, 0, 0, 0, 0, 0, 0, -4, 0, 0, 0],
+    [1, 0, 0, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, 3, 0, 0, 0],
+    [0, 0, -2, 0, 0, 2, -2, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0],
+    [0, 0, -2, 0, 0, 0, 1, 0, -1, 0, 0, 0, 0, 4, 0, 0, 0],
+    [0, 2, 0, 2, 0, -2, 2, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 2, 0, 2, 0, 0, -1, 0, 1, 0, 0, 0, 0, 6, 0, 0, -3],
+    [0, 2, 0, 2, 0, -1, 1, 0, 0, 0, 0, 0, 0, -8, 0, 0, 3],
+    [0, 2, 0, 2, 0, -2, 3, 0, 0, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 0, 2, 0, 0, 0, 2, 0, -2, 0, 0, 0, 0, -3, 0, 0, 0],
+    [0, 1, 1, 2, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, -3, -2, 0],
+    [1, 2, 0, 2, 0, 0, 1, 0, 0, 0, 0, 0, 0, 126, -63, -27, -55],
+    [-1, 2, 0, 2, 0, 10, -3, 0, 0, 0, 0, 0, 0, -5, 0, 1, 2],
+    [0, 1, 1, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, -3, 28, 15, 2],
+    [1, 2, 0, 2, 0, 0, 1, 0, 0, 0, 0, 0, 0, 5, 0, 1, -2],
+    [0, 2, 0, 2, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, 9, 4, 1],
+    [0, 2, 0, 2, 0, 0, -4, 8, -3, 0, 0, 0, 0, 0, 9, 4, -1],
+    [-1, 2, 0, 2, 0, 0, -4, 8, -3, 0, 0, 0, 0, -126, -63, -27, 55],
+    [2, 2, -2, 2, 0, 0, -2, 0, 3, 0, 0, 0, 0, 3, 0, 0, -1],
+    [1, 2, 0, 1, 0, 0, -2, 0, 3, 0, 0, 0, 0, 21, -11, -6, -11],
+    [0, 1, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, -4, 0, 0],
+    [-1, 2, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, -21, -11, -6, 11],
+    [-2, 2, 2, 2, 0, 0, 2, 0, -2, 0, 0, 0, 0, -3, 0, 0, 1],
+    [0, 2, 0, 2, 0, 2, -3, 0, 0, 0, 0, 0, 0, 0, 3, 1, 0],
+    [0, 2, 0, 2, 0, 1, -1, 0, 0, 0, 0, 0, 0, 8, 0, 0, -4],
+    [0, 2, 0, 2, 0, 0, 1, 0, -1, 0, 0, 0, 0, -6, 0, 0, 3],
+    [0, 2, 0, 2, 0, 2, -2, 0, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [-1, 2, 2, 2, 0, 0, -1, 0, 1, 0, 0, 0, 0, 3, 0, 0, -1],
+    [1, 2, 0, 2, 0, -1, 1, 0, 0, 0, 0, 0, 0, -3, 0, 0, 1],
+    [-1, 2, 2, 2, 0, 0, 2, 0, -3, 0, 0, 0, 0, -5, 0, 0, 2],
+    [2, 2, 0, 2, 0, 0, 2, 0, -3, 0, 0, 0, 0, 24, -12, -5, -11],
+    [1, 2, 0, 2, 0, 0, -4, 8, -3, 0, 0, 0, 0, 0, 3, 1, 0],
+    [1, 2, 0, 2, 0, 0, 4, -8, 3, 0, 0, 0, 0, 0, 3, 1, 0],
+    [1, 1, 1, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 3, 2, 0],
+    [0, 2, 0, 2, 0, 0, 1, 0, 0, 0, 0, 0, 0, -24, -12, -5, 10],
+    [2, 2, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 4, 0, -1, -2],
+    [-1, 2, 2, 2, 0, 0, 2, 0, -2, 0, 0, 0, 0, 13, 0, 0, -6],
+    [-1, 2, 2, 2, 0, 3, -3, 0, 0, 0, 0, 0, 0, 7, 0, 0, -3],
+    [1, 2, 0, 2, 0, 1, -1, 0, 0, 0, 0, 0, 0, 3, 0, 0, -1],
+    [0, 2, 2, 2, 0, 0, 2, 0, -2, 0, 0, 0, 0, 3, 0, 0, -1]
+];
+
+/*
+IAU 2006 series for s + XY/2, units of arcseconds
+
+polynomial part, then per power of t the multipliers of
+l, l', F, D, Om, L_Ve, L_E, p_A followed by sin, cos coefficients
+*/
+const S06_POLY = [94.00e-6, 3808.65e-6, -122.68e-6, -72574.11e-6, 27.98e-6, 15.62e-6];
+const S06_TERMS = [
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, -2640.73e-6, 0.39e-6],
+        [0, 0, 0, 0, 2, 0, 0, 0, -63.53e-6, 0.02e-6],
+        [0, 0, 2, -2, 3, 0, 0, 0, -11.75e-6, -0.01e-6],
+        [0, 0, 2, -2, 1, 0, 0, 0, -11.21e-6, -0.01e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, 4.57e-6, 0.00e-6],
+        [0, 0, 2, 0, 3, 0, 0, 0, -2.02e-6, 0.00e-6],
+        [0, 0, 2, 0, 1, 0, 0, 0, -1.98e-6, 0.00e-6],
+        [0, 0, 0, 0, 3, 0, 0, 0, 1.72e-6, 0.00e-6],
+        [0, 1, 0, 0, 1, 0, 0, 0, 1.41e-6, 0.01e-6],
+        [0, 1, 0, 0, -1, 0, 0, 0, 1.26e-6, 0.01e-6],
+        [1, 0, 0, 0, -1, 0, 0, 0, 0.63e-6, 0.00e-6],
+        [1, 0, 0, 0, 1, 0, 0, 0, 0.63e-6, 0.00e-6],
+        [0, 1, 2, -2, 3, 0, 0, 0, -0.46e-6, 0.00e-6],
+        [0, 1, 2, -2, 1, 0, 0, 0, -0.45e-6, 0.00e-6],
+        [0, 0, 4, -4, 4, 0, 0, 0, -0.36e-6, 0.00e-6],
+        [0, 0, 1, -1, 1, -8, 12, 0, 0.24e-6, 0.12e-6],
+        [0, 0, 2, 0, 0, 0, 0, 0, -0.32e-6, 0.00e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, -0.28e-6, 0.00e-6],
+        [1, 0, 2, 0, 3, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, 2, 0, 1, 0, 0, 0, -0.26e-6, 0.00e-6],
+        [0, 0, 2, -2, 0, 0, 0, 0, 0.21e-6, 0.00e-6],
+        [0, 1, -2, 2, -3, 0, 0, 0, -0.19e-6, 0.00e-6],
+        [0, 1, -2, 2, -1, 0, 0, 0, -0.18e-6, 0.00e-6],
+        [0, 0, 0, 0, 0, 8, -13, -1, 0.10e-6, -0.05e-6],
+        [0, 0, 0, 2, 0, 0, 0, 0, -0.15e-6, 0.00e-6],
+        [2, 0, -2, 0, -1, 0, 0, 0, 0.14e-6, 0.00e-6],
+        [0, 1, 2, -2, 2, 0, 0, 0, 0.14e-6, 0.00e-6],
+        [1, 0, 0, -2, 1, 0, 0, 0, -0.14e-6, 0.00e-6],
+        [1, 0, 0, -2, -1, 0, 0, 0, -0.14e-6, 0.00e-6],
+        [0, 0, 4, -2, 4, 0, 0, 0, -0.13e-6, 0.00e-6],
+        [0, 0, 2, -2, 4, 0, 0, 0, 0.11e-6, 0.00e-6],
+        [1, 0, -2, 0, -3, 0, 0, 0, -0.11e-6, 0.00e-6],
+        [1, 0, -2, 0, -1, 0, 0, 0, -0.11e-6, 0.00e-6]
+    ],
+    [
+        [0, 0, 0, 0, 2, 0, 0, 0, -0.07e-6, 3.57e-6],
+        [0, 0, 0, 0, 1, 0, 0, 0, 1.73e-6, -0.03e-6],
+        [0, 0, 2, -2, 3, 0, 0, 0, 0.00e-6, 0.48e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, 743.52e-6, -0.17e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, 56.91e-6, 0.06e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, 9.84e-6, -0.01e-6],
+        [0, 0, 0, 0, 2, 0, 0, 0, -8.85e-6, 0.01e-6],
+        [0, 1, 0, 0, 0, 0, 0, 0, -6.38e-6, -0.05e-6],
+        [1, 0, 0, 0, 0, 0, 0, 0, -3.07e-6, 0.00e-6],
+        [0, 1, 2, -2, 2, 0, 0, 0, 2.23e-6, 0.00e-6],
+        [0, 0, 2, 0, 1, 0, 0, 0, 1.67e-6, 0.00e-6],
+        [1, 0, 2, 0, 2, 0, 0, 0, 1.30e-6, 0.00e-6],
+        [0, 1, -2, 2, -2, 0, 0, 0, 0.93e-6, 0.00e-6],
+        [1, 0, 0, -2, 0, 0, 0, 0, 0.68e-6, 0.00e-6],
+        [0, 0, 2, -2, 1, 0, 0, 0, -0.55e-6, 0.00e-6],
+        [1, 0, -2, 0, -2, 0, 0, 0, 0.53e-6, 0.00e-6],
+        [0, 0, 0, 2, 0, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, 0, 0, 1, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, -2, -2, -2, 0, 0, 0, -0.26e-6, 0.00e-6],
+        [1, 0, 0, 0, -1, 0, 0, 0, -0.25e-6, 0.00e-6],
+        [1, 0, 2, 0, 1, 0, 0, 0, 0.22e-6, 0.00e-6],
+        [2, 0, 0, -2, 0, 0, 0, 0, -0.21e-6, 0.00e-6],
+        [2, 0, -2, 0, -1, 0, 0, 0, 0.20e-6, 0.00e-6],
+        [0, 0, 2, 2, 2, 0, 0, 0, 0.17e-6, 0.00e-6],
+        [2, 0, 2, 0, 2, 0, 0, 0, 0.13e-6, 0.00e-6],
+        [2, 0, 0, 0, 0, 0, 0, 0, -0.13e-6, 0.00e-6],
+        [1, 0, 2, -2, 2, 0, 0, 0, -0.12e-6, 0.00e-6],
+        [0, 0, 2, 0, 0, 0, 0, 0, -0.11e-6, 0.00e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, 0.30e-6, -23.42e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, -0.03e-6, -1.46e-6],
+        [0, 1, 0, 0, 0, 0, 0, 0, -0.01e-6, -0.25e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, 0.00e-6, -0.23e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, -0.26e-6, -0.01e-6]
+    ]
+];
+
+function centuries(jd1, jd2) {
+    /*  Julian centuries since J2000.0  */
+    return (((jd1 - DJ00) + jd2) / DJC);
+}
+
+function fundamental_arguments(t) {
+    /*
+    Delaunay and planetary fundamental arguments, IERS Conventions (2003)
+
+    l, l', F, D, Om, L_Ve, L_E, p_A  (radians) at t Julian centuries TDB since J2000.0
+    */
+    return [
+        (((485868.249036 + (t * (1717915923.2178 + (t * (31.8792 + (t * (0.051635 + (t * (-0.00024470))))))))) % TURNAS) * DAS2R),
+        (((1287104.793048 + (t * (129596581.0481 + (t * (-0.5532 + (t * (0.000136 + (t * (-0.00001149))))))))) % TURNAS) * DAS2R),
+        (((335779.526232 + (t * (1739527262.8478 + (t * (-12.7512 + (t * (-0.001037 + (t * 0.00000417)))))))) % TURNAS) * DAS2R),
+        (((1072260.703692 + (t * (1602961601.2090 + (t * (-6.3706 + (t * (0.006593 + (t * (-0.00003169))))))))) % TURNAS) * DAS2R),
+        (((450160.398036 + (t * (-6962890.5431 + (t * (7.4722 + (t * (0.007702 + (t * (-0.00005939))))))))) % TURNAS) * DAS2R),
+        ((3.176146697 + (1021.3285546211 * t)) % tau),
+        ((1.753470314 + (628.3075849991 * t)) % tau),
+        ((0.024381750 + (0.00000538691 * t)) * t)
+    ];
+}
+
+function lunisolar(t, el, elp, f, d, om, n) {
+    /*  sum of the first n luni-solar nutation terms, 0.1 microarcsecond units  */
+    let arg, de, dp;
+    dp = 0.0;
+    de = 0.0;
+    for (let i = (n - 1); i >= 0; i--) {
+        const [nl, nlp, nf, nd, nom, ps, pst, pc, ec, ect, es] = NUT00A_LS[i];
+        arg = (((((nl * el) + (nlp * elp)) + (nf * f)) + (nd * d)) + (nom * om)) % tau;
+        dp += (((ps + (pst * t)) * sin(arg)) + (pc * cos(arg)));
+        de += (((ec + (ect * t)) * cos(arg)) + (es * sin(arg)));
+    }
+    return [dp, de];
+}
+
+function nut00a(jd1, jd2) {
+    /*
+    nutation, IAU 2000A model (MHB2000 luni-solar and planetary)
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    dpsi : float
+    nutation in longitude (radians)
+    deps : float
+    nutation in obliquity (radians)
+
+    The free core nutation is not part of the model, it comes with dX, dY from IERS.
+    */
+    let arg, d, de, dels, dp, dpls, el, elp, f, fa, om, t;
+    t = centuries(jd1, jd2);
+    /*  luni-solar: l' and D as MHB2000, the others IERS Conventions (2003)  */
+    fa = fundamental_arguments(t);
+    [el, , f, , om] = fa;
+    elp = (((1287104.79305 + (t * (129596581.0481 + (t * (-0.5532 + (t * (0.000136 + (t * (-0.00001149))))))))) % TURNAS) * DAS2R);
+    d = (((1072260.70369 + (t * (1602961601.2090 + (t * (-6.3706 + (t * (0.006593 + (t * (-0.00003169))))))))) % TURNAS) * DAS2R);
+    [dpls, dels] = lunisolar(t, el, elp, f, d, om, NUT00A_LS.length);
+    /*  planetary: l, F, D, Om and L_Ne as MHB2000, the others IERS Conventions (2003)  */
+    const pa = [
+        ((2.35555598 + (8328.6914269554 * t)) % tau),
+        ((1.627905234 + (8433.466158131 * t)) % tau),
+        ((5.198466741 + (7771.3771468121 * t)) % tau),
+        ((2.18243920 - (33.757045 * t)) % tau),
+        ((4.402608842 + (2608.7903141574 * t)) % tau),
+        fa[5],
+        fa[6],
+        ((6.203480913 + (334.0612426700 * t)) % tau),
+        ((0.599546497 + (52.9690962641 * t)) % tau),
+        ((0.874016757 + (21.3299104960 * t)) % tau),
+        ((5.481293872 + (7.4781598567 * t)) % tau),
+        ((5.321159000 + (3.8127774000 * t)) % tau),
+        fa[7]
+    ];
+    dp = 0.0;
+    de = 0.0;
+    for (let i = (NUT00A_PL.length - 1); i >= 0; i--) {
+        const term = NUT00A_PL[i];
+        arg = 0.0;
+        for (let j = 0; j < 13; j++) {
+            arg += (term[j] * pa[j]);
+        }
+        arg %= tau;
+        dp += ((term[13] * sin(arg)) + (term[14] * cos(arg)));
+        de += ((term[15] * sin(arg)) + (term[16] * cos(arg)));
+    }
+    /*  0.1 microarcsecond units  */
+    return [(((dpls + dp) * DAS2R) / 1e7), (((dels + de) * DAS2R) / 1e7)];
+}
+
+function nut00b(jd1, jd2) {
+    /*
+    nutation, IAU 2000B model
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    dpsi : float
+    nutation in longitude (radians)
+    deps : float
+    nutation in obliquity (radians)
+
+    The 77 term truncation of IAU 2000A by McCarthy & Luzum (2003), within 1 mas of
+    the full model between 1995 and 2050, with the fixed offset standing in for the
+    planetary terms.
+    */
+    let d, de, dp, el, elp, f, om, t;
+    t = centuries(jd1, jd2);
+    el = (((485868.249036 + (1717915923.2178 * t)) % TURNAS) * DAS2R);
+    elp = (((1287104.79305 + (129596581.0481 * t)) % TURNAS) * DAS2R);
+    f = (((335779.526232 + (1739527262.8478 * t)) % TURNAS) * DAS2R);
+    d = (((1072260.70369 + (1602961601.2090 * t)) % TURNAS) * DAS2R);
+    om = (((450160.398036 - (6962890.5431 * t)) % TURNAS) * DAS2R);
+    [dp, de] = lunisolar(t, el, elp, f, d, om, NUT00B_TERMS);
+    /*  0.1 microarcsecond units, plus fixed offsets for the planetary terms  */
+    return [(((dp * DAS2R) / 1e7) + (-0.135e-3 * DAS2R)), (((de * DAS2R) / 1e7) + (0.388e-3 * DAS2R))];
+}
+
+function nut06a(jd1, jd2) {
+    /*
+    nutation, IAU 2000A adjusted to be consistent with IAU 2006 precession
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    dpsi : float
+    nutation in longitude (radians)
+    deps : float
+    nutation in obliquity (radians)
+    */
+    let dp, de, fj2, t;
+    t = centuries(jd1, jd2);
+    /*  secular J2 rate correction  */
+    fj2 = (-2.7774e-6 * t);
+    [dp, de] = nut00a(jd1, jd2);
+    return [(dp + (dp * (0.4697e-6 + fj2))), (de + (de * fj2))];
+}
+
+function obl06(jd1, jd2) {
+    /*
+    mean obliquity of the ecliptic, IAU 2006 precession model
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    eps0 : float
+    obliquity of the ecliptic (radians)
+    */
+    let t;
+    t = centuries(jd1, jd2);
+    return ((84381.406 + (t * (-46.836769 + (t * (-0.0001831 + (t * (0.00200340 + (t * (-0.000000576 + (t * (-0.0000000434))))))))))) * DAS2R);
+}
+
+function pfw06(jd1, jd2) {
+    /*
+    precession angles, IAU 2006 (Fukushima-Williams 4-angle formulation)
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    gamb : float
+    F-W angle gamma_bar (radians)
+    phib : float
+    F-W angle phi_bar (radians)
+    psib : float
+    F-W angle psi_bar (radians)
+    epsa : float
+    F-W angle epsilon_A (radians)
+    */
+    let gamb, phib, psib, t;
+    t = centuries(jd1, jd2);
+    gamb = ((-0.052928 + (t * (10.556378 + (t * (0.4932044 + (t * (-0.00031238 + (t * (-0.000002788 + (t * 0.0000000260)))))))))) * DAS2R);
+    phib = ((84381.412819 + (t * (-46.811016 + (t * (0.0511268 + (t * (0.00053289 + (t * (-0.000000440 + (t * (-0.0000000176))))))))))) * DAS2R);
+    psib = ((-0.041775 + (t * (5038.481484 + (t * (1.5584175 + (t * (-0.00018522 + (t * (-0.000026452 + (t * (-0.0000000148))))))))))) * DAS2R);
+    return [gamb, phib, psib, obl06(jd1, jd2)];
+}
+
+function fw2m(gamb, phib, psi, eps) {
+    /*
+    form rotation matrix given the Fukushima-Williams angles
+
+    Parameters
+    ----------
+    gamb : float
+    F-W angle gamma_bar (radians)
+    phib : float
+    F-W angle phi_bar (radians)
+    psi : float
+    F-W angle psi (radians)
+    eps : float
+    F-W angle epsilon (radians)
+
+    Results
+    -------
+    r : Array
+    3x3 rotation matrix
+    */
+    return matmul(rot1((-eps)), rot3((-psi)), rot1(phib), rot3(gamb));
+}
+
+function pnm06a(jd1, jd2) {
+    /*
+    bias-precession-nutation matrix, IAU 2006 precession with IAU 2000A nutation
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    rnpb : Array
+    3x3 matrix taking GCRS to true equator and equinox of date
+    */
+    let deps, dpsi, epsa, gamb, phib, psib;
+    [gamb, phib, psib, epsa] = pfw06(jd1, jd2);
+    [dpsi, deps] = nut06a(jd1, jd2);
+    return fw2m(gamb, phib, (psib + dpsi), (epsa + deps));
+}
+
+function s06(jd1, jd2, x, y) {
+    /*
+    the CIO locator s, positioning the Celestial Intermediate Origin on
+    the equator of the Celestial Intermediate Pole
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+    x, y : float
+    CIP coordinates (radians)
+
+    Results
+    -------
+    s : float
+    CIO locator (radians)
+    */
+    let a, fa, t, w;
+    t = centuries(jd1, jd2);
+    fa = fundamental_arguments(t);
+    w = S06_POLY.slice();
+    S06_TERMS.forEach((terms, k) => {
+        for (let i = (terms.length - 1); i >= 0; i--) {
+            a = 0.0;
+            for (let j = 0; j < 8; j++) {
+                a += (terms[i][j] * fa[j]);
+            }
+            w[k] += ((terms[i][8] * sin(a)) + (terms[i][9] * cos(a)));
+        }
+    });
+    return (((w[0] + ((w[1] + ((w[2] + ((w[3] + ((w[4] + (w[5] * t)) * t)) * t)) * t)) * t)) * DAS2R) - ((x * y) / 2.0));
+}
+
+function xys06a(jd1, jd2) {
+    /*
+    CIP coordinates X, Y and CIO locator s, IAU 2006/2000
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    x, y : float
+    CIP coordinates (radians)
+    s : float
+    CIO locator (radians)
+    */
+    let rbpn, x, y;
+    rbpn = pnm06a(jd1, jd2);
+    x = rbpn[2][0];
+    y = rbpn[2][1];
+    return [x, y, s06(jd1, jd2, x, y)];
+}
+
+function era00(jd1, jd2) {
+    /*
+    Earth rotation angle, IAU 2000
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    UT1 as a two-part Julian date
+
+    Results
+    -------
+    theta : float
+    Earth rotation angle (radians), [0, 2pi)
+    */
+    let f, t, theta;
+    t = (jd2 + (jd1 - DJ00));
+    /*  fractional part of the day, kept separate for precision  */
+    f = ((jd1 % 1.0) + (jd2 % 1.0));
+    theta = ((tau * ((f + 0.7790572732640) + (0.00273781191135448 * t))) % tau);
+    return ((theta < 0) ? (theta + tau) : theta);
+}
+
+function ee06a(jd1, jd2) {
+    /*
+    equation of the equinoxes, IAU 2006/2000, consistent with nut06a
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    ee : float
+    equation of the equinoxes (radians), GAST - GMST
+
+    Complementary terms below 1 microarcsecond are omitted.
+    */
+    let d, dpsi, ect, f, om, t;
+    t = centuries(jd1, jd2);
+    [, , f, d, om] = fundamental_arguments(t);
+    [dpsi] = nut06a(jd1, jd2);
+    /*  complementary terms [arcseconds]  */
+    ect = ((2640.96e-6 * sin(om)) - (0.39e-6 * cos(om)));
+    ect += (63.52e-6 * sin((2 * om)));
+    ect += (11.75e-6 * sin((((2 * f) - (2 * d)) + (3 * om))));
+    ect += (11.21e-6 * sin((((2 * f) - (2 * d)) + om)));
+    ect -= (4.55e-6 * sin((((2 * f) - (2 * d)) + (2 * om))));
+    ect += (2.02e-6 * sin(((2 * f) + (3 * om))));
+    ect += (1.98e-6 * sin(((2 * f) + om)));
+    ect -= (1.72e-6 * sin((3 * om)));
+    return ((dpsi * cos(obl06(jd1, jd2))) + (ect * DAS2R));
+}
+
+function sp00(jd1, jd2) {
+    /*
+    the TIO locator s', positioning the Terrestrial Intermediate Origin on
+    the equator of the Celestial Intermediate Pole
+
+    Parameters
+    ----------
+    jd1, jd2 : float
+    TT as a two-part Julian date
+
+    Results
+    -------
+    sp : float
+    TIO locator (radians)
+    */
+    return ((-47e-6 * centuries(jd1, jd2)) * DAS2R);
+}
+
+function pom00(xp, yp, sp) {
+    /*
+    polar motion matrix, TIRS => ITRS
+
+    Parameters
+    ----------
+    xp, yp : float
+    coordinates of the pole (radians)
+    sp : float
+    TIO locator s' (radians)
+
+    Results
+    -------
+    rpom : Array
+    3x3 polar motion matrix
+    */
+    return matmul(rot1((-yp)), rot2((-xp)), rot3(sp));
+}
+
+function c2ixys(x, y, s) {
+    /*  celestial to intermediate matrix given the CIP X, Y and the CIO locator s  */
+    let d, e, r2;
+    r2 = ((x * x) + (y * y));
+    e = ((r2 > 0) ? atan2(y, x) : 0.0);
+    d = atan(sqrt((r2 / (1.0 - r2))));
+    return matmul(rot3((-(e + s))), rot2(d), rot3(e));
+}
+
+function c2t06a(tt1, tt2, ut1, ut2, xp, yp, dx = 0.0, dy = 0.0) {
+    /*
+    celestial to terrestrial matrix, GCRS => ITRS, IAU 2006/2000 CIO based
+
+    Parameters
+    ----------
+    tt1, tt2 : float
+    TT as a two-part Julian date
+    ut1, ut2 : float
+    UT1 as a two-part Julian date
+    xp, yp : float
+    coordinates of the pole (radians)
+    dx, dy : float, optional
+    celestial pole offsets dX, dY from IERS (radians)
+
+    Results
+    -------
+    rc2t : Array
+    3x3 rotation matrix, ITRS = rc2t * GCRS
+    */
+    let rbpn, rc2i, s, x, y;
+    rbpn = pnm06a(tt1, tt2);
+    x = (rbpn[2][0] + dx);
+    y = (rbpn[2][1] + dy);
+    s = s06(tt1, tt2, x, y);
+    rc2i = c2ixys(x, y, s);
+    return matmul(pom00(xp, yp, sp00(tt1, tt2)), rot3(era00(ut1, ut2)), rc2i);
+}
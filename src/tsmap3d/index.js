@@ -27,7 +27,7 @@ Companion packages exist for:
 
 * Matlab / GNU Octave: [Matmap3D](https://github.com/geospace-code/matmap3d)
 * Fortran: [Maptran3D](https://github.com/geospace-code/maptran3d)*/
-import {aer2ecef, aer2geodetic, ecef2aer, geodetic2aer} from './aer';
+import {aer2ecef, aer2geodetic, ecef2aer, ecef2aerv, geodetic2aer} from './aer';
 import {
     ecef2enu,
     ecef2enuv,
@@ -37,25 +37,88 @@ import {
     enu2uvw,
     geodetic2ecef,
     geodetic2eci,
+    teme2geodetic,
     uvw2enu
 } from './ecef';
-import {aer2enu, enu2aer, enu2geodetic, geodetic2enu} from './enu';
-import {aer2ned, ecef2ned, ecef2nedv, geodetic2ned, ned2aer, ned2ecef, ned2geodetic} from './ned';
-import {datetime2sidereal, greenwichsrt} from './sidereal';
+import {aer2enu, enu2aer, enu2aerv, enu2geodetic, geodetic2enu} from './enu';
+import {aer2ned, ecef2ned, ecef2nedv, geodetic2ned, ned2aer, ned2ecef, ned2ecefv, ned2geodetic} from './ned';
+import {datetime2sidereal, eqeq, era, greenwichast, greenwichsrt, jd2date, jdparts, juliandate, mjd} from './sidereal';
 import {geodetic2spherical, spherical2geodetic} from './spherical';
 import {str2dt} from './timeconv';
-import {aer2eci, eci2aer} from './aer';
+import {aer2eci, eci2aer, teme2aer} from './aer';
+import {aberrate, apparent, nutate, precess, propermotion} from './apparent';
 import {azel2radec, radec2azel} from './azelradec';
-import {ecef2eci, eci2ecef} from './eci';
+import {ecliptic2radec, galactic2radec, radec2ecliptic, radec2galactic} from './celestial';
+import {coe2rv, rv2coe} from './vallado';
+import {ecef2eci, eci2ecef, gcrs2itrs} from './eci';
+import {eclipse, eclipses} from './eclipse';
+import {EarthOrientation, parseC04, parseFinals2000A} from './eop';
+import {coverage, footprint, groundtrack} from './groundtrack';
+import {moonazel, moonphase, moonradec} from './moon';
+import {eci2lvlh, eci2ntw, eci2ric, eci2vnc, lvlh2eci, ntw2eci, ric2eci, vnc2eci} from './orbitframe';
+import {passes} from './passes';
+import {propagate} from './propagator';
+import {refract, unrefract} from './refraction';
+import {riseset, sunriseset} from './riseset';
+import {GRAVITY, Satrec} from './sgp4';
+import {ecef2teme, gcrs2teme, teme2ecef, teme2gcrs} from './teme';
+import {solartime, solarzenith, sunazel, sunpos, sunradec} from './sun';
+import {Epoch, gnssweek, gnssweek2epoch, parseLeapSeconds, setLeapSeconds, tai_utc} from './timescale';
 
 export {
     aer2eci,
     eci2aer,
     ecef2eci,
     eci2ecef,
+    gcrs2itrs,
+    eclipse,
+    eclipses,
+    EarthOrientation,
+    parseC04,
+    parseFinals2000A,
+    Epoch,
+    gnssweek,
+    gnssweek2epoch,
+    parseLeapSeconds,
+    setLeapSeconds,
+    tai_utc,
+    passes,
+    eci2ric,
+    ric2eci,
+    eci2lvlh,
+    lvlh2eci,
+    eci2ntw,
+    ntw2eci,
+    eci2vnc,
+    vnc2eci,
+    groundtrack,
+    coverage,
+    footprint,
+    moonradec,
+    moonazel,
+    moonphase,
+    propagate,
+    refract,
+    unrefract,
+    riseset,
+    sunriseset,
+    GRAVITY,
+    Satrec,
+    sunpos,
+    sunradec,
+    sunazel,
+    solarzenith,
+    solartime,
+    teme2ecef,
+    ecef2teme,
+    teme2gcrs,
+    gcrs2teme,
+    teme2aer,
+    teme2geodetic,
     aer2ecef,
     aer2geodetic,
     ecef2aer,
+    ecef2aerv,
     geodetic2aer,
     ecef2enu,
     ecef2enuv,
@@ -68,6 +131,7 @@ export {
     uvw2enu,
     aer2enu,
     enu2aer,
+    enu2aerv,
     enu2geodetic,
     geodetic2enu,
     aer2ned,
@@ -76,12 +140,31 @@ export {
     geodetic2ned,
     ned2aer,
     ned2ecef,
+    ned2ecefv,
     ned2geodetic,
     datetime2sidereal,
+    eqeq,
+    era,
+    greenwichast,
     greenwichsrt,
+    jd2date,
+    jdparts,
+    juliandate,
+    mjd,
     geodetic2spherical,
     spherical2geodetic,
     str2dt,
     azel2radec,
-    radec2azel
+    radec2azel,
+    precess,
+    nutate,
+    aberrate,
+    propermotion,
+    apparent,
+    radec2ecliptic,
+    ecliptic2radec,
+    radec2galactic,
+    galactic2radec,
+    rv2coe,
+    coe2rv
 };
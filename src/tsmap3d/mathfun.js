@@ -7,6 +7,7 @@ function radiansToDegrees(radians) {
 }
 
 export const abs = Math.abs;
+export const acos = Math.acos;
 export const asin = Math.asin;
 export const asinh = Math.asinh;
 export const atan = Math.atan;
@@ -14,8 +15,10 @@ export const atan2 = Math.atan2;
 export const atanh = Math.atanh;
 export const cbrt = Math.cbrt;
 export const cos = Math.cos;
+export const cosh = Math.cosh;
 export const degrees = radiansToDegrees;
 export const exp = Math.exp;
+export const floor = Math.floor;
 export const hypot = Math.hypot;
 export const inf = Infinity;
 export const isnan = isNaN;
@@ -24,8 +27,11 @@ export const nan = NaN;
 export const pi = Math.PI;
 export const power = Math.pow;
 export const radians = degreesToRadians;
+export const round = Math.round;
 export const sign = Math.sign;
 export const sin = Math.sin;
+export const sinh = Math.sinh;
 export const sqrt = Math.sqrt;
 export const tan = Math.tan;
+export const tanh = Math.tanh;
 export const tau = 2 * Math.PI;
@@ -0,0 +1,313 @@
+/*
+position and phase of the Moon
+
+J. Meeus, "Astronomical Algorithms", 2nd ed., 1998, chapters 47 and 48,
+an abridged ELP-2000/82: about 10 arcseconds in longitude, 4 in latitude.
+*/
+
+import {asin, atan2, cos, degrees, radians, sin} from './mathfun';
+import {radec2azel} from './azelradec';
+import {geodetic2ecef} from './ecef';
+import {nut06a, obl06} from './iau2006';
+import {sunradec} from './sun';
+import {datetime2sidereal} from './sidereal';
+import {str2dt} from './timeconv';
+import {Epoch} from './timescale';
+import {cross, dot, norm, sph2cart} from './utils';
+
+export {moonradec, moonazel, moonphase};
+
+/*
+periodic terms for longitude and distance, Meeus table 47.A
+multipliers of D, M, M', F then longitude [1e-6 degrees], distance [meters]
+*/
+const LR = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+/*
+periodic terms for latitude, Meeus table 47.B
+multipliers of D, M, M', F then latitude [1e-6 degrees]
+*/
+const B = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777],
+    [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596],
+    [2, -1, 1, -1, 491],
+    [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439],
+    [2, 0, 2, 1, 422],
+    [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351],
+    [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315],
+    [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229],
+    [1, 1, 0, -1, 223],
+    [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220],
+    [2, 1, -1, -1, -220],
+    [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177],
+    [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166],
+    [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119],
+    [4, -1, 0, -1, 115],
+    [2, -2, 0, 1, 107]
+];
+
+function moonradec(time, deg = true) {
+    /*
+    geocentric apparent right ascension and declination of the Moon
+
+    Parameters
+    ----------
+    time : datetime.datetime or str
+    time of observation (UTC)
+    deg : bool, optional
+    degrees output  (False: radians)
+
+    Results
+    -------
+    ra : float
+    apparent right ascension, true equator and equinox of date, [0, 360)
+    dec : float
+    apparent declination
+    dist : float
+    Earth center - Moon center distance [meters]
+
+    Seen from the Earth's center, the direction from an observer on the surface
+    differs by up to a degree, see moonazel.
+    */
+    let dec, dist, ra, tt;
+    tt = Epoch.fromDate(str2dt(time)).to("tt");
+    [ra, dec, dist] = equatorial(tt);
+    ra = ((degrees(ra) + 360.0) % 360.0);
+    return [(deg ? ra : radians(ra)), (deg ? degrees(dec) : dec), dist];
+}
+
+function moonazel(lat, lon, time, alt = 0.0, deg = true) {
+    /*
+    topocentric azimuth and elevation of the Moon
+
+    Parameters
+    ----------
+    lat : float
+    observer geodetic latitude
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    time of observation (UTC)
+    alt : float, optional
+    observer altitude above the WGS-84 ellipsoid [meters]
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    az : float
+    azimuth clockwise from north to the Moon
+    el : float
+    geometric elevation of the Moon's center, without refraction
+    srange : float
+    observer - Moon center distance [meters]
+
+    The Moon's horizontal parallax of up to 1 degree is applied by radec2azel with its distance.
+    UT1 = UTC is assumed.
+    */
+    let az, dec, dist, el, gast, o, ra, srange;
+    time = str2dt(time);
+    if (!deg) {
+        [lat, lon] = [degrees(lat), degrees(lon)];
+    }
+    [ra, dec, dist] = equatorial(Epoch.fromDate(time).to("tt"));
+    [az, el] = radec2azel(degrees(ra), degrees(dec), lat, lon, time, "apparent", null, dist, alt);
+    /*  Earth fixed Moon, the right ascension is of date  */
+    gast = datetime2sidereal(time, 0.0, null, "apparent");
+    o = geodetic2ecef(lat, lon, alt);
+    srange = norm(sph2cart((ra - gast), dec, dist).map((mk, k) => (mk - o[k])));
+    return (deg ? [az, el, srange] : [radians(az), radians(el), srange]);
+}
+
+function moonphase(time, deg = true) {
+    /*
+    illuminated fraction and phase angle of the Moon
+
+    Parameters
+    ----------
+    time : datetime.datetime or str
+    time of observation (UTC)
+    deg : bool, optional
+    degrees output  (False: radians)
+
+    Results
+    -------
+    fraction : float
+    illuminated fraction of the disk, 0 at new Moon, 1 at full Moon
+    phase : float
+    phase angle Sun - Moon - Earth, [0, 180], 180 at new Moon
+
+    geocentric, Meeus 48.1 and 48.4. The Moon waxes while its right ascension
+    runs ahead of the Sun's by less than 180 degrees.
+    */
+    let dec, dist, i, m, ra, s, sdec, sdist, sra, tt;
+    time = str2dt(time);
+    tt = Epoch.fromDate(time).to("tt");
+    [ra, dec, dist] = equatorial(tt);
+    [sra, sdec, sdist] = sunradec(time, false);
+    m = vector(ra, dec, dist);
+    s = vector(sra, sdec, sdist);
+    /*  angle between the directions from the Moon to the Sun and to the Earth  */
+    s = s.map((si, k) => (si - m[k]));
+    m = m.map(mi => (-mi));
+    i = atan2(norm(cross(s, m)), dot(s, m));
+    return [((1.0 + cos(i)) / 2.0), (deg ? degrees(i) : i)];
+}
+
+function vector(ra, dec, dist) {
+    /*  right ascension, declination [radians] and distance to cartesian  */
+    return [((dist * cos(dec)) * cos(ra)), ((dist * cos(dec)) * sin(ra)), (dist * sin(dec))];
+}
+
+function equatorial(tt) {
+    /*  apparent right ascension, declination [radians] and distance [meters] at TT Epoch tt  */
+    let beta, deps, dpsi, eps, lamb, r;
+    [lamb, beta, r] = ecliptic(tt);
+    [dpsi, deps] = nut06a(tt.jd1, tt.jd2);
+    lamb += dpsi;
+    eps = (obl06(tt.jd1, tt.jd2) + deps);
+    return [
+        atan2(((sin(lamb) * cos(eps)) - ((sin(beta) / cos(beta)) * sin(eps))), cos(lamb)),
+        asin(((sin(beta) * cos(eps)) + ((cos(beta) * sin(eps)) * sin(lamb)))),
+        r
+    ];
+}
+
+function ecliptic(tt) {
+    /*
+    geocentric ecliptic longitude and latitude, mean equinox of date [radians],
+    and distance [meters] of the Moon at TT Epoch tt, Meeus chapter 47
+    */
+    let a1, a2, a3, b, d, e, f, l, lp, m, mp, r, t;
+    t = (((tt.jd1 - 2451545.0) + tt.jd2) / 36525.0);
+    /*  mean longitude, elongation, Sun and Moon mean anomalies, argument of latitude  */
+    lp = radians((218.3164477 + (t * (481267.88123421 + (t * (-0.0015786 + (t * ((1 / 538841) - (t / 65194000)))))))));
+    d = radians((297.8501921 + (t * (445267.1114034 + (t * (-0.0018819 + (t * ((1 / 545868) - (t / 113065000)))))))));
+    m = radians((357.5291092 + (t * (35999.0502909 + (t * (-0.0001536 + (t / 24490000)))))));
+    mp = radians((134.9633964 + (t * (477198.8675055 + (t * (0.0087414 + (t * ((1 / 69699) - (t / 14712000)))))))));
+    f = radians((93.2720950 + (t * (483202.0175233 + (t * (-0.0036539 + (t * ((-1 / 3526000) + (t / 863310000)))))))));
+    /*  Venus, Jupiter and flattening of the Earth  */
+    a1 = radians((119.75 + (131.849 * t)));
+    a2 = radians((53.09 + (479264.290 * t)));
+    a3 = radians((313.45 + (481266.484 * t)));
+    /*  decreasing eccentricity of the Earth's orbit, for terms in M  */
+    e = (1.0 - (t * (0.002516 + (t * 0.0000074))));
+    [l, r, b] = [0.0, 0.0, 0.0];
+    for (const [cd, cm, cmp, cf, sl, sr] of LR) {
+        const arg = ((((cd * d) + (cm * m)) + (cmp * mp)) + (cf * f));
+        const k = (e ** Math.abs(cm));
+        l += ((k * sl) * sin(arg));
+        r += ((k * sr) * cos(arg));
+    }
+    for (const [cd, cm, cmp, cf, sb] of B) {
+        b += (((e ** Math.abs(cm)) * sb) * sin(((((cd * d) + (cm * m)) + (cmp * mp)) + (cf * f))));
+    }
+    l += (((3958 * sin(a1)) + (1962 * sin((lp - f)))) + (318 * sin(a2)));
+    b += ((((((-2235 * sin(lp)) + (382 * sin(a3))) + (175 * sin((a1 - f)))) + (175 * sin((a1 + f)))) + (127 * sin((lp - mp)))) - (115 * sin((lp + mp))));
+    return [(lp + radians((l / 1e6))), radians((b / 1e6)), (385000560.0 + r)];
+}
@@ -1,9 +1,9 @@
 /*  Transforms involving NED North East Down  */
 
-import {ecef2enu, ecef2enuv, ecef2geodetic, enu2ecef} from './ecef';
+import {ecef2enu, ecef2enuv, ecef2geodetic, enu2ecef, enu2uvw} from './ecef';
 import {aer2enu, enu2aer, geodetic2enu} from './enu';
 
-export {aer2ned, ned2aer, ned2geodetic, ned2ecef, ecef2ned, geodetic2ned, ecef2nedv}
+export {aer2ned, ned2aer, ned2geodetic, ned2ecef, ecef2ned, geodetic2ned, ecef2nedv, ned2ecefv}
 
 function aer2ned(az, elev, slantRange, deg = true) {
     /*
@@ -256,3 +256,37 @@ function ecef2nedv(x, y, z, lat0, lon0, deg = true) {
     [e, n, u] = ecef2enuv(x, y, z, lat0, lon0, deg);
     return [n, e, (-u)];
 }
+
+function ned2ecefv(n, e, d, lat0, lon0, deg = true) {
+    /*
+    for VECTOR between two points, or a velocity, NED => ECEF
+
+    Parameters
+    ----------
+    n : float
+    North NED coordinate (meters)
+    e : float
+    East NED coordinate (meters)
+    d : float
+    Down NED coordinate (meters)
+    lat0 : float
+    Observer geodetic latitude
+    lon0 : float
+    Observer geodetic longitude
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+
+    (Vector)
+
+    x : float
+    ECEF x coordinate (meters)
+    y : float
+    ECEF y coordinate (meters)
+    z : float
+    ECEF z coordinate (meters)
+    */
+    return enu2uvw(e, n, (-d), lat0, lon0, deg);
+}
@@ -0,0 +1,55 @@
+/*
+file loaders for Node.js
+
+The rest of the package takes file contents as text and runs in a browser or
+bundler as well; only this entry point needs the Node.js fs module.
+*/
+import {readFileSync} from 'fs';
+import {parseC04, parseFinals2000A} from './eop';
+import {parseLeapSeconds, setLeapSeconds} from './timescale';
+
+export {readEOP, readLeapSeconds};
+
+function readEOP(path) {
+    /*
+    read a local IERS Earth orientation file
+
+    Parameters
+    ----------
+    path : str
+    finals2000A.all, finals2000A.data or EOP 14 C04 file
+
+    Results
+    -------
+    eop : EarthOrientation
+
+    The format is recognized from the contents: C04 files start with a text
+    header and have whitespace separated columns starting with the year.
+    */
+    let text;
+    text = readFileSync(path, "utf8");
+    if (/C04/.test(text.slice(0, 2000))) {
+        return parseC04(text);
+    }
+    return parseFinals2000A(text);
+}
+
+function readLeapSeconds(path) {
+    /*
+    load a local leap second file, making it the table in use
+
+    Parameters
+    ----------
+    path : str
+    IERS Leap_Second.dat or IETF leap-seconds.list
+
+    Results
+    -------
+    table : Array
+    [UTC Date milliseconds, TAI - UTC seconds]
+    */
+    let table;
+    table = parseLeapSeconds(readFileSync(path, "utf8"));
+    setLeapSeconds(table);
+    return table;
+}
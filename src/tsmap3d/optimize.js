@@ -0,0 +1,237 @@
+/*  scalar root finding and minimization, after scipy.optimize, and event search over a sampled window  */
+
+import {abs, sqrt} from './mathfun';
+
+export {brentq, fminbound, crossings};
+
+function brentq(f, a, b, xtol = 1e-12, maxiter = 100) {
+    /*
+    find a root of f in the bracket [a, b] with Brent's method
+
+    Parameters
+    ----------
+    f : function
+    continuous function of one variable
+    a, b : float
+    bracket, f(a) and f(b) must have opposite signs
+    xtol : float, optional
+    absolute tolerance on the root
+    maxiter : int, optional
+    maximum number of iterations
+
+    Results
+    -------
+    x : float
+    root of f
+
+    R. P. Brent, "Algorithms for Minimization Without Derivatives", 1973, ch. 4
+    */
+    let c, d, e, fa, fb, fc, i, m, p, q, r, s, tol;
+    fa = f(a);
+    fb = f(b);
+    if ((fa === 0)) {
+        return a;
+    }
+    if ((fb === 0)) {
+        return b;
+    }
+    if (((fa > 0) === (fb > 0))) {
+        throw new Error("f(a) and f(b) must have opposite signs");
+    }
+    c = a;
+    fc = fa;
+    d = (b - a);
+    e = d;
+    for (i = 0; (i < maxiter); i++) {
+        if (((fb > 0) === (fc > 0))) {
+            c = a;
+            fc = fa;
+            d = (b - a);
+            e = d;
+        }
+        /*  b is the best estimate, c the other end of the bracket  */
+        if ((abs(fc) < abs(fb))) {
+            [a, b, c] = [b, c, b];
+            [fa, fb, fc] = [fb, fc, fb];
+        }
+        tol = ((2 * Number.EPSILON * abs(b)) + (0.5 * xtol));
+        m = (0.5 * (c - b));
+        if (((abs(m) <= tol) || (fb === 0))) {
+            return b;
+        }
+        if (((abs(e) >= tol) && (abs(fa) > abs(fb)))) {
+            /*  secant or inverse quadratic interpolation  */
+            s = (fb / fa);
+            if ((a === c)) {
+                p = ((2 * m) * s);
+                q = (1 - s);
+            } else {
+                q = (fa / fc);
+                r = (fb / fc);
+                p = (s * (((2 * m) * q) * (q - r) - ((b - a) * (r - 1))));
+                q = (((q - 1) * (r - 1)) * (s - 1));
+            }
+            if ((p > 0)) {
+                q = (-q);
+            } else {
+                p = (-p);
+            }
+            if (((2 * p) < Math.min((((3 * m) * q) - abs((tol * q))), abs((e * q))))) {
+                e = d;
+                d = (p / q);
+            } else {
+                d = m;
+                e = m;
+            }
+        } else {
+            /*  bisection  */
+            d = m;
+            e = m;
+        }
+        a = b;
+        fa = fb;
+        b += ((abs(d) > tol) ? d : ((m > 0) ? tol : (-tol)));
+        fb = f(b);
+    }
+    throw new Error(`brentq did not converge in ${maxiter} iterations`);
+}
+
+function fminbound(f, a, b, xtol = 1e-9, maxiter = 500) {
+    /*
+    find a local minimum of f on the interval [a, b], Brent's bounded method
+
+    Parameters
+    ----------
+    f : function
+    function of one variable
+    a, b : float
+    interval, a < b
+    xtol : float, optional
+    absolute tolerance on the minimum location
+    maxiter : int, optional
+    maximum number of iterations
+
+    Results
+    -------
+    x : float
+    location of the minimum
+    fx : float
+    f(x)
+
+    golden section search with parabolic interpolation, as scipy.optimize.fminbound
+    */
+    let cg, d, e, fu, fv, fw, fx, golden, i, m, p, q, r, tol1, tol2, u, v, w, x;
+    cg = (0.5 * (3.0 - sqrt(5.0)));
+    v = (a + (cg * (b - a)));
+    w = v;
+    x = v;
+    d = 0.0;
+    e = 0.0;
+    fx = f(x);
+    fv = fx;
+    fw = fx;
+    for (i = 0; (i < maxiter); i++) {
+        m = (0.5 * (a + b));
+        tol1 = ((sqrt(Number.EPSILON) * abs(x)) + (xtol / 3.0));
+        tol2 = (2.0 * tol1);
+        if ((abs((x - m)) <= (tol2 - (0.5 * (b - a))))) {
+            break;
+        }
+        golden = true;
+        if ((abs(e) > tol1)) {
+            /*  fit a parabola through x, v, w  */
+            r = ((x - w) * (fx - fv));
+            q = ((x - v) * (fx - fw));
+            p = (((x - v) * q) - ((x - w) * r));
+            q = (2.0 * (q - r));
+            if ((q > 0.0)) {
+                p = (-p);
+            }
+            q = abs(q);
+            r = e;
+            e = d;
+            if (((abs(p) < abs(((0.5 * q) * r))) && (p > (q * (a - x))) && (p < (q * (b - x))))) {
+                d = (p / q);
+                u = (x + d);
+                /*  f must not be evaluated too close to the ends  */
+                if ((((u - a) < tol2) || ((b - u) < tol2))) {
+                    d = ((m >= x) ? tol1 : (-tol1));
+                }
+                golden = false;
+            }
+        }
+        if (golden) {
+            e = ((x >= m) ? (a - x) : (b - x));
+            d = (cg * e);
+        }
+        u = (x + ((abs(d) >= tol1) ? d : ((d >= 0) ? tol1 : (-tol1))));
+        fu = f(u);
+        if ((fu <= fx)) {
+            if ((u >= x)) {
+                a = x;
+            } else {
+                b = x;
+            }
+            [v, fv, w, fw, x, fx] = [w, fw, x, fx, u, fu];
+        } else {
+            if ((u < x)) {
+                a = u;
+            } else {
+                b = u;
+            }
+            if (((fu <= fw) || (w === x))) {
+                [v, fv, w, fw] = [w, fw, u, fu];
+            } else if (((fu <= fv) || (v === x) || (v === w))) {
+                v = u;
+                fv = fu;
+            }
+        }
+    }
+    return [x, fx];
+}
+
+function crossings(f, times, xtol = 1e-4) {
+    /*
+    find where a function of time changes sign over a sampled window
+
+    Parameters
+    ----------
+    f : function
+    continuous function of one variable, e.g. elevation above a mask
+    times : Array
+    increasing sample points spanning the window
+    xtol : float, optional
+    absolute tolerance on each crossing
+
+    Results
+    -------
+    crossings : Array
+    [t, rising] in increasing t, rising is true where f goes from negative to >= 0
+
+    Sign changes between samples are solved with brentq. A local maximum of the
+    samples below zero is searched with fminbound, and gives a pair of crossings if
+    f peeks above zero between samples. Shorter excursions, or two within one
+    sample spacing, can be missed: keep the spacing well below the shortest event.
+    */
+    let i, found, samples;
+    samples = times.map(f);
+    found = [];
+    for (i = 0; (i < (times.length - 1)); i++) {
+        if (((samples[i] >= 0) !== (samples[(i + 1)] >= 0))) {
+            found.push([brentq(f, times[i], times[(i + 1)], xtol), (samples[(i + 1)] >= 0)]);
+        } else if (((i > 0) && (samples[i] < 0) && (samples[i] >= samples[(i - 1)]) && (samples[i] >= samples[(i + 1)]))) {
+            peek(f, times[(i - 1)], times[(i + 1)], xtol, found);
+        }
+    }
+    return found.sort((a, b) => (a[0] - b[0]));
+}
+
+function peek(f, a, b, xtol, found) {
+    /*  a sampled local maximum below zero: add both crossings if the true maximum is above it  */
+    let fmax, tmax;
+    [tmax, fmax] = fminbound((t => (-f(t))), a, b, (10 * xtol));
+    if (((-fmax) > 0)) {
+        found.push([brentq(f, a, tmax, xtol), true]);
+        found.push([brentq(f, tmax, b, xtol), false]);
+    }
+}
@@ -0,0 +1,347 @@
+/*
+transforms involving frames attached to a chief spacecraft orbit, e.g. for conjunction analysis
+
+RIC (RSW): Radial, In-track, Cross-track
+LVLH: Local Vertical Local Horizontal
+NTW: Normal (in plane), Tangential, orbit normal W
+VNC: Velocity, Normal (orbit), Co-normal
+
+D. Vallado "Fundamentals of Astrodynamics and Applications", satellite coordinate systems
+
+The chief state is [x, y, z, vx, vy, vz] in the same frame as the deputy, normally ECI
+as from propagate or Satrec.propagate. ECEF states work as well, the axes then follow
+the velocity relative to the rotating Earth.
+
+Velocities are rotated only: the relative inertial velocity resolved along the frame axes,
+as in conjunction data messages. For the velocity seen from the rotating RIC frame
+(Hill, Clohessy-Wiltshire) subtract w x rho with w = [0, 0, |r x v| / r^2].
+*/
+
+import {cross, matvec, norm, transpose} from './utils';
+
+export {eci2ric, ric2eci, eci2lvlh, lvlh2eci, eci2ntw, ntw2eci, eci2vnc, vnc2eci};
+
+function eci2ric(x, y, z, chief, v = null) {
+    /*
+    deputy ECI => chief RIC (RSW)
+
+    Parameters
+    ----------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    deputy ECI velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    r : float
+    radial, along the chief position [meters]
+    i : float
+    in-track, completes the right handed frame, along velocity on a circular orbit [meters]
+    c : float
+    cross-track, along the chief orbit normal r x v [meters]
+
+    with v, also vr, vi, vc : float, the relative velocity [meters/second]
+    */
+    return toframe(ric(chief), chief, [x, y, z], v);
+}
+
+function ric2eci(r, i, c, chief, v = null) {
+    /*
+    chief RIC (RSW) => deputy ECI
+
+    Parameters
+    ----------
+    r : float
+    radial [meters]
+    i : float
+    in-track [meters]
+    c : float
+    cross-track [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    relative velocity [vr, vi, vc] [meters/second]
+
+    Results
+    -------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+
+    with v, also vx, vy, vz : float, the deputy ECI velocity [meters/second]
+    */
+    return fromframe(ric(chief), chief, [r, i, c], v);
+}
+
+function eci2lvlh(x, y, z, chief, v = null) {
+    /*
+    deputy ECI => chief LVLH
+
+    Parameters
+    ----------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    deputy ECI velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    xl : float
+    completes the right handed frame, along velocity on a circular orbit [meters]
+    yl : float
+    opposite the chief orbit normal [meters]
+    zl : float
+    nadir, opposite the chief position [meters]
+
+    with v, also vxl, vyl, vzl : float, the relative velocity [meters/second]
+
+    LVLH as flown by crewed spacecraft, the CCSDS orbit data message convention.
+    xl, yl, zl = in-track, -cross-track, -radial of RIC
+    */
+    return toframe(lvlh(chief), chief, [x, y, z], v);
+}
+
+function lvlh2eci(xl, yl, zl, chief, v = null) {
+    /*
+    chief LVLH => deputy ECI
+
+    Parameters
+    ----------
+    xl : float
+    LVLH x, along velocity on a circular orbit [meters]
+    yl : float
+    LVLH y, opposite the orbit normal [meters]
+    zl : float
+    LVLH z, nadir [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    relative velocity [vxl, vyl, vzl] [meters/second]
+
+    Results
+    -------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+
+    with v, also vx, vy, vz : float, the deputy ECI velocity [meters/second]
+    */
+    return fromframe(lvlh(chief), chief, [xl, yl, zl], v);
+}
+
+function eci2ntw(x, y, z, chief, v = null) {
+    /*
+    deputy ECI => chief NTW
+
+    Parameters
+    ----------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    deputy ECI velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    n : float
+    in plane normal to the velocity, outward [meters]
+    t : float
+    tangential, along the chief velocity [meters]
+    w : float
+    along the chief orbit normal r x v [meters]
+
+    with v, also vn, vt, vw : float, the relative velocity [meters/second]
+
+    NTW equals RIC on a circular orbit, rotated by the flight path angle otherwise.
+    */
+    return toframe(ntw(chief), chief, [x, y, z], v);
+}
+
+function ntw2eci(n, t, w, chief, v = null) {
+    /*
+    chief NTW => deputy ECI
+
+    Parameters
+    ----------
+    n : float
+    in plane normal to the velocity [meters]
+    t : float
+    tangential [meters]
+    w : float
+    orbit normal [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    relative velocity [vn, vt, vw] [meters/second]
+
+    Results
+    -------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+
+    with v, also vx, vy, vz : float, the deputy ECI velocity [meters/second]
+    */
+    return fromframe(ntw(chief), chief, [n, t, w], v);
+}
+
+function eci2vnc(x, y, z, chief, v = null) {
+    /*
+    deputy ECI => chief VNC
+
+    Parameters
+    ----------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    deputy ECI velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    vel : float
+    along the chief velocity [meters]
+    nor : float
+    along the chief orbit normal r x v [meters]
+    con : float
+    co-normal, completes the right handed frame, outward [meters]
+
+    with v, also the relative velocity along the same axes [meters/second]
+
+    VNC is NTW with its axes reordered: V = T, N = W, C = N
+    */
+    return toframe(vnc(chief), chief, [x, y, z], v);
+}
+
+function vnc2eci(vel, nor, con, chief, v = null) {
+    /*
+    chief VNC => deputy ECI
+
+    Parameters
+    ----------
+    vel : float
+    along the chief velocity [meters]
+    nor : float
+    along the chief orbit normal [meters]
+    con : float
+    co-normal [meters]
+    chief : Array
+    chief ECI state [x, y, z, vx, vy, vz] [meters, meters/second]
+    v : Array, optional
+    relative velocity along the same axes [meters/second]
+
+    Results
+    -------
+    x : float
+    deputy ECI x-location [meters]
+    y : float
+    deputy ECI y-location [meters]
+    z : float
+    deputy ECI z-location [meters]
+
+    with v, also vx, vy, vz : float, the deputy ECI velocity [meters/second]
+    */
+    return fromframe(vnc(chief), chief, [vel, nor, con], v);
+}
+
+function ric(chief) {
+    /*  rows are the R, I, C unit vectors: ECI => RIC matrix  */
+    let c, h, r;
+    [r, h] = axes(chief);
+    c = unit(h);
+    return [unit(r), cross(c, unit(r)), c];
+}
+
+function lvlh(chief) {
+    /*  rows are the LVLH x, y, z unit vectors  */
+    let c, i, r;
+    [r, i, c] = ric(chief);
+    return [i, c.map(ci => (-ci)), r.map(ri => (-ri))];
+}
+
+function ntw(chief) {
+    /*  rows are the N, T, W unit vectors  */
+    let _, h, t, w;
+    [_, h] = axes(chief);
+    t = unit(chief.slice(3, 6));
+    w = unit(h);
+    return [cross(t, w), t, w];
+}
+
+function vnc(chief) {
+    /*  rows are the V, N, C unit vectors  */
+    let n, t, w;
+    [n, t, w] = ntw(chief);
+    return [t, w, n];
+}
+
+function axes(chief) {
+    /*  chief position and angular momentum, which must not vanish  */
+    let h, r;
+    r = chief.slice(0, 3);
+    h = cross(r, chief.slice(3, 6));
+    if ((norm(h) === 0)) {
+        throw new Error("chief position and velocity must not be parallel");
+    }
+    return [r, h];
+}
+
+function unit(a) {
+    /*  unit vector along a  */
+    let n;
+    n = norm(a);
+    return a.map(ai => (ai / n));
+}
+
+function toframe(R, chief, p, v) {
+    /*  deputy ECI relative to the chief, rotated into the frame R  */
+    let rel;
+    rel = matvec(R, p.map((pk, k) => (pk - chief[k])));
+    if ((v === null)) {
+        return rel;
+    }
+    return [...rel, ...matvec(R, v.map((vi, k) => (vi - chief[(k + 3)])))];
+}
+
+function fromframe(R, chief, p, v) {
+    /*  frame R relative coordinates back to deputy ECI  */
+    let Rt, pos;
+    Rt = transpose(R);
+    pos = matvec(Rt, p).map((pk, k) => (pk + chief[k]));
+    if ((v === null)) {
+        return pos;
+    }
+    return [...pos, ...matvec(Rt, v).map((vi, k) => (vi + chief[(k + 3)]))];
+}
@@ -0,0 +1,134 @@
+/*  satellite passes over a ground observer  */
+
+import {ecef2aer, eci2aer, teme2aer} from './aer';
+import {crossings, fminbound} from './optimize';
+import {str2dt} from './timeconv';
+
+export {passes};
+
+function passes(position, lat0, lon0, h0, start, stop, frame = "ecef", elmask = 0.0, step = 60.0, ell = null, eop = null) {
+    /*
+    find the passes of a satellite above an elevation mask
+
+    Parameters
+    ----------
+    position : function
+    position(time) gives the satellite [x, y, z] (meters) at a datetime.datetime,
+    e.g. t => Satrec.propagate(t).slice(0, 3) with frame "teme"
+    lat0 : float
+    Observer geodetic latitude [degrees]
+    lon0 : float
+    Observer geodetic longitude [degrees]
+    h0 : float
+    observer altitude above geodetic ellipsoid (meters)
+    start : datetime.datetime or str
+    start of the search window (UTC)
+    stop : datetime.datetime or str
+    end of the search window (UTC)
+    frame : str, optional
+    frame of position: "ecef" (default), "eci" (as eci2aer: TEME of date without eop,
+    GCRS with eop) or "teme"
+    elmask : float, optional
+    minimum elevation [degrees]
+    step : float, optional
+    search step [seconds]. Mask crossings are bracketed at this spacing and then
+    solved for, a pass shorter than step can only be found from an elevation
+    maximum between samples, so keep it well below the shortest pass (60 s suits LEO)
+    ell : Ellipsoid, optional
+    reference ellipsoid
+    eop : Object, optional
+    Earth orientation parameters for frame "eci" or "teme", see eci2ecef
+
+    Results
+    -------
+    passes : Array
+    one Object per pass, in time order:
+
+    aos, los : datetime.datetime
+    acquisition and loss of signal, elevation crossing elmask
+    aos_az, los_az : float
+    azimuth at aos and los [degrees]
+    tmax : datetime.datetime
+    time of maximum elevation
+    max_el, max_az : float
+    elevation and azimuth at tmax [degrees]
+
+    A pass under way at start or stop has aos = start or los = stop.
+    Times are found to a millisecond, as Date holds.
+    */
+    let aos, el, events, i, look, passlist, t0, times, tstop;
+    start = str2dt(start);
+    t0 = start.getTime();
+    tstop = ((str2dt(stop).getTime() - t0) / 1000.0);
+    if ((tstop <= 0)) {
+        throw new Error("stop must be after start");
+    }
+    if ((step <= 0)) {
+        throw new Error("step must be positive");
+    }
+    if (!["ecef", "eci", "teme"].includes(frame)) {
+        throw new Error("frame must be ecef, eci or teme");
+    }
+
+    look = function (t) {
+        /*  az, el, range at t seconds from start  */
+        let x, y, z, time;
+        time = new Date((t0 + (t * 1000.0)));
+        [x, y, z] = position(time);
+        if ((frame === "ecef")) {
+            return ecef2aer(x, y, z, lat0, lon0, h0, ell);
+        } else if ((frame === "eci")) {
+            return eci2aer(x, y, z, lat0, lon0, h0, time, ell, true, eop);
+        }
+        return teme2aer(x, y, z, lat0, lon0, h0, time, ell, true, eop);
+    };
+    el = (t => (look(t)[1] - elmask));
+
+    times = [];
+    for (i = 0; ((i * step) < tstop); i++) {
+        times.push((i * step));
+    }
+    times.push(tstop);
+    events = crossings(el, times);
+
+    /*  pair rising and setting crossings into passes  */
+    passlist = [];
+    aos = ((el(0.0) >= 0) ? 0.0 : null);
+    for (const [t, rising] of events) {
+        if (rising) {
+            aos = t;
+        } else if ((aos !== null)) {
+            passlist.push(pass(look, t0, times, aos, t));
+            aos = null;
+        }
+    }
+    if ((aos !== null)) {
+        passlist.push(pass(look, t0, times, aos, tstop));
+    }
+    return passlist;
+}
+
+function pass(look, t0, times, aos, los) {
+    /*  events of one pass between aos and los [seconds from start]  */
+    let a, aerlos, aeraos, aermax, b, best, grid, negel, tmax, values;
+    /*  bracket the maximum around the highest sample, elevation need not be unimodal over a long pass  */
+    grid = [aos, ...times.filter(t => ((t > aos) && (t < los))), los];
+    negel = (t => (-look(t)[1]));
+    values = grid.map(negel);
+    best = values.indexOf(Math.min(...values));
+    a = grid[Math.max((best - 1), 0)];
+    b = grid[Math.min((best + 1), (grid.length - 1))];
+    [tmax] = fminbound(negel, a, b, 1e-3);
+    aeraos = look(aos);
+    aerlos = look(los);
+    aermax = look(tmax);
+    return {
+        aos: new Date(Math.round((t0 + (aos * 1000.0)))),
+        aos_az: aeraos[0],
+        tmax: new Date(Math.round((t0 + (tmax * 1000.0)))),
+        max_el: aermax[1],
+        max_az: aermax[0],
+        los: new Date(Math.round((t0 + (los * 1000.0)))),
+        los_az: aerlos[0]
+    };
+}
@@ -0,0 +1,212 @@
+/*  numerical orbit propagation: two-body plus zonal harmonics J2 - J4 (Cowell's method)  */
+
+import {wgs84} from './ellipsoid';
+import {abs, sqrt} from './mathfun';
+import {str2dt} from './timeconv';
+import {norm} from './utils';
+
+export {propagate};
+
+/*
+Runge-Kutta-Fehlberg 7(8), 13 stages
+
+E. Fehlberg, "Classical fifth-, sixth-, seventh-, and eighth-order Runge-Kutta
+formulas with stepsize control", NASA TR R-287, 1968
+the equations of motion do not depend on time, so the nodes c are not needed
+*/
+const RK78_A = [
+    [],
+    [(2 / 27)],
+    [(1 / 36), (1 / 12)],
+    [(1 / 24), 0, (1 / 8)],
+    [(5 / 12), 0, (-25 / 16), (25 / 16)],
+    [(1 / 20), 0, 0, (1 / 4), (1 / 5)],
+    [(-25 / 108), 0, 0, (125 / 108), (-65 / 27), (125 / 54)],
+    [(31 / 300), 0, 0, 0, (61 / 225), (-2 / 9), (13 / 900)],
+    [2, 0, 0, (-53 / 6), (704 / 45), (-107 / 9), (67 / 90), 3],
+    [(-91 / 108), 0, 0, (23 / 108), (-976 / 135), (311 / 54), (-19 / 60), (17 / 6), (-1 / 12)],
+    [(2383 / 4100), 0, 0, (-341 / 164), (4496 / 1025), (-301 / 82), (2133 / 4100), (45 / 82), (45 / 164), (18 / 41)],
+    [(3 / 205), 0, 0, 0, 0, (-6 / 41), (-3 / 205), (-3 / 41), (3 / 41), (6 / 41), 0],
+    [(-1777 / 4100), 0, 0, (-341 / 164), (4496 / 1025), (-289 / 82), (2193 / 4100), (51 / 82), (33 / 164), (12 / 41), 0, 1]
+];
+/*  eighth order weights, the seventh order solution differs by 41/840 (k1 + k11 - k12 - k13)  */
+const RK78_B = [0, 0, 0, 0, 0, (34 / 105), (9 / 35), (9 / 35), (9 / 280), (9 / 280), 0, (41 / 840), (41 / 840)];
+
+function propagate(x, y, z, vx, vy, vz, epoch, time, ell = null, zonal = 2, method = "rk78", step = 10.0, tol = 1e-12) {
+    /*
+    numerically integrate an ECI state vector under two-body plus zonal gravity
+
+    Parameters
+    ----------
+    x, y, z : float
+    ECI position at epoch [meters]
+    vx, vy, vz : float
+    ECI velocity at epoch [meters/second]
+    epoch : datetime.datetime or str
+    time of the state vector (UTC)
+    time : datetime.datetime or str, or Array of these
+    output time(s), before or after epoch
+    ell : Ellipsoid, optional
+    central body, its gm, semimajor_axis and j2, j3, j4 are used. Default WGS-84.
+    zonal : int, optional
+    highest zonal harmonic: 0 for two-body, 2 for J2 (default), 3 or 4
+    method : str, optional
+    "rk78" (default) adaptive Runge-Kutta-Fehlberg 7(8), or "rk4" fixed step
+    step : float, optional
+    "rk4" step size, "rk78" initial step size [seconds]
+    tol : float, optional
+    "rk78" relative error per step in position and velocity
+
+    Results
+    -------
+    x, y, z : float
+    ECI position [meters]
+    vx, vy, vz : float
+    ECI velocity [meters/second]
+
+    Array input gives an Array of [x, y, z, vx, vy, vz], e.g. to map through
+    eci2geodetic for a ground track or eci2aer for look angles.
+    The integration runs once through the sorted times, from epoch outward.
+
+    The zonal field is symmetric about the ECI z axis, as eci2ecef without
+    Earth orientation parameters assumes. Earth's pole of date is tilted from the
+    GCRS pole by precession, about 0.3 degrees by 2025.
+    */
+    let f, forward, h, i, order, s, states, t, t0, times;
+    if (ell === null) {
+        ell = wgs84;
+    }
+    if ((ell.gm === null)) {
+        throw new Error(`${ell.name} has no gravitational parameter gm`);
+    }
+    if ((!Number.isInteger(zonal)) || (zonal < 0) || (zonal > 4)) {
+        throw new Error("zonal must be an integer 0 .. 4");
+    }
+    if (!["rk4", "rk78"].includes(method)) {
+        throw new Error("method must be rk4 or rk78");
+    }
+    if ((step <= 0)) {
+        throw new Error("step must be positive");
+    }
+    if (!Array.isArray(time)) {
+        return propagate(x, y, z, vx, vy, vz, epoch, [time], ell, zonal, method, step, tol)[0];
+    }
+
+    t0 = str2dt(epoch).getTime();
+    times = time.map(t => ((str2dt(t).getTime() - t0) / 1000.0));
+    f = (s => [s[3], s[4], s[5], ...gravity(s[0], s[1], s[2], ell, zonal)]);
+    states = new Array(times.length);
+    for (forward of [true, false]) {
+        order = times.map((_, i) => i).filter(i => (forward ? (times[i] >= 0) : (times[i] < 0)));
+        order.sort((i, j) => (forward ? (times[i] - times[j]) : (times[j] - times[i])));
+        s = [x, y, z, vx, vy, vz];
+        t = 0.0;
+        h = (forward ? step : (-step));
+        for (i of order) {
+            [s, h] = integrate(f, s, t, times[i], h, ell, method, tol);
+            t = times[i];
+            states[i] = s;
+        }
+    }
+    return states;
+}
+
+function gravity(x, y, z, ell, zonal) {
+    /*
+    acceleration of the zonal gravity field [meters/second^2]
+
+    V = GM / r (1 - sum Jn (R / r)^n Pn(sin(latitude))), a = grad V
+    with the Legendre polynomials Pn and their derivatives by recurrence
+    */
+    let a, c, dp, j, n, p, p1, r, s, tmp;
+    r = sqrt((((x * x) + (y * y)) + (z * z)));
+    s = (z / r);
+    /*  a = c_r * r_hat + c_z * z_hat, point mass first  */
+    a = [(-ell.gm / (r * r)), 0.0];
+    [p1, p, dp] = [1.0, s, 1.0];
+    j = [0.0, 0.0, ell.j2, ell.j3, ell.j4];
+    for (n = 2; (n <= zonal); n++) {
+        [p1, p, dp] = [p, ((((((2 * n) - 1) * s) * p) - ((n - 1) * p1)) / n), ((n * p) + (s * dp))];
+        c = (((ell.gm * j[n]) / (r * r)) * ((ell.semimajor_axis / r) ** n));
+        a[0] += (c * (((n + 1) * p) + (s * dp)));
+        a[1] -= (c * dp);
+    }
+    tmp = (a[0] / r);
+    return [(tmp * x), (tmp * y), ((tmp * z) + a[1])];
+}
+
+function integrate(f, s, t, t1, h, ell, method, tol) {
+    /*
+    advance state s from t to t1 [seconds]
+
+    returns the state at t1 and, for "rk78", the step size to continue with
+    */
+    let err, fac, i, last, n, snew, span;
+    span = (t1 - t);
+    if ((span === 0)) {
+        return [s, h];
+    }
+    if ((method === "rk4")) {
+        n = Math.ceil(((abs(span) / abs(h)) - 1e-9));
+        for (i = 0; (i < n); i++) {
+            s = rk4(f, s, (span / n));
+            surface(s, ell);
+        }
+        return [s, h];
+    }
+    while ((t !== t1)) {
+        /*  the last step lands on t1  */
+        last = (abs(h) >= abs((t1 - t)));
+        span = (last ? (t1 - t) : h);
+        [snew, err] = rk78(f, s, span);
+        /*  step size control, Hairer, Norsett, Wanner 1993, II.4  */
+        fac = Math.min(5.0, Math.max(0.2, (0.9 * ((tol / err) ** (1 / 8)))));
+        if ((err <= tol)) {
+            s = snew;
+            t = (last ? t1 : (t + span));
+            surface(s, ell);
+            /*  a step shortened to land on t1 says little about the next one  */
+            h = ((last && (abs(h) > abs((span * fac)))) ? h : (span * fac));
+        } else {
+            h = (span * fac);
+        }
+        if ((abs(h) < 1e-6)) {
+            throw new Error("rk78 step size underflow, increase tol");
+        }
+    }
+    return [s, h];
+}
+
+function rk4(f, s, h) {
+    /*  classical fourth order Runge-Kutta step  */
+    let k1, k2, k3, k4;
+    k1 = f(s);
+    k2 = f(s.map((si, i) => (si + ((0.5 * h) * k1[i]))));
+    k3 = f(s.map((si, i) => (si + ((0.5 * h) * k2[i]))));
+    k4 = f(s.map((si, i) => (si + (h * k3[i]))));
+    return s.map((si, i) => (si + ((h / 6.0) * (((k1[i] + (2 * k2[i])) + (2 * k3[i])) + k4[i]))));
+}
+
+function rk78(f, s, h) {
+    /*
+    Runge-Kutta-Fehlberg 7(8) step
+
+    returns the eighth order state and the relative error estimate,
+    the larger of the position and velocity errors over their magnitudes
+    */
+    let e, k, snew, stage;
+    k = [];
+    for (stage = 0; (stage < 13); stage++) {
+        k.push(f(s.map((si, i) => (si + (h * RK78_A[stage].reduce(((acc, a, j) => (acc + (a * k[j][i]))), 0.0))))));
+    }
+    snew = s.map((si, i) => (si + (h * RK78_B.reduce(((acc, b, j) => (acc + (b * k[j][i]))), 0.0))));
+    e = s.map((_, i) => ((((41 / 840) * h) * (((k[0][i] + k[10][i]) - k[11][i]) - k[12][i]))));
+    return [snew, Math.max((norm(e.slice(0, 3)) / norm(snew.slice(0, 3))), (norm(e.slice(3)) / norm(snew.slice(3))))];
+}
+
+function surface(s, ell) {
+    /*  a state below the surface has no meaning for this force model  */
+    if ((norm(s.slice(0, 3)) < ell.semiminor_axis)) {
+        throw new Error(`orbit intersects the surface of ${ell.name}`);
+    }
+}
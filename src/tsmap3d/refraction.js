@@ -0,0 +1,127 @@
+/*
+atmospheric refraction of the elevation angle
+
+optical: G. G. Bennett, "The Calculation of Astronomical Refraction in Marine Navigation",
+Journal of Navigation 35, 1982, and its inverse by T. Saemundsson, Sky and Telescope 72, 1986,
+as given in J. Meeus, "Astronomical Algorithms", 2nd ed., 1998, chapter 16: about 0.1 arcminute
+above 5 degrees elevation at standard conditions, scaled for pressure and temperature.
+
+radio: Recommendation ITU-R P.834-9, "Effects of tropospheric refraction on radiowave
+propagation", 2017, section 4, for the reference atmosphere and station heights up to 3 km.
+*/
+
+import {abs, degrees, radians, tan} from './mathfun';
+
+export {refract, unrefract};
+
+function refract(el, refraction = "optical", deg = true) {
+    /*
+    geometric (true) elevation => apparent, refracted elevation
+
+    Parameters
+    ----------
+    el : float
+    geometric elevation above the horizon
+    refraction : str or Object, optional
+    "optical" (default) or "radio" for the default conditions, or an Object with
+    model : str, "optical" or "radio"
+    pressure : float, atmospheric pressure at the observer [hPa], optical, default 1010
+    temperature : float, air temperature at the observer [degrees Celsius], optical, default 10
+    height : float, observer height above sea level [meters], radio, default 0
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    el : float
+    apparent elevation, higher than the geometric one by up to about 0.6 degrees
+
+    Below -1 degree elevation (0 for radio) the correction there tapers off linearly to
+    none at the nadir, so that the mapping stays invertible.
+    */
+    let opts;
+    opts = options(refraction);
+    if (!deg) {
+        return radians(refract(degrees(el), opts));
+    }
+    return (el + correction(el, opts));
+}
+
+function unrefract(el, refraction = "optical", deg = true) {
+    /*
+    apparent, refracted elevation => geometric (true) elevation
+
+    Parameters
+    ----------
+    el : float
+    apparent elevation above the horizon
+    refraction : str or Object, optional
+    atmosphere, see refract
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    el : float
+    geometric elevation
+
+    the exact inverse of refract: fixed point iteration on the correction refract applies
+    (Saemundsson's formula for optical), started from Bennett's formula for optical,
+    which gives the refraction directly from the apparent elevation
+    */
+    let el0, opts;
+    opts = options(refraction);
+    if (!deg) {
+        return radians(unrefract(degrees(el), opts));
+    }
+    el0 = ((opts.model === "optical") ? (el - (bennett(Math.max(el, -1.0)) * scale(opts))) : el);
+    for (let i = 0; (i < 20); i++) {
+        const next = (el - correction(el0, opts));
+        if ((abs((next - el0)) < 1e-12)) {
+            return next;
+        }
+        el0 = next;
+    }
+    return el0;
+}
+
+function options(refraction) {
+    /*  model and atmosphere with defaults filled in  */
+    let opts;
+    opts = ((typeof refraction === "string") ? {model: refraction} : refraction);
+    opts = Object.assign({pressure: 1010.0, temperature: 10.0, height: 0.0}, opts);
+    if (!["optical", "radio"].includes(opts.model)) {
+        throw new Error("refraction model must be optical or radio");
+    }
+    if ((opts.pressure < 0) || (opts.temperature <= -273.15)) {
+        throw new Error("pressure must be >= 0 hPa and temperature above absolute zero");
+    }
+    return opts;
+}
+
+function correction(el, opts) {
+    /*  apparent - geometric elevation [degrees] at geometric elevation el [degrees]  */
+    let e, h, lo, r;
+    lo = ((opts.model === "radio") ? 0.0 : -1.0);
+    e = Math.max(el, lo);
+    if ((opts.model === "radio")) {
+        /*  ITU-R P.834, h in km  */
+        h = (opts.height / 1000.0);
+        r = (1.0 / ((((1.314 + (0.6437 * e)) + (0.02869 * (e * e))) + (h * ((0.2305 + (0.09428 * e)) + (0.01096 * (e * e))))) + (0.008583 * (h * h))));
+    } else {
+        /*  Saemundsson, arcminutes, the constant makes it vanish at the zenith  */
+        r = ((((1.02 / tan(radians((e + (10.3 / (e + 5.11)))))) + 0.0019279) / 60.0) * scale(opts));
+    }
+    /*  below the formula's range taper off to nothing at the nadir  */
+    return ((el < lo) ? ((r * (el + 90.0)) / (lo + 90.0)) : r);
+}
+
+function bennett(el) {
+    /*  refraction, apparent - geometric elevation [degrees] at apparent elevation el [degrees], standard conditions  */
+    return (((1.0 / tan(radians((el + (7.31 / (el + 4.4)))))) + 0.0013515) / 60.0);
+}
+
+function scale(opts) {
+    /*  pressure and temperature relative to 1010 hPa and 10 degrees Celsius  */
+    return ((opts.pressure / 1010.0) * (283.0 / (273.0 + opts.temperature)));
+}
@@ -0,0 +1,156 @@
+/*  rise, transit and set of celestial objects  */
+
+import {OMEGA_GMST} from './eci';
+import {abs, acos, cos, pi, radians, sin, tau} from './mathfun';
+import {datetime2sidereal} from './sidereal';
+import {sunradec} from './sun';
+import {str2dt} from './timeconv';
+
+export {riseset, sunriseset};
+
+function riseset(ra, dec, lat, lon, time, horizon = 0.0, deg = true, sidereal = "mean") {
+    /*
+    next rise, upper transit and set of a fixed target
+
+    Parameters
+    ----------
+    ra : float
+    right ascension of the target
+    dec : float
+    declination of the target
+    lat : float
+    observer geodetic latitude
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    start of the search (UTC)
+    horizon : float, optional
+    altitude of the target's center at rise and set: 0 geometric (default),
+    -0.5667 for a star with standard refraction
+    deg : bool, optional
+    degrees input  (False: radians)
+    sidereal : str, optional
+    hour angle origin as for radec2azel: "mean" (default), "apparent" or "era"
+
+    Results
+    -------
+    events : Object
+
+    rise, transit, set : datetime.datetime or null
+    the first of each at or after time, each within one sidereal day. rise and set
+    are null unless state is "rises"; the upper transit happens either way.
+    state : str
+    "rises", "circumpolar" (always above horizon) or "never rises"
+
+    UT1 = UTC is assumed, times are good to about a second.
+    */
+    let h0, lst, state;
+    time = str2dt(time);
+    if (deg) {
+        [ra, dec, lat, lon, horizon] = [radians(ra), radians(dec), radians(lat), radians(lon), radians(horizon)];
+    }
+    lst = datetime2sidereal(time, lon, null, sidereal);
+    [state, h0] = semiarc(dec, lat, horizon);
+    return {
+        rise: ((state === "rises") ? after(time, lst, ra, (-h0)) : null),
+        transit: after(time, lst, ra, 0.0),
+        set: ((state === "rises") ? after(time, lst, ra, h0) : null),
+        state: state
+    };
+}
+
+function sunriseset(lat, lon, time, horizon = -0.833, deg = true) {
+    /*
+    next sunrise, solar noon and sunset
+
+    Parameters
+    ----------
+    lat : float
+    observer geodetic latitude
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    start of the search (UTC)
+    horizon : float, optional
+    altitude of the Sun's center: -0.833 (default) for the upper limb on the
+    horizon with standard refraction, -6, -12, -18 for the start of civil,
+    nautical and astronomical twilight
+    deg : bool, optional
+    degrees input  (False: radians)
+
+    Results
+    -------
+    events : Object
+
+    rise, transit, set : datetime.datetime or null
+    the first of each at or after time. rise and set are null when the Sun does
+    not cross horizon then
+    state : str
+    at transit: "rises", "circumpolar" (midnight Sun, or no night darker than
+    horizon) or "never rises" (polar night, or never as high as horizon)
+
+    The Sun's right ascension and declination are taken at each event, see sunradec.
+    Times are good to a few seconds, less where the Sun skims the horizon altitude.
+    */
+    let events, k, lst, state;
+    time = str2dt(time);
+    if (deg) {
+        [lat, lon, horizon] = [radians(lat), radians(lon), radians(horizon)];
+    }
+    lst = datetime2sidereal(time, lon, null, "apparent");
+    events = [];
+    for (k of [-1, 0, 1]) {
+        let dec, dh, dt, h0, ra, s;
+        /*  seconds from time, refined with the Sun's place at the event  */
+        dt = 0.0;
+        for (let i = 0; (i < 20); i++) {
+            [ra, dec] = sunradec(new Date((time.getTime() + (dt * 1000.0))), false);
+            [s, h0] = semiarc(dec, lat, horizon);
+            if ((k === 0)) {
+                state = s;
+            } else if ((s !== "rises")) {
+                dt = null;
+                break;
+            }
+            dh = ((k * h0) - ((lst + (OMEGA_GMST * dt)) - ra));
+            /*  forward to the first estimate, then the nearest correction  */
+            dh = ((i === 0) ? wrap(dh, 0.0) : wrap(dh, (-pi)));
+            dt += (dh / OMEGA_GMST);
+            if ((abs((dh / OMEGA_GMST)) < 1e-3)) {
+                if ((dt >= 0)) {
+                    break;
+                }
+                dt += (tau / OMEGA_GMST);
+            }
+        }
+        events.push(((dt === null) ? null : new Date(Math.round((time.getTime() + (dt * 1000.0))))));
+    }
+    return {rise: events[0], transit: events[1], set: events[2], state: state};
+}
+
+function semiarc(dec, lat, horizon) {
+    /*
+    hour angle from transit to set, or why there is none
+
+    Meeus, "Astronomical Algorithms", 15.1
+    */
+    let c;
+    c = ((sin(horizon) - (sin(lat) * sin(dec))) / (cos(lat) * cos(dec)));
+    if (!(c > -1.0)) {
+        return ["circumpolar", null];
+    }
+    if ((c >= 1.0)) {
+        return ["never rises", null];
+    }
+    return ["rises", acos(c)];
+}
+
+function after(time, lst, ra, h) {
+    /*  first time at or after time that the local hour angle is h, lst the local sidereal time at time  */
+    return new Date(Math.round((time.getTime() + ((wrap((h - (lst - ra)), 0.0) / OMEGA_GMST) * 1000.0))));
+}
+
+function wrap(a, lo) {
+    /*  angle a [radians] into [lo, lo + tau)  */
+    return (((((a - lo) % tau) + tau) % tau) + lo);
+}
@@ -0,0 +1,1097 @@
+/*
+SGP4/SDP4 propagation of NORAD two-line element sets
+
+Port of the reference implementation by D. Vallado, following the 2006 revision:
+
+Vallado, Crawford, Hujsak, Kelso, "Revisiting Spacetrack Report #3",
+AIAA 2006-6753, https://celestrak.org/publications/AIAA/2006-6753/
+
+Hoots, Roehrich, "Spacetrack Report #3: Models for Propagation of NORAD Element Sets", 1980
+
+Verified against the SGP4-VER.TLE cases of the 2006 paper, see tests/sgp4.test.js.
+
+Output is in the TEME frame (true equator, mean equinox of date), see teme2ecef.
+As everywhere else in tsmap3d, distance units of the public interface are METERS.
+*/
+import {abs, atan2, cos, floor, pi, power, sin, sqrt, tau} from './mathfun';
+import {greenwichsrt, jdparts} from './sidereal';
+import {str2dt} from './timeconv';
+
+export {Satrec, GRAVITY};
+
+/*  getgravconst: radius [km], mu [km^3/s^2], j2, j3, j4  */
+const GRAVITY = {
+    wgs72old: {radiusearthkm: 6378.135, mu: 398600.79964, xke: 0.0743669161, j2: 0.001082616, j3: -0.00000253881, j4: -0.00000165597},
+    wgs72: {radiusearthkm: 6378.135, mu: 398600.8, j2: 0.001082616, j3: -0.00000253881, j4: -0.00000165597},
+    wgs84: {radiusearthkm: 6378.137, mu: 398600.5, j2: 0.00108262998905, j3: -0.00000253215306, j4: -0.00000161098761}
+};
+
+const X2O3 = (2.0 / 3.0);
+/*  rev/day to rad/min  */
+const XPDOTP = (1440.0 / tau);
+/*  Earth rotation rate [rad/min] used by the resonance terms, 7.29211514668855e-5 rad/s  */
+const RPTIM = 4.37526908801129966e-3;
+
+const ERRORS = {
+    1: "mean eccentricity is not in [0, 1)",
+    2: "mean motion is less than zero",
+    3: "perturbed eccentricity is not in [0, 1]",
+    4: "semi-latus rectum is less than zero",
+    6: "satellite has decayed"
+};
+
+class Satrec {
+    /*
+    satellite record: mean elements of a two-line element set and the
+    SGP4 (near Earth) or SDP4 (deep space, period >= 225 minutes) state
+
+    Create it with Satrec.twoline2rv, then propagate with sgp4 (minutes from
+    epoch, km) or propagate (UTC time, meters).
+    */
+    static twoline2rv(line1, line2, whichconst = "wgs72", opsmode = "i") {
+        /*
+        parse a two-line element set and initialize the propagator
+
+        Parameters
+        ----------
+        line1 : str
+        first line of the element set, starting with "1 "
+        line2 : str
+        second line of the element set, starting with "2 "
+        whichconst : str, optional
+        gravity model "wgs72" (default, as used to fit NORAD elements), "wgs72old" or "wgs84"
+        opsmode : str, optional
+        "i": improved mode (default), "a": AFSPC compatibility mode
+
+        Results
+        -------
+        satrec : Satrec
+
+        Checksums are not verified.  Catalogue numbers in Alpha-5 format
+        (letter and four digits, e.g. "A0001" = 100001) are accepted.
+        */
+        let day, jd0, sat, year;
+        line1 = line1.trimEnd();
+        line2 = line2.trimEnd();
+        if (((line1[0] !== "1") || (line2[0] !== "2") || (line1.length < 64) || (line2.length < 63))) {
+            throw new Error("two-line element set must be line 1 and line 2, of at least 64 and 63 characters");
+        }
+        sat = new Satrec();
+        sat.satnum = alpha5(line1.slice(2, 7));
+        if ((sat.satnum !== alpha5(line2.slice(2, 7)))) {
+            throw new Error("two-line element set lines are for different satellites");
+        }
+        sat.classification = (line1[7] || "U");
+        sat.intldesg = line1.slice(9, 17).trim();
+        sat.epochyr = Number.parseInt(line1.slice(18, 20), 10);
+        sat.epochdays = Number.parseFloat(line1.slice(20, 32));
+        sat.ndot = Number.parseFloat(line1.slice(33, 43));
+        sat.nddot = decimalpoint(line1.slice(44, 52));
+        sat.bstar = decimalpoint(line1.slice(53, 61));
+        sat.ephtype = Number.parseInt((line1[62] || "0"), 10);
+        sat.elnum = Number.parseInt((line1.slice(64, 68).trim() || "0"), 10);
+        sat.inclo = Number.parseFloat(line2.slice(8, 16));
+        sat.nodeo = Number.parseFloat(line2.slice(17, 25));
+        sat.ecco = Number.parseFloat(`0.${line2.slice(26, 33).trim()}`);
+        sat.argpo = Number.parseFloat(line2.slice(34, 42));
+        sat.mo = Number.parseFloat(line2.slice(43, 51));
+        sat.no_kozai = Number.parseFloat(line2.slice(52, 63));
+        sat.revnum = Number.parseInt((line2.slice(63, 68).trim() || "0"), 10);
+        if ([sat.epochyr, sat.epochdays, sat.ndot, sat.nddot, sat.bstar, sat.inclo, sat.nodeo, sat.ecco, sat.argpo, sat.mo, sat.no_kozai].some(Number.isNaN)) {
+            throw new Error("two-line element set has a malformed field");
+        }
+        /*  rev/day, deg to rad/min, rad  */
+        sat.no_kozai /= XPDOTP;
+        sat.ndot /= (XPDOTP * 1440.0);
+        sat.nddot /= ((XPDOTP * 1440.0) * 1440.0);
+        sat.inclo *= (pi / 180);
+        sat.nodeo *= (pi / 180);
+        sat.argpo *= (pi / 180);
+        sat.mo *= (pi / 180);
+        /*  two digit years 57-99 are 1957-1999, 00-56 are 2000-2056  */
+        year = ((sat.epochyr < 57) ? (sat.epochyr + 2000) : (sat.epochyr + 1900));
+        /*  Julian date of January 0.0, the epoch day counts from there  */
+        jd0 = ((((367.0 * year) - floor(((7 * year) * 0.25))) + 30) + 1721013.5);
+        day = floor(sat.epochdays);
+        sat.jdsatepoch = (jd0 + day);
+        sat.jdsatepochF = (sat.epochdays - day);
+        sat.sgp4init(whichconst, opsmode);
+        return sat;
+    }
+
+    sgp4init(whichconst = "wgs72", opsmode = "i") {
+        /*
+        initialize the propagator from the mean elements already in the record
+
+        Parameters
+        ----------
+        whichconst : str, optional
+        gravity model "wgs72", "wgs72old" or "wgs84"
+        opsmode : str, optional
+        "i": improved mode, "a": AFSPC compatibility mode
+
+        Elements are the record's jdsatepoch, jdsatepochF (UTC), bstar [1/earth radii],
+        ecco, argpo, inclo, mo, nodeo [radians] and no_kozai [rad/min].
+        */
+        let ao, argpm, cc1sq, cc2, cc3, con42, coef, coef1, cosio, cosio2, cosio4, ds, eeta, epoch, etasq,
+            inclm, k, mm, nm, nodem, omeosq, perige, pinvsq, posq, psisq, qzms24, qzms2t, rp, rteosq, sfour, sinio,
+            ss, temp, temp1, temp2, temp3, tsi, xhdot1, xpidot;
+        if (!(whichconst in GRAVITY)) {
+            throw new Error(`gravity model must be one of ${Object.keys(GRAVITY).join(", ")}`);
+        }
+        if (((opsmode !== "i") && (opsmode !== "a"))) {
+            throw new Error("opsmode must be i (improved) or a (AFSPC)");
+        }
+        setgravity(this, GRAVITY[whichconst]);
+        this.whichconst = whichconst;
+        this.operationmode = opsmode;
+        this.error = 0;
+        this.isimp = 0;
+        this.method = "n";
+        for (k of ["aycof", "con41", "cc1", "cc4", "cc5", "d2", "d3", "d4", "delmo", "eta", "argpdot", "omgcof",
+            "sinmao", "t", "t2cof", "t3cof", "t4cof", "t5cof", "x1mth2", "x7thm1", "mdot", "nodedot", "xlcof", "xmcof",
+            "nodecf", "d2201", "d2211", "d3210", "d3222", "d4410", "d4422", "d5220", "d5232", "d5421", "d5433", "dedt",
+            "del1", "del2", "del3", "didt", "dmdt", "dnodt", "domdt", "e3", "ee2", "peo", "pgho", "pho", "pinco", "plo",
+            "se2", "se3", "sgh2", "sgh3", "sgh4", "sh2", "sh3", "si2", "si3", "sl2", "sl3", "sl4", "gsto", "xfact",
+            "xgh2", "xgh3", "xgh4", "xh2", "xh3", "xi2", "xi3", "xl2", "xl3", "xl4", "xlamo", "zmol", "zmos", "atime",
+            "xli", "xni"]) {
+            this[k] = 0.0;
+        }
+        this.irez = 0;
+        this.no_unkozai = this.no_kozai;
+        /*  days since 1949 December 31 00:00 UT  */
+        epoch = ((this.jdsatepoch - 2433281.5) + this.jdsatepochF);
+        ss = ((78.0 / this.radiusearthkm) + 1.0);
+        qzms2t = power(((120.0 - 78.0) / this.radiusearthkm), 4);
+        this.init = "y";
+
+        ({ao, con42, cosio, cosio2, omeosq, posq, rp, rteosq, sinio} = initl(this, epoch));
+        this.a = power((this.no_unkozai * this.tumin), (-X2O3));
+        this.alta = ((this.a * (1.0 + this.ecco)) - 1.0);
+        this.altp = ((this.a * (1.0 - this.ecco)) - 1.0);
+
+        if (((omeosq >= 0.0) || (this.no_unkozai >= 0.0))) {
+            this.isimp = 0;
+            if ((rp < ((220.0 / this.radiusearthkm) + 1.0))) {
+                this.isimp = 1;
+            }
+            sfour = ss;
+            qzms24 = qzms2t;
+            perige = ((rp - 1.0) * this.radiusearthkm);
+            /*  for perigees below 156 km, s and qoms2t are altered  */
+            if ((perige < 156.0)) {
+                sfour = (perige - 78.0);
+                if ((perige < 98.0)) {
+                    sfour = 20.0;
+                }
+                qzms24 = power(((120.0 - sfour) / this.radiusearthkm), 4);
+                sfour = ((sfour / this.radiusearthkm) + 1.0);
+            }
+            pinvsq = (1.0 / posq);
+            tsi = (1.0 / (ao - sfour));
+            this.eta = ((ao * this.ecco) * tsi);
+            etasq = (this.eta * this.eta);
+            eeta = (this.ecco * this.eta);
+            psisq = abs((1.0 - etasq));
+            coef = (qzms24 * power(tsi, 4.0));
+            coef1 = (coef / power(psisq, 3.5));
+            cc2 = ((coef1 * this.no_unkozai) * ((ao * ((1.0 + (1.5 * etasq)) + (eeta * (4.0 + etasq)))) +
+                ((((0.375 * this.j2) * tsi) / psisq) * this.con41 * (8.0 + ((3.0 * etasq) * (8.0 + etasq))))));
+            this.cc1 = (this.bstar * cc2);
+            cc3 = 0.0;
+            if ((this.ecco > 1.0e-4)) {
+                cc3 = (((((-2.0 * coef) * tsi) * this.j3oj2) * this.no_unkozai * sinio) / this.ecco);
+            }
+            this.x1mth2 = (1.0 - cosio2);
+            this.cc4 = ((((((2.0 * this.no_unkozai) * coef1) * ao) * omeosq) *
+                (((this.eta * (2.0 + (0.5 * etasq))) + (this.ecco * (0.5 + (2.0 * etasq)))) -
+                    (((this.j2 * tsi) / (ao * psisq)) *
+                        (((-3.0 * this.con41) * ((1.0 - (2.0 * eeta)) + (etasq * (1.5 - (0.5 * eeta))))) +
+                            (((0.75 * this.x1mth2) * ((2.0 * etasq) - (eeta * (1.0 + etasq)))) * cos((2.0 * this.argpo))))))));
+            this.cc5 = ((((2.0 * coef1) * ao) * omeosq) * ((1.0 + (2.75 * (etasq + eeta))) + (eeta * etasq)));
+            cosio4 = (cosio2 * cosio2);
+            temp1 = (((1.5 * this.j2) * pinvsq) * this.no_unkozai);
+            temp2 = (((0.5 * temp1) * this.j2) * pinvsq);
+            temp3 = ((((-0.46875 * this.j4) * pinvsq) * pinvsq) * this.no_unkozai);
+            this.mdot = ((this.no_unkozai + (((0.5 * temp1) * rteosq) * this.con41)) +
+                (((0.0625 * temp2) * rteosq) * ((13.0 - (78.0 * cosio2)) + (137.0 * cosio4))));
+            this.argpdot = ((((-0.5 * temp1) * con42) + ((0.0625 * temp2) * ((7.0 - (114.0 * cosio2)) + (395.0 * cosio4)))) +
+                (temp3 * ((3.0 - (36.0 * cosio2)) + (49.0 * cosio4))));
+            xhdot1 = ((-temp1) * cosio);
+            this.nodedot = (xhdot1 + ((((0.5 * temp2) * (4.0 - (19.0 * cosio2))) + ((2.0 * temp3) * (3.0 - (7.0 * cosio2)))) * cosio));
+            xpidot = (this.argpdot + this.nodedot);
+            this.omgcof = ((this.bstar * cc3) * cos(this.argpo));
+            this.xmcof = 0.0;
+            if ((this.ecco > 1.0e-4)) {
+                this.xmcof = ((((-X2O3) * coef) * this.bstar) / eeta);
+            }
+            this.nodecf = (((3.5 * omeosq) * xhdot1) * this.cc1);
+            this.t2cof = (1.5 * this.cc1);
+            /*  avoid division by zero for inclination = 180 deg  */
+            this.xlcof = ((((-0.25 * this.j3oj2) * sinio) * (3.0 + (5.0 * cosio))) / ((abs((cosio + 1.0)) > 1.5e-12) ? (1.0 + cosio) : 1.5e-12));
+            this.aycof = ((-0.5 * this.j3oj2) * sinio);
+            this.delmo = power((1.0 + (this.eta * cos(this.mo))), 3);
+            this.sinmao = sin(this.mo);
+            this.x7thm1 = ((7.0 * cosio2) - 1.0);
+
+            /*  deep space initialization, period >= 225 minutes  */
+            if (((tau / this.no_unkozai) >= 225.0)) {
+                this.method = "d";
+                this.isimp = 1;
+                inclm = this.inclo;
+                ds = dscom(epoch, this.ecco, this.argpo, 0.0, this.inclo, this.nodeo, this.no_unkozai);
+                for (k of ["e3", "ee2", "peo", "pgho", "pho", "pinco", "plo", "se2", "se3", "sgh2", "sgh3", "sgh4",
+                    "sh2", "sh3", "si2", "si3", "sl2", "sl3", "sl4", "xgh2", "xgh3", "xgh4", "xh2", "xh3", "xi2", "xi3",
+                    "xl2", "xl3", "xl4", "zmol", "zmos"]) {
+                    this[k] = ds[k];
+                }
+                [this.ecco, this.inclo, this.nodeo, this.argpo, this.mo] = dpper(this, inclm, this.init,
+                    this.ecco, this.inclo, this.nodeo, this.argpo, this.mo);
+                argpm = 0.0;
+                nodem = 0.0;
+                mm = 0.0;
+                nm = ds.nm;
+                dsinit(this, ds, this.t, 0.0, xpidot, ds.em, argpm, inclm, mm, nm, nodem);
+            }
+
+            /*  set variables if not deep space  */
+            if ((this.isimp !== 1)) {
+                cc1sq = (this.cc1 * this.cc1);
+                this.d2 = (((4.0 * ao) * tsi) * cc1sq);
+                temp = (((this.d2 * tsi) * this.cc1) / 3.0);
+                this.d3 = (((17.0 * ao) + sfour) * temp);
+                this.d4 = (((((0.5 * temp) * ao) * tsi) * ((221.0 * ao) + (31.0 * sfour))) * this.cc1);
+                this.t3cof = (this.d2 + (2.0 * cc1sq));
+                this.t4cof = (0.25 * ((3.0 * this.d3) + (this.cc1 * ((12.0 * this.d2) + (10.0 * cc1sq)))));
+                this.t5cof = (0.2 * ((((3.0 * this.d4) + ((12.0 * this.cc1) * this.d3)) + ((6.0 * this.d2) * this.d2)) +
+                    ((15.0 * cc1sq) * ((2.0 * this.d2) + cc1sq))));
+            }
+        }
+        /*  propagate to zero epoch to initialize all others, this also checks the elements  */
+        this.sgp4(0.0);
+        this.init = "n";
+    }
+
+    sgp4(tsince) {
+        /*
+        propagate to a time relative to the element set epoch
+
+        Parameters
+        ----------
+        tsince : float
+        time since epoch [minutes]
+
+        Results
+        -------
+        r : Array
+        TEME position [km]
+        v : Array
+        TEME velocity [km/s]
+
+        Throws an Error, and sets the record's error code 1-6 as the reference
+        implementation, when the elements become invalid or the satellite decays.
+        */
+        let am, argpdf, argpm, argpp, axnl, aynl, betal, cnod, cos2u, coseo1, cosi, cosip, cosisq, cossu, cosu,
+            delm, delomg, el2, em, ep, eo1, esine, ecose, inclm, ktr, mm, mp, mrt, mvt, nm, nodedf, nodem, nodep,
+            pl, rdotl, rl, rvdot, rvdotl, sin2u, sineo1, sini, sinip, sinsu, sinu, snod, su, t2, t3, t4, temp,
+            temp1, temp2, tempa, tempe, templ, tem5, u, ux, uy, uz, vkmpersec, vx, vy, vz, xinc, xincp, xl, xlm,
+            xmdf, xmx, xmy, xnode;
+        this.t = tsince;
+        this.error = 0;
+        vkmpersec = ((this.radiusearthkm * this.xke) / 60.0);
+
+        /*  update for secular gravity and atmospheric drag  */
+        xmdf = (this.mo + (this.mdot * this.t));
+        argpdf = (this.argpo + (this.argpdot * this.t));
+        nodedf = (this.nodeo + (this.nodedot * this.t));
+        argpm = argpdf;
+        mm = xmdf;
+        t2 = (this.t * this.t);
+        nodem = (nodedf + (this.nodecf * t2));
+        tempa = (1.0 - (this.cc1 * this.t));
+        tempe = ((this.bstar * this.cc4) * this.t);
+        templ = (this.t2cof * t2);
+
+        if ((this.isimp !== 1)) {
+            delomg = (this.omgcof * this.t);
+            delm = (this.xmcof * (power((1.0 + (this.eta * cos(xmdf))), 3) - this.delmo));
+            temp = (delomg + delm);
+            mm = (xmdf + temp);
+            argpm = (argpdf - temp);
+            t3 = (t2 * this.t);
+            t4 = (t3 * this.t);
+            tempa = (((tempa - (this.d2 * t2)) - (this.d3 * t3)) - (this.d4 * t4));
+            tempe += ((this.bstar * this.cc5) * (sin(mm) - this.sinmao));
+            templ = ((templ + (this.t3cof * t3)) + (t4 * (this.t4cof + (this.t * this.t5cof))));
+        }
+
+        nm = this.no_unkozai;
+        em = this.ecco;
+        inclm = this.inclo;
+        if ((this.method === "d")) {
+            [em, argpm, inclm, mm, nodem, nm] = dspace(this, this.t, this.t, em, argpm, inclm, mm, nodem, nm);
+        }
+        if ((nm <= 0.0)) {
+            return fail(this, 2);
+        }
+        am = (power((this.xke / nm), X2O3) * tempa * tempa);
+        nm = (this.xke / power(am, 1.5));
+        em -= tempe;
+        if (((em >= 1.0) || (em < -0.001))) {
+            return fail(this, 1);
+        }
+        /*  avoid a division by zero  */
+        if ((em < 1.0e-6)) {
+            em = 1.0e-6;
+        }
+        mm += (this.no_unkozai * templ);
+        xlm = ((mm + argpm) + nodem);
+        nodem %= tau;
+        argpm %= tau;
+        xlm %= tau;
+        mm = (((xlm - argpm) - nodem) % tau);
+
+        /*  compute extra mean quantities  */
+        ep = em;
+        xincp = inclm;
+        argpp = argpm;
+        nodep = nodem;
+        mp = mm;
+        sinip = sin(inclm);
+        cosip = cos(inclm);
+
+        /*  add lunar-solar periodics  */
+        if ((this.method === "d")) {
+            [ep, xincp, nodep, argpp, mp] = dpper(this, this.inclo, "n", ep, xincp, nodep, argpp, mp);
+            if ((xincp < 0.0)) {
+                xincp = (-xincp);
+                nodep += pi;
+                argpp -= pi;
+            }
+            if (((ep < 0.0) || (ep > 1.0))) {
+                return fail(this, 3);
+            }
+            /*  long period periodics  */
+            sinip = sin(xincp);
+            cosip = cos(xincp);
+            this.aycof = ((-0.5 * this.j3oj2) * sinip);
+            this.xlcof = ((((-0.25 * this.j3oj2) * sinip) * (3.0 + (5.0 * cosip))) / ((abs((cosip + 1.0)) > 1.5e-12) ? (1.0 + cosip) : 1.5e-12));
+        }
+        axnl = (ep * cos(argpp));
+        temp = (1.0 / (am * (1.0 - (ep * ep))));
+        aynl = ((ep * sin(argpp)) + (temp * this.aycof));
+        xl = (((mp + argpp) + nodep) + ((temp * this.xlcof) * axnl));
+
+        /*  solve Kepler's equation  */
+        u = ((xl - nodep) % tau);
+        eo1 = u;
+        tem5 = 9999.9;
+        ktr = 1;
+        while (((abs(tem5) >= 1.0e-12) && (ktr <= 10))) {
+            sineo1 = sin(eo1);
+            coseo1 = cos(eo1);
+            tem5 = ((1.0 - (coseo1 * axnl)) - (sineo1 * aynl));
+            tem5 = ((((u - (aynl * coseo1)) + (axnl * sineo1)) - eo1) / tem5);
+            if ((abs(tem5) >= 0.95)) {
+                tem5 = ((tem5 > 0.0) ? 0.95 : -0.95);
+            }
+            eo1 += tem5;
+            ktr += 1;
+        }
+
+        /*  short period preliminary quantities  */
+        ecose = ((axnl * coseo1) + (aynl * sineo1));
+        esine = ((axnl * sineo1) - (aynl * coseo1));
+        el2 = ((axnl * axnl) + (aynl * aynl));
+        pl = (am * (1.0 - el2));
+        if ((pl < 0.0)) {
+            return fail(this, 4);
+        }
+        rl = (am * (1.0 - ecose));
+        rdotl = ((sqrt(am) * esine) / rl);
+        rvdotl = (sqrt(pl) / rl);
+        betal = sqrt((1.0 - el2));
+        temp = (esine / (1.0 + betal));
+        sinu = ((am / rl) * ((sineo1 - aynl) - (axnl * temp)));
+        cosu = ((am / rl) * ((coseo1 - axnl) + (aynl * temp)));
+        su = atan2(sinu, cosu);
+        sin2u = ((cosu + cosu) * sinu);
+        cos2u = (1.0 - ((2.0 * sinu) * sinu));
+        temp = (1.0 / pl);
+        temp1 = ((0.5 * this.j2) * temp);
+        temp2 = (temp1 * temp);
+
+        /*  update for short period periodics  */
+        if ((this.method === "d")) {
+            cosisq = (cosip * cosip);
+            this.con41 = ((3.0 * cosisq) - 1.0);
+            this.x1mth2 = (1.0 - cosisq);
+            this.x7thm1 = ((7.0 * cosisq) - 1.0);
+        }
+        mrt = ((rl * (1.0 - (((1.5 * temp2) * betal) * this.con41))) + (((0.5 * temp1) * this.x1mth2) * cos2u));
+        su -= (((0.25 * temp2) * this.x7thm1) * sin2u);
+        xnode = (nodep + (((1.5 * temp2) * cosip) * sin2u));
+        xinc = (xincp + ((((1.5 * temp2) * cosip) * sinip) * cos2u));
+        mvt = (rdotl - ((((nm * temp1) * this.x1mth2) * sin2u) / this.xke));
+        rvdot = (rvdotl + (((nm * temp1) * ((this.x1mth2 * cos2u) + (1.5 * this.con41))) / this.xke));
+
+        /*  orientation vectors  */
+        sinsu = sin(su);
+        cossu = cos(su);
+        snod = sin(xnode);
+        cnod = cos(xnode);
+        sini = sin(xinc);
+        cosi = cos(xinc);
+        xmx = ((-snod) * cosi);
+        xmy = (cnod * cosi);
+        ux = ((xmx * sinsu) + (cnod * cossu));
+        uy = ((xmy * sinsu) + (snod * cossu));
+        uz = (sini * sinsu);
+        vx = ((xmx * cossu) - (cnod * sinsu));
+        vy = ((xmy * cossu) - (snod * sinsu));
+        vz = (sini * cossu);
+
+        /*  decaying satellites  */
+        if ((mrt < 1.0)) {
+            return fail(this, 6);
+        }
+        return [
+            [((mrt * ux) * this.radiusearthkm), ((mrt * uy) * this.radiusearthkm), ((mrt * uz) * this.radiusearthkm)],
+            [(((mvt * ux) + (rvdot * vx)) * vkmpersec), (((mvt * uy) + (rvdot * vy)) * vkmpersec), (((mvt * uz) + (rvdot * vz)) * vkmpersec)]
+        ];
+    }
+
+    propagate(time) {
+        /*
+        TEME position and velocity at a time
+
+        Parameters
+        ----------
+        time : datetime.datetime or str, or Array of these
+        UTC time, anything str2dt accepts
+
+        Results
+        -------
+        x, y, z : float
+        TEME position [meters]
+        vx, vy, vz : float
+        TEME velocity [meters/second]
+
+        Array input gives an Array of [x, y, z, vx, vy, vz].
+        */
+        let jd1, jd2, r, v;
+        if (Array.isArray(time)) {
+            return time.map(t => this.propagate(t));
+        }
+        [jd1, jd2] = jdparts(str2dt(time));
+        [r, v] = this.sgp4((((jd1 - this.jdsatepoch) + (jd2 - this.jdsatepochF)) * 1440.0));
+        return [(r[0] * 1000), (r[1] * 1000), (r[2] * 1000), (v[0] * 1000), (v[1] * 1000), (v[2] * 1000)];
+    }
+}
+
+function alpha5(text) {
+    /*  catalogue number, Alpha-5 letters I and O are skipped: A = 10 .. Z = 33  */
+    let c;
+    text = text.trim();
+    c = text[0];
+    if (/[A-HJ-NP-Z]/.test(c)) {
+        return ((("ABCDEFGHJKLMNPQRSTUVWXYZ".indexOf(c) + 10) * 10000) + Number.parseInt(text.slice(1), 10));
+    }
+    return Number.parseInt(text, 10);
+}
+
+function decimalpoint(text) {
+    /*  TLE "assumed decimal point" field, " 12345-3" = 0.12345e-3  */
+    let m;
+    m = /^\s*([+-]?)(\d*)([+-]\d)\s*$/.exec(text);
+    if (m === null) {
+        return Number.parseFloat(text);
+    }
+    return Number.parseFloat(`${m[1]}0.${(m[2] || "0")}e${m[3]}`);
+}
+
+function setgravity(sat, grav) {
+    /*  gravity model constants onto the record, xke in earth radii^1.5 / min  */
+    sat.radiusearthkm = grav.radiusearthkm;
+    sat.mu = grav.mu;
+    sat.xke = (("xke" in grav) ? grav.xke : (60.0 / sqrt((power(grav.radiusearthkm, 3) / grav.mu))));
+    sat.tumin = (1.0 / sat.xke);
+    sat.j2 = grav.j2;
+    sat.j3 = grav.j3;
+    sat.j4 = grav.j4;
+    sat.j3oj2 = (grav.j3 / grav.j2);
+}
+
+function fail(sat, code) {
+    /*  record the reference implementation error code and throw  */
+    sat.error = code;
+    throw new Error(`sgp4 error ${code} at ${sat.t} min from epoch: ${ERRORS[code]}`);
+}
+
+function initl(sat, epoch) {
+    /*
+    SGP4 initialization: recover the original mean motion (un-Kozai) and
+    auxiliary epoch quantities, and Greenwich sidereal time at epoch
+    */
+    let adel, ak, ao, cosio, cosio2, d1, del, omeosq, po, rteosq, sinio, ts70, ds70, tfrac, c1, c1p2p;
+    omeosq = (1.0 - (sat.ecco * sat.ecco));
+    rteosq = sqrt(omeosq);
+    cosio = cos(sat.inclo);
+    cosio2 = (cosio * cosio);
+
+    /*  un-kozai the mean motion  */
+    ak = power((sat.xke / sat.no_kozai), X2O3);
+    d1 = (((0.75 * sat.j2) * ((3.0 * cosio2) - 1.0)) / (rteosq * omeosq));
+    del = (d1 / (ak * ak));
+    adel = (ak * ((1.0 - (del * del)) - (del * ((1.0 / 3.0) + (((134.0 * del) * del) / 81.0)))));
+    del = (d1 / (adel * adel));
+    sat.no_unkozai = (sat.no_kozai / (1.0 + del));
+
+    ao = power((sat.xke / sat.no_unkozai), X2O3);
+    sinio = sin(sat.inclo);
+    po = (ao * omeosq);
+    sat.con41 = (((-(1.0 - (5.0 * cosio2))) - cosio2) - cosio2);
+
+    if ((sat.operationmode === "a")) {
+        /*  AFSPC: count integer days from 0 Jan 1970  */
+        ts70 = (epoch - 7305.0);
+        ds70 = floor((ts70 + 1.0e-8));
+        tfrac = (ts70 - ds70);
+        c1 = 1.72027916940703639e-2;
+        c1p2p = (c1 + tau);
+        sat.gsto = ((((1.7321343856509374 + (c1 * ds70)) + (c1p2p * tfrac)) + ((ts70 * ts70) * 5.07551419432269442e-15)) % tau);
+        if ((sat.gsto < 0.0)) {
+            sat.gsto += tau;
+        }
+    } else {
+        sat.gsto = greenwichsrt((epoch + 2433281.5));
+    }
+    return {
+        ao: ao,
+        con42: (1.0 - (5.0 * cosio2)),
+        cosio: cosio,
+        cosio2: cosio2,
+        omeosq: omeosq,
+        posq: (po * po),
+        rp: (ao * (1.0 - sat.ecco)),
+        rteosq: rteosq,
+        sinio: sinio
+    };
+}
+
+function dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+    /*
+    deep space common items, solar and lunar terms used by dpper and dsinit
+
+    Results
+    -------
+    ds : Object
+    named quantities, as the outputs of the reference dscom
+    */
+    let a1, a10, a2, a3, a4, a5, a6, a7, a8, a9, betasq, cc, cnodm, cosim, cosomm, ctem, day, ds, emsq, gam,
+        lsflg, rtemsq, s1, s2, s3, s4, s5, s6, s7, sinim, sinomm, snodm, stem, x1, x2, x3, x4, x5, x6, x7, x8,
+        xnodce, xnoi, z1, z11, z12, z13, z2, z21, z22, z23, z3, z31, z32, z33, zcosg, zcosgl, zcosh, zcoshl,
+        zcosi, zcosil, zsing, zsingl, zsinh, zsinhl, zsini, zsinil, zx, zy;
+    const zes = 0.01675;
+    const zel = 0.0549;
+    const c1ss = 2.9864797e-6;
+    const c1l = 4.7968065e-7;
+    const zsinis = 0.39785416;
+    const zcosis = 0.91744867;
+    const zcosgs = 0.1945905;
+    const zsings = -0.98088458;
+
+    ds = {nm: np, em: ep};
+    snodm = sin(nodep);
+    cnodm = cos(nodep);
+    sinomm = sin(argpp);
+    cosomm = cos(argpp);
+    sinim = sin(inclp);
+    cosim = cos(inclp);
+    emsq = (ep * ep);
+    betasq = (1.0 - emsq);
+    rtemsq = sqrt(betasq);
+
+    /*  initialize lunar solar terms  */
+    ds.peo = 0.0;
+    ds.pinco = 0.0;
+    ds.plo = 0.0;
+    ds.pgho = 0.0;
+    ds.pho = 0.0;
+    day = ((epoch + 18261.5) + (tc / 1440.0));
+    xnodce = ((4.5236020 - (9.2422029e-4 * day)) % tau);
+    stem = sin(xnodce);
+    ctem = cos(xnodce);
+    zcosil = (0.91375164 - (0.03568096 * ctem));
+    zsinil = sqrt((1.0 - (zcosil * zcosil)));
+    zsinhl = ((0.089683511 * stem) / zsinil);
+    zcoshl = sqrt((1.0 - (zsinhl * zsinhl)));
+    gam = (5.8351514 + (0.0019443680 * day));
+    zx = ((0.39785416 * stem) / zsinil);
+    zy = ((zcoshl * ctem) + ((0.91744867 * zsinhl) * stem));
+    zx = atan2(zx, zy);
+    zx = ((zx + gam) - xnodce);
+    zcosgl = cos(zx);
+    zsingl = sin(zx);
+
+    /*  do solar terms, then lunar terms  */
+    zcosg = zcosgs;
+    zsing = zsings;
+    zcosi = zcosis;
+    zsini = zsinis;
+    zcosh = cnodm;
+    zsinh = snodm;
+    cc = c1ss;
+    xnoi = (1.0 / np);
+
+    for (lsflg = 1; (lsflg <= 2); lsflg++) {
+        a1 = ((zcosg * zcosh) + ((zsing * zcosi) * zsinh));
+        a3 = (((-zsing) * zcosh) + ((zcosg * zcosi) * zsinh));
+        a7 = (((-zcosg) * zsinh) + ((zsing * zcosi) * zcosh));
+        a8 = (zsing * zsini);
+        a9 = ((zsing * zsinh) + ((zcosg * zcosi) * zcosh));
+        a10 = (zcosg * zsini);
+        a2 = ((cosim * a7) + (sinim * a8));
+        a4 = ((cosim * a9) + (sinim * a10));
+        a5 = (((-sinim) * a7) + (cosim * a8));
+        a6 = (((-sinim) * a9) + (cosim * a10));
+
+        x1 = ((a1 * cosomm) + (a2 * sinomm));
+        x2 = ((a3 * cosomm) + (a4 * sinomm));
+        x3 = (((-a1) * sinomm) + (a2 * cosomm));
+        x4 = (((-a3) * sinomm) + (a4 * cosomm));
+        x5 = (a5 * sinomm);
+        x6 = (a6 * sinomm);
+        x7 = (a5 * cosomm);
+        x8 = (a6 * cosomm);
+
+        z31 = (((12.0 * x1) * x1) - ((3.0 * x3) * x3));
+        z32 = (((24.0 * x1) * x2) - ((6.0 * x3) * x4));
+        z33 = (((12.0 * x2) * x2) - ((3.0 * x4) * x4));
+        z1 = ((3.0 * ((a1 * a1) + (a2 * a2))) + (z31 * emsq));
+        z2 = ((6.0 * ((a1 * a3) + (a2 * a4))) + (z32 * emsq));
+        z3 = ((3.0 * ((a3 * a3) + (a4 * a4))) + (z33 * emsq));
+        z11 = (((-6.0 * a1) * a5) + (emsq * (((-24.0 * x1) * x7) - ((6.0 * x3) * x5))));
+        z12 = ((-6.0 * ((a1 * a6) + (a3 * a5))) + (emsq * ((-24.0 * ((x2 * x7) + (x1 * x8))) - (6.0 * ((x3 * x6) + (x4 * x5))))));
+        z13 = (((-6.0 * a3) * a6) + (emsq * (((-24.0 * x2) * x8) - ((6.0 * x4) * x6))));
+        z21 = (((6.0 * a2) * a5) + (emsq * (((24.0 * x1) * x5) - ((6.0 * x3) * x7))));
+        z22 = ((6.0 * ((a4 * a5) + (a2 * a6))) + (emsq * ((24.0 * ((x2 * x5) + (x1 * x6))) - (6.0 * ((x4 * x7) + (x3 * x8))))));
+        z23 = (((6.0 * a4) * a6) + (emsq * (((24.0 * x2) * x6) - ((6.0 * x4) * x8))));
+        z1 = ((z1 + z1) + (betasq * z31));
+        z2 = ((z2 + z2) + (betasq * z32));
+        z3 = ((z3 + z3) + (betasq * z33));
+        s3 = (cc * xnoi);
+        s2 = ((-0.5 * s3) / rtemsq);
+        s4 = (s3 * rtemsq);
+        s1 = ((-15.0 * ep) * s4);
+        s5 = ((x1 * x3) + (x2 * x4));
+        s6 = ((x2 * x3) + (x1 * x4));
+        s7 = ((x2 * x4) - (x1 * x3));
+
+        /*  keep the solar terms, then set up the lunar ones  */
+        if ((lsflg === 1)) {
+            Object.assign(ds, {
+                ss1: s1, ss2: s2, ss3: s3, ss4: s4, ss5: s5, ss6: s6, ss7: s7,
+                sz1: z1, sz2: z2, sz3: z3, sz11: z11, sz12: z12, sz13: z13,
+                sz21: z21, sz22: z22, sz23: z23, sz31: z31, sz32: z32, sz33: z33
+            });
+            zcosg = zcosgl;
+            zsing = zsingl;
+            zcosi = zcosil;
+            zsini = zsinil;
+            zcosh = ((zcoshl * cnodm) + (zsinhl * snodm));
+            zsinh = ((snodm * zcoshl) - (cnodm * zsinhl));
+            cc = c1l;
+        }
+    }
+    Object.assign(ds, {
+        sinim: sinim, cosim: cosim, emsq: emsq,
+        s1: s1, s2: s2, s3: s3, s4: s4, s5: s5,
+        z1: z1, z3: z3, z11: z11, z13: z13, z21: z21, z23: z23, z31: z31, z33: z33,
+        zmol: ((4.7199672 + ((0.22997150 * day) - gam)) % tau),
+        zmos: ((6.2565837 + (0.017201977 * day)) % tau),
+        /*  solar terms  */
+        se2: ((2.0 * ds.ss1) * ds.ss6),
+        se3: ((2.0 * ds.ss1) * ds.ss7),
+        si2: ((2.0 * ds.ss2) * ds.sz12),
+        si3: ((2.0 * ds.ss2) * (ds.sz13 - ds.sz11)),
+        sl2: ((-2.0 * ds.ss3) * ds.sz2),
+        sl3: ((-2.0 * ds.ss3) * (ds.sz3 - ds.sz1)),
+        sl4: (((-2.0 * ds.ss3) * (-21.0 - (9.0 * emsq))) * zes),
+        sgh2: ((2.0 * ds.ss4) * ds.sz32),
+        sgh3: ((2.0 * ds.ss4) * (ds.sz33 - ds.sz31)),
+        sgh4: ((-18.0 * ds.ss4) * zes),
+        sh2: ((-2.0 * ds.ss2) * ds.sz22),
+        sh3: ((-2.0 * ds.ss2) * (ds.sz23 - ds.sz21)),
+        /*  lunar terms  */
+        ee2: ((2.0 * s1) * s6),
+        e3: ((2.0 * s1) * s7),
+        xi2: ((2.0 * s2) * z12),
+        xi3: ((2.0 * s2) * (z13 - z11)),
+        xl2: ((-2.0 * s3) * z2),
+        xl3: ((-2.0 * s3) * (z3 - z1)),
+        xl4: (((-2.0 * s3) * (-21.0 - (9.0 * emsq))) * zel),
+        xgh2: ((2.0 * s4) * z32),
+        xgh3: ((2.0 * s4) * (z33 - z31)),
+        xgh4: ((-18.0 * s4) * zel),
+        xh2: ((-2.0 * s2) * z22),
+        xh3: ((-2.0 * s2) * (z23 - z21))
+    });
+    return ds;
+}
+
+function dpper(sat, inclo, init, ep, inclp, nodep, argpp, mp) {
+    /*
+    deep space long period periodic contributions to the mean elements,
+    zero at epoch by design
+
+    Results
+    -------
+    [ep, inclp, nodep, argpp, mp] : Array
+    perturbed eccentricity, inclination, node, argument of perigee, mean anomaly
+    */
+    let alfdp, betdp, cosip, cosop, dalf, dbet, dls, f2, f3, pe, pgh, ph, pinc, pl, sel, ses, sghl, sghs, shll,
+        shs, sil, sinip, sinop, sinzf, sis, sll, sls, xls, xnoh, zf, zm;
+    const zns = 1.19459e-5;
+    const zes = 0.01675;
+    const znl = 1.5835218e-4;
+    const zel = 0.0549;
+
+    /*  calculate time varying periodics  */
+    zm = ((init === "y") ? sat.zmos : (sat.zmos + (zns * sat.t)));
+    zf = (zm + ((2.0 * zes) * sin(zm)));
+    sinzf = sin(zf);
+    f2 = (((0.5 * sinzf) * sinzf) - 0.25);
+    f3 = ((-0.5 * sinzf) * cos(zf));
+    ses = ((sat.se2 * f2) + (sat.se3 * f3));
+    sis = ((sat.si2 * f2) + (sat.si3 * f3));
+    sls = (((sat.sl2 * f2) + (sat.sl3 * f3)) + (sat.sl4 * sinzf));
+    sghs = (((sat.sgh2 * f2) + (sat.sgh3 * f3)) + (sat.sgh4 * sinzf));
+    shs = ((sat.sh2 * f2) + (sat.sh3 * f3));
+    zm = ((init === "y") ? sat.zmol : (sat.zmol + (znl * sat.t)));
+    zf = (zm + ((2.0 * zel) * sin(zm)));
+    sinzf = sin(zf);
+    f2 = (((0.5 * sinzf) * sinzf) - 0.25);
+    f3 = ((-0.5 * sinzf) * cos(zf));
+    sel = ((sat.ee2 * f2) + (sat.e3 * f3));
+    sil = ((sat.xi2 * f2) + (sat.xi3 * f3));
+    sll = (((sat.xl2 * f2) + (sat.xl3 * f3)) + (sat.xl4 * sinzf));
+    sghl = (((sat.xgh2 * f2) + (sat.xgh3 * f3)) + (sat.xgh4 * sinzf));
+    shll = ((sat.xh2 * f2) + (sat.xh3 * f3));
+    pe = (ses + sel);
+    pinc = (sis + sil);
+    pl = (sls + sll);
+    pgh = (sghs + sghl);
+    ph = (shs + shll);
+
+    if ((init === "n")) {
+        pe -= sat.peo;
+        pinc -= sat.pinco;
+        pl -= sat.plo;
+        pgh -= sat.pgho;
+        ph -= sat.pho;
+        inclp += pinc;
+        ep += pe;
+        sinip = sin(inclp);
+        cosip = cos(inclp);
+
+        if ((inclp >= 0.2)) {
+            /*  apply periodics directly  */
+            ph /= sinip;
+            pgh -= (cosip * ph);
+            argpp += pgh;
+            nodep += ph;
+            mp += pl;
+        } else {
+            /*  apply periodics with Lyddane modification  */
+            sinop = sin(nodep);
+            cosop = cos(nodep);
+            alfdp = (sinip * sinop);
+            betdp = (sinip * cosop);
+            dalf = ((ph * cosop) + ((pinc * cosip) * sinop));
+            dbet = (((-ph) * sinop) + ((pinc * cosip) * cosop));
+            alfdp += dalf;
+            betdp += dbet;
+            nodep %= tau;
+            /*  AFSPC written intrinsic functions, nodep kept positive  */
+            if (((nodep < 0.0) && (sat.operationmode === "a"))) {
+                nodep += tau;
+            }
+            xls = ((mp + argpp) + (cosip * nodep));
+            dls = ((pl + pgh) - ((pinc * nodep) * sinip));
+            xls += dls;
+            xnoh = nodep;
+            nodep = atan2(alfdp, betdp);
+            if (((nodep < 0.0) && (sat.operationmode === "a"))) {
+                nodep += tau;
+            }
+            if ((abs((xnoh - nodep)) > pi)) {
+                nodep = ((nodep < xnoh) ? (nodep + tau) : (nodep - tau));
+            }
+            mp += pl;
+            argpp = ((xls - mp) - (cosip * nodep));
+        }
+    }
+    return [ep, inclp, nodep, argpp, mp];
+}
+
+function dsinit(sat, ds, t, tc, xpidot, em, argpm, inclm, mm, nm, nodem) {
+    /*
+    deep space contributions to the mean motion dot due to geopotential
+    resonance with half day and one day orbits, stored on the record
+    */
+    let ainv2, aonv, cosisq, emo, emsq, emsqo, eoc, f220, f221, f311, f321, f322, f330, f441, f442, f522, f523,
+        f542, f543, g200, g201, g211, g300, g310, g322, g410, g422, g520, g521, g532, g533, sghl, sghs, sgs, shll,
+        shs, sini2, temp, temp1, theta, xno2;
+    const {cosim, sinim, s1, s2, s3, s4, s5, ss1, ss2, ss3, ss4, ss5, sz1, sz3, sz11, sz13, sz21, sz23, sz31, sz33,
+        z1, z3, z11, z13, z21, z23, z31, z33} = ds;
+    const q22 = 1.7891679e-6;
+    const q31 = 2.1460748e-6;
+    const q33 = 2.2123015e-7;
+    const root22 = 1.7891679e-6;
+    const root44 = 7.3636953e-9;
+    const root54 = 2.1765803e-9;
+    const root32 = 3.7393792e-7;
+    const root52 = 1.1428639e-7;
+    const znl = 1.5835218e-4;
+    const zns = 1.19459e-5;
+    emsq = ds.emsq;
+
+    /*  deep space initialization  */
+    sat.irez = 0;
+    if (((nm < 0.0052359877) && (nm > 0.0034906585))) {
+        sat.irez = 1;
+    }
+    if (((nm >= 8.26e-3) && (nm <= 9.24e-3) && (em >= 0.5))) {
+        sat.irez = 2;
+    }
+
+    /*  solar terms  */
+    shs = (((-zns) * ss2) * (sz21 + sz23));
+    /*  sgp4fix for 180 deg incl  */
+    if (((inclm < 5.2359877e-2) || (inclm > (pi - 5.2359877e-2)))) {
+        shs = 0.0;
+    }
+    if ((sinim !== 0.0)) {
+        shs /= sinim;
+    }
+    sghs = ((ss4 * zns) * ((sz31 + sz33) - 6.0));
+    sgs = (sghs - (cosim * shs));
+
+    /*  lunar terms  */
+    sat.dedt = (((ss1 * zns) * ss5) + ((s1 * znl) * s5));
+    sat.didt = (((ss2 * zns) * (sz11 + sz13)) + ((s2 * znl) * (z11 + z13)));
+    sat.dmdt = ((((-zns) * ss3) * ((((sz1 + sz3) - 14.0) - (6.0 * emsq)))) - ((znl * s3) * (((z1 + z3) - 14.0) - (6.0 * emsq))));
+    sghl = ((s4 * znl) * ((z31 + z33) - 6.0));
+    shll = (((-znl) * s2) * (z21 + z23));
+    if (((inclm < 5.2359877e-2) || (inclm > (pi - 5.2359877e-2)))) {
+        shll = 0.0;
+    }
+    sat.domdt = (sgs + sghl);
+    sat.dnodt = shs;
+    if ((sinim !== 0.0)) {
+        sat.domdt -= ((cosim / sinim) * shll);
+        sat.dnodt += (shll / sinim);
+    }
+
+    /*  deep space resonance effects  */
+    theta = ((sat.gsto + (tc * RPTIM)) % tau);
+    em += (sat.dedt * t);
+    inclm += (sat.didt * t);
+    argpm += (sat.domdt * t);
+    nodem += (sat.dnodt * t);
+    mm += (sat.dmdt * t);
+
+    if ((sat.irez !== 0)) {
+        aonv = power((nm / sat.xke), X2O3);
+
+        /*  geopotential resonance for 12 hour orbits  */
+        if ((sat.irez === 2)) {
+            cosisq = (cosim * cosim);
+            emo = em;
+            em = sat.ecco;
+            emsqo = emsq;
+            emsq = (em * em);
+            eoc = (em * emsq);
+            g201 = (-0.306 - ((em - 0.64) * 0.440));
+            if ((em <= 0.65)) {
+                g211 = ((3.616 - (13.2470 * em)) + (16.2900 * emsq));
+                g310 = (((-19.302 + (117.3900 * em)) - (228.4190 * emsq)) + (156.5910 * eoc));
+                g322 = (((-18.9068 + (109.7927 * em)) - (214.6334 * emsq)) + (146.5816 * eoc));
+                g410 = (((-41.122 + (242.6940 * em)) - (471.0940 * emsq)) + (313.9530 * eoc));
+                g422 = (((-146.407 + (841.8800 * em)) - (1629.014 * emsq)) + (1083.4350 * eoc));
+                g520 = (((-532.114 + (3017.977 * em)) - (5740.032 * emsq)) + (3708.2760 * eoc));
+            } else {
+                g211 = (((-72.099 + (331.819 * em)) - (508.738 * emsq)) + (266.724 * eoc));
+                g310 = (((-346.844 + (1582.851 * em)) - (2415.925 * emsq)) + (1246.113 * eoc));
+                g322 = (((-342.585 + (1554.908 * em)) - (2366.899 * emsq)) + (1215.972 * eoc));
+                g410 = (((-1052.797 + (4758.686 * em)) - (7193.992 * emsq)) + (3651.957 * eoc));
+                g422 = (((-3581.690 + (16178.110 * em)) - (24462.770 * emsq)) + (12422.520 * eoc));
+                if ((em > 0.715)) {
+                    g520 = (((-5149.66 + (29936.92 * em)) - (54087.36 * emsq)) + (31324.56 * eoc));
+                } else {
+                    g520 = ((1464.74 - (4664.75 * em)) + (3763.64 * emsq));
+                }
+            }
+            if ((em < 0.7)) {
+                g533 = (((-919.22770 + (4988.6100 * em)) - (9064.7700 * emsq)) + (5542.21 * eoc));
+                g521 = (((-822.71072 + (4568.6173 * em)) - (8491.4146 * emsq)) + (5337.524 * eoc));
+                g532 = (((-853.66600 + (4690.2500 * em)) - (8624.7700 * emsq)) + (5341.4 * eoc));
+            } else {
+                g533 = (((-37995.780 + (161616.52 * em)) - (229838.20 * emsq)) + (109377.94 * eoc));
+                g521 = (((-51752.104 + (218913.95 * em)) - (309468.16 * emsq)) + (146349.42 * eoc));
+                g532 = (((-40023.880 + (170470.89 * em)) - (242699.48 * emsq)) + (115605.82 * eoc));
+            }
+            sini2 = (sinim * sinim);
+            f220 = (0.75 * ((1.0 + (2.0 * cosim)) + cosisq));
+            f221 = (1.5 * sini2);
+            f321 = ((1.875 * sinim) * ((1.0 - (2.0 * cosim)) - (3.0 * cosisq)));
+            f322 = ((-1.875 * sinim) * ((1.0 + (2.0 * cosim)) - (3.0 * cosisq)));
+            f441 = ((35.0 * sini2) * f220);
+            f442 = ((39.3750 * sini2) * sini2);
+            f522 = ((9.84375 * sinim) * ((sini2 * ((1.0 - (2.0 * cosim)) - (5.0 * cosisq))) +
+                (0.33333333 * ((-2.0 + (4.0 * cosim)) + (6.0 * cosisq)))));
+            f523 = (sinim * (((4.92187512 * sini2) * ((-2.0 - (4.0 * cosim)) + (10.0 * cosisq))) +
+                (6.56250012 * ((1.0 + (2.0 * cosim)) - (3.0 * cosisq)))));
+            f542 = ((29.53125 * sinim) * ((2.0 - (8.0 * cosim)) + (cosisq * ((-12.0 + (8.0 * cosim)) + (10.0 * cosisq)))));
+            f543 = ((29.53125 * sinim) * ((-2.0 - (8.0 * cosim)) + (cosisq * ((12.0 + (8.0 * cosim)) - (10.0 * cosisq)))));
+            xno2 = (nm * nm);
+            ainv2 = (aonv * aonv);
+            temp1 = ((3.0 * xno2) * ainv2);
+            temp = (temp1 * root22);
+            sat.d2201 = ((temp * f220) * g201);
+            sat.d2211 = ((temp * f221) * g211);
+            temp1 *= aonv;
+            temp = (temp1 * root32);
+            sat.d3210 = ((temp * f321) * g310);
+            sat.d3222 = ((temp * f322) * g322);
+            temp1 *= aonv;
+            temp = ((2.0 * temp1) * root44);
+            sat.d4410 = ((temp * f441) * g410);
+            sat.d4422 = ((temp * f442) * g422);
+            temp1 *= aonv;
+            temp = (temp1 * root52);
+            sat.d5220 = ((temp * f522) * g520);
+            sat.d5232 = ((temp * f523) * g532);
+            temp = ((2.0 * temp1) * root54);
+            sat.d5421 = ((temp * f542) * g521);
+            sat.d5433 = ((temp * f543) * g533);
+            sat.xlamo = ((((sat.mo + sat.nodeo) + sat.nodeo) - (theta + theta)) % tau);
+            sat.xfact = ((((sat.mdot + sat.dmdt) + (2.0 * ((sat.nodedot + sat.dnodt) - RPTIM)))) - sat.no_unkozai);
+            em = emo;
+            emsq = emsqo;
+        }
+
+        /*  synchronous resonance terms  */
+        if ((sat.irez === 1)) {
+            g200 = (1.0 + (emsq * (-2.5 + (0.8125 * emsq))));
+            g310 = (1.0 + (2.0 * emsq));
+            g300 = (1.0 + (emsq * (-6.0 + (6.60937 * emsq))));
+            f220 = ((0.75 * (1.0 + cosim)) * (1.0 + cosim));
+            f311 = ((((0.9375 * sinim) * sinim) * (1.0 + (3.0 * cosim))) - (0.75 * (1.0 + cosim)));
+            f330 = (1.875 * power((1.0 + cosim), 3));
+            sat.del1 = ((((3.0 * nm) * nm) * aonv) * aonv);
+            sat.del2 = ((((2.0 * sat.del1) * f220) * g200) * q22);
+            sat.del3 = (((((3.0 * sat.del1) * f330) * g300) * q33) * aonv);
+            sat.del1 = ((((sat.del1 * f311) * g310) * q31) * aonv);
+            sat.xlamo = ((((sat.mo + sat.nodeo) + sat.argpo) - theta) % tau);
+            sat.xfact = ((((((sat.mdot + xpidot) + sat.dmdt) + sat.domdt) + sat.dnodt)) - (sat.no_unkozai + RPTIM));
+        }
+
+        /*  for sgp4, initialize the integrator  */
+        sat.xli = sat.xlamo;
+        sat.xni = sat.no_unkozai;
+        sat.atime = 0.0;
+    }
+}
+
+function dspace(sat, t, tc, em, argpm, inclm, mm, nodem, nm) {
+    /*
+    deep space contributions to the mean elements for perturbing third body,
+    with the resonance terms integrated numerically (Euler-Maclaurin) in
+    720 minute steps from epoch
+
+    Results
+    -------
+    [em, argpm, inclm, mm, nodem, nm] : Array
+    */
+    let delt, ft, iret, theta, x2li, x2omi, xl, xldot, xnddt, xndt, xomi;
+    const fasx2 = 0.13130908;
+    const fasx4 = 2.8843198;
+    const fasx6 = 0.37448087;
+    const g22 = 5.7686396;
+    const g32 = 0.95240898;
+    const g44 = 1.8014998;
+    const g52 = 1.0508330;
+    const g54 = 4.4108898;
+    const stepp = 720.0;
+    const stepn = -720.0;
+    const step2 = 259200.0;
+
+    /*  calculate deep space resonance effects  */
+    ft = 0.0;
+    theta = ((sat.gsto + (tc * RPTIM)) % tau);
+    em += (sat.dedt * t);
+    inclm += (sat.didt * t);
+    argpm += (sat.domdt * t);
+    nodem += (sat.dnodt * t);
+    mm += (sat.dmdt * t);
+
+    if ((sat.irez !== 0)) {
+        /*  epoch restart  */
+        if (((sat.atime === 0.0) || ((t * sat.atime) <= 0.0) || (abs(t) < abs(sat.atime)))) {
+            sat.atime = 0.0;
+            sat.xni = sat.no_unkozai;
+            sat.xli = sat.xlamo;
+        }
+        delt = ((t > 0.0) ? stepp : stepn);
+        iret = true;
+        while (iret) {
+            /*  dot terms calculated  */
+            if ((sat.irez !== 2)) {
+                /*  near-synchronous resonance terms  */
+                xndt = (((sat.del1 * sin((sat.xli - fasx2))) + (sat.del2 * sin((2.0 * (sat.xli - fasx4))))) +
+                    (sat.del3 * sin((3.0 * (sat.xli - fasx6)))));
+                xldot = (sat.xni + sat.xfact);
+                xnddt = (((sat.del1 * cos((sat.xli - fasx2))) + ((2.0 * sat.del2) * cos((2.0 * (sat.xli - fasx4))))) +
+                    ((3.0 * sat.del3) * cos((3.0 * (sat.xli - fasx6)))));
+                xnddt *= xldot;
+            } else {
+                /*  near half-day resonance terms  */
+                xomi = (sat.argpo + (sat.argpdot * sat.atime));
+                x2omi = (xomi + xomi);
+                x2li = (sat.xli + sat.xli);
+                xndt = (((((((((((sat.d2201 * sin(((x2omi + sat.xli) - g22))) + (sat.d2211 * sin((sat.xli - g22)))) +
+                    (sat.d3210 * sin(((xomi + sat.xli) - g32)))) + (sat.d3222 * sin((((-xomi) + sat.xli) - g32)))) +
+                    (sat.d4410 * sin(((x2omi + x2li) - g44)))) + (sat.d4422 * sin((x2li - g44)))) +
+                    (sat.d5220 * sin(((xomi + sat.xli) - g52)))) + (sat.d5232 * sin((((-xomi) + sat.xli) - g52)))) +
+                    (sat.d5421 * sin(((xomi + x2li) - g54)))) + (sat.d5433 * sin((((-xomi) + x2li) - g54)))));
+                xldot = (sat.xni + sat.xfact);
+                xnddt = (((((((sat.d2201 * cos(((x2omi + sat.xli) - g22))) + (sat.d2211 * cos((sat.xli - g22)))) +
+                    (sat.d3210 * cos(((xomi + sat.xli) - g32)))) + (sat.d3222 * cos((((-xomi) + sat.xli) - g32)))) +
+                    (sat.d5220 * cos(((xomi + sat.xli) - g52)))) + (sat.d5232 * cos((((-xomi) + sat.xli) - g52)))) +
+                    (2.0 * ((((sat.d4410 * cos(((x2omi + x2li) - g44))) + (sat.d4422 * cos((x2li - g44)))) +
+                        (sat.d5421 * cos(((xomi + x2li) - g54)))) + (sat.d5433 * cos((((-xomi) + x2li) - g54))))));
+                xnddt *= xldot;
+            }
+
+            /*  integrator  */
+            if ((abs((t - sat.atime)) >= stepp)) {
+                sat.xli += ((xldot * delt) + (xndt * step2));
+                sat.xni += ((xndt * delt) + (xnddt * step2));
+                sat.atime += delt;
+            } else {
+                ft = (t - sat.atime);
+                iret = false;
+            }
+        }
+        nm = ((sat.xni + (xndt * ft)) + (((xnddt * ft) * ft) * 0.5));
+        xl = ((sat.xli + (xldot * ft)) + (((xndt * ft) * ft) * 0.5));
+        if ((sat.irez !== 1)) {
+            mm = ((xl - (2.0 * nodem)) + (2.0 * theta));
+        } else {
+            mm = (((xl - nodem) - argpm) + theta);
+        }
+    }
+    return [em, argpm, inclm, mm, nodem, nm];
+}
@@ -1,10 +1,12 @@
 /*  manipulations of sidereal time  */
-import {power, tau} from './mathfun';
+import {floor, power, tau} from './mathfun';
 import {str2dt} from './timeconv';
+import {eopAt} from './eop';
+import {ee06a, era00} from './iau2006';
 
-export {datetime2sidereal, juliandate, greenwichsrt};
+export {datetime2sidereal, juliandate, jdparts, mjd, jd2date, greenwichsrt, greenwichast, eqeq, era};
 
-function datetime2sidereal(time: Date, lon_radians: Number) {
+function datetime2sidereal(time: Date, lon_radians: Number, eop = null, kind = "mean") {
     /*
     Convert ``datetime`` to local sidereal time
 
@@ -12,10 +14,18 @@ function datetime2sidereal(time: Date, lon_radians: Number) {
 
     Parameters
     ----------
-    time : datetime
+    time : datetime or Array of datetime
     time to convert
     lon_radians : float
     longitude (radians)
+    eop : EarthOrientation or Object, optional
+    Earth orientation provider or fixed values, for UT1 - UTC.
+    Without it UT1 = UTC is assumed (|UT1 - UTC| < 0.9 s).
+    kind : str, optional
+    "mean": local mean sidereal time (GMST, Vallado)
+    "apparent": local apparent sidereal time (GAST = GMST + equation of the equinoxes)
+    "era": Earth rotation angle plus longitude, the hour angle origin for
+    CIO based (intermediate) right ascension rather than equinox based
 
     Results
     -------
@@ -23,8 +33,23 @@ function datetime2sidereal(time: Date, lon_radians: Number) {
     Local sidereal time
     */
     let gst, jd, tsr;
-    jd = juliandate(str2dt(time));
-    gst = greenwichsrt(jd);
+    if (Array.isArray(time)) {
+        return time.map(t => datetime2sidereal(t, lon_radians, eop, kind));
+    }
+    time = str2dt(time);
+    jd = juliandate(time);
+    if (eop !== null) {
+        jd += (eopAt(eop, time).dut1 / 86400.0);
+    }
+    if (kind === "mean") {
+        gst = greenwichsrt(jd);
+    } else if (kind === "apparent") {
+        gst = greenwichast(jd);
+    } else if (kind === "era") {
+        gst = era(jd);
+    } else {
+        throw new Error("kind must be mean, apparent or era");
+    }
     tsr = (gst + lon_radians);
     return tsr;
 }
@@ -38,26 +63,103 @@ function juliandate(time: Date) {
 
     Parameters
     ----------
-    time : datetime
-    time to convert
+    time : datetime or Array of datetime
+    time to convert (UTC)
 
     Results
     -------
     jd : float
     Julian date (days since Jan 1, 4713 BCE)
+
+    A single float resolves about 40 microseconds, use jdparts for full precision.
     */
-    let A, B, C, month, year;
-    if ((time.getMonth() < 3)) {
-        year = (time.getFullYear() - 1);
-        month = (time.getMonth() + 12);
+    let jd1, jd2;
+    if (Array.isArray(time)) {
+        return time.map(juliandate);
+    }
+    [jd1, jd2] = jdparts(time);
+    return (jd1 + jd2);
+}
+
+function jdparts(time: Date) {
+    /*
+    Python datetime to two-part Julian date
+
+    from D.Vallado Fundamentals of Astrodynamics and Applications p.187
+    and J. Meeus Astronomical Algorithms 1991 Eqn. 7.1 pg. 61
+
+    Parameters
+    ----------
+    time : datetime
+    time to convert (UTC fields are used, never local time)
+
+    Results
+    -------
+    jd1 : float
+    Julian date of the preceding midnight (ends in .5)
+    jd2 : float
+    fraction of day since midnight [0, 1)
+
+    Dates are proleptic Gregorian, as JavaScript Date, also before 1582.
+    */
+    let A, B, month, year;
+    time = str2dt(time);
+    /*  JavaScript months are zero-based, the algorithm expects January = 1  */
+    if (((time.getUTCMonth() + 1) < 3)) {
+        year = (time.getUTCFullYear() - 1);
+        month = (time.getUTCMonth() + 13);
     } else {
-        year = time.getFullYear();
-        month = time.getMonth();
+        year = time.getUTCFullYear();
+        month = (time.getUTCMonth() + 1);
+    }
+    A = floor((year / 100.0));
+    B = ((2 - A) + floor((A / 4.0)));
+    return [
+        ((((floor((365.25 * (year + 4716))) + floor((30.6001 * (month + 1)))) + time.getUTCDate()) + B) - 1524.5),
+        ((((((time.getUTCMilliseconds() / 1000.0) + time.getUTCSeconds()) / 60.0) + time.getUTCMinutes()) / 60.0) + time.getUTCHours()) / 24.0
+    ];
+}
+
+function mjd(time: Date) {
+    /*
+    Python datetime to modified Julian date (days since Nov 17, 1858 00:00)
+
+    Parameters
+    ----------
+    time : datetime or Array of datetime
+    time to convert (UTC)
+
+    Results
+    -------
+    mjd : float
+    modified Julian date, JD - 2400000.5
+    */
+    let jd1, jd2;
+    if (Array.isArray(time)) {
+        return time.map(mjd);
     }
-    A = Number.parseInt((year / 100.0));
-    B = ((2 - A) + Number.parseInt((A / 4.0)));
-    C = (((((time.getSeconds() / 60.0) + time.getMinutes()) / 60.0) + time.getHours()) / 24.0);
-    return (((((Number.parseInt((365.25 * (year + 4716))) + Number.parseInt((30.6001 * (month + 1)))) + time.getDay()) + B) - 1524.5) + C);
+    [jd1, jd2] = jdparts(time);
+    return ((jd1 - 2400000.5) + jd2);
+}
+
+function jd2date(jd1, jd2 = 0.0) {
+    /*
+    Julian date to Python datetime, inverse of juliandate and jdparts
+
+    Parameters
+    ----------
+    jd1 : float
+    Julian date, or its first part
+    jd2 : float, optional
+    second part of a two-part Julian date
+
+    Results
+    -------
+    time : datetime
+    UTC, rounded to the millisecond
+    */
+    /*  subtract the Unix epoch from each part before summing, to keep precision  */
+    return new Date(Math.round((((jd1 - 2440587.5) + jd2) * 86400000)));
 }
 
 function greenwichsrt(jdate) {
@@ -76,8 +178,67 @@ function greenwichsrt(jdate) {
     tsr : float
     Sidereal time
     */
-    let gmst_sec, tUT1;
+    let gmst_sec, tUT1, tsr;
     tUT1 = ((jdate - 2451545.0) / 36525.0);
     gmst_sec = (((67310.54841 + (((876600 * 3600) + 8640184.812866) * tUT1)) + (0.093104 * power(tUT1, 2))) - (6.2e-06 * power(tUT1, 3)));
-    return (((gmst_sec * tau) / 86400.0) % tau);
+    tsr = (((gmst_sec * tau) / 86400.0) % tau);
+    return ((tsr < 0) ? (tsr + tau) : tsr);
+}
+
+function greenwichast(jdate) {
+    /*
+    Convert Julian time to apparent sidereal time
+
+    GMST (Vallado) plus the equation of the equinoxes
+
+    Parameters
+    ----------
+    jdate: float
+    Julian date (UT1)
+
+    Results
+    -------
+    tsr : float
+    Greenwich apparent sidereal time (radians)
+    */
+    let tsr;
+    tsr = ((greenwichsrt(jdate) + eqeq(jdate)) % tau);
+    return ((tsr < 0) ? (tsr + tau) : tsr);
+}
+
+function eqeq(jdate) {
+    /*
+    equation of the equinoxes, nutation in longitude projected on the equator
+
+    IAU 2006/2000, see ee06a
+
+    Parameters
+    ----------
+    jdate: float
+    Julian date. TT is expected, UT1 or UTC differ by about a minute
+    which changes the result by less than a microarcsecond.
+
+    Results
+    -------
+    ee : float
+    GAST - GMST (radians)
+    */
+    return ee06a(jdate, 0.0);
+}
+
+function era(jdate) {
+    /*
+    Earth rotation angle, IAU 2000
+
+    Parameters
+    ----------
+    jdate: float
+    Julian date (UT1)
+
+    Results
+    -------
+    theta : float
+    Earth rotation angle (radians)
+    */
+    return era00(jdate, 0.0);
 }
@@ -0,0 +1,206 @@
+/*
+position of the Sun, low precision
+
+J. Meeus, "Astronomical Algorithms", 2nd ed., 1998, chapters 25 and 28,
+as used in D. Vallado "Fundamentals of Astrodynamics and Applications",
+about 0.01 degrees this century.
+*/
+
+import {asin, atan2, cos, degrees, radians, sin} from './mathfun';
+import {radec2azel} from './azelradec';
+import {fw2m, nut06a, obl06, pfw06} from './iau2006';
+import {str2dt} from './timeconv';
+import {Epoch} from './timescale';
+import {matvec, transpose} from './utils';
+
+export {sunpos, sunradec, sunazel, solarzenith, solartime, AU, SUN_RADIUS};
+
+/*  astronomical unit [meters], IAU 2012 resolution B2  */
+const AU = 149597870700.0;
+/*  nominal solar radius [meters], IAU 2015 resolution B3  */
+const SUN_RADIUS = 695700e3;
+
+function sunpos(time) {
+    /*
+    geocentric position of the Sun
+
+    Parameters
+    ----------
+    time : datetime.datetime or str
+    time of observation (UTC)
+
+    Results
+    -------
+    x : float
+    GCRS x-location of the Sun [meters]
+    y : float
+    GCRS y-location of the Sun [meters]
+    z : float
+    GCRS z-location of the Sun [meters]
+
+    The direction includes the annual aberration, i.e. it is where sunlight comes from
+    as seen from the moving Earth. The ecliptic longitude of date is referred to GCRS
+    by the IAU 2006 bias-precession matrix.
+    */
+    let _, gamb, lamb, phib, psib, r, tt;
+    tt = Epoch.fromDate(str2dt(time)).to("tt");
+    [lamb, r, _] = ecliptic(tt);
+    [gamb, phib, psib] = pfw06(tt.jd1, tt.jd2);
+    /*  the Sun lies in the mean ecliptic of date, fw2m with zero obliquity takes GCRS to it  */
+    return matvec(transpose(fw2m(gamb, phib, psib, 0.0)), [((r * AU) * cos(lamb)), ((r * AU) * sin(lamb)), 0.0]);
+}
+
+function sunradec(time, deg = true) {
+    /*
+    apparent right ascension and declination of the Sun
+
+    Parameters
+    ----------
+    time : datetime.datetime or str
+    time of observation (UTC)
+    deg : bool, optional
+    degrees output  (False: radians)
+
+    Results
+    -------
+    ra : float
+    apparent right ascension, true equator and equinox of date, [0, 360)
+    dec : float
+    apparent declination
+    dist : float
+    Earth - Sun distance [meters]
+
+    Referred to the true equinox, as radec2azel with sidereal "apparent" expects.
+    For the GCRS vector use sunpos.
+    */
+    let _, dec, deps, dpsi, eps, lamb, r, ra, tt;
+    tt = Epoch.fromDate(str2dt(time)).to("tt");
+    [lamb, r, _] = ecliptic(tt);
+    [dpsi, deps] = nut06a(tt.jd1, tt.jd2);
+    lamb += dpsi;
+    eps = (obl06(tt.jd1, tt.jd2) + deps);
+    ra = atan2((cos(eps) * sin(lamb)), cos(lamb));
+    dec = asin((sin(eps) * sin(lamb)));
+    ra = ((degrees(ra) + 360.0) % 360.0);
+    return [(deg ? ra : radians(ra)), (deg ? degrees(dec) : dec), (r * AU)];
+}
+
+function sunazel(lat, lon, time, deg = true) {
+    /*
+    azimuth and elevation of the Sun for an observer
+
+    Parameters
+    ----------
+    lat : float
+    observer geodetic latitude
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    time of observation (UTC)
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    az : float
+    azimuth clockwise from north to the Sun
+    el : float
+    geometric elevation of the Sun's center, without refraction
+
+    UT1 = UTC is assumed, an hour angle error of up to 0.004 degrees.
+    */
+    let az, dec, el, ra;
+    [ra, dec] = sunradec(time);
+    if (!deg) {
+        [lat, lon] = [degrees(lat), degrees(lon)];
+    }
+    [az, el] = radec2azel(ra, dec, lat, lon, time, "apparent");
+    return (deg ? [az, el] : [radians(az), radians(el)]);
+}
+
+function solarzenith(lat, lon, time, deg = true) {
+    /*
+    solar zenith angle
+
+    Parameters
+    ----------
+    lat : float
+    observer geodetic latitude
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    time of observation (UTC)
+    deg : bool, optional
+    degrees input/output  (False: radians in/out)
+
+    Results
+    -------
+    sza : float
+    angle from the local vertical to the Sun's center, 90 degrees at geometric sunset
+    */
+    let _, el;
+    [_, el] = sunazel(lat, lon, time, deg);
+    return ((deg ? 90.0 : radians(90.0)) - el);
+}
+
+function solartime(lon, time, kind = "apparent", deg = true) {
+    /*
+    local solar time
+
+    Parameters
+    ----------
+    lon : float
+    observer longitude
+    time : datetime.datetime or str
+    time of observation (UTC)
+    kind : str, optional
+    "apparent" (default): true solar time, the hour angle of the Sun plus 12 hours,
+    as a sundial reads; "mean": mean solar time, UTC shifted by the longitude
+    deg : bool, optional
+    degrees input  (False: radians)
+
+    Results
+    -------
+    hours : float
+    local solar time [hours], [0, 24)
+
+    apparent - mean is the equation of time, Meeus 28.3, within about 16 minutes
+    */
+    let _, deps, dpsi, eot, hours, l0, ra, tt;
+    time = str2dt(time);
+    if (!deg) {
+        lon = degrees(lon);
+    }
+    hours = (((time.getTime() / 3600000.0) + (lon / 15.0)) % 24.0);
+    if ((kind === "apparent")) {
+        tt = Epoch.fromDate(time).to("tt");
+        [_, _, l0] = ecliptic(tt);
+        [ra] = sunradec(time, false);
+        [dpsi, deps] = nut06a(tt.jd1, tt.jd2);
+        /*  equation of time: mean longitude less the apparent right ascension  */
+        eot = (((l0 - radians(0.0057183)) - ra) + (dpsi * cos((obl06(tt.jd1, tt.jd2) + deps))));
+        hours += (degrees(atan2(sin(eot), cos(eot))) / 15.0);
+    } else if ((kind !== "mean")) {
+        throw new Error("kind must be apparent or mean");
+    }
+    return (((hours % 24.0) + 24.0) % 24.0);
+}
+
+function ecliptic(tt) {
+    /*
+    apparent ecliptic longitude of the Sun, mean equinox of date [radians], distance [AU]
+    and geometric mean longitude [radians], at TT Epoch tt
+    */
+    let c, e, l0, m, nu, r, t;
+    t = (((tt.jd1 - 2451545.0) + tt.jd2) / 36525.0);
+    /*  geometric mean longitude, mean anomaly, eccentricity of the Earth's orbit  */
+    l0 = (280.46646 + (t * (36000.76983 + (t * 0.0003032))));
+    m = radians((357.52911 + (t * (35999.05029 - (t * 0.0001537)))));
+    e = (0.016708634 - (t * (0.000042037 + (t * 0.0000001267))));
+    /*  equation of the center  */
+    c = ((((1.914602 - (t * (0.004817 + (t * 0.000014)))) * sin(m)) + ((0.019993 - (t * 0.000101)) * sin((2 * m)))) + (0.000289 * sin((3 * m))));
+    nu = (m + radians(c));
+    r = ((1.000001018 * (1 - (e * e))) / (1 + (e * cos(nu))));
+    /*  true longitude less the aberration, 20.4898 arcseconds at 1 AU  */
+    return [radians(((l0 + c) - (0.0056916 / r))), r, radians(l0)];
+}
@@ -0,0 +1,197 @@
+/*  transforms involving TEME: true equator, mean equinox frame of SGP4  */
+
+import {pi} from './mathfun';
+import {greenwichsrt, juliandate} from './sidereal';
+import {ee06a, pnm06a, pom00} from './iau2006';
+import {eopAt} from './eop';
+import {OMEGA_GMST, rotatestate} from './eci';
+import {str2dt} from './timeconv';
+import {Epoch} from './timescale';
+import {matmul, matvec, rot3, transpose} from './utils';
+
+export {teme2ecef, ecef2teme, teme2gcrs, gcrs2teme};
+
+function teme2ecef(x, y, z, time, eop = null, v = null) {
+    /*
+    TEME => ECEF, for SGP4 output
+
+    from D. Vallado "Fundamentals of Astrodynamics and Applications", teme2ecef
+
+    Parameters
+    ----------
+    x : float
+    TEME x-location [meters]
+    y : float
+    TEME y-location [meters]
+    z : float
+    TEME z-location [meters]
+    time : datetime.datetime
+    time of observation (UTC)
+    eop : EarthOrientation or Object, optional
+    Earth orientation parameters {dut1, xp, yp}, see gcrs2itrs.
+    Without them UT1 = UTC and polar motion is neglected, a few meters at the surface.
+    v : Array, optional
+    TEME velocity [vx, vy, vz] [meters/second], e.g. from Satrec.propagate
+
+    Results
+    -------
+    x_ecef : float
+    x ECEF coordinate
+    y_ecef : float
+    y ECEF coordinate
+    z_ecef : float
+    z ECEF coordinate
+
+    with v, also vx_ecef, vy_ecef, vz_ecef : float, the velocity relative to
+    the rotating Earth, see eci.rotatestate
+
+    TEME differs from the pseudo Earth fixed frame by the IAU 1982 Greenwich mean
+    sidereal time only, the equation of the equinoxes is already in TEME.
+    */
+    time = str2dt(time);
+    if (v !== null) {
+        eop = ((eop === null) ? null : eopAt(eop, time));
+        return rotatestate(teme2ecefMatrix(time, eop), OMEGA_GMST, eop, [x, y, z], v);
+    }
+    return matvec(teme2ecefMatrix(time, eop), [x, y, z]);
+}
+
+function ecef2teme(x, y, z, time, eop = null, v = null) {
+    /*
+    ECEF => TEME, e.g. to compare a ground based position with SGP4 output
+
+    Parameters
+    ----------
+    x : float
+    target x ECEF coordinate [meters]
+    y : float
+    target y ECEF coordinate [meters]
+    z : float
+    target z ECEF coordinate [meters]
+    time : datetime.datetime
+    time of observation (UTC)
+    eop : EarthOrientation or Object, optional
+    Earth orientation parameters {dut1, xp, yp}, see teme2ecef
+    v : Array, optional
+    ECEF velocity [vx, vy, vz] [meters/second], relative to the rotating Earth
+
+    Results
+    -------
+    x_teme : float
+    TEME x-location [meters]
+    y_teme : float
+    TEME y-location [meters]
+    z_teme : float
+    TEME z-location [meters]
+
+    with v, also vx_teme, vy_teme, vz_teme : float
+    */
+    time = str2dt(time);
+    if (v !== null) {
+        eop = ((eop === null) ? null : eopAt(eop, time));
+        return rotatestate(teme2ecefMatrix(time, eop), OMEGA_GMST, eop, [x, y, z], v, true);
+    }
+    return matvec(transpose(teme2ecefMatrix(time, eop)), [x, y, z]);
+}
+
+function teme2gcrs(x, y, z, time, v = null) {
+    /*
+    TEME => GCRS, so SGP4 output can go to eci2ecef, eci2aer and eci2geodetic with eop,
+    or be compared with GCRS vectors such as sunpos
+
+    Parameters
+    ----------
+    x : float
+    TEME x-location [meters]
+    y : float
+    TEME y-location [meters]
+    z : float
+    TEME z-location [meters]
+    time : datetime.datetime
+    time of observation (UTC)
+    v : Array, optional
+    TEME velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    x_gcrs : float
+    GCRS x-location [meters]
+    y_gcrs : float
+    GCRS y-location [meters]
+    z_gcrs : float
+    GCRS z-location [meters]
+
+    with v, also vx_gcrs, vy_gcrs, vz_gcrs : float, both frames are taken
+    as inertial over the moment
+
+    IAU 2006/2000A precession-nutation stands in for the IAU 1976/1980 theory
+    TEME was defined with, they differ by tens of milliarcseconds, about a meter
+    at geostationary distance and far below the accuracy of SGP4 itself.
+    GCRS is within 23 mas (frame bias) of the J2000 dynamical frame, EME2000.
+    */
+    return state(transpose(gcrs2temeMatrix(str2dt(time))), [x, y, z], v);
+}
+
+function gcrs2teme(x, y, z, time, v = null) {
+    /*
+    GCRS => TEME, e.g. to compare an ECI state vector with SGP4 output
+
+    Parameters
+    ----------
+    x : float
+    GCRS x-location [meters]
+    y : float
+    GCRS y-location [meters]
+    z : float
+    GCRS z-location [meters]
+    time : datetime.datetime
+    time of observation (UTC)
+    v : Array, optional
+    GCRS velocity [vx, vy, vz] [meters/second]
+
+    Results
+    -------
+    x_teme : float
+    TEME x-location [meters]
+    y_teme : float
+    TEME y-location [meters]
+    z_teme : float
+    TEME z-location [meters]
+
+    with v, also vx_teme, vy_teme, vz_teme : float, see teme2gcrs
+    */
+    return state(gcrs2temeMatrix(str2dt(time)), [x, y, z], v);
+}
+
+function state(R, r, v) {
+    /*  rotate a position, and a velocity if given, between two inertial frames  */
+    if (v === null) {
+        return matvec(R, r);
+    }
+    return [...matvec(R, r), ...matvec(R, v)];
+}
+
+function gcrs2temeMatrix(time) {
+    /*
+    rotation matrix GCRS => TEME, TEME = rc2teme * GCRS
+
+    GCRS -> true equator and equinox of date (frame bias, precession, nutation)
+    true equinox -> mean equinox along the true equator (equation of the equinoxes)
+    */
+    let tt;
+    tt = Epoch.fromDate(time).to("tt");
+    return matmul(rot3(ee06a(tt.jd1, tt.jd2)), pnm06a(tt.jd1, tt.jd2));
+}
+
+function teme2ecefMatrix(time, eop) {
+    /*  rotation matrix TEME => ECEF (ITRS), polar motion times GMST 1982 on UT1  */
+    let das2r, gmst, jd;
+    jd = juliandate(time);
+    if (eop === null) {
+        return rot3(greenwichsrt(jd));
+    }
+    eop = eopAt(eop, time);
+    das2r = (pi / 648000);
+    gmst = greenwichsrt((jd + (eop.dut1 / 86400.0)));
+    return matmul(pom00((eop.xp * das2r), (eop.yp * das2r), 0.0), rot3(gmst));
+}
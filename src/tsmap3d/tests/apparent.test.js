@@ -0,0 +1,33 @@
+/*
+apparent places against SOFA atci13, equation of the origins taken out to refer them
+to the true equinox
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/apparent.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/apparent.test.mjs && node --test /tmp/apparent.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {apparent} from '../apparent';
+
+/*  the stated accuracy beyond 20 degrees from the Sun [arcseconds]  */
+const TOL = 0.03;
+
+/*  name, ICRS ra, dec [degrees], time (UTC), SOFA apparent ra, dec [degrees]  */
+const CASES = [
+    ["Polaris", 37.95456067, 89.26410897, Date.UTC(2000, 0, 1, 12), 38.190148201, 89.266972011],
+    ["Sirius", 101.28715533, -16.71611586, Date.UTC(2020, 5, 1), 101.506204397, -16.739771929],
+    ["Vega", 279.23473479, 38.78368896, Date.UTC(2035, 9, 15, 6), 279.532247244, 38.822978283]
+];
+
+describe("apparent", () => {
+    for (const [name, ra, dec, t, ra1, dec1] of CASES) {
+        test(name, () => {
+            const [ra2, dec2] = apparent(ra, dec, new Date(t));
+            const dra = (((ra2 - ra1) * 3600) * Math.cos(((dec1 * Math.PI) / 180)));
+            const ddec = ((dec2 - dec1) * 3600);
+            assert.ok((Math.hypot(dra, ddec) < TOL), `${name}: off by ${dra}, ${ddec} arcseconds`);
+        });
+    }
+});
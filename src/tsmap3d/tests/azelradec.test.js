@@ -0,0 +1,56 @@
+/*
+azimuth, elevation <=> right ascension, declination with the parallax of a nearby target
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/azelradec.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/azelradec.test.mjs && node --test /tmp/azelradec.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {azel2radec, radec2azel} from '../azelradec';
+
+const TIME = new Date(Date.UTC(2024, 5, 21, 22));
+const [LAT, LON, ALT] = [48.0, 11.0, 500.0];
+/*  mean distance of the Moon [meters]  */
+const MOON = 384400e3;
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("radec2azel, azel2radec", () => {
+    test("two values with or without dist", () => {
+        assert.equal(radec2azel(120.0, 20.0, LAT, LON, TIME).length, 2);
+        assert.equal(radec2azel(120.0, 20.0, LAT, LON, TIME, "mean", null, MOON, ALT).length, 2);
+        assert.equal(azel2radec(200.0, 30.0, LAT, LON, TIME).length, 2);
+        assert.equal(azel2radec(200.0, 30.0, LAT, LON, TIME, "mean", null, MOON, ALT).length, 2);
+    });
+
+    test("round trip with parallax", () => {
+        const [az, el] = radec2azel(120.0, 20.0, LAT, LON, TIME, "mean", null, MOON, ALT);
+        const [ra, dec] = azel2radec(az, el, LAT, LON, TIME, "mean", null, MOON, ALT);
+        close(ra, 120.0, 1e-9, "ra");
+        close(dec, 20.0, 1e-9, "dec");
+    });
+
+    test("the Moon sits lower than seen from the Earth's center", () => {
+        /*  horizontal parallax asin(R / dist), about 0.95 degrees on the horizon  */
+        const [ra, dec] = azel2radec(90.0, 0.0, LAT, LON, TIME);
+        const [, el] = radec2azel(ra, dec, LAT, LON, TIME, "mean", null, MOON, ALT);
+        assert.ok(((el < -0.9) && (el > -1.0)), `${el}`);
+    });
+
+    test("a far target has no parallax", () => {
+        const [az0, el0] = radec2azel(120.0, 20.0, LAT, LON, TIME);
+        const [az1, el1] = radec2azel(120.0, 20.0, LAT, LON, TIME, "mean", null, 1e20, ALT);
+        close(az1, az0, 1e-9, "az");
+        close(el1, el0, 1e-9, "el");
+    });
+
+    test("dist within the observer's distance", () => {
+        assert.throws(() => radec2azel(120.0, 20.0, LAT, LON, TIME, "mean", null, 6.0e6, ALT), /target distance must exceed/);
+        assert.throws(() => azel2radec(200.0, 30.0, LAT, LON, TIME, "mean", null, 6.0e6, ALT), /target distance must exceed/);
+        assert.throws(() => radec2azel(120.0, 20.0, LAT, LON, TIME, "mean", null, 0.0), /target distance must exceed/);
+    });
+});
@@ -0,0 +1,99 @@
+/*
+ecliptic and galactic coordinates: the poles and origins of each system, the obliquity
+against Meeus, "Astronomical Algorithms", 2nd ed., example 22.a, and round trips
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/celestial.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/celestial.test.mjs && node --test /tmp/celestial.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {ecliptic2radec, galactic2radec, radec2ecliptic, radec2galactic} from '../celestial';
+
+/*  IAU 2006 obliquity at J2000.0, 84381.406 arcseconds [degrees]  */
+const EPS0 = (84381.406 / 3600.0);
+/*  1987-04-10 0h TT, TT - UTC = 32.184 + 23 s  */
+const TIME = new Date((Date.UTC(1987, 3, 10) - 55184));
+const ARCSEC = (1.0 / 3600.0);
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+function roundtrip(forward, inverse, points, args = []) {
+    for (const [lon, lat] of points) {
+        const [lon2, lat2] = inverse(...forward(lon, lat, ...args), ...args);
+        close((((((lon2 - lon) % 360.0) + 540.0) % 360.0) - 180.0), 0.0, 1e-9, `lon ${lon}`);
+        close(lat2, lat, 1e-9, `lat ${lat}`);
+        assert.ok(((lon2 >= 0.0) && (lon2 < 360.0)), `${lon2}`);
+    }
+}
+
+const POINTS = [[0.0, 0.0], [10.0, 20.0], [123.4, -56.7], [270.0, 89.9], [359.9999999, -30.0], [-1e-12, 1e-3]];
+
+describe("ecliptic", () => {
+    test("J2000.0 ecliptic from ICRS", () => {
+        /*  the frame bias moves the ICRS pole and origin by some 0.02 arcseconds  */
+        const [lon, lat] = radec2ecliptic(0.0, 90.0);
+        close(lon, 90.0, (0.05 * ARCSEC), "lon of the celestial pole");
+        close(lat, (90.0 - EPS0), (0.05 * ARCSEC), "lat of the celestial pole");
+        const [elon, elat] = radec2ecliptic(0.0, 0.0);
+        close((((elon + 180.0) % 360.0) - 180.0), 0.0, (0.05 * ARCSEC), "lon of the equinox");
+        close(elat, 0.0, (0.05 * ARCSEC), "lat of the equinox");
+        close(radec2ecliptic(270.0, (90.0 - EPS0))[1], 90.0, (0.05 * ARCSEC), "ecliptic pole");
+    });
+
+    test("obliquity of date, Meeus example 22.a", () => {
+        /*  mean 23d26'27.407", true 23d26'36.850", IAU 1980 there, the IAU 2006 mean is 0.04" smaller  */
+        const [lon, lat] = radec2ecliptic(0.0, 90.0, TIME);
+        close(lon, 90.0, 1e-9, "lon");
+        close((90.0 - lat), (((23.0 + (26.0 / 60.0)) + (27.407 / 3600.0)) - (0.039 * ARCSEC)), (0.005 * ARCSEC), "mean");
+        const [, tlat] = radec2ecliptic(0.0, 90.0, TIME, "true");
+        close((90.0 - tlat), (((23.0 + (26.0 / 60.0)) + (36.850 / 3600.0)) - (0.039 * ARCSEC)), (0.01 * ARCSEC), "true");
+        /*  the equinox of date is the origin of both  */
+        assert.deepEqual(radec2ecliptic(0.0, 0.0, TIME), [0.0, 0.0]);
+    });
+
+    test("round trips", () => {
+        roundtrip(radec2ecliptic, ecliptic2radec, POINTS);
+        roundtrip(radec2ecliptic, ecliptic2radec, POINTS, [TIME]);
+        roundtrip(radec2ecliptic, ecliptic2radec, POINTS, [TIME, "true"]);
+        roundtrip(ecliptic2radec, radec2ecliptic, POINTS, [TIME, "true"]);
+    });
+
+    test("radians and kind", () => {
+        const [lon, lat] = radec2ecliptic(123.4, -56.7, TIME);
+        const [rlon, rlat] = radec2ecliptic(((123.4 * Math.PI) / 180.0), ((-56.7 * Math.PI) / 180.0), TIME, "mean", false);
+        close(rlon, ((lon * Math.PI) / 180.0), 1e-14, "lon");
+        close(rlat, ((lat * Math.PI) / 180.0), 1e-14, "lat");
+        assert.throws(() => radec2ecliptic(0.0, 0.0, TIME, "apparent"), /kind must be mean or true/);
+        assert.throws(() => ecliptic2radec(0.0, 0.0, null, "apparent"), /kind must be mean or true/);
+    });
+});
+
+describe("galactic", () => {
+    test("pole, center and the celestial pole", () => {
+        /*  ESA SP-1200, 1.5.3: pole at 192.85948, 27.12825, center at 266.40500, -28.93617, theta0 = 122.93192  */
+        close(radec2galactic(192.85948, 27.12825)[1], 90.0, 1e-9, "b of the north galactic pole");
+        close(radec2galactic(12.85948, -27.12825)[1], -90.0, 1e-9, "b of the south galactic pole");
+        const [ra, dec] = galactic2radec(0.0, 0.0);
+        close(ra, 266.40500, 1e-5, "ra of the center");
+        close(dec, -28.93617, 1e-5, "dec of the center");
+        const [l, b] = radec2galactic(0.0, 90.0);
+        close(l, 122.93192, 1e-5, "l of the celestial pole");
+        close(b, 27.12825, 1e-5, "b of the celestial pole");
+    });
+
+    test("round trips", () => {
+        roundtrip(radec2galactic, galactic2radec, POINTS);
+        roundtrip(galactic2radec, radec2galactic, POINTS);
+    });
+
+    test("radians", () => {
+        const [l, b] = radec2galactic(83.633, 22.0145);
+        const [rl, rb] = radec2galactic(((83.633 * Math.PI) / 180.0), ((22.0145 * Math.PI) / 180.0), false);
+        close(rl, ((l * Math.PI) / 180.0), 1e-14, "l");
+        close(rb, ((b * Math.PI) / 180.0), 1e-14, "b");
+    });
+});
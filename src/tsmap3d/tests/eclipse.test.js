@@ -0,0 +1,62 @@
+/*
+satellite shadow states and the frames eclipse accepts
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/eclipse.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/eclipse.test.mjs && node --test /tmp/eclipse.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {eclipse} from '../eclipse';
+import {eci2ecef} from '../eci';
+import {sunpos} from '../sun';
+import {gcrs2teme} from '../teme';
+
+const TIME = new Date(Date.UTC(2024, 2, 20, 12));
+/*  orbit radius [meters]  */
+const RADIUS = 7.0e6;
+
+function position(angle) {
+    /*  GCRS position at RADIUS, angle [degrees] from the Sun in the plane through the Sun and the z axis  */
+    let c, n, p, s, u;
+    s = sunpos(TIME);
+    n = Math.hypot(...s);
+    u = s.map(sk => (sk / n));
+    p = [(-u[1]), u[0], 0.0].map(pk => (pk / Math.hypot(u[0], u[1])));
+    c = Math.cos(((angle * Math.PI) / 180));
+    s = Math.sin(((angle * Math.PI) / 180));
+    return u.map((uk, k) => (RADIUS * ((uk * c) + (p[k] * s))));
+}
+
+describe("eclipse", () => {
+    test("sunlit, penumbra and umbra", () => {
+        assert.deepEqual(eclipse(...position(0.0), TIME), ["sunlit", 1.0]);
+        assert.deepEqual(eclipse(...position(180.0), TIME), ["umbra", 0.0]);
+        const [shadow, fraction] = eclipse(...position(114.25), TIME);
+        assert.equal(shadow, "penumbra");
+        assert.ok(((fraction > 0.0) && (fraction < 1.0)), `${fraction}`);
+    });
+
+    test("teme and ecef frames agree with gcrs", () => {
+        for (let angle = 113.5; (angle <= 115.0); angle += 0.25) {
+            const r = position(angle);
+            const expected = eclipse(...r, TIME);
+            const teme = eclipse(...gcrs2teme(...r, TIME), TIME, "teme");
+            const ecef = eclipse(...eci2ecef(...r, TIME, {}), TIME, "ecef");
+            assert.equal(teme[0], expected[0]);
+            assert.equal(ecef[0], expected[0]);
+            assert.ok((Math.abs((teme[1] - expected[1])) < 1e-9), `teme at ${angle}: ${teme[1]} != ${expected[1]}`);
+            assert.ok((Math.abs((ecef[1] - expected[1])) < 1e-9), `ecef at ${angle}: ${ecef[1]} != ${expected[1]}`);
+        }
+    });
+
+    test("teme taken as gcrs is off", () => {
+        const r = gcrs2teme(...position(114.25), TIME);
+        assert.notEqual(eclipse(...r, TIME, "teme")[1], eclipse(...r, TIME)[1]);
+    });
+
+    test("unknown frame", () => {
+        assert.throws(() => eclipse(...position(0.0), TIME, "itrs"), /frame must be/);
+    });
+});
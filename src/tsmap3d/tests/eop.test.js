@@ -0,0 +1,80 @@
+/*
+Earth orientation parameters: IERS file parsing and interpolation across a leap second
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/eop.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/eop.test.mjs && node --test /tmp/eop.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {eopAt, parseC04, parseFinals2000A} from '../eop';
+
+/*  EOP 14 C04 rows around the leap second at the end of 2016, UT1 - UTC steps up by 1 s  */
+const C04 = `
+                       EOP (IERS) 14 C04 TIME SERIES  consistent with ITRF 2014 - sampled at 0h UTC
+  YR  MM  DD  HH       MJD        x(")        y(")  UT1-UTC(s)       LOD(s)        dX(")        dY(")
+2016  12  30  57752   0.012765   0.297490  -0.4074755   0.0001790   0.000196  -0.000095   0.000020   0.000025  0.0000098  0.0000091    0.000040    0.000048
+2016  12  31  57753   0.011733   0.297015  -0.4076500   0.0001745   0.000193  -0.000095   0.000020   0.000025  0.0000098  0.0000091    0.000040    0.000048
+2017   1   1  57754   0.010700   0.296540   0.5925230   0.0001700   0.000190  -0.000095   0.000020   0.000025  0.0000098  0.0000091    0.000040    0.000048
+2017   1   2  57755   0.009668   0.296065   0.5923530   0.0001655   0.000187  -0.000095   0.000020   0.000025  0.0000098  0.0000091    0.000040    0.000048
+`;
+
+/*  finals2000A.all rows, fixed width  */
+const FINALS = `
+19 1 2 58485.00 I  0.041802 0.000024  0.282520 0.000030  I-0.0307856 0.0000083  0.5946 0.0052  I     0.043    0.040    -0.063    0.060   0.041889   0.282560  -0.0307871     0.038    -0.070
+19 1 3 58486.00 I  0.041195 0.000025  0.283818 0.000030  I-0.0313757 0.0000082  0.5857 0.0058  I     0.055    0.040    -0.062    0.060   0.041226   0.283867  -0.0313766     0.048    -0.069
+`;
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+function sameRecord(actual, expected) {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    for (const key of Object.keys(expected)) {
+        close(actual[key], expected[key], 1e-15, key);
+    }
+}
+
+describe("EOP", () => {
+    test("parseFinals2000A columns and units", () => {
+        const eop = parseFinals2000A(FINALS);
+        assert.equal(eop.records.length, 2);
+        sameRecord(eop.records[0], {mjd: 58485, xp: 0.041802, yp: 0.282520, dut1: -0.0307856, lod: 0.0005946, dx: 0.000043, dy: -0.000063});
+        close(eop.get(new Date(Date.UTC(2019, 0, 2, 12))).dut1, (0.5 * (-0.0307856 - 0.0313757)), 1e-12, "dut1");
+    });
+
+    test("parseC04 columns", () => {
+        const eop = parseC04(C04);
+        assert.equal(eop.records.length, 4);
+        sameRecord(eop.records[1], {mjd: 57753, xp: 0.011733, yp: 0.297015, dut1: -0.40765, lod: 0.0001745, dx: 0.000193, dy: -0.000095});
+    });
+
+    test("dut1 continuous through the day before a leap second", () => {
+        const eop = parseC04(C04);
+        close(eop.get(new Date(Date.UTC(2016, 11, 31))).dut1, -0.40765, 1e-12, "00:00");
+        close(eop.get(new Date(Date.UTC(2016, 11, 31, 12))).dut1, (0.5 * (-0.40765 + (0.592523 - 1.0))), 1e-12, "12:00");
+        close(eop.get(new Date(Date.UTC(2016, 11, 31, 23, 59, 59))).dut1, -0.407477, 1e-5, "23:59:59");
+    });
+
+    test("dut1 steps by the leap second at 0h", () => {
+        const eop = parseC04(C04);
+        close(eop.get(new Date(Date.UTC(2017, 0, 1))).dut1, 0.592523, 1e-12, "00:00");
+        close(eop.get(new Date(Date.UTC(2017, 0, 1, 12))).dut1, (0.5 * (0.592523 + 0.592353)), 1e-12, "12:00");
+        /*  the step at the last record of a table too  */
+        close(parseC04(C04.split("\n").slice(0, 6).join("\n")).get(new Date(Date.UTC(2017, 0, 1))).dut1, 0.592523, 1e-12, "end");
+    });
+
+    test("outside the table", () => {
+        const eop = parseC04(C04);
+        assert.throws(() => eop.get(new Date(Date.UTC(2016, 11, 29, 23, 59))), /outside the EOP table/);
+        assert.throws(() => eop.get(new Date(Date.UTC(2017, 0, 2, 0, 0, 1))), /outside the EOP table/);
+        assert.throws(() => parseC04(C04.split("\n").slice(0, 4).join("\n")), /at least two EOP records/);
+    });
+
+    test("eopAt with fixed values", () => {
+        assert.deepEqual(eopAt({dut1: 0.1, xp: 0.2}, new Date(0)), {dut1: 0.1, lod: 0.0, xp: 0.2, yp: 0.0, dx: 0.0, dy: 0.0});
+        close(eopAt(parseC04(C04), new Date(Date.UTC(2016, 11, 30, 6))).xp, (0.012765 + (0.25 * (0.011733 - 0.012765))), 1e-12, "xp");
+    });
+});
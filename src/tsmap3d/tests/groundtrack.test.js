@@ -0,0 +1,128 @@
+/*
+ground tracks, the spherical coverage circle and the ellipsoidal footprint
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/groundtrack.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/groundtrack.test.mjs && node --test /tmp/groundtrack.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {ecef2aer} from '../aer';
+import {geodetic2ecef} from '../ecef';
+import {ecef2eci} from '../eci';
+import {coverage, footprint, groundtrack} from '../groundtrack';
+import {eqavol} from '../rsphere';
+
+const TIME = new Date(Date.UTC(2024, 2, 20, 3));
+/*  geostationary altitude [meters]  */
+const GEO = 35786e3;
+/*  ecef2geodetic takes one Newton step, good to about a millimeter in orbit  */
+const LATTOL = 1e-7;
+const ALTTOL = 1e-2;
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("groundtrack", () => {
+    /*  lat, lon, alt of some sub-satellite points  */
+    const points = [[51.6, -170.0, 420e3], [-30.0, 179.9, 800e3], [0.0, 0.0, GEO], [89.0, 45.0, 1000e3]];
+
+    test("ECEF positions, with or without velocity", () => {
+        const positions = points.map(([lat, lon, alt]) => [...geodetic2ecef(lat, lon, alt), 1.0, 2.0, 3.0]);
+        const [lats, lons, alts] = groundtrack(positions);
+        points.forEach(([lat, lon, alt], i) => {
+            close(lats[i], lat, LATTOL, "lat");
+            close(lons[i], lon, 1e-9, "lon");
+            close(alts[i], alt, ALTTOL, "alt");
+        });
+        const [rlats] = groundtrack(positions.map(p => p.slice(0, 3)), null, "ecef", null, false);
+        close(rlats[0], ((51.6 * Math.PI) / 180.0), 1e-9, "lat [radians]");
+    });
+
+    test("ECI positions", () => {
+        const times = points.map((_, i) => new Date((TIME.getTime() + (600e3 * i))));
+        const positions = points.map(([lat, lon, alt], i) => ecef2eci(...geodetic2ecef(lat, lon, alt), times[i]));
+        const [lats, lons, alts] = groundtrack(positions, times, "eci");
+        points.forEach(([lat, lon, alt], i) => {
+            close(lats[i], lat, LATTOL, "lat");
+            close(lons[i], lon, 1e-8, "lon");
+            close(alts[i], alt, ALTTOL, "alt");
+        });
+    });
+
+    test("arguments", () => {
+        assert.throws(() => groundtrack([[7e6, 0, 0]], null, "gcrs"), /frame must be ecef, eci or teme/);
+        assert.throws(() => groundtrack([[7e6, 0, 0]], null, "eci"), /needs one time per position/);
+        assert.throws(() => groundtrack([[7e6, 0, 0]], [TIME, TIME], "teme"), /needs one time per position/);
+    });
+});
+
+describe("coverage", () => {
+    test("geostationary satellite on the horizon", () => {
+        /*  the line of sight is tangent to the Earth, lamb = acos(R / (R + alt))  */
+        const r = eqavol();
+        const [lamb, dist, eta, srange] = coverage(GEO);
+        close(lamb, ((Math.acos((r / (r + GEO))) * 180.0) / Math.PI), 1e-12, "lamb");
+        close((lamb + eta), 90.0, 1e-12, "lamb + eta");
+        close(dist, ((r * lamb * Math.PI) / 180.0), 1e-6, "dist");
+        close(srange, Math.sqrt((((r + GEO) ** 2) - (r * r))), 1e-6, "srange");
+        assert.ok(((lamb > 81.2) && (lamb < 81.4)), `${lamb}`);
+    });
+
+    test("elevation mask", () => {
+        /*  lamb + eta + el = 90 degrees, and the law of sines in the triangle center, satellite, edge  */
+        const r = eqavol();
+        const [lamb, dist, eta, srange] = coverage(800e3, 10.0);
+        close(((lamb + eta) + 10.0), 90.0, 1e-12, "angles");
+        close((srange / Math.sin(((lamb * Math.PI) / 180.0))), (r / Math.sin(((eta * Math.PI) / 180.0))), 1e-3, "law of sines");
+        close(dist, ((r * lamb * Math.PI) / 180.0), 1e-6, "dist");
+        const rad = coverage(800e3, ((10.0 * Math.PI) / 180.0), null, false);
+        close(rad[0], ((lamb * Math.PI) / 180.0), 1e-15, "lamb [radians]");
+        close(rad[3], srange, 1e-6, "srange");
+    });
+
+    test("arguments", () => {
+        assert.throws(() => coverage(0.0), /altitude must be positive/);
+        assert.throws(() => coverage(800e3, 90.0), /elevation mask must be in/);
+        assert.throws(() => coverage(800e3, -1.0), /elevation mask must be in/);
+    });
+});
+
+describe("footprint", () => {
+    test("the satellite is at elmask from every vertex", () => {
+        const [lat0, lon0, alt] = [40.0, 170.0, 800e3];
+        const [x, y, z] = geodetic2ecef(lat0, lon0, alt);
+        const [lats, lons] = footprint(lat0, lon0, alt, 10.0, 36);
+        assert.equal(lats.length, 37);
+        assert.equal(lats[36], lats[0]);
+        assert.equal(lons[36], lons[0]);
+        lats.forEach((lat, i) => {
+            close(ecef2aer(x, y, z, lat, lons[i], 0.0)[1], 10.0, 1e-6, `elevation at ${i}`);
+            assert.ok(((lons[i] >= -180.0) && (lons[i] < 180.0)), `lon ${lons[i]}`);
+        });
+        /*  first vertex due north, the polygon crosses the antimeridian  */
+        close(lons[0], lon0, 1e-9, "north lon");
+        assert.ok(lons.some(lon => (lon < 0.0)));
+        /*  spherical radius within a percent  */
+        const [lamb] = coverage(alt, 10.0);
+        close(lats[0], (lat0 + lamb), (0.01 * lamb), "north lat");
+    });
+
+    test("Array input and radians", () => {
+        const both = footprint([0.0, -60.0], [0.0, 100.0], [GEO, 500e3], 5.0, 8);
+        assert.equal(both.length, 2);
+        assert.deepEqual(both[1], footprint(-60.0, 100.0, 500e3, 5.0, 8));
+        const [rlats, rlons] = footprint(0.0, 0.0, GEO, ((5.0 * Math.PI) / 180.0), 8, null, false);
+        rlats.forEach((lat, i) => {
+            close(lat, ((both[0][0][i] * Math.PI) / 180.0), 1e-12, "lat");
+            close(rlons[i], ((both[0][1][i] * Math.PI) / 180.0), 1e-12, "lon");
+        });
+    });
+
+    test("arguments", () => {
+        assert.throws(() => footprint(0.0, 0.0, 800e3, 0.0, 2), /npts must be at least 3/);
+        assert.throws(() => footprint(0.0, 0.0, -1.0), /altitude must be positive/);
+    });
+});
@@ -0,0 +1,71 @@
+/*
+spherical astronomy helpers: longitudes at the 0/360 seam and polygon solid angles
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/haversine.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/haversine.test.mjs && node --test /tmp/haversine.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {precess} from '../apparent';
+import {galactic2radec, radec2galactic} from '../celestial';
+import {posangle, skyinterp, skyreckon, solidangle} from '../haversine';
+
+/*  square degrees on the whole sphere  */
+const SPHERE = (4 * Math.PI * ((180 / Math.PI) ** 2));
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("0/360 seam", () => {
+    test("skyinterp", () => {
+        assert.deepEqual(skyinterp(350, 0, 10, 0), [0, 0]);
+        assert.deepEqual(skyinterp((11 * Math.PI / 6), 0, (Math.PI / 6), 0, 0.5, false), [0, 0]);
+    });
+
+    test("skyreckon", () => {
+        assert.deepEqual(skyreckon(-1e-14, 0, 0, 0), [0, 0]);
+    });
+
+    test("posangle", () => {
+        const pa = posangle(0, 0, -1e-14, 10);
+        assert.ok(((pa >= 0) && (pa < 360)), `${pa}`);
+    });
+
+    test("galactic round trip at ra 0", () => {
+        const [ra, dec] = galactic2radec(...radec2galactic(0, 0));
+        assert.equal(ra, 0);
+        close(dec, 0, 1e-12, "dec");
+    });
+
+    test("precess to the same epoch", () => {
+        const t = new Date(Date.UTC(2000, 0, 1, 12));
+        assert.equal(precess(-1e-14, 0, t, t)[0], 0);
+    });
+});
+
+describe("solidangle", () => {
+    test("octant by winding order", () => {
+        close(solidangle([0, 90, 0], [0, 0, 90]), (SPHERE / 8), 1e-9, "counter-clockwise");
+        close(solidangle([0, 0, 90], [0, 90, 0]), ((7 * SPHERE) / 8), 1e-9, "clockwise");
+        close(solidangle([0, (Math.PI / 2), 0], [0, 0, (Math.PI / 2)], false), (Math.PI / 2), 1e-12, "radians");
+    });
+
+    test("larger than a hemisphere", () => {
+        const lons = [0, 90, 180, 270];
+        const lats = [-10, -10, -10, -10];
+        const omega = solidangle(lons, lats);
+        assert.ok((omega > (SPHERE / 2)), `${omega}`);
+        close((omega + solidangle(lons.slice().reverse(), lats)), SPHERE, 1e-9, "both regions");
+    });
+
+    test("closed polygon repeating its first vertex", () => {
+        close(solidangle([0, 90, 0, 0], [0, 0, 90, 0]), (SPHERE / 8), 1e-9, "octant");
+    });
+
+    test("too few vertices", () => {
+        assert.throws(() => solidangle([0, 90], [0, 0]), /at least 3 vertices/);
+    });
+});
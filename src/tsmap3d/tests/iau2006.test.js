@@ -0,0 +1,59 @@
+/*
+IAU 2006/2000A precession-nutation against the SOFA test program t_sofa_c
+
+Same inputs and tolerances as t_sofa_c, run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/iau2006.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/iau2006.test.mjs && node --test /tmp/iau2006.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {c2t06a, nut00a, nut00b, nut06a, pnm06a} from '../iau2006';
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+function closeMatrix(actual, expected, tol) {
+    for (let i = 0; (i < 3); i++) {
+        for (let j = 0; (j < 3); j++) {
+            close(actual[i][j], expected[i][j], tol, `[${i}][${j}]`);
+        }
+    }
+}
+
+describe("IAU 2006/2000A", () => {
+    test("nut00a", () => {
+        const [dpsi, deps] = nut00a(2400000.5, 53736.0);
+        close(dpsi, -0.9630909107115518431e-5, 1e-13, "dpsi");
+        close(deps, 0.4063239174001678710e-4, 1e-13, "deps");
+    });
+
+    test("nut00b", () => {
+        const [dpsi, deps] = nut00b(2400000.5, 53736.0);
+        close(dpsi, -0.9632552291148362783e-5, 1e-13, "dpsi");
+        close(deps, 0.4063197106621159367e-4, 1e-13, "deps");
+    });
+
+    test("nut06a", () => {
+        const [dpsi, deps] = nut06a(2400000.5, 53736.0);
+        close(dpsi, -0.9630912025820308797e-5, 1e-13, "dpsi");
+        close(deps, 0.4063238496887249798e-4, 1e-13, "deps");
+    });
+
+    test("pnm06a", () => {
+        closeMatrix(pnm06a(2400000.5, 50123.9999), [
+            [0.9999995832794205484, 0.8372382772630962111e-3, 0.3639684771140623099e-3],
+            [-0.8372533744743683605e-3, 0.9999996486492861646, 0.4132905944611019498e-4],
+            [-0.3639337469629464969e-3, -0.4163377605910663999e-4, 0.9999999329094260057]
+        ], 1e-12);
+    });
+
+    test("c2t06a", () => {
+        closeMatrix(c2t06a(2400000.5, 53736.0, 2400000.5, 53736.0, 2.55060238e-7, 1.860359247e-6), [
+            [-0.1810332128305897282, 0.9834769806938592296, 0.6555550962998436505e-4],
+            [-0.9834768134136214897, -0.1810332203649130832, 0.5749800844905594110e-3],
+            [0.5773474024748545878e-3, 0.3961816829632690581e-4, 0.9999998325501747785]
+        ], 1e-12);
+    });
+});
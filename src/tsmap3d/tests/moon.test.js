@@ -0,0 +1,76 @@
+/*
+the Moon against Meeus, "Astronomical Algorithms", 2nd ed., examples 47.a and 48.a,
+1992 April 12.0 TD, and its phases in January 2024
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/moon.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/moon.test.mjs && node --test /tmp/moon.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {moonazel, moonphase, moonradec} from '../moon';
+
+/*  1992-04-12 0h TT, TT - UTC = 32.184 + 26 s  */
+const TIME = new Date((Date.UTC(1992, 3, 12) - 58184));
+const DEG = (Math.PI / 180.0);
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("moon", () => {
+    test("apparent place, Meeus example 47.a", () => {
+        /*  alpha = 134.688470, delta = 13.768368, Delta = 368409.7 km  */
+        const [ra, dec, dist] = moonradec(TIME);
+        close(ra, 134.688470, 1e-4, "ra");
+        close(dec, 13.768368, 1e-4, "dec");
+        close(dist, 368409.7e3, 100.0, "dist");
+        const [rra, rdec] = moonradec(TIME, false);
+        close(rra, (ra * DEG), 1e-15, "ra [radians]");
+        close(rdec, (dec * DEG), 1e-15, "dec [radians]");
+    });
+
+    test("ecliptic place, Meeus example 47.a", () => {
+        /*
+        back to the ecliptic with the true obliquity 23.440636 degrees:
+        apparent lambda = 133.162655 + nutation 0.004610, beta = -3.229126
+        */
+        const [ra, dec] = moonradec(TIME, false);
+        const eps = (23.440636 * DEG);
+        const lamb = Math.atan2(((Math.sin(ra) * Math.cos(eps)) + (Math.tan(dec) * Math.sin(eps))), Math.cos(ra));
+        const beta = Math.asin(((Math.sin(dec) * Math.cos(eps)) - ((Math.cos(dec) * Math.sin(eps)) * Math.sin(ra))));
+        close((lamb / DEG), (133.162655 + 0.004610), 1e-4, "lambda");
+        close((beta / DEG), -3.229126, 1e-4, "beta");
+    });
+
+    test("illuminated fraction, Meeus example 48.a", () => {
+        /*  i = 69.0756, k = 0.6786 with the Sun from VSOP87  */
+        const [k, i] = moonphase(TIME);
+        close(k, 0.6786, 1e-3, "fraction");
+        close(i, 69.0756, 0.02, "phase angle");
+        close(moonphase(TIME, false)[1], (i * DEG), 1e-15, "phase angle [radians]");
+    });
+
+    test("new, first quarter and full Moon of January 2024", () => {
+        /*  the Moon's latitude keeps the fraction off 0 and 1  */
+        const [knew, inew] = moonphase("2024-01-11T11:57:00");
+        assert.ok(((knew < 0.01) && (inew > 170.0)), `${knew}, ${inew}`);
+        const [kq, iq] = moonphase("2024-01-18T03:53:00");
+        close(kq, 0.5, 0.01, "fraction");
+        close(iq, 90.0, 1.0, "phase angle");
+        const [kfull, ifull] = moonphase("2024-01-25T17:54:00");
+        assert.ok(((kfull > 0.99) && (ifull < 10.0)), `${kfull}, ${ifull}`);
+    });
+
+    test("topocentric range", () => {
+        /*  nearer than the Earth's center when the Moon is up  */
+        const [, el, srange] = moonazel(48.0, 11.0, TIME);
+        const [, , dist] = moonradec(TIME);
+        assert.ok((el > 0.0), `${el}`);
+        assert.ok(((srange < dist) && (srange > (dist - 6.4e6))), `${srange}`);
+        const [, elbelow, srangebelow] = moonazel(-48.0, -169.0, TIME);
+        assert.ok((elbelow < 0.0), `${elbelow}`);
+        assert.ok(((srangebelow > dist) && (srangebelow < (dist + 6.4e6))), `${srangebelow}`);
+    });
+});
@@ -0,0 +1,85 @@
+/*
+frames on a chief orbit: RIC, LVLH, NTW and VNC axes and their round trips
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/orbitframe.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/orbitframe.test.mjs && node --test /tmp/orbitframe.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {eci2lvlh, eci2ntw, eci2ric, eci2vnc, lvlh2eci, ntw2eci, ric2eci, vnc2eci} from '../orbitframe';
+import {coe2rv} from '../vallado';
+
+/*  chief on a circular equatorial orbit, on the x axis moving along +y  */
+const CIRCULAR = [7000e3, 0.0, 0.0, 0.0, 7546.05, 0.0];
+/*  chief on an eccentric inclined orbit, away from the apsides  */
+const ECCENTRIC = coe2rv(9000e3, 0.3, 63.4, 120.0, 270.0, 60.0);
+/*  deputy ECI state  */
+const DEPUTY = [7001e3, -2e3, 3e3];
+const DEPUTY_V = [1.0, 7550.0, -2.0];
+
+const FRAMES = [
+    ["RIC", eci2ric, ric2eci],
+    ["LVLH", eci2lvlh, lvlh2eci],
+    ["NTW", eci2ntw, ntw2eci],
+    ["VNC", eci2vnc, vnc2eci]
+];
+
+function vecclose(actual, expected, tol, name) {
+    assert.equal(actual.length, expected.length, name);
+    actual.forEach((a, i) => assert.ok((Math.abs((a - expected[i])) < tol), `${name}[${i}]: ${a} != ${expected[i]}`));
+}
+
+describe("orbit frames", () => {
+    test("axes on a circular equatorial orbit", () => {
+        /*  +100 m radial, +200 m along track, +300 m orbit normal  */
+        const deputy = [7000.1e3, 200.0, 300.0];
+        vecclose(eci2ric(...deputy, CIRCULAR), [100.0, 200.0, 300.0], 1e-9, "RIC");
+        vecclose(eci2lvlh(...deputy, CIRCULAR), [200.0, -300.0, -100.0], 1e-9, "LVLH");
+        vecclose(eci2ntw(...deputy, CIRCULAR), [100.0, 200.0, 300.0], 1e-9, "NTW");
+        vecclose(eci2vnc(...deputy, CIRCULAR), [200.0, 300.0, 100.0], 1e-9, "VNC");
+    });
+
+    test("velocities are differences rotated into the frame", () => {
+        const v = [1.0, 7548.05, -3.0];
+        vecclose(eci2ric(7000e3, 0.0, 0.0, CIRCULAR, v), [0.0, 0.0, 0.0, 1.0, 2.0, -3.0], 1e-9, "RIC");
+        vecclose(eci2lvlh(7000e3, 0.0, 0.0, CIRCULAR, v), [0.0, 0.0, 0.0, 2.0, 3.0, -1.0], 1e-9, "LVLH");
+    });
+
+    test("NTW and VNC follow the velocity, RIC the position", () => {
+        /*  a deputy ahead along the velocity has no N component, but a radial one in RIC  */
+        const v = ECCENTRIC.slice(3);
+        const speed = Math.hypot(...v);
+        const ahead = ECCENTRIC.slice(0, 3).map((r, k) => (r + ((1000.0 * v[k]) / speed)));
+        vecclose(eci2ntw(...ahead, ECCENTRIC), [0.0, 1000.0, 0.0], 1e-8, "NTW");
+        vecclose(eci2vnc(...ahead, ECCENTRIC), [1000.0, 0.0, 0.0], 1e-8, "VNC");
+        const [r, i, c] = eci2ric(...ahead, ECCENTRIC);
+        /*  flight path angle atan(e sin(nu) / (1 + e cos(nu)))  */
+        const gamma = Math.atan(((0.3 * Math.sin((Math.PI / 3))) / (1 + (0.3 * Math.cos((Math.PI / 3))))));
+        vecclose([r, i, c], [(1000.0 * Math.sin(gamma)), (1000.0 * Math.cos(gamma)), 0.0], 1e-8, "RIC");
+    });
+
+    for (const [name, eci2frame, frame2eci] of FRAMES) {
+        test(`${name} round trip`, () => {
+            for (const chief of [CIRCULAR, ECCENTRIC]) {
+                const p = eci2frame(...DEPUTY, chief);
+                assert.equal(p.length, 3);
+                vecclose(frame2eci(...p, chief), DEPUTY, 1e-8, `${name} position`);
+                const pv = eci2frame(...DEPUTY, chief, DEPUTY_V);
+                assert.equal(pv.length, 6);
+                assert.deepEqual(pv.slice(0, 3), p);
+                vecclose(frame2eci(...pv.slice(0, 3), chief, pv.slice(3)), [...DEPUTY, ...DEPUTY_V], 1e-8, `${name} state`);
+                /*  rotation keeps the distance  */
+                const rel = DEPUTY.map((d, k) => (d - chief[k]));
+                assert.ok((Math.abs((Math.hypot(...p) - Math.hypot(...rel))) < 1e-8));
+            }
+        });
+    }
+
+    test("chief velocity along its position", () => {
+        for (const [, eci2frame] of FRAMES) {
+            assert.throws(() => eci2frame(...DEPUTY, [7000e3, 0.0, 0.0, 10.0, 0.0, 0.0]), /must not be parallel/);
+        }
+    });
+});
@@ -0,0 +1,106 @@
+/*
+satellite passes: an overhead pass worked out by hand, short passes between samples,
+and a TLE searched in TEME and in ECEF
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/passes.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/passes.test.mjs && node --test /tmp/passes.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {wgs84} from '../ellipsoid';
+import {crossings} from '../optimize';
+import {passes} from '../passes';
+import {Satrec} from '../sgp4';
+import {teme2ecef} from '../teme';
+
+const START = Date.UTC(2024, 0, 1);
+/*  circular orbit in the equatorial plane, fixed in ECEF for simplicity [meters, radians/second]  */
+const RADIUS = 7.0e6;
+const RATE = ((2 * Math.PI) / 6000.0);
+/*  the satellite is overhead (0, 0) this many seconds after START  */
+const OVERHEAD = 1000.0;
+
+function equatorial(time) {
+    /*  ECEF position, moving east  */
+    const phi = (RATE * (((time.getTime() - START) / 1000.0) - OVERHEAD));
+    return [(RADIUS * Math.cos(phi)), (RADIUS * Math.sin(phi)), 0.0];
+}
+
+function seconds(time) {
+    return ((time.getTime() - START) / 1000.0);
+}
+
+describe("passes", () => {
+    test("overhead pass", () => {
+        /*  on the horizon where the line of sight grazes the equator's tangent plane  */
+        const half = (Math.acos((wgs84.semimajor_axis / RADIUS)) / RATE);
+        const found = passes(equatorial, 0.0, 0.0, 0.0, new Date(START), new Date((START + 3000e3)));
+        assert.equal(found.length, 1);
+        const [p] = found;
+        assert.ok((Math.abs((seconds(p.aos) - (OVERHEAD - half))) <= 0.002), `aos ${seconds(p.aos)}`);
+        assert.ok((Math.abs((seconds(p.los) - (OVERHEAD + half))) <= 0.002), `los ${seconds(p.los)}`);
+        assert.ok((Math.abs((seconds(p.tmax) - OVERHEAD)) <= 0.002), `tmax ${seconds(p.tmax)}`);
+        assert.ok((p.max_el > 89.9), `max_el ${p.max_el}`);
+        assert.ok((Math.abs((p.aos_az - 270.0)) < 1e-6), `aos_az ${p.aos_az}`);
+        assert.ok((Math.abs((p.los_az - 90.0)) < 1e-6), `los_az ${p.los_az}`);
+    });
+
+    test("pass between samples above a high mask", () => {
+        /*  above 60 degrees for about 130 s, no 300 s sample falls in it  */
+        const found = passes(equatorial, 0.0, 0.0, 0.0, new Date(START), new Date((START + 3000e3)), "ecef", 60.0, 300.0);
+        assert.equal(found.length, 1);
+        assert.ok((seconds(found[0].aos) < OVERHEAD) && (seconds(found[0].los) > OVERHEAD));
+        assert.ok(((seconds(found[0].los) - seconds(found[0].aos)) < 300.0));
+    });
+
+    test("pass under way at start and stop", () => {
+        const found = passes(equatorial, 0.0, 0.0, 0.0, new Date((START + 900e3)), new Date((START + 1100e3)));
+        assert.equal(found.length, 1);
+        assert.equal(seconds(found[0].aos), 900.0);
+        assert.equal(seconds(found[0].los), 1100.0);
+    });
+
+    test("TEME and ECEF give the same passes", () => {
+        const sat = Satrec.twoline2rv(
+            "1 28057U 03049A   06177.78615833  .00000060  00000-0  35940-4 0  1836",
+            "2 28057  98.4283 247.6961 0000884  88.1964 271.9322 14.35478080140550");
+        const teme = (t => sat.propagate(t).slice(0, 3));
+        const ecef = (t => teme2ecef(...teme(t), t));
+        const [start, stop] = ["2006-06-27T00:00:00Z", "2006-06-28T00:00:00Z"];
+        const a = passes(teme, 48.0, 11.0, 500.0, start, stop, "teme");
+        const b = passes(ecef, 48.0, 11.0, 500.0, start, stop, "ecef");
+        assert.ok((a.length >= 3), `${a.length} passes`);
+        assert.equal(a.length, b.length);
+        a.forEach((p, i) => {
+            assert.ok((Math.abs((p.aos - b[i].aos)) <= 1), `aos ${p.aos.toISOString()} != ${b[i].aos.toISOString()}`);
+            assert.ok((Math.abs((p.los - b[i].los)) <= 1), `los ${p.los.toISOString()} != ${b[i].los.toISOString()}`);
+            assert.ok((Math.abs((p.max_el - b[i].max_el)) < 1e-6));
+            assert.ok((p.max_el > 0.0) && (p.aos < p.tmax) && (p.tmax < p.los));
+        });
+    });
+
+    test("arguments", () => {
+        assert.throws(() => passes(equatorial, 0, 0, 0, new Date(START), new Date(START)), /stop must be after start/);
+        assert.throws(() => passes(equatorial, 0, 0, 0, new Date(START), new Date((START + 1e3)), "ecef", 0.0, 0.0), /step must be positive/);
+        assert.throws(() => passes(equatorial, 0, 0, 0, new Date(START), new Date((START + 1e3)), "gcrs"), /frame must be/);
+    });
+});
+
+describe("crossings", () => {
+    test("sign changes of sin", () => {
+        const times = Array.from({length: 11}, (_, i) => i);
+        const found = crossings(Math.sin, times, 1e-10);
+        assert.deepEqual(found.map(([, rising]) => rising), [false, true, false]);
+        found.forEach(([t], i) => assert.ok((Math.abs((t - ((i + 1) * Math.PI))) < 1e-9), `${t}`));
+    });
+
+    test("excursion above zero between samples", () => {
+        /*  above zero only for |t - 5.3| < 0.1, no sample falls in it  */
+        const found = crossings((t => (0.01 - ((t - 5.3) ** 2))), Array.from({length: 11}, (_, i) => i), 1e-10);
+        assert.equal(found.length, 2);
+        assert.ok((Math.abs((found[0][0] - 5.2)) < 1e-8) && found[0][1]);
+        assert.ok((Math.abs((found[1][0] - 5.4)) < 1e-8) && !found[1][1]);
+    });
+});
@@ -0,0 +1,109 @@
+/*
+numerical propagation: two-body closure after one period, the J2 node drift and
+the integrals of motion of the zonal field
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/propagator.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/propagator.test.mjs && node --test /tmp/propagator.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {wgs84} from '../ellipsoid';
+import {propagate} from '../propagator';
+import {coe2rv} from '../vallado';
+
+const EPOCH = new Date(Date.UTC(2024, 0, 1));
+/*  a, ecc, incl, raan, argp, mean anomaly  */
+const ORBIT = [7000e3, 0.01, 51.6, 30.0, 40.0, 10.0];
+const PERIOD = ((2 * Math.PI) * Math.sqrt(((ORBIT[0] ** 3) / wgs84.gm)));
+
+function after(seconds) {
+    return new Date((EPOCH.getTime() + (seconds * 1000.0)));
+}
+
+function conic(time) {
+    /*  two-body state at time, a Date keeps whole milliseconds so the period is not hit exactly  */
+    const dt = ((time.getTime() - EPOCH.getTime()) / 1000.0);
+    return coe2rv(...ORBIT.slice(0, 5), (ORBIT[5] + ((360.0 * dt) / PERIOD)), "mean");
+}
+
+function cross(a, b) {
+    return [((a[1] * b[2]) - (a[2] * b[1])), ((a[2] * b[0]) - (a[0] * b[2])), ((a[0] * b[1]) - (a[1] * b[0]))];
+}
+
+function raan(s) {
+    /*  right ascension of the ascending node from the angular momentum [degrees]  */
+    const h = cross(s.slice(0, 3), s.slice(3));
+    return (Math.atan2(h[0], -h[1]) * (180.0 / Math.PI));
+}
+
+function energy(s) {
+    /*  specific energy in the zonal field to J2 [meters^2/second^2]  */
+    const r = Math.hypot(s[0], s[1], s[2]);
+    const sinlat = (s[2] / r);
+    const potential = ((wgs84.gm / r) * (1.0 - ((wgs84.j2 * ((wgs84.semimajor_axis / r) ** 2)) * (((3 * sinlat * sinlat) - 1) / 2))));
+    return ((0.5 * ((((s[3] * s[3]) + (s[4] * s[4])) + (s[5] * s[5])))) - potential);
+}
+
+function stateclose(actual, expected, rtol, vtol) {
+    for (let i = 0; (i < 3); i++) {
+        assert.ok((Math.abs((actual[i] - expected[i])) < rtol), `r[${i}]: ${actual[i]} != ${expected[i]}`);
+        assert.ok((Math.abs((actual[(i + 3)] - expected[(i + 3)])) < vtol), `v[${i}]: ${actual[(i + 3)]} != ${expected[(i + 3)]}`);
+    }
+}
+
+describe("propagate", () => {
+    const rv = conic(EPOCH);
+
+    test("two-body orbit closes after one period", () => {
+        for (const t of [after(PERIOD), after(-PERIOD), after((10 * PERIOD))]) {
+            stateclose(propagate(...rv, EPOCH, t, null, 0), conic(t), 1e-3, 1e-6);
+        }
+        stateclose(propagate(...rv, EPOCH, after(PERIOD), null, 0, "rk4", 5.0), conic(after(PERIOD)), 1e-2, 1e-5);
+    });
+
+    test("two-body matches the conic at a quarter period", () => {
+        stateclose(propagate(...rv, EPOCH, after((PERIOD / 4)), null, 0), conic(after((PERIOD / 4))), 1e-3, 1e-6);
+    });
+
+    test("J2 node regression", () => {
+        /*  secular rate -3/2 n J2 (R / p)^2 cos(i), over whole periods to step over the short period terms  */
+        const [a, ecc, incl] = ORBIT;
+        const n = ((2 * Math.PI) / PERIOD);
+        const p = (a * (1 - (ecc * ecc)));
+        const rate = (((-1.5 * n) * wgs84.j2) * (((wgs84.semimajor_axis / p) ** 2) * Math.cos(((incl * Math.PI) / 180.0))));
+        const orbits = 15;
+        const s = propagate(...rv, EPOCH, after((orbits * PERIOD)));
+        const drift = (raan(s) - raan(rv));
+        const expected = (((rate * orbits) * PERIOD) * (180.0 / Math.PI));
+        assert.ok((expected < -4.0), `${expected}`);
+        assert.ok((Math.abs(((drift - expected) / expected)) < 0.01), `${drift} != ${expected}`);
+        /*  no drift without J2  */
+        assert.ok((Math.abs((raan(propagate(...rv, EPOCH, after((orbits * PERIOD)), null, 0)) - raan(rv))) < 1e-9));
+    });
+
+    test("energy and polar angular momentum are kept in the zonal field", () => {
+        const states = propagate(...rv, EPOCH, [after(-3600.0), after(3600.0), after(86400.0)]);
+        const hz = (s => cross(s.slice(0, 3), s.slice(3))[2]);
+        for (const s of states) {
+            assert.ok((Math.abs(((energy(s) - energy(rv)) / energy(rv))) < 1e-10), `${energy(s)} != ${energy(rv)}`);
+            assert.ok((Math.abs(((hz(s) - hz(rv)) / hz(rv))) < 1e-10), `${hz(s)} != ${hz(rv)}`);
+        }
+    });
+
+    test("Array of times in any order", () => {
+        const times = [after(600.0), after(-600.0), EPOCH, after(60.0)];
+        const states = propagate(...rv, EPOCH, times);
+        assert.equal(states.length, 4);
+        assert.deepEqual(states[2], rv);
+        times.forEach((t, i) => stateclose(states[i], propagate(...rv, EPOCH, t), 1e-6, 1e-9));
+    });
+
+    test("arguments", () => {
+        assert.throws(() => propagate(...rv, EPOCH, EPOCH, null, 5), /zonal must be an integer/);
+        assert.throws(() => propagate(...rv, EPOCH, EPOCH, null, 2, "euler"), /method must be/);
+        assert.throws(() => propagate(...rv, EPOCH, EPOCH, null, 2, "rk4", 0.0), /step must be positive/);
+        assert.throws(() => propagate(6000e3, 0, 0, 0, 7.5e3, 0, EPOCH, after(600.0)), /intersects the surface/);
+    });
+});
@@ -0,0 +1,75 @@
+/*
+atmospheric refraction: values at the horizon and zenith, and unrefract as the
+inverse of refract over the whole range of elevation
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/refraction.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/refraction.test.mjs && node --test /tmp/refraction.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {refract, unrefract} from '../refraction';
+
+const ATMOSPHERES = [
+    "optical",
+    "radio",
+    {model: "optical", pressure: 700.0, temperature: -30.0},
+    {model: "optical", pressure: 1030.0, temperature: 35.0},
+    {model: "radio", height: 3000.0}
+];
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("refraction", () => {
+    test("optical at standard conditions", () => {
+        /*  about 34 arcminutes at the apparent horizon, Bennett  */
+        close((unrefract(0.0) * 60.0), -34.43, 0.01, "horizon [arcminutes]");
+        /*  Saemundsson at 10 degrees, 1.02 / tan(10 + 10.3 / 15.11) + 0.0019279 arcminutes  */
+        close(((refract(10.0) - 10.0) * 60.0), 5.4096, 1e-3, "10 degrees [arcminutes]");
+        close(refract(90.0), 90.0, 1e-9, "zenith");
+        assert.equal(refract(-90.0), -90.0);
+    });
+
+    test("pressure and temperature", () => {
+        const standard = (refract(5.0) - 5.0);
+        close((refract(5.0, {model: "optical", pressure: 505.0}) - 5.0), (standard / 2.0), 1e-12, "half the pressure");
+        close((refract(5.0, {model: "optical", temperature: 10.0 + 283.0}) - 5.0), (standard / 2.0), 1e-12, "twice the temperature");
+        assert.equal(refract(5.0, {model: "optical", pressure: 0.0}), 5.0);
+    });
+
+    test("radio, ITU-R P.834", () => {
+        /*  1 / 1.314 degrees on the horizon at sea level, less from a mountain  */
+        close(refract(0.0, "radio"), (1.0 / 1.314), 1e-12, "horizon");
+        assert.ok(((refract(0.0, {model: "radio", height: 3000.0}) < refract(0.0, "radio"))));
+        assert.ok(((refract(30.0, "radio") - 30.0) < 0.03));
+    });
+
+    test("unrefract inverts refract", () => {
+        /*  across the horizon and the tapered range below it  */
+        for (const atmosphere of ATMOSPHERES) {
+            let last = -Infinity;
+            for (let el = -90.0; (el <= 90.0); el += 0.25) {
+                const apparent = refract(el, atmosphere);
+                assert.ok((apparent > last), `refract not increasing at ${el}`);
+                assert.ok((apparent > (el - 1e-9)), `refract lowers ${el}`);
+                close(unrefract(apparent, atmosphere), el, 1e-8, `${JSON.stringify(atmosphere)} at ${el}`);
+                last = apparent;
+            }
+        }
+    });
+
+    test("radians", () => {
+        const el = ((0.3 * Math.PI) / 180.0);
+        close(refract(el, "optical", false), ((refract(0.3) * Math.PI) / 180.0), 1e-15, "refract");
+        close(unrefract(refract(el, "radio", false), "radio", false), el, 1e-10, "round trip");
+    });
+
+    test("arguments", () => {
+        assert.throws(() => refract(10.0, "sonar"), /refraction model must be optical or radio/);
+        assert.throws(() => unrefract(10.0, {model: "optical", pressure: -1.0}), /pressure must be/);
+        assert.throws(() => refract(10.0, {model: "optical", temperature: -300.0}), /temperature above absolute zero/);
+    });
+});
@@ -0,0 +1,107 @@
+/*
+rise, transit and set: the target's altitude at each event, circumpolar and
+never rising targets, the midnight Sun and the polar night
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/riseset.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/riseset.test.mjs && node --test /tmp/riseset.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {radec2azel} from '../azelradec';
+import {riseset, sunriseset} from '../riseset';
+import {sunazel} from '../sun';
+
+const TIME = new Date(Date.UTC(2024, 2, 1));
+const [LAT, LON] = [48.0, 11.0];
+/*  Sirius, J2000  */
+const [SIRIUS_RA, SIRIUS_DEC] = [101.287, -16.716];
+/*  a sidereal day [milliseconds]  */
+const SIDEREAL_DAY = 86164091.0;
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("riseset", () => {
+    test("on the horizon at rise and set, due south at transit", () => {
+        const events = riseset(SIRIUS_RA, SIRIUS_DEC, LAT, LON, TIME);
+        assert.equal(events.state, "rises");
+        for (const name of ["rise", "transit", "set"]) {
+            const t = events[name].getTime();
+            assert.ok(((t >= TIME.getTime()) && (t < (TIME.getTime() + SIDEREAL_DAY))), `${name} ${events[name].toISOString()}`);
+        }
+        const [raz, rel] = radec2azel(SIRIUS_RA, SIRIUS_DEC, LAT, LON, events.rise);
+        const [taz, tel] = radec2azel(SIRIUS_RA, SIRIUS_DEC, LAT, LON, events.transit);
+        const [saz, sel] = radec2azel(SIRIUS_RA, SIRIUS_DEC, LAT, LON, events.set);
+        close(rel, 0.0, 1e-3, "rise el");
+        close(sel, 0.0, 1e-3, "set el");
+        close(tel, ((90.0 - LAT) + SIRIUS_DEC), 1e-3, "transit el");
+        close(taz, 180.0, 1e-3, "transit az");
+        close((raz + saz), 360.0, 1e-3, "rise and set az");
+    });
+
+    test("horizon and radians", () => {
+        const events = riseset(SIRIUS_RA, SIRIUS_DEC, LAT, LON, TIME, -0.5667);
+        close(radec2azel(SIRIUS_RA, SIRIUS_DEC, LAT, LON, events.rise)[1], -0.5667, 1e-3, "rise el");
+        const rad = riseset(...[SIRIUS_RA, SIRIUS_DEC, LAT, LON].map(a => ((a * Math.PI) / 180.0)), TIME, ((-0.5667 * Math.PI) / 180.0), false);
+        assert.deepEqual(rad, events);
+    });
+
+    test("circumpolar", () => {
+        /*  Polaris, and a star whose lower transit just clears the horizon: dec > 90 - lat  */
+        for (const dec of [89.26, 42.001]) {
+            const events = riseset(37.95, dec, LAT, LON, TIME);
+            assert.equal(events.state, "circumpolar", `${dec}`);
+            assert.equal(events.rise, null);
+            assert.equal(events.set, null);
+            assert.ok((radec2azel(37.95, dec, LAT, LON, events.transit)[1] > 0.0));
+        }
+        assert.equal(riseset(37.95, 41.999, LAT, LON, TIME).state, "rises");
+        assert.equal(riseset(37.95, -89.26, -LAT, LON, TIME).state, "circumpolar");
+    });
+
+    test("never rises", () => {
+        /*  upper transit below the horizon: dec < lat - 90  */
+        for (const dec of [-80.0, -42.001]) {
+            const events = riseset(100.0, dec, LAT, LON, TIME);
+            assert.equal(events.state, "never rises", `${dec}`);
+            assert.equal(events.rise, null);
+            assert.equal(events.set, null);
+            assert.ok((radec2azel(100.0, dec, LAT, LON, events.transit)[1] < 0.0));
+        }
+        assert.equal(riseset(100.0, -41.999, LAT, LON, TIME).state, "rises");
+        /*  or above a high horizon  */
+        assert.equal(riseset(SIRIUS_RA, SIRIUS_DEC, LAT, LON, TIME, 30.0).state, "never rises");
+    });
+});
+
+describe("sunriseset", () => {
+    test("Greenwich at the June solstice", () => {
+        /*  almanac sunrise 03:43, sunset 20:21 UTC  */
+        const start = new Date(Date.UTC(2024, 5, 21));
+        const events = sunriseset(51.4779, 0.0, start);
+        assert.equal(events.state, "rises");
+        close(((events.rise - start) / 60000.0), ((3 * 60) + 43), 1.0, "rise [minutes]");
+        close(((events.set - start) / 60000.0), ((20 * 60) + 21), 1.0, "set [minutes]");
+        close(sunazel(51.4779, 0.0, events.rise)[1], -0.833, 1e-3, "rise el");
+        close(sunazel(51.4779, 0.0, events.set)[1], -0.833, 1e-3, "set el");
+        close(sunazel(51.4779, 0.0, events.transit)[0], 180.0, 1e-3, "noon az");
+    });
+
+    test("midnight Sun and polar night at Longyearbyen", () => {
+        const summer = sunriseset(78.22, 15.65, "2024-06-21");
+        assert.equal(summer.state, "circumpolar");
+        assert.equal(summer.rise, null);
+        assert.equal(summer.set, null);
+        assert.ok((sunazel(78.22, 15.65, summer.transit)[1] > 0.0));
+        const winter = sunriseset(78.22, 15.65, "2024-12-21");
+        assert.equal(winter.state, "never rises");
+        assert.equal(winter.rise, null);
+        assert.equal(winter.set, null);
+        /*  mid February, the noon Sun is about 3 degrees below the horizon  */
+        assert.equal(sunriseset(78.22, 15.65, "2024-02-10").state, "never rises");
+        assert.equal(sunriseset(78.22, 15.65, "2024-02-10", -12.0).state, "rises");
+    });
+});
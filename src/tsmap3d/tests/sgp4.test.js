@@ -0,0 +1,41 @@
+/*
+SGP4/SDP4 against the Vallado verification cases, see sgp4ver.js
+
+The modules import each other without file extensions and carry some type
+annotations, so bundle before running with the Node test runner, e.g.
+
+npx esbuild src/tsmap3d/tests/sgp4.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/sgp4.test.mjs && node --test /tmp/sgp4.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {Satrec} from '../sgp4';
+import {SGP4VER} from './sgp4ver';
+
+/*  tcppver.out rounding, with room for the long deep space integrations  */
+const RTOL = 1e-5;
+const VTOL = 1e-8;
+
+describe("SGP4-VER", () => {
+    for (const c of SGP4VER) {
+        test(c.line1.slice(2, 7), () => {
+            let r, sat, v;
+            if (((c.error !== null) && (c.states.length === 0))) {
+                assert.throws(() => Satrec.twoline2rv(c.line1, c.line2), new RegExp(`sgp4 error ${c.error[1]} `));
+                return;
+            }
+            sat = Satrec.twoline2rv(c.line1, c.line2);
+            for (const [tsince, ...expected] of c.states) {
+                [r, v] = sat.sgp4(tsince);
+                for (let i = 0; (i < 3); i++) {
+                    assert.ok((Math.abs((r[i] - expected[i])) < RTOL), `r[${i}] at ${tsince} min: ${r[i]} != ${expected[i]}`);
+                    assert.ok((Math.abs((v[i] - expected[(i + 3)])) < VTOL), `v[${i}] at ${tsince} min: ${v[i]} != ${expected[(i + 3)]}`);
+                }
+            }
+            if ((c.error !== null)) {
+                assert.throws(() => sat.sgp4(c.error[0]), new RegExp(`sgp4 error ${c.error[1]} `));
+                assert.equal(sat.error, c.error[1]);
+            }
+        });
+    }
+});
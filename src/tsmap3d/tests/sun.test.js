@@ -0,0 +1,68 @@
+/*
+the Sun against Meeus, "Astronomical Algorithms", 2nd ed., examples 25.a, 25.b and 28.a,
+1992 October 13.0 TD
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/sun.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/sun.test.mjs && node --test /tmp/sun.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {AU, solartime, solarzenith, sunazel, sunpos, sunradec} from '../sun';
+
+/*  1992-10-13 0h TT, TT - UTC = 32.184 + 27 s  */
+const TIME = new Date((Date.UTC(1992, 9, 13) - 59184));
+
+function close(actual, expected, tol, name) {
+    assert.ok((Math.abs((actual - expected)) < tol), `${name}: ${actual} != ${expected}`);
+}
+
+describe("sun", () => {
+    test("apparent place, Meeus example 25.a", () => {
+        /*  the low precision method, alpha = 198.38083, delta = -7.78507, R = 0.99766 AU  */
+        const [ra, dec, dist] = sunradec(TIME);
+        close(ra, 198.38083, 0.001, "ra");
+        close(dec, -7.78507, 0.001, "dec");
+        close((dist / AU), 0.99766, 1e-5, "dist");
+        const [rra, rdec] = sunradec(TIME, false);
+        close(rra, ((ra * Math.PI) / 180.0), 1e-15, "ra [radians]");
+        close(rdec, ((dec * Math.PI) / 180.0), 1e-15, "dec [radians]");
+    });
+
+    test("within 0.01 degrees of VSOP87, Meeus example 25.b", () => {
+        /*  alpha = 13h13m30.749s, delta = -7d47'01.74"  */
+        const [ra, dec] = sunradec(TIME);
+        close(ra, (((13 + (13 / 60)) + (30.749 / 3600)) * 15), 0.01, "ra");
+        close(dec, -(7 + (47 / 60) + (1.74 / 3600)), 0.01, "dec");
+    });
+
+    test("GCRS vector", () => {
+        close((Math.hypot(...sunpos(TIME)) / AU), 0.99766, 1e-5, "dist");
+        /*  apart from the true place of date by the precession since J2000, about 0.1 degrees  */
+        const [x, y, z] = sunpos(TIME);
+        const [ra, dec] = sunradec(TIME);
+        close((((Math.atan2(y, x) * 180.0) / Math.PI) + 360.0), ra, 0.2, "ra");
+        close(((Math.asin((z / Math.hypot(x, y, z))) * 180.0) / Math.PI), dec, 0.1, "dec");
+    });
+
+    test("equation of time, Meeus example 28.a", () => {
+        /*  E = 13m42.6s, apparent ahead of mean  */
+        const eot = ((((solartime(0.0, TIME) - solartime(0.0, TIME, "mean")) + 36.0) % 24.0) - 12.0);
+        close((eot * 60.0), (13.0 + (42.6 / 60.0)), 0.05, "minutes");
+        assert.throws(() => solartime(0.0, TIME, "sidereal"), /kind must be apparent or mean/);
+    });
+
+    test("overhead at local apparent noon on the declination circle", () => {
+        const [, dec] = sunradec(TIME);
+        const lon = ((12.0 - solartime(0.0, TIME)) * 15.0);
+        assert.ok((solarzenith(dec, lon, TIME) < 0.01));
+        /*  due south at noon, up 90 - lat + dec  */
+        const [az, el] = sunazel(50.0, lon, TIME);
+        close(az, 180.0, 0.01, "az");
+        close(el, ((90.0 - 50.0) + dec), 0.01, "el");
+        const [raz, rel] = sunazel(((50.0 * Math.PI) / 180.0), ((lon * Math.PI) / 180.0), TIME, false);
+        close(raz, ((az * Math.PI) / 180.0), 1e-12, "az [radians]");
+        close(rel, ((el * Math.PI) / 180.0), 1e-12, "el [radians]");
+    });
+});
@@ -0,0 +1,80 @@
+/*
+str2dt: the time formats accepted and rejected
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/timeconv.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/timeconv.test.mjs && node --test /tmp/timeconv.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {str2dt} from '../timeconv';
+
+const J2000 = Date.UTC(2000, 0, 1, 12);
+
+describe("str2dt", () => {
+    test("ISO 8601, UTC without an offset", () => {
+        assert.equal(str2dt("2014-04-06T08:00:00").getTime(), Date.UTC(2014, 3, 6, 8));
+        assert.equal(str2dt("2014-04-06 08:00").getTime(), Date.UTC(2014, 3, 6, 8));
+        assert.equal(str2dt("2014-04-06").getTime(), Date.UTC(2014, 3, 6));
+        assert.equal(str2dt("  2014-04-06T08:00:00.123456 ").getTime(), Date.UTC(2014, 3, 6, 8, 0, 0, 123));
+        assert.equal(str2dt("2014-04-06T08:00:00,5").getTime(), Date.UTC(2014, 3, 6, 8, 0, 0, 500));
+    });
+
+    test("UTC offsets", () => {
+        const t = Date.UTC(2014, 3, 6, 6, 0, 0, 123);
+        assert.equal(str2dt("2014-04-06 08:00:00.123+02:00").getTime(), t);
+        assert.equal(str2dt("2014-04-06T08:00:00.123+0200").getTime(), t);
+        assert.equal(str2dt("2014-04-06T08:00:00.123+02").getTime(), t);
+        assert.equal(str2dt("2014-04-06T00:30:00.123-05:30").getTime(), Date.UTC(2014, 3, 6, 6, 0, 0, 123));
+        assert.equal(str2dt("2014-04-06T06:00:00.123z").getTime(), t);
+    });
+
+    test("calendar edges", () => {
+        assert.equal(str2dt("2024-02-29").getTime(), Date.UTC(2024, 1, 29));
+        assert.equal(str2dt("2023-12-31T24:00:00").getTime(), Date.UTC(2024, 0, 1));
+        assert.equal(str2dt("2023-12-31T24:00:00.000").getTime(), Date.UTC(2024, 0, 1));
+        assert.equal(str2dt("0050-01-01").getUTCFullYear(), 50);
+        /*  a leap second is held as the first moment of the next minute  */
+        assert.equal(str2dt("2016-12-31T23:59:60Z").getTime(), Date.UTC(2017, 0, 1));
+    });
+
+    test("epoch milliseconds and Date", () => {
+        const t = new Date(J2000);
+        assert.equal(str2dt(J2000).getTime(), J2000);
+        assert.equal(str2dt(t), t);
+    });
+
+    test("Julian dates", () => {
+        assert.equal(str2dt("JD 2451545.0").getTime(), J2000);
+        assert.equal(str2dt("jd2451545").getTime(), J2000);
+        assert.equal(str2dt("MJD 51544.5").getTime(), J2000);
+        assert.equal(str2dt({jd: 2451545.0}).getTime(), J2000);
+        assert.equal(str2dt({mjd: 51544.5}).getTime(), J2000);
+    });
+
+    test("arrays", () => {
+        assert.deepEqual(str2dt(["2000-01-01T12:00:00Z", "JD 2451545.0", J2000, {mjd: 51544.5}]).map(t => t.getTime()), [J2000, J2000, J2000, J2000]);
+        assert.deepEqual(str2dt([]), []);
+    });
+
+    test("out of range fields", () => {
+        for (const s of ["2024-02-30", "2023-02-29", "2024-04-31", "2024-13-01", "2024-00-10", "2024-01-00",
+            "2024-01-01T24:00:01", "2024-01-01T24:01:00", "2024-01-01T24:00:00.5", "2024-01-01T25:00:00",
+            "2024-01-01T12:60:00", "2024-01-01T12:00:61"]) {
+            assert.throws(() => str2dt(s), /out of range|not a valid calendar date/, s);
+        }
+    });
+
+    test("garbage", () => {
+        for (const s of ["", "yesterday", "2024/01/01", "01-01-2024", "2024-1-1", "JD", "JD 2451545.0x", "2024-01-01T12"]) {
+            assert.throws(() => str2dt(s), /cannot parse time string/, s);
+        }
+        assert.throws(() => str2dt(null), /cannot convert null/);
+        assert.throws(() => str2dt(undefined), /cannot convert undefined/);
+        assert.throws(() => str2dt(NaN), /must be finite/);
+        assert.throws(() => str2dt(new Date("nonsense")), /invalid Date/);
+        assert.throws(() => str2dt({year: 2024}), /tagged Julian date/);
+        assert.throws(() => str2dt({jd: "2451545"}), /finite number/);
+    });
+});
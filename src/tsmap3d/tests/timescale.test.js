@@ -0,0 +1,108 @@
+/*
+time scales at the leap second that ended 2016, leap second files and GNSS weeks
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/timescale.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/timescale.test.mjs && node --test /tmp/timescale.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {afterEach, describe, test} from 'node:test';
+import {Epoch, gnssweek, gnssweek2epoch, parseLeapSeconds, setLeapSeconds, tai_utc} from '../timescale';
+
+/*  IERS Leap_Second.dat rows, with a made up leap second at the start of 2030  */
+const LEAP_DAT = `
+#  File expires on 28 June 2030
+#    MJD        Date        TAI-UTC (s)
+#           day month year
+    41317.0    1  1 1972       10
+    41499.0    1  7 1972       11
+    57754.0    1  1 2017       37
+    62502.0    1  1 2030       38
+`;
+
+/*  IETF leap-seconds.list rows, NTP seconds since 1900  */
+const LEAP_LIST = `
+#@	3960057600
+2272060800	10	# 1 Jan 1972
+2287785600	11	# 1 Jul 1972
+3692217600	37	# 1 Jan 2017
+`;
+
+function seconds(a, b) {
+    /*  a - b [seconds] of two epochs in the same scale  */
+    return ((((a.jd1 - b.jd1) + a.jd2) - b.jd2) * 86400.0);
+}
+
+describe("leap seconds", () => {
+    afterEach(() => setLeapSeconds());
+
+    test("TAI - UTC steps from 36 to 37 s at 2017", () => {
+        assert.equal(tai_utc("2016-12-31T23:59:59.999"), 36);
+        assert.equal(tai_utc("2017-01-01T00:00:00"), 37);
+        /*  the leap second itself is not a Date, it is read as the next 0h  */
+        assert.equal(tai_utc("2016-12-31T23:59:60"), 37);
+        assert.equal(tai_utc("1972-01-01"), 10);
+        /*  drifting before 1972, 4.2131700 + (MJD - 39126) * 0.002592  */
+        assert.ok((Math.abs((tai_utc("1971-12-31T12:00:00") - (4.2131700 + ((41316.5 - 39126) * 0.002592)))) < 1e-9));
+        assert.throws(() => tai_utc("1959-12-31"), /not defined before 1960/);
+    });
+
+    test("one UTC second across the leap second is two TAI seconds", () => {
+        const before = Epoch.fromDate("2016-12-31T23:59:59").to("tai");
+        const after = Epoch.fromDate("2017-01-01T00:00:00").to("tai");
+        assert.ok((Math.abs((seconds(after, before) - 2.0)) < 1e-6), `${seconds(after, before)}`);
+        assert.equal(Epoch.fromDate("2017-01-01T00:00:37", "tai").to("utc").toDate().toISOString(), "2017-01-01T00:00:00.000Z");
+    });
+
+    test("UTC round trips either side of the leap second", () => {
+        for (const s of ["2016-12-31T23:59:59.500Z", "2017-01-01T00:00:00.500Z", "2017-01-01T00:00:01.000Z"]) {
+            for (const scale of ["tai", "tt", "gps", "tdb"]) {
+                assert.equal(Epoch.fromDate(s).to(scale).to("utc").toDate().toISOString(), s, `${s} via ${scale}`);
+            }
+        }
+    });
+
+    test("fixed offsets from TAI", () => {
+        const tai = Epoch.fromDate("2017-06-01T00:00:00").to("tai");
+        assert.ok((Math.abs((seconds(tai.to("tt"), tai) - 32.184)) < 1e-6));
+        assert.ok((Math.abs((seconds(tai, tai.to("gps")) - 19.0)) < 1e-6));
+        assert.ok((Math.abs((seconds(tai, tai.to("bdt")) - 33.0)) < 1e-6));
+    });
+
+    test("UT1 needs dut1", () => {
+        const utc = Epoch.fromDate("2017-01-01T12:00:00");
+        assert.throws(() => utc.to("ut1"), /UT1 needs UT1 - UTC/);
+        assert.ok((Math.abs((seconds(utc.to("ut1", 0.5925), utc) - 0.5925)) < 1e-6));
+        assert.ok((Math.abs((seconds(utc.to("ut1", {dut1: 0.5925}), utc) - 0.5925)) < 1e-6));
+    });
+
+    test("Leap_Second.dat and leap-seconds.list", () => {
+        const dat = parseLeapSeconds(LEAP_DAT);
+        assert.deepEqual(dat.slice(0, 3), parseLeapSeconds(LEAP_LIST));
+        assert.deepEqual(dat[3], [Date.UTC(2030, 0, 1), 38]);
+        setLeapSeconds(dat);
+        assert.equal(tai_utc("2029-12-31T23:59:59"), 37);
+        assert.equal(tai_utc("2030-01-01T00:00:00"), 38);
+        setLeapSeconds();
+        assert.equal(tai_utc("2030-01-01T00:00:00"), 37);
+        assert.throws(() => parseLeapSeconds("# nothing here\n"), /not a recognized leap second file/);
+    });
+});
+
+describe("GNSS weeks", () => {
+    test("GPS week 1930 began with 2017", () => {
+        const [week, sow] = gnssweek("2017-01-01T00:00:00");
+        assert.equal(week, 1930);
+        /*  GPS - UTC = 18 s from 2017  */
+        assert.ok((Math.abs((sow - 18.0)) < 1e-6), `${sow}`);
+        assert.equal(gnssweek2epoch(week, sow).to("utc").toDate().toISOString(), "2017-01-01T00:00:00.000Z");
+    });
+
+    test("week zero of each system", () => {
+        assert.deepEqual(gnssweek(new Epoch(2444244.5, 0.0, "gps")), [0, 0]);
+        assert.deepEqual(gnssweek(new Epoch(2451412.5, 0.0, "gst"), "gst"), [0, 0]);
+        assert.deepEqual(gnssweek(new Epoch(2453736.5, 0.0, "bdt"), "bdt"), [0, 0]);
+        assert.throws(() => gnssweek("2017-01-01", "glonass"), /system must be one of/);
+    });
+});
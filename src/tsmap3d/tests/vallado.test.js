@@ -0,0 +1,96 @@
+/*
+classical orbital elements: rv2coe and coe2rv round trips for each kind of orbit
+
+run as sgp4.test.js, e.g.
+
+npx esbuild src/tsmap3d/tests/vallado.test.js --bundle --platform=node --format=esm \
+    --loader:.js=ts --outfile=/tmp/vallado.test.mjs && node --test /tmp/vallado.test.mjs
+*/
+import assert from 'node:assert/strict';
+import {describe, test} from 'node:test';
+import {coe2rv, rv2coe} from '../vallado';
+
+/*  tolerances: angles [degrees], position [meters], velocity [meters/second]  */
+const ATOL = 1e-8;
+const RTOL = 1e-6;
+const VTOL = 1e-9;
+
+/*  name, orbit, a, ecc, incl, raan, argp, nu as coe2rv takes them  */
+const CASES = [
+    ["elliptical inclined", "ei", 7000e3, 0.1, 51.6, 120.0, 80.0, 30.0],
+    ["elliptical equatorial", "ee", 7000e3, 0.1, 0.0, 0.0, 80.0, 30.0],
+    ["circular inclined", "ci", 7000e3, 0.0, 51.6, 120.0, 0.0, 200.0],
+    ["circular equatorial", "ce", 42164e3, 0.0, 0.0, 0.0, 0.0, 300.0],
+    ["retrograde elliptical equatorial", "ee", 7000e3, 0.2, 180.0, 0.0, 70.0, 30.0],
+    ["retrograde circular equatorial", "ce", 7000e3, 0.0, 180.0, 0.0, 0.0, 100.0],
+    ["hyperbolic inclined", "ei", -20000e3, 1.5, 30.0, 40.0, 50.0, 60.0],
+    ["hyperbolic retrograde equatorial", "ee", -20000e3, 1.5, 180.0, 0.0, 50.0, 300.0],
+    ["polar", "ei", 7000e3, 0.01, 90.0, 10.0, 20.0, 350.0]
+];
+
+function angleclose(actual, expected, name) {
+    /*  equal modulo 360 degrees  */
+    const d = ((((actual - expected) % 360) + 540) % 360) - 180;
+    assert.ok((Math.abs(d) < ATOL), `${name}: ${actual} != ${expected}`);
+}
+
+function stateclose(actual, expected) {
+    for (let i = 0; (i < 3); i++) {
+        assert.ok((Math.abs((actual[i] - expected[i])) < RTOL), `r[${i}]: ${actual[i]} != ${expected[i]}`);
+        assert.ok((Math.abs((actual[(i + 3)] - expected[(i + 3)])) < VTOL), `v[${i}]: ${actual[(i + 3)]} != ${expected[(i + 3)]}`);
+    }
+}
+
+function inrange(coe) {
+    for (const name of ["raan", "argp", "nu"]) {
+        assert.ok(((coe[name] >= 0) && (coe[name] < 360)), `${name} = ${coe[name]}`);
+    }
+}
+
+describe("rv2coe, coe2rv", () => {
+    for (const [name, orbit, a, ecc, incl, raan, argp, nu] of CASES) {
+        test(name, () => {
+            const rv = coe2rv(a, ecc, incl, raan, argp, nu);
+            const coe = rv2coe(...rv);
+            assert.equal(coe.orbit, orbit);
+            assert.ok((Math.abs(((coe.a - a) / a)) < 1e-12), `a: ${coe.a} != ${a}`);
+            assert.ok((Math.abs((coe.ecc - ecc)) < 1e-12), `ecc: ${coe.ecc} != ${ecc}`);
+            assert.ok((Math.abs((coe.incl - incl)) < ATOL), `incl: ${coe.incl} != ${incl}`);
+            angleclose(coe.raan, raan, "raan");
+            angleclose(coe.argp, argp, "argp");
+            angleclose(coe.nu, nu, "nu");
+            inrange(coe);
+            stateclose(coe2rv(coe.a, coe.ecc, coe.incl, coe.raan, coe.argp, coe.nu), rv);
+        });
+    }
+
+    test("mean and eccentric anomaly", () => {
+        const rv = coe2rv(7000e3, 0.3, 28.5, 15.0, 25.0, 100.0, "mean");
+        const coe = rv2coe(...rv);
+        angleclose(coe.ma, 100.0, "ma");
+        stateclose(coe2rv(7000e3, 0.3, 28.5, 15.0, 25.0, coe.ea, "eccentric"), rv);
+        const hyp = coe2rv(-20000e3, 1.5, 30.0, 40.0, 50.0, 0.5, "eccentric", undefined, false);
+        assert.ok((Math.abs((rv2coe(...hyp, undefined, false).ea - 0.5)) < 1e-12));
+    });
+
+    test("angles near 0 and 360", () => {
+        for (const eps of [1e-9, -1e-9, 1e-13, -1e-13]) {
+            for (const [orbit, a, ecc, incl] of [["ei", 7000e3, 0.1, 51.6], ["ee", 7000e3, 0.1, 0.0], ["ci", 7000e3, 0.0, 51.6], ["ce", 7000e3, 0.0, 0.0]]) {
+                const raan = ((orbit[1] === "i") ? eps : 0.0);
+                const argp = ((orbit[0] === "e") ? eps : 0.0);
+                const rv = coe2rv(a, ecc, incl, raan, argp, eps);
+                const coe = rv2coe(...rv);
+                inrange(coe);
+                assert.ok(((coe.ea >= 0) && (coe.ea < 360) && (coe.ma >= 0) && (coe.ma < 360)), `${orbit} ea ${coe.ea}, ma ${coe.ma}`);
+                angleclose(coe.nu, eps, `${orbit} nu`);
+                stateclose(coe2rv(coe.a, coe.ecc, coe.incl, coe.raan, coe.argp, coe.nu), rv);
+            }
+        }
+    });
+
+    test("degenerate and parabolic", () => {
+        assert.throws(() => rv2coe(7000e3, 0, 0, 1000, 0, 0), /degenerate/);
+        assert.throws(() => coe2rv(7000e3, 1.0, 0, 0, 0, 0), /parabolic/);
+        assert.throws(() => coe2rv(7000e3, 1.5, 0, 0, 0, 0), /semimajor axis must be/);
+    });
+});
@@ -1,9 +1,17 @@
 /*  convert strings to datetime  */
 
-import {assert} from "./funcutils";
-
 export {str2dt};
 
+/*  ISO 8601 extended format date, optional time, fraction of second and UTC offset  */
+const ISO8601 = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+/*  Julian date or modified Julian date tagged as such, e.g. "JD 2451545.0", "MJD 51544.5"  */
+const JULIAN = /^(M?JD)\s*([+-]?\d+(?:\.\d*)?(?:e[+-]?\d+)?)$/i;
+
+/*  Unix epoch as Julian date and modified Julian date  */
+const JD_UNIX = 2440587.5;
+const MJD_UNIX = 40587.0;
+const MS_PER_DAY = 86400000;
+
 function str2dt(time) {
     /*
     Converts times in string or list of strings to datetime(s)
@@ -11,13 +19,93 @@ function str2dt(time) {
     Parameters
     ----------
 
-    time : str or datetime.datetime or numpy.datetime64
+    time : str or datetime.datetime or float or Object, or Array of these
+
+    - Date: passed through
+    - ISO 8601 string, "2014-04-06T08:00:00", "2014-04-06 08:00:00.123+02:00", "2014-04-06".
+      Without a UTC offset the time is taken as UTC, not local time.
+      "24:00:00" is midnight at the end of the day, no other time of hour 24 is accepted.
+    - float: Unix epoch milliseconds, as Date.getTime()
+    - Julian date tagged as such: "JD 2456753.8333", "MJD 56753.3333", {jd: 2456753.8333} or {mjd: 56753.3333}
 
     Results
     -------
 
     t : datetime.datetime
+    UTC Date, or Array of Date for Array input
 
+    Fractions of a second beyond milliseconds are rounded, as Date cannot hold them.
     */
-    assert(false, "TBD: str2dt not implemented yet")
+    let m;
+    if (Array.isArray(time)) {
+        return time.map(str2dt);
+    }
+    if ((time instanceof Date)) {
+        if (Number.isNaN(time.getTime())) {
+            throw new Error("invalid Date");
+        }
+        return time;
+    }
+    if ((typeof time === "number")) {
+        if (!Number.isFinite(time)) {
+            throw new Error(`epoch milliseconds must be finite, got ${time}`);
+        }
+        return new Date(time);
+    }
+    if (((typeof time === "object") && (time !== null))) {
+        if (("jd" in time)) {
+            return julian2dt(time.jd, JD_UNIX);
+        }
+        if (("mjd" in time)) {
+            return julian2dt(time.mjd, MJD_UNIX);
+        }
+        throw new Error("time object must be a Date or tagged Julian date {jd} / {mjd}");
+    }
+    if ((typeof time !== "string")) {
+        throw new Error(`cannot convert ${(time === null) ? "null" : typeof time} to time`);
+    }
+    time = time.trim();
+    m = JULIAN.exec(time);
+    if (m !== null) {
+        return julian2dt(Number.parseFloat(m[2]), ((m[1].toUpperCase() === "MJD") ? MJD_UNIX : JD_UNIX));
+    }
+    m = ISO8601.exec(time);
+    if (m === null) {
+        throw new Error(`cannot parse time string "${time}": expected ISO 8601 or tagged Julian date`);
+    }
+    return iso2dt(time, m);
+}
+
+function julian2dt(days, epoch) {
+    /*  Julian date or modified Julian date to UTC Date  */
+    if (((typeof days !== "number") || !Number.isFinite(days))) {
+        throw new Error(`Julian date must be a finite number, got ${days}`);
+    }
+    return new Date(Math.round(((days - epoch) * MS_PER_DAY)));
+}
+
+function iso2dt(text, m) {
+    /*  ISO 8601 regex match to UTC Date, checking each field is in range  */
+    let day, hour, minute, month, ms, offset, second, t, year;
+    [year, month, day, hour, minute, second] = m.slice(1, 7).map(v => ((v === undefined) ? 0 : Number.parseInt(v, 10)));
+    ms = ((m[7] === undefined) ? 0 : Math.round((Number.parseFloat(`0.${m[7]}`) * 1000)));
+    /*  24:00:00 is the end of the day, any later time of day is out of range  */
+    if (((month < 1) || (month > 12) || (day < 1) || (hour > 24) || (minute > 59) || (second > 60) ||
+        ((hour === 24) && ((minute > 0) || (second > 0) || /[1-9]/.test((m[7] || "")))))) {
+        throw new Error(`time string "${text}" has a field out of range`);
+    }
+    /*  setUTCFullYear, unlike Date.UTC, does not map years 0-99 to 1900-1999  */
+    t = new Date(0);
+    t.setUTCFullYear(year, (month - 1), day);
+    /*  invalid days such as Feb 30 roll over into the next month, catch them here  */
+    if ((t.getUTCDate() !== day)) {
+        throw new Error(`time string "${text}" is not a valid calendar date`);
+    }
+    offset = 0;
+    if (((m[8] !== undefined) && (m[8].toUpperCase() !== "Z"))) {
+        offset = ((Number.parseInt(m[8].slice(1, 3), 10) * 60) + Number.parseInt((m[8].slice(3).replace(":", "") || "0"), 10));
+        offset = ((m[8][0] === "-") ? (-offset) : offset);
+    }
+    t.setUTCHours(hour, (minute - offset), second, ms);
+    return t;
 }
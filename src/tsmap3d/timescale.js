@@ -0,0 +1,334 @@
+/*
+time scales UTC, TAI, TT, GPS, BeiDou, Galileo, UT1 and TDB
+
+An Epoch is a two-part Julian date (jd1 + jd2) labelled with its time scale,
+so that the whole days and the fraction of a day keep full precision.
+
+TAI - UTC comes from a built-in leap second table, which can be replaced
+by the text of an IERS Leap_Second.dat or IETF leap-seconds.list file, see
+parseLeapSeconds and setLeapSeconds, or in Node.js readLeapSeconds from node.js.
+*/
+import {floor, radians, sin} from './mathfun';
+import {str2dt} from './timeconv';
+import {eopAt} from './eop';
+import {jd2date, jdparts} from './sidereal';
+
+export {Epoch, tai_utc, parseLeapSeconds, setLeapSeconds, gnssweek, gnssweek2epoch};
+
+const MS_PER_DAY = 86400000;
+const MJD_UNIX = 40587.0;
+
+/*  offsets from TAI [seconds] of the scales that are a fixed offset from it  */
+const TAI_OFFSET = {tai: 0.0, tt: 32.184, gps: -19.0, gst: -19.0, bdt: -33.0};
+
+/*
+start of GNSS week numbering, as Julian date in the system's own time scale
+
+gps: 1980-01-06, gst (Galileo): 1999-08-22, bdt (BeiDou): 2006-01-01
+*/
+const WEEK_EPOCH = {gps: 2444244.5, gst: 2451412.5, bdt: 2453736.5};
+
+/*
+UTC - TAI before 1972: TAI - UTC = offset + (MJD - mjd0) * rate [seconds]
+start of validity as UTC Date, offset, mjd0, rate
+*/
+const DRIFT = [
+    [Date.UTC(1960, 0, 1), 1.4178180, 37300, 0.0012960],
+    [Date.UTC(1961, 0, 1), 1.4228180, 37300, 0.0012960],
+    [Date.UTC(1961, 7, 1), 1.3728180, 37300, 0.0012960],
+    [Date.UTC(1962, 0, 1), 1.8458580, 37665, 0.0011232],
+    [Date.UTC(1963, 10, 1), 1.9458580, 37665, 0.0011232],
+    [Date.UTC(1964, 0, 1), 3.2401300, 38761, 0.0012960],
+    [Date.UTC(1964, 3, 1), 3.3401300, 38761, 0.0012960],
+    [Date.UTC(1964, 8, 1), 3.4401300, 38761, 0.0012960],
+    [Date.UTC(1965, 0, 1), 3.5401300, 38761, 0.0012960],
+    [Date.UTC(1965, 2, 1), 3.6401300, 38761, 0.0012960],
+    [Date.UTC(1965, 6, 1), 3.7401300, 38761, 0.0012960],
+    [Date.UTC(1965, 8, 1), 3.8401300, 38761, 0.0012960],
+    [Date.UTC(1966, 0, 1), 4.3131700, 39126, 0.0025920],
+    [Date.UTC(1968, 1, 1), 4.2131700, 39126, 0.0025920]
+];
+
+/*  TAI - UTC [seconds] from each UTC date on, since 1972  */
+const BUILTIN_LEAP_SECONDS = [
+    [Date.UTC(1972, 0, 1), 10], [Date.UTC(1972, 6, 1), 11], [Date.UTC(1973, 0, 1), 12],
+    [Date.UTC(1974, 0, 1), 13], [Date.UTC(1975, 0, 1), 14], [Date.UTC(1976, 0, 1), 15],
+    [Date.UTC(1977, 0, 1), 16], [Date.UTC(1978, 0, 1), 17], [Date.UTC(1979, 0, 1), 18],
+    [Date.UTC(1980, 0, 1), 19], [Date.UTC(1981, 6, 1), 20], [Date.UTC(1982, 6, 1), 21],
+    [Date.UTC(1983, 6, 1), 22], [Date.UTC(1985, 6, 1), 23], [Date.UTC(1988, 0, 1), 24],
+    [Date.UTC(1990, 0, 1), 25], [Date.UTC(1991, 0, 1), 26], [Date.UTC(1992, 6, 1), 27],
+    [Date.UTC(1993, 6, 1), 28], [Date.UTC(1994, 6, 1), 29], [Date.UTC(1996, 0, 1), 30],
+    [Date.UTC(1997, 6, 1), 31], [Date.UTC(1999, 0, 1), 32], [Date.UTC(2006, 0, 1), 33],
+    [Date.UTC(2009, 0, 1), 34], [Date.UTC(2012, 6, 1), 35], [Date.UTC(2015, 6, 1), 36],
+    [Date.UTC(2017, 0, 1), 37]
+];
+
+let leapSeconds = BUILTIN_LEAP_SECONDS;
+
+class Epoch {
+    /*
+    instant as a two-part Julian date in a named time scale
+
+    scales: "utc", "tai", "tt", "gps", "gst" (Galileo), "bdt" (BeiDou), "ut1", "tdb"
+
+    UTC epochs inside a leap second cannot be represented, as with Date.
+    */
+    constructor(jd1, jd2 = 0.0, scale = "utc") {
+        /*
+        Parameters
+        ----------
+        jd1, jd2 : float
+        Julian date jd1 + jd2, conventionally jd1 holds the whole days
+        scale : str, optional
+        time scale of the Julian date
+        */
+        if (!(scale in TAI_OFFSET) && !["utc", "ut1", "tdb"].includes(scale)) {
+            throw new Error(`unknown time scale ${scale}`);
+        }
+        this.jd1 = jd1;
+        this.jd2 = jd2;
+        this.scale = scale;
+    }
+
+    static fromDate(time, scale = "utc") {
+        /*
+        Epoch whose calendar date and time of day in `scale` are the UTC fields of a Date
+
+        Parameters
+        ----------
+        time : datetime.datetime or str
+        time, see str2dt
+        scale : str, optional
+        time scale the calendar fields are expressed in
+        */
+        let jd1, jd2;
+        [jd1, jd2] = jdparts(time);
+        return new Epoch(jd1, jd2, scale);
+    }
+
+    get jd() {
+        /*  Julian date as a single float, about 40 microsecond resolution  */
+        return (this.jd1 + this.jd2);
+    }
+
+    get mjd() {
+        /*  modified Julian date  */
+        return ((this.jd1 - 2400000.5) + this.jd2);
+    }
+
+    toDate() {
+        /*  Date whose UTC fields are the calendar date and time of day in this epoch's scale  */
+        return jd2date(this.jd1, this.jd2);
+    }
+
+    shift(seconds, scale = this.scale) {
+        /*  epoch offset by a number of seconds, relabelled with `scale`  */
+        return new Epoch(this.jd1, (this.jd2 + (seconds / 86400.0)), scale);
+    }
+
+    to(scale, eop = null) {
+        /*
+        the same instant in another time scale
+
+        Parameters
+        ----------
+        scale : str
+        target time scale
+        eop : float or EarthOrientation or Object, optional
+        UT1 - UTC [seconds], or an Earth orientation provider or values {dut1},
+        needed for conversions to and from UT1
+
+        Results
+        -------
+        epoch : Epoch
+        */
+        let dut1, tai;
+        if (scale === this.scale) {
+            return this;
+        }
+        if (((scale === "ut1") || (this.scale === "ut1"))) {
+            if (eop === null) {
+                throw new Error("UT1 needs UT1 - UTC, pass it as eop");
+            }
+        }
+        /*  via TAI  */
+        if (this.scale === "utc") {
+            tai = this.shift(tai_utc(this.toDate()), "tai");
+        } else if (this.scale === "ut1") {
+            dut1 = ((typeof eop === "number") ? eop : eopAt(eop, this.toDate()).dut1);
+            return this.shift((-dut1), "utc").to(scale, eop);
+        } else if (this.scale === "tdb") {
+            tai = this.shift((-tdb_tt(this)), "tt").shift((-TAI_OFFSET.tt), "tai");
+        } else {
+            tai = this.shift((-TAI_OFFSET[this.scale]), "tai");
+        }
+
+        if (scale === "utc") {
+            return tai2utc(tai);
+        } else if (scale === "ut1") {
+            const utc = tai2utc(tai);
+            dut1 = ((typeof eop === "number") ? eop : eopAt(eop, utc.toDate()).dut1);
+            return utc.shift(dut1, "ut1");
+        } else if (scale === "tdb") {
+            const tt = tai.shift(TAI_OFFSET.tt, "tt");
+            return tt.shift(tdb_tt(tt), "tdb");
+        }
+        return tai.shift(TAI_OFFSET[scale], scale);
+    }
+}
+
+function tai2utc(tai) {
+    /*  TAI to UTC, TAI - UTC looked up at the UTC estimate, refined once for steps  */
+    let utc;
+    utc = tai.shift((-tai_utc(tai.toDate())), "utc");
+    return tai.shift((-tai_utc(utc.toDate())), "utc");
+}
+
+function tdb_tt(epoch) {
+    /*
+    TDB - TT [seconds], periodic terms from the Earth's orbit
+
+    Fairhead & Bretagnon leading terms, within 30 microseconds
+    */
+    let g;
+    g = radians((357.53 + (0.98560028 * ((epoch.jd1 - 2451545.0) + epoch.jd2))));
+    return ((0.001657 * sin(g)) + (0.000014 * sin((2 * g))));
+}
+
+function tai_utc(time) {
+    /*
+    TAI - UTC, the accumulated leap seconds
+
+    Parameters
+    ----------
+    time : datetime.datetime or str
+    UTC time, from 1960 on
+
+    Results
+    -------
+    dat : float
+    TAI - UTC [seconds]
+    */
+    let dat, mjd, ms;
+    ms = str2dt(time).getTime();
+    if (ms >= leapSeconds[0][0]) {
+        for (const [start, value] of leapSeconds) {
+            if (ms >= start) {
+                dat = value;
+            }
+        }
+        return dat;
+    }
+    if (ms < DRIFT[0][0]) {
+        throw new Error("UTC is not defined before 1960");
+    }
+    mjd = ((ms / MS_PER_DAY) + MJD_UNIX);
+    for (const [start, offset, mjd0, rate] of DRIFT) {
+        if (ms >= start) {
+            dat = (offset + ((mjd - mjd0) * rate));
+        }
+    }
+    return dat;
+}
+
+function parseLeapSeconds(text) {
+    /*
+    parse a leap second file
+
+    Parameters
+    ----------
+    text : str
+    contents of IERS Leap_Second.dat (MJD day month year TAI-UTC)
+    or IETF leap-seconds.list (NTP seconds TAI-UTC)
+
+    Results
+    -------
+    table : Array
+    [UTC Date milliseconds, TAI - UTC seconds] from 1972 on
+    */
+    let line, table, v;
+    table = [];
+    for (line of text.split(/\r?\n/)) {
+        line = line.replace(/#.*/, "").trim();
+        if (line === "") {
+            continue;
+        }
+        v = line.split(/\s+/).map(Number);
+        if (v.length === 5) {
+            /*  Leap_Second.dat  */
+            table.push([Date.UTC(v[3], (v[2] - 1), v[1]), v[4]]);
+        } else if (v.length >= 2) {
+            /*  leap-seconds.list, NTP seconds count from 1900  */
+            table.push([((v[0] - 2208988800) * 1000), v[1]]);
+        }
+    }
+    if ((table.length === 0) || table.some(row => row.some(Number.isNaN))) {
+        throw new Error("not a recognized leap second file");
+    }
+    return table.sort((a, b) => (a[0] - b[0]));
+}
+
+function setLeapSeconds(table = null) {
+    /*
+    replace the leap second table used by all time scale conversions
+
+    Parameters
+    ----------
+    table : Array, optional
+    [UTC Date milliseconds, TAI - UTC seconds] rows as from parseLeapSeconds,
+    null restores the built-in table
+    */
+    leapSeconds = ((table === null) ? BUILTIN_LEAP_SECONDS : table);
+}
+
+function gnssweek(time, system = "gps") {
+    /*
+    GNSS week number and seconds of week
+
+    Parameters
+    ----------
+    time : Epoch or datetime.datetime or str
+    time, a Date is taken as UTC
+    system : str, optional
+    "gps", "gst" (Galileo) or "bdt" (BeiDou)
+
+    Results
+    -------
+    week : int
+    full week number since the system epoch (not modulo 1024)
+    sow : float
+    seconds of week
+    */
+    let epoch, seconds, week;
+    if (!(system in WEEK_EPOCH)) {
+        throw new Error(`system must be one of ${Object.keys(WEEK_EPOCH)}`);
+    }
+    epoch = ((time instanceof Epoch) ? time : Epoch.fromDate(time)).to(system);
+    seconds = (((epoch.jd1 - WEEK_EPOCH[system]) + epoch.jd2) * 86400.0);
+    week = floor((seconds / 604800.0));
+    return [week, (seconds - (week * 604800.0))];
+}
+
+function gnssweek2epoch(week, sow, system = "gps") {
+    /*
+    epoch from GNSS week number and seconds of week
+
+    Parameters
+    ----------
+    week : int
+    full week number since the system epoch
+    sow : float
+    seconds of week
+    system : str, optional
+    "gps", "gst" (Galileo) or "bdt" (BeiDou)
+
+    Results
+    -------
+    epoch : Epoch
+    in the system's time scale, use .to("utc") for UTC
+    */
+    if (!(system in WEEK_EPOCH)) {
+        throw new Error(`system must be one of ${Object.keys(WEEK_EPOCH)}`);
+    }
+    return new Epoch((WEEK_EPOCH[system] + (week * 7)), (sow / 86400.0), system);
+}
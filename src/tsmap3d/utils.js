@@ -5,10 +5,10 @@ all assume radians
 */
 
 import {wgs84} from './ellipsoid';
-import {abs, atan2, cos, hypot, pi, radians, sin} from './mathfun';
+import {abs, atan2, cos, hypot, pi, radians, sin, sqrt, tau} from './mathfun';
 import {assert} from "./funcutils";
 
-export {cart2pol, pol2cart, cart2sph, sph2cart, sanitize};
+export {cart2pol, pol2cart, cart2sph, sph2cart, sanitize, rot1, rot2, rot3, matmul, matvec, transpose, dot, cross, norm, wrap};
 
 function cart2pol(x, y) {
     /* Transform Cartesian to polar coordinates */
@@ -50,3 +50,73 @@ function sanitize(lat, ell, deg) {
     assert(abs(lat) <= (pi / 2), "-pi/2 <= latitude <= pi/2");
     return [lat, ell];
 }
+
+function rot1(angle) {
+    /*
+    coordinate frame rotation about the X axis
+
+    Vallado ROT1, same sense as SOFA iauRx
+    */
+    return [[1, 0, 0], [0, cos(angle), sin(angle)], [0, (-sin(angle)), cos(angle)]];
+}
+
+function rot2(angle) {
+    /*
+    coordinate frame rotation about the Y axis
+
+    Vallado ROT2, same sense as SOFA iauRy
+    */
+    return [[cos(angle), 0, (-sin(angle))], [0, 1, 0], [sin(angle), 0, cos(angle)]];
+}
+
+function rot3(angle) {
+    /*
+    coordinate frame rotation about the Z axis
+
+    Vallado ROT3, same sense as SOFA iauRz
+    */
+    return [[cos(angle), sin(angle), 0], [(-sin(angle)), cos(angle), 0], [0, 0, 1]];
+}
+
+function matmul(...matrices) {
+    /*  product of 3x3 matrices, left to right  */
+    return matrices.reduce((A, B) => A.map(row => [0, 1, 2].map(j => (((row[0] * B[0][j]) + (row[1] * B[1][j])) + (row[2] * B[2][j])))));
+}
+
+function matvec(A, v) {
+    /*  3x3 matrix times 3-vector  */
+    return A.map(row => (((row[0] * v[0]) + (row[1] * v[1])) + (row[2] * v[2])));
+}
+
+function transpose(A) {
+    /*  transpose of 3x3 matrix  */
+    return [0, 1, 2].map(j => [A[0][j], A[1][j], A[2][j]]);
+}
+
+function dot(a, b) {
+    /*  dot product of 3-vectors  */
+    return (((a[0] * b[0]) + (a[1] * b[1])) + (a[2] * b[2]));
+}
+
+function cross(a, b) {
+    /*  cross product of 3-vectors  */
+    return [((a[1] * b[2]) - (a[2] * b[1])), ((a[2] * b[0]) - (a[0] * b[2])), ((a[0] * b[1]) - (a[1] * b[0]))];
+}
+
+function norm(a) {
+    /*  Euclidean length of 3-vector  */
+    return sqrt(dot(a, a));
+}
+
+function wrap(theta, deg) {
+    /*
+    angle into [0, 360) degrees or [0, 2 pi) radians
+
+    a small negative angle that would round up to a full turn is 0 instead
+    */
+    let full;
+    full = (deg ? 360.0 : tau);
+    theta %= full;
+    theta = ((theta < 0.0) ? (theta + full) : theta);
+    return ((theta >= full) ? 0.0 : theta);
+}
@@ -1,15 +1,25 @@
 /*
-converts right ascension, declination to azimuth, elevation and vice versa.
+converts right ascension, declination to azimuth, elevation and vice versa,
+and ECI state vectors to classical orbital elements and vice versa.
 
 Michael Hirsch implementation of algorithms from D. Vallado
 */
-import {abs, asin, atan2, cos, degrees, radians, sin} from './mathfun';
+import {abs, asin, asinh, atan, atan2, atanh, cos, cosh, degrees, inf, pi, radians, sin, sinh, sqrt, tan, tanh, tau} from './mathfun';
+import {cross, dot, matmul, matvec, norm, rot1, rot3, wrap} from './utils';
 import {datetime2sidereal} from './sidereal';
+import {geodetic2ecef} from './ecef';
+import {wgs84} from './ellipsoid';
 import {assert} from "./funcutils";
+import {refract, unrefract} from "./refraction";
 
-export {azel2radec, radec2azel};
+export {azel2radec, radec2azel, rv2coe, coe2rv};
 
-function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
+/*  Earth gravitational parameter [m^3/s^2], WGS-84  */
+const GM_EARTH = wgs84.gm;
+/*  tolerance for circular and equatorial orbits  */
+const SMALL = 1e-10;
+
+function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time, sidereal = "mean", refraction = null, dist = null, alt = 0.0) {
     /*
     converts azimuth, elevation to right ascension, declination
 
@@ -26,6 +36,18 @@ function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
     observer WGS84 longitude [degrees]
     time : datetime.datetime
     time of observation
+    sidereal : str, optional
+    hour angle origin, see datetime2sidereal: "mean" (default),
+    "apparent" for right ascension of date, "era" for CIO based right ascension
+    refraction : str or Object, optional
+    el_deg is the observed, refracted elevation: "optical", "radio" or an Object
+    of conditions, see unrefract. Default null, no refraction.
+    dist : float, optional
+    distance of the target from the Earth's center [meters]. Default null, infinitely far.
+    Given, az_deg and el_deg are seen from the observer and the result is geocentric.
+    It must exceed the observer's distance from the Earth's center.
+    alt : float, optional
+    observer altitude above the WGS84 ellipsoid [meters], used with dist
 
 
     Results
@@ -39,21 +61,34 @@ function azel2radec(az_deg, el_deg, lat_deg, lon_deg, time) {
     from D.Vallado Fundamentals of Astrodynamics and Applications
     p.258-259
     */
-    let az, dec, el, lat, lha, lon, lst;
+    let az, b, dec, el, lat, lha, lon, lst, o, ra, u;
     assert(abs(lat_deg) <= 90, "-90 <= lat <= 90");
 
+    if ((refraction !== null)) {
+        el_deg = unrefract(el_deg, refraction);
+    }
     az = radians(az_deg);
     el = radians(el_deg);
     lat = radians(lat_deg);
     lon = radians(lon_deg);
     dec = asin(((sin(el) * sin(lat)) + ((cos(el) * cos(lat)) * cos(az))));
     lha = atan2(((-(sin(az) * cos(el))) / cos(dec)), ((sin(el) - (sin(lat) * sin(dec))) / (cos(dec) * cos(lat))));
-    lst = datetime2sidereal(time, lon);
+    lst = datetime2sidereal(time, lon, null, sidereal);
+    ra = (lst - lha);
+    if ((dist !== null)) {
+        /*  out along the line of sight until dist from the Earth's center  */
+        o = observer(lat_deg, lon_deg, alt, (lst - lon), dist);
+        u = [(cos(dec) * cos(ra)), (cos(dec) * sin(ra)), sin(dec)];
+        b = dot(o, u);
+        u = u.map((uk, k) => (o[k] + (uk * ((-b) + sqrt((((b * b) - dot(o, o)) + (dist * dist)))))));
+        [ra, dec] = [atan2(u[1], u[0]), asin((u[2] / dist))];
+    }
     /*  by definition right ascension [0, 360) degrees  */
-    return [(degrees((lst - lha)) % 360), degrees(dec)];
+    ra = (degrees(ra) % 360);
+    return [((ra < 0) ? (ra + 360) : ra), degrees(dec)];
 }
 
-function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
+function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time, sidereal = "mean", refraction = null, dist = null, alt = 0.0) {
     /*
     converts right ascension, declination to azimuth, elevation
 
@@ -70,6 +105,18 @@ function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
     observer WGS84 longitude [degrees]
     time : datetime.datetime
     time of observation
+    sidereal : str, optional
+    hour angle origin, see datetime2sidereal: "mean" (default),
+    "apparent" for right ascension of date, "era" for CIO based right ascension
+    refraction : str or Object, optional
+    return the refracted elevation: "optical", "radio" or an Object of conditions,
+    see refract. Default null, the geometric elevation.
+    dist : float, optional
+    distance of the target from the Earth's center [meters]. Default null, infinitely far.
+    Given, ra_deg and dec_deg are geocentric, e.g. of the Moon, and the parallax to the
+    observer is applied. It must exceed the observer's distance from the Earth's center.
+    alt : float, optional
+    observer altitude above the WGS84 ellipsoid [meters], used with dist
 
     Results
     -------
@@ -83,16 +130,283 @@ function radec2azel(ra_deg, dec_deg, lat_deg, lon_deg, time) {
     from D. Vallado "Fundamentals of Astrodynamics and Applications "
     4th Edition Ch. 4.4 pg. 266-268
     */
-    let az, dec, el, lat, lha, lon, lst, ra;
+    let az, dec, el, lat, lha, lon, lst, o, p, ra;
     assert(abs(lat_deg) <= 90, "-90 <= lat <= 90");
 
     ra = radians(ra_deg);
     dec = radians(dec_deg);
     lat = radians(lat_deg);
     lon = radians(lon_deg);
-    lst = datetime2sidereal(time, lon);
+    lst = datetime2sidereal(time, lon, null, sidereal);
+    if ((dist !== null)) {
+        /*  topocentric: the target seen from the observer rather than the Earth's center  */
+        o = observer(lat_deg, lon_deg, alt, (lst - lon), dist);
+        p = [(((dist * cos(dec)) * cos(ra)) - o[0]), (((dist * cos(dec)) * sin(ra)) - o[1]), ((dist * sin(dec)) - o[2])];
+        [ra, dec] = [atan2(p[1], p[0]), asin((p[2] / norm(p)))];
+    }
     lha = (lst - ra);
     el = asin(((sin(lat) * sin(dec)) + ((cos(lat) * cos(dec)) * cos(lha))));
     az = atan2((((-sin(lha)) * cos(dec)) / cos(el)), ((sin(dec) - (sin(el) * sin(lat))) / (cos(el) * cos(lat))));
-    return [(degrees(az) % 360.0), degrees(el)];
+    az = (degrees(az) % 360.0);
+    el = degrees(el);
+    if ((refraction !== null)) {
+        el = refract(el, refraction);
+    }
+    az = ((az < 0) ? (az + 360.0) : az);
+    return [az, el];
+}
+
+function observer(lat_deg, lon_deg, alt, gst, dist) {
+    /*
+    observer position in the equatorial frame of the right ascension, gst its hour angle at Greenwich [meters],
+    checking the target distance dist is beyond it
+    */
+    let x, y, z;
+    [x, y, z] = geodetic2ecef(lat_deg, lon_deg, alt);
+    if ((dist <= norm([x, y, z]))) {
+        throw new Error("target distance must exceed the observer's");
+    }
+    return [((x * cos(gst)) - (y * sin(gst))), ((x * sin(gst)) + (y * cos(gst))), z];
+}
+
+function rv2coe(x, y, z, vx, vy, vz, mu = GM_EARTH, deg = true) {
+    /*
+    ECI position and velocity to classical orbital elements
+
+    Parameters
+    ----------
+    x, y, z : float
+    ECI position [meters]
+    vx, vy, vz : float
+    ECI velocity [meters/second]
+    mu : float, optional
+    gravitational parameter of the central body [m^3/s^2], default Earth, e.g. mars.gm for Mars
+    deg : bool, optional
+    degrees output  (False: radians)
+
+    Results
+    -------
+    coe : Object
+
+    a : float
+    semimajor axis [meters], negative for hyperbolic and inf for parabolic orbits
+    p : float
+    semilatus rectum [meters]
+    ecc : float
+    eccentricity
+    incl : float
+    inclination [0, 180]
+    raan : float
+    right ascension of the ascending node [0, 360)
+    argp : float
+    argument of perigee [0, 360)
+    nu : float
+    true anomaly [0, 360)
+    ea : float
+    eccentric anomaly [0, 360), hyperbolic anomaly for ecc > 1
+    ma : float
+    mean anomaly, [0, 360) for elliptical orbits
+    orbit : str
+    "ei" elliptical inclined, "ee" elliptical equatorial,
+    "ci" circular inclined, "ce" circular equatorial
+
+    Angles that are undefined are 0, and the angle measured in their place
+    goes to the next one, so coe2rv reproduces the state for every orbit:
+    equatorial orbits have raan = 0 and argp the longitude of perigee,
+    circular orbits have argp = 0 and nu the argument of latitude (inclined)
+    or true longitude (equatorial). Retrograde equatorial longitudes are measured
+    westward, as the orbit goes.
+
+    from D. Vallado "Fundamentals of Astrodynamics and Applications"
+    4th Edition Algorithm 9 RV2COE
+    */
+    let a, argp, c1, ea, ebar, ecc, h, incl, ma, magh, magr, magv, nbar, nu, orbit, p, r, raan, rdotv, sme, v;
+    r = [x, y, z];
+    v = [vx, vy, vz];
+    magr = norm(r);
+    magv = norm(v);
+    h = cross(r, v);
+    magh = norm(h);
+    if ((magh < SMALL)) {
+        throw new Error("position and velocity are parallel, the orbit is degenerate");
+    }
+    nbar = [(-h[1]), h[0], 0.0];
+    c1 = ((magv * magv) - (mu / magr));
+    rdotv = dot(r, v);
+    ebar = r.map((ri, i) => (((c1 * ri) - (rdotv * v[i])) / mu));
+    ecc = norm(ebar);
+
+    sme = (((magv * magv) * 0.5) - (mu / magr));
+    a = ((abs(sme) > SMALL) ? ((-mu) / (2.0 * sme)) : inf);
+    p = ((magh * magh) / mu);
+    incl = angle([0.0, 0.0, 1.0], h);
+
+    /*  special cases  */
+    orbit = "ei";
+    if ((ecc < SMALL)) {
+        orbit = (((incl < SMALL) || (abs((incl - pi)) < SMALL)) ? "ce" : "ci");
+    } else if (((incl < SMALL) || (abs((incl - pi)) < SMALL))) {
+        orbit = "ee";
+    }
+
+    raan = 0.0;
+    argp = 0.0;
+    if ((orbit[1] === "i")) {
+        raan = quadrant(angle([1.0, 0.0, 0.0], nbar), nbar[1]);
+    }
+    if ((orbit === "ei")) {
+        argp = quadrant(angle(nbar, ebar), ebar[2]);
+    } else if ((orbit === "ee")) {
+        /*  longitude of perigee  */
+        argp = retrograde(quadrant(angle([1.0, 0.0, 0.0], ebar), ebar[1]), incl);
+    }
+    if ((orbit[0] === "e")) {
+        nu = quadrant(angle(ebar, r), rdotv);
+    } else if ((orbit === "ci")) {
+        /*  argument of latitude  */
+        nu = quadrant(angle(nbar, r), r[2]);
+    } else {
+        /*  true longitude  */
+        nu = retrograde(quadrant(angle([1.0, 0.0, 0.0], r), r[1]), incl);
+    }
+    [ea, ma] = nu2anomaly(ecc, nu);
+
+    if (deg) {
+        [incl, raan, argp, nu, ea, ma] = [incl, raan, argp, nu, ea, ma].map(degrees);
+    }
+    /*  quadrant and retrograde give 2 pi for angles just below 0, as does rounding  */
+    [raan, argp, nu] = [raan, argp, nu].map(theta => wrap(theta, deg));
+    if ((ecc < (1.0 - SMALL))) {
+        [ea, ma] = [ea, ma].map(theta => wrap(theta, deg));
+    }
+    return {a: a, p: p, ecc: ecc, incl: incl, raan: raan, argp: argp, nu: nu, ea: ea, ma: ma, orbit: orbit};
+}
+
+function coe2rv(a, ecc, incl, raan, argp, nu, anomaly = "true", mu = GM_EARTH, deg = true) {
+    /*
+    classical orbital elements to ECI position and velocity
+
+    Parameters
+    ----------
+    a : float
+    semimajor axis [meters], negative for hyperbolic orbits
+    ecc : float
+    eccentricity, not 1 (parabolic)
+    incl : float
+    inclination
+    raan : float
+    right ascension of the ascending node, 0 for equatorial orbits
+    argp : float
+    argument of perigee, 0 for circular orbits
+    nu : float
+    anomaly of the kind given by anomaly
+    anomaly : str, optional
+    "true" (default), "mean" or "eccentric" (hyperbolic for ecc > 1)
+    mu : float, optional
+    gravitational parameter of the central body [m^3/s^2], default Earth, e.g. mars.gm for Mars
+    deg : bool, optional
+    degrees input  (False: radians)
+
+    Results
+    -------
+    x, y, z : float
+    ECI position [meters]
+    vx, vy, vz : float
+    ECI velocity [meters/second]
+
+    Special cases follow rv2coe: for circular orbits nu is the argument of latitude
+    or true longitude, for equatorial ones argp is the longitude of perigee.
+
+    from D. Vallado "Fundamentals of Astrodynamics and Applications"
+    4th Edition Algorithm 10 COE2RV
+    */
+    let R, p, r, rpqw, sqmup, vpqw, v;
+    if ((abs((ecc - 1.0)) < SMALL)) {
+        throw new Error("parabolic orbits (ecc = 1) have no finite semimajor axis");
+    }
+    if (((ecc > 1.0) !== (a < 0))) {
+        throw new Error("semimajor axis must be positive for ecc < 1 and negative for ecc > 1");
+    }
+    if (deg) {
+        [incl, raan, argp, nu] = [incl, raan, argp, nu].map(radians);
+    }
+    if ((anomaly === "mean")) {
+        nu = anomaly2nu(ecc, mean2eccentric(ecc, nu));
+    } else if ((anomaly === "eccentric")) {
+        nu = anomaly2nu(ecc, nu);
+    } else if ((anomaly !== "true")) {
+        throw new Error("anomaly must be true, mean or eccentric");
+    }
+    p = (a * (1.0 - (ecc * ecc)));
+    /*  perifocal coordinates  */
+    r = (p / (1.0 + (ecc * cos(nu))));
+    sqmup = sqrt((mu / p));
+    rpqw = [(r * cos(nu)), (r * sin(nu)), 0.0];
+    vpqw = [((-sqmup) * sin(nu)), (sqmup * (ecc + cos(nu))), 0.0];
+    R = matmul(rot3((-raan)), rot1((-incl)), rot3((-argp)));
+    r = matvec(R, rpqw);
+    v = matvec(R, vpqw);
+    return [r[0], r[1], r[2], v[0], v[1], v[2]];
+}
+
+function nu2anomaly(ecc, nu) {
+    /*  true anomaly to eccentric (hyperbolic) and mean anomaly [radians], Vallado NEWTONNU  */
+    let ea, ma;
+    if ((ecc < (1.0 - SMALL))) {
+        ea = (2.0 * atan((sqrt(((1.0 - ecc) / (1.0 + ecc))) * tan((0.5 * nu)))));
+        ma = (ea - (ecc * sin(ea)));
+        return [(((ea % tau) + tau) % tau), (((ma % tau) + tau) % tau)];
+    }
+    if ((ecc > (1.0 + SMALL))) {
+        ea = (2.0 * atanh((sqrt(((ecc - 1.0) / (ecc + 1.0))) * tan((0.5 * ((nu > pi) ? (nu - tau) : nu))))));
+        return [ea, ((ecc * sinh(ea)) - ea)];
+    }
+    /*  parabolic anomaly  */
+    ea = tan((0.5 * nu));
+    return [ea, (ea + ((ea * ea * ea) / 3.0))];
+}
+
+function mean2eccentric(ecc, ma) {
+    /*  solve Kepler's equation for the eccentric (hyperbolic) anomaly, Vallado NEWTONM  */
+    let ea, i, step;
+    if ((ecc < 1.0)) {
+        ea = ((ecc < 0.8) ? ma : pi);
+    } else {
+        ea = ((ecc < 1.6) ? ma : asinh((ma / ecc)));
+    }
+    for (i = 0; (i < 50); i++) {
+        if ((ecc < 1.0)) {
+            step = (((ea - (ecc * sin(ea))) - ma) / (1.0 - (ecc * cos(ea))));
+        } else {
+            step = ((((ecc * sinh(ea)) - ea) - ma) / ((ecc * cosh(ea)) - 1.0));
+        }
+        ea -= step;
+        if ((abs(step) < 1e-13)) {
+            return ea;
+        }
+    }
+    throw new Error("Kepler's equation did not converge");
+}
+
+function anomaly2nu(ecc, ea) {
+    /*  eccentric (hyperbolic) anomaly to true anomaly [radians]  */
+    if ((ecc < 1.0)) {
+        return (2.0 * atan2((sqrt((1.0 + ecc)) * sin((0.5 * ea))), (sqrt((1.0 - ecc)) * cos((0.5 * ea)))));
+    }
+    return (2.0 * atan((sqrt(((ecc + 1.0) / (ecc - 1.0))) * tanh((0.5 * ea)))));
+}
+
+function quadrant(theta, test) {
+    /*  angle gives [0, pi], a negative test component puts the angle in (pi, 2 pi)  */
+    return ((test < 0.0) ? (tau - theta) : theta);
+}
+
+function retrograde(theta, incl) {
+    /*  longitudes of retrograde equatorial orbits are measured westward  */
+    return ((incl > (0.5 * pi)) ? (tau - theta) : theta);
+}
+
+function angle(a, b) {
+    /*  angle between two vectors [radians], atan2 keeps its precision near 0 and pi  */
+    return atan2(norm(cross(a, b)), dot(a, b));
 }